@@ -0,0 +1,31 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: {
+        ...globals.serviceworker,
+        // Workers 运行时提供的全局对象
+        WebSocketPair: 'readonly',
+        AbortSignal: 'readonly'
+      }
+    },
+    rules: {
+      // 内嵌页面脚本中的正则和字符串保留了转义写法
+      'no-useless-escape': 'off',
+      // 清理控制字符的正则需要匹配控制字符
+      'no-control-regex': 'off',
+      'no-unused-vars': ['error', { caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['test/**/*.js'],
+    languageOptions: {
+      globals: globals.node
+    }
+  }
+];
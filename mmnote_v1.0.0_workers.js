@@ -3,10 +3,127 @@
  * Copyright (c) 2025, mmnote.com. (MIT Licensed)
  * https://mmnote.com
  */
+// Workers 绑定及变量(在 wrangler.toml 中配置),由 bindEnvironment 从 env 中读取
+// 保存笔记、分享等数据的 KV 命名空间
+let NOTES_KV = null;
+// 笔记房间(Durable Object,类为 NoteRoom)的命名空间
+let NOTE_ROOMS = null;
+// 会话令牌签名密钥,未配置时由配置房间生成并保存在 KV 中
+let SESSION_SECRET = null;
+// 未配置 SESSION_SECRET 时生成的签名密钥在 KV 中的键
+const SESSION_SECRET_KEY = '_config_session_secret';
+// 生成签名密钥的房间名称,不是有效的笔记名,不会与笔记的房间重合
+const CONFIG_ROOM_NAME = ':config';
 // 保存笔记的路径前缀
 const SAVE_PATH = '_tmp';
+// 保存笔记历史版本的路径前缀
+const HISTORY_PATH = '_history';
+// 每个笔记最多保留的历史版本数
+const HISTORY_MAX_REVISIONS = 50;
+// 历史版本快照间隔(秒),每个笔记在间隔内最多记录一个版本,其余保存只写入笔记本身
+const HISTORY_SNAPSHOT_SECONDS = 5 * 60;
+// 回收站的路径前缀,清空的笔记保存在 <前缀>/<笔记名>/<删除ID>
+const TRASH_PATH = '_trash';
+// 回收站保留时长(秒),可通过 Workers 变量 TRASH_RETENTION_DAYS 配置(天,默认30天)
+let TRASH_RETENTION_SECONDS;
+// 笔记分享索引的路径前缀,每个分享保存为 <前缀>/<笔记名>/<分享ID>
+const SHARES_PATH = '_shares';
+// API 令牌的路径前缀,每个令牌保存为 <前缀>/<笔记名>/<令牌ID>
+const TOKENS_PATH = '_tokens';
+// API 令牌的前缀,后接 <笔记名>.<令牌ID>.<密钥>
+const API_TOKEN_PREFIX = 'mmn_';
+// API 令牌可授予的权限:读取、替换或删除(包含追加)、追加
+const API_TOKEN_SCOPES = ['read', 'write', 'append'];
+// Webhook 订阅的路径前缀,每个笔记的订阅列表保存为 <前缀>/<笔记名>
+const WEBHOOKS_PATH = '_webhooks';
+// Webhook 投递记录的路径前缀,每个笔记的最近投递保存为 <前缀>/<笔记名>
+const WEBHOOK_LOG_PATH = '_webhook_log';
+// 每个笔记最多的 Webhook 订阅数
+const WEBHOOK_MAX_PER_NOTE = 10;
+// 每个笔记保留的投递记录数
+const WEBHOOK_LOG_LIMIT = 50;
+// 单次投递的超时时间(毫秒)
+const WEBHOOK_TIMEOUT = 5000;
+// 投递失败后每次重试前的等待时间(毫秒)
+const WEBHOOK_RETRY_DELAYS = [1000, 4000];
+// 每个订阅的投递(包括重试)总共可用的时间(毫秒),超出后不再重试,留出时间在 waitUntil 的 30 秒内写入投递记录
+const WEBHOOK_DELIVERY_BUDGET = 20000;
+// 通知中附带的新增内容摘录的最大字符数
+const WEBHOOK_EXCERPT_LENGTH = 300;
+// 笔记修改后等待后续修改的时间(毫秒),期间的连续修改合并为一次通知
+const WEBHOOK_DEBOUNCE_DELAY = 60 * 1000;
+// 持续修改时从第一次未通知的修改算起最长的等待时间(毫秒)
+const WEBHOOK_DEBOUNCE_MAX_WAIT = 5 * 60 * 1000;
+// 分享链接的最短有效期(秒),与 Workers KV 支持的最短过期时间一致
+const SHARE_MIN_TTL = 60;
+// 分享ID的长度,由服务端随机生成
+const SHARE_ID_LENGTH = 10;
+// 创建分享时请求内容的最大字节数
+const SHARE_MAX_PAYLOAD_BYTES = 1024 * 1024;
+// 嵌入页面固定高度参数的取值范围(像素)
+const EMBED_MIN_HEIGHT = 100;
+const EMBED_MAX_HEIGHT = 4000;
+// oEmbed 返回的 iframe 默认尺寸(像素)
+const OEMBED_DEFAULT_WIDTH = 800;
+const OEMBED_DEFAULT_HEIGHT = 600;
+// 分享访问统计的路径前缀:每次访问保存为 <前缀>/<分享ID>/<日期>/<访问ID>,请求之间不会互相覆盖;
+// 不再有新访问的日期汇总为 <前缀>/<分享ID>/<日期>,每天的访问次数和超出统计天数的总访问次数保存在 <前缀>/<分享ID>
+const SHARE_STATS_PATH = '_share_stats';
+// 按天展示访问统计的天数,独立访客也只统计这段时间
+const SHARE_STATS_DAYS = 30;
+// 按天的访问记录在 KV 中保留的天数,长于展示天数,留出汇总进总访问次数的时间
+const SHARE_STATS_RETENTION_DAYS = 60;
+// 每天的汇总中记录的访客上限,超出后的访问只计入访问次数
+const SHARE_STATS_MAX_VISITORS = 5000;
+// 爬虫、链接预览等自动请求的 User-Agent,不计入访问次数
+const SHARE_BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|whatsapp|skypeuripreview|headless|lighthouse/i;
+// 协同编辑时最后一次修改后延迟保存的时间(毫秒)
+const LIVE_SAVE_DELAY = 2000;
+// 协同编辑房间保留的最近操作数,落后更多的客户端需要重新同步
+const LIVE_HISTORY_LIMIT = 500;
+// 协同编辑者的光标颜色
+const LIVE_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#9b59b6', '#f39c12', '#1abc9c', '#e67e22', '#34495e'];
+// 追加或在开头插入内容后笔记的最大字节数,超出时拒绝写入
+const NOTE_APPEND_MAX_BYTES = 1024 * 1024;
 // 有效的笔记名称格式(只允许字母、数字、下划线和连字符)
 const VALID_NOTE_PATTERN = /^[a-zA-Z0-9_-]+$/;
+// 不存在或没有版本信息(早期保存)的笔记使用的版本标识
+const NOTE_REVISION_NONE = '0';
+// 密码验证后会话令牌的有效期(秒)
+const SESSION_TTL = 12 * 60 * 60;
+// 会话 Cookie 名称前缀,后接笔记名称
+const SESSION_COOKIE_PREFIX = 'mmnote_session_';
+// 验证过密码的浏览器的 Cookie 名称前缀,后接笔记名称;持有者不受笔记级别的密码错误锁定影响
+const KNOWN_CLIENT_COOKIE_PREFIX = 'mmnote_known_';
+// 验证过密码的浏览器标记的有效期(秒)
+const KNOWN_CLIENT_TTL = 180 * 24 * 60 * 60;
+// 实时分享解锁后的 Cookie 名称前缀,后接分享ID
+const SHARE_COOKIE_PREFIX = 'mmnote_share_';
+// 端到端加密笔记的内容前缀,后接 JSON 格式的密文信封
+const E2E_PREFIX = 'mmnote-e2e:';
+// 密码哈希的 PBKDF2 迭代次数,可通过 Workers 变量 PASSWORD_ITERATIONS 配置(默认及 Workers 支持的最大值为 100000)
+let PASSWORD_KDF_ITERATIONS;
+// 当前密码记录的版本,旧版本({ hash, salt } 单次 SHA-256)在下次验证成功时自动升级
+const PASSWORD_RECORD_VERSION = 2;
+// 单个笔记在锁定窗口内允许的密码错误次数
+const PASSWORD_MAX_FAILURES_PER_NOTE = 10;
+// 单个客户端IP在锁定窗口内允许的密码错误次数
+const PASSWORD_MAX_FAILURES_PER_IP = 20;
+// 密码错误计数窗口及锁定时长(秒)
+const PASSWORD_LOCKOUT_SECONDS = 15 * 60;
+
+/**
+ * 读取 Workers 绑定及变量
+ * 模块格式的 Worker 只能从 env 中获得绑定;同一实例内每次调用的 env 相同,保存到模块变量中供各函数使用
+ * @param {Object} env - Workers 环境绑定
+ */
+function bindEnvironment(env) {
+  NOTES_KV = env.NOTES_KV;
+  NOTE_ROOMS = env.NOTE_ROOMS;
+  SESSION_SECRET = env.SESSION_SECRET || null;
+  TRASH_RETENTION_SECONDS = (env.TRASH_RETENTION_DAYS ? Number(env.TRASH_RETENTION_DAYS) : 30) * 24 * 60 * 60;
+  PASSWORD_KDF_ITERATIONS = env.PASSWORD_ITERATIONS ? Number(env.PASSWORD_ITERATIONS) : 100000;
+}
 
 /**
  * 使用 notePath 生成加密密钥
@@ -75,29 +192,51 @@ async function decryptText(encryptedText, key) {
 /**
  * 处理所有传入的请求
  * @param {Request} request - 传入的请求对象
+ * @param {ExecutionContext} [event] - 请求的执行上下文,用于在响应后继续执行后台任务
  * @returns {Response} 响应对象
  */
-async function handleRequest(request) {
+async function handleRequest(request, event) {
   const url = new URL(request.url);
   const pathParts = url.pathname.split('/').filter(Boolean);
   const noteName = pathParts[0];
   const action = pathParts[1];
+  const actionParams = pathParts.slice(2);
 
   // 处理分享相关的请求
   if (noteName === 'share') {
-    if (request.method === 'POST' && action) {
-      try {
-        const shareData = await request.json();
-        await NOTES_KV.put('share_' + action, JSON.stringify(shareData));
-        return new Response(null, { status: 200 });
-      } catch (error) {
-        return new Response('保存分享数据失败', { status: 500 });
-      }
+    if (request.method === 'POST' && !action) {
+      return await handleShareCreateRequest(request);
+    } else if (request.method === 'POST' && action && actionParams[0] === 'unlock') {
+      return await handleShareRequest(request, action, event);
+    } else if (request.method === 'POST' && action) {
+      // 分享ID由服务端生成,不允许客户端指定或覆盖已有分享
+      return new Response('Method Not Allowed', { status: 405 });
+    } else if (request.method === 'GET' && action && actionParams[0] === 'content') {
+      return await handleShareContentRequest(request, action);
     } else if (request.method === 'GET' && action) {
-      return await handleShareRequest(action);
+      return await handleShareRequest(request, action, event);
     }
   }
 
+  // 处理 REST API 请求
+  if (noteName === 'api' && action === 'v1') {
+    return await handleApiRequest(request, actionParams);
+  }
+
+  // 处理嵌入分享的请求,页面不含信息栏,用于 iframe 嵌入
+  if (noteName === 'embed' && action) {
+    if (request.method === 'POST' && actionParams[0] === 'unlock') {
+      return await handleShareRequest(request, action, event, true);
+    } else if (request.method === 'GET') {
+      return await handleShareRequest(request, action, event, true);
+    }
+  }
+
+  // 处理 oEmbed 请求,供其他网站根据分享链接获取嵌入代码
+  if (noteName === 'oembed' && !action && request.method === 'GET') {
+    return await handleOEmbedRequest(request);
+  }
+
   // 如果笔记名无效或不存在,生成随机名称并重定向
   if (!noteName || noteName.length > 64 || !VALID_NOTE_PATTERN.test(noteName)) {
     const randomNoteName = generateRandomNoteName();
@@ -114,50 +253,117 @@ async function handleRequest(request) {
     switch (action) {
       case 'password':
         if (request.method === 'POST') {
-          const { password } = await request.json();
-          // 为每个密码生成唯一盐值
-          const salt = crypto.getRandomValues(new Uint8Array(16));
-          const saltHex = Array.from(salt).map(b => b.toString(16).padStart(2, '0')).join('');
-          // 使用盐值和密码生成最终哈希
-          const finalHash = await hashPasswordWithSalt(password, salt);
-          // 存储盐值和哈希
-          await NOTES_KV.put(passwordKey, JSON.stringify({
-            hash: finalHash,
-            salt: saltHex
-          }));
-          return new Response(null, { status: 200 });
+          // 已设置密码的笔记需要先通过验证才能修改密码
+          if (!await authorizeNote(request, noteName)) {
+            return new Response('Invalid password', { status: 401 });
+          }
+          const body = await readJSONBody(request);
+          if (!body || typeof body.password !== 'string' || !body.password) {
+            return new Response('Invalid password', { status: 400 });
+          }
+          const { password } = body;
+          // 使用 PBKDF2 生成带盐哈希并存储
+          const newRecord = await createPasswordRecord(password);
+          await NOTES_KV.put(passwordKey, JSON.stringify(newRecord));
+          // 设置密码的会话直接视为已解锁
+          return await sessionResponse(noteName, newRecord);
         } else if (request.method === 'DELETE') {
-          const { password } = await request.json();
-          const storedData = await NOTES_KV.get(passwordKey);
-          if (storedData) {
-            const { hash, salt } = JSON.parse(storedData);
-            const saltArray = new Uint8Array(salt.match(/.{2}/g).map(byte => parseInt(byte, 16)));
-            const checkHash = await hashPasswordWithSalt(password, saltArray);
-            if (checkHash === hash) {
-              await NOTES_KV.delete(passwordKey);
-              return new Response(null, { status: 200 });
-            }
+          const retryAfter = await getPasswordLockout(request, noteName);
+          if (retryAfter) {
+            return tooManyAttemptsResponse(retryAfter);
+          }
+          const credentials = await readJSONBody(request);
+          if (!credentials) {
+            return new Response('Invalid request body', { status: 400 });
+          }
+          const record = await getPasswordRecord(noteName);
+          if (!record || !await authorizeNote(request, noteName)) {
+            return new Response('Invalid password', { status: 401 });
           }
+          if (await verifyPassword(record, credentials)) {
+            await NOTES_KV.delete(passwordKey);
+            return new Response(null, {
+              status: 200,
+              headers: { 'Set-Cookie': buildSessionCookie(noteName, '', 0) }
+            });
+          }
+          return await passwordFailureResponse(request, noteName);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+
+      case 'password-check': {
+        if (request.method !== 'GET') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const hasPassword = await getPasswordRecord(noteName);
+        if (!hasPassword) {
+          return new Response(null, { status: 404 });
+        }
+        return Response.json({
+          unlocked: await verifySessionToken(getRequestSessionToken(request, noteName), noteName, hasPassword)
+        });
+      }
+
+      case 'password-verify': {
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const lockout = await getPasswordLockout(request, noteName);
+        if (lockout) {
+          return tooManyAttemptsResponse(lockout);
+        }
+        const credentials = await readJSONBody(request);
+        if (!credentials) {
+          return new Response('Invalid request body', { status: 400 });
+        }
+        const record = await getPasswordRecord(noteName);
+        if (!record) {
           return new Response('Invalid password', { status: 401 });
         }
-        break;
+        const verifiedRecord = await verifyNotePassword(noteName, record, credentials);
+        if (verifiedRecord) {
+          return await sessionResponse(noteName, verifiedRecord);
+        }
+        return await passwordFailureResponse(request, noteName);
+      }
+
+      case 'history':
+        return await handleHistoryRequest(request, notePath, noteName, actionParams);
+
+      case 'trash':
+        return await handleTrashRequest(request, notePath, noteName, actionParams);
+
+      case 'shares':
+        return await handleSharesRequest(request, noteName, actionParams);
+
+      case 'tokens':
+        return await handleTokensRequest(request, noteName, actionParams);
+
+      case 'webhooks':
+        return await handleWebhooksRequest(request, noteName, actionParams);
+
+      case 'live':
+        return await handleLiveRequest(request, noteName);
 
-      case 'password-check':
-        const hasPassword = await NOTES_KV.get(passwordKey);
-        return new Response(null, { status: hasPassword ? 200 : 404 });
-
-      case 'password-verify':
-        const { password } = await request.json();
-        const storedData = await NOTES_KV.get(passwordKey);
-        if (storedData) {
-          const { hash, salt } = JSON.parse(storedData);
-          const saltArray = new Uint8Array(salt.match(/.{2}/g).map(byte => parseInt(byte, 16)));
-          const checkHash = await hashPasswordWithSalt(password, saltArray);
-          if (checkHash === hash) {
-            return new Response(null, { status: 200 });
+      case 'append':
+      case 'prepend':
+        if (request.method === 'POST') {
+          return await handleAppendRequest(request, noteName, action);
+        }
+        return new Response('Method Not Allowed', { status: 405 });
+
+      case 'logout':
+        if (request.method === 'POST') {
+          const token = getRequestSessionToken(request, noteName);
+          if (token) {
+            await revokeSessionToken(token);
           }
+          return new Response(null, {
+            status: 200,
+            headers: { 'Set-Cookie': buildSessionCookie(noteName, '', 0) }
+          });
         }
-        return new Response('Invalid password', { status: 401 });
+        break;
     }
   }
 
@@ -166,11 +372,16 @@ async function handleRequest(request) {
   // 根据请求方法分发处理
   switch (request.method) {
     case 'POST':
-      return await handlePostRequest(request, notePath);
+      // ?append / ?prepend 在末尾或开头追加内容,便于脚本写入日志(echo 内容 | curl --data-binary @- 地址?append)
+      if (url.searchParams.has('append') || url.searchParams.has('prepend')) {
+        const position = url.searchParams.has('prepend') ? 'prepend' : 'append';
+        return await handleAppendRequest(request, noteName, position);
+      }
+      return await handlePostRequest(request, noteName);
     case 'GET':
       return raw || isCommandLineRequest(request) 
-        ? await handleRawRequest(notePath) 
-        : await handleGetRequest(notePath, noteName);
+        ? await handleRawRequest(request, notePath, noteName) 
+        : await handleGetRequest(request, notePath, noteName);
     default:
       return new Response('Method Not Allowed', { status: 405 });
   }
@@ -190,7 +401,7 @@ async function generatePasswordKey(noteName) {
 }
 
 /**
- * 使用盐值对密码进行哈希
+ * 使用盐值对密码进行哈希(旧版密码记录使用,仅用于校验和升级)
  * @param {string} password - 原始密码
  * @param {Uint8Array} salt - 盐值
  * @returns {Promise<string>} 哈希后的密码
@@ -206,2384 +417,3523 @@ async function hashPasswordWithSalt(password, salt) {
   
   // 进行哈希
   const hashBuffer = await crypto.subtle.digest('SHA-256', dataToHash);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  return bytesToHex(new Uint8Array(hashBuffer));
 }
 
 /**
- * 处理POST请求 - 保存或删除笔记内容
- * @param {Request} request - POST请求对象
- * @param {string} notePath - 笔记保存路径
- * @returns {Response} 响应对象
+ * 使用 PBKDF2 对密码进行慢哈希
+ * @param {string} password - 客户端预哈希后的密码
+ * @param {Uint8Array} salt - 盐值
+ * @param {number} iterations - 迭代次数
+ * @returns {Promise<string>} 十六进制哈希
  */
-async function handlePostRequest(request, notePath) {
-  const formData = await request.formData();
-  const text = formData.get('text') || await request.text();
-
-  // 如果内容为空,删除笔记
-  if (text.trim().length === 0) {
-    await handleDeleteRequest(notePath);
-    return new Response('Note will be deleted', { status: 200 });
-  } else {
-    await saveNoteContent(notePath, text);
-    return new Response(null, { status: 204 });
-  }
+async function derivePasswordHash(password, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    256
+  );
+  return bytesToHex(new Uint8Array(bits));
 }
 
 /**
- * 处理GET请求 - 返回笔记的HTML页面
- * @param {string} notePath - 笔记路径
- * @param {string} noteName - 笔记名称
- * @returns {Response} HTML响应
+ * 生成新的密码记录
+ * @param {string} password - 客户端预哈希后的密码
+ * @returns {Promise<Object>} 密码记录 { v, kdf, iterations, salt, hash }
  */
-async function handleGetRequest(notePath, noteName) {
-  const noteContent = await getNoteContent(notePath);
-  const html = generateHTML(noteName, noteContent);
-  return new Response(html, { headers: { 'Content-Type': 'text/html' } });
+async function createPasswordRecord(password) {
+  // 为每个密码生成唯一盐值
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    v: PASSWORD_RECORD_VERSION,
+    kdf: 'PBKDF2-SHA256',
+    iterations: PASSWORD_KDF_ITERATIONS,
+    salt: bytesToHex(salt),
+    hash: await derivePasswordHash(password, salt, PASSWORD_KDF_ITERATIONS)
+  };
 }
 
 /**
- * 处理原始内容请求 - 返回纯文本格式的笔记内容
- * @param {string} notePath - 笔记路径
- * @returns {Response} 文本响应
+ * 字节数组转十六进制字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} 十六进制字符串
  */
-async function handleRawRequest(notePath) {
-  const noteContent = await getNoteContent(notePath);
-  return noteContent
-    ? new Response(noteContent, { headers: { 'Content-Type': 'text/plain' } })
-    : new Response('404 Not Found', { status: 404 });
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
 /**
- * 处理删除请求
- * @param {string} notePath - 要删除的笔记路径
- * @returns {Response} 响应对象
+ * 十六进制字符串转字节数组
+ * @param {string} hex - 十六进制字符串
+ * @returns {Uint8Array} 字节数组
  */
-async function handleDeleteRequest(notePath) {
-  await deleteNoteContent(notePath);
-  return new Response(null, { status: 204 });
+function hexToBytes(hex) {
+  return new Uint8Array((hex.match(/.{2}/g) || []).map(byte => parseInt(byte, 16)));
 }
 
 /**
- * 生成随机笔记名称
- * @returns {string} 5位随机字符串
+ * 常量时间比较两个字符串,避免通过响应时间推测哈希
+ * @param {string} a - 字符串a
+ * @param {string} b - 字符串b
+ * @returns {boolean} 是否相等
  */
-function generateRandomNoteName() {
-  const chars = '0123456789abcdefghijklmnopqrstuvwxyz';
-  return Array.from({ length: 5 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
 }
 
 /**
- * 检查是否为命令行请求
- * @param {Request} request - 请求对象
- * @returns {boolean} 是否为命令行请求
+ * 读取笔记的密码记录
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Object|null>} 密码记录,未设置密码时为 null
  */
-function isCommandLineRequest(request) {
-  const userAgent = request.headers.get('User-Agent') || '';
-  return userAgent.startsWith('curl') || userAgent.startsWith('Wget');
+async function getPasswordRecord(noteName) {
+  const passwordKey = await generatePasswordKey(noteName);
+  const storedData = await NOTES_KV.get(passwordKey);
+  return storedData ? JSON.parse(storedData) : null;
 }
 
-function generateHTML(noteName, noteContent) {
-  return `<!DOCTYPE html>
-  <html lang="zh-CN">
-  <head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${noteName} - 在线笔记</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github.min.css">
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github-dark.min.css" media="(prefers-color-scheme: dark)">
-    <!-- 添加KaTeX依赖 -->
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
-    <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/contrib/auto-render.min.js"></script>
-    <!-- 添加Mermaid依赖 -->
-    <script src="https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js"></script>
-    <style>
-      :root {
-        --primary-color: #4e92d1;
-        --secondary-color: #6c757d;
-        --bg-color: #ffffff;
-        --text-color: #333333;
-        --border-color: #e0e0e0;
-        --container-bg: #ffffff;
-        --editor-bg: #f8f8f8;
-        --shadow-color: rgba(0, 0, 0, 0.1);
-        --hover-color: #f0f0f0;
-        --link-color: #0366d6;
-        --link-hover-color: #0969da;
-        --link-visited-color: #6f42c1;
-      }
+/**
+ * 校验密码凭据是否与密码记录匹配
+ * @param {Object} record - 密码记录
+ * @param {Object} credentials - 密码凭据 { password, legacyPassword }
+ * @returns {Promise<boolean>} 是否匹配
+ */
+async function verifyPassword(record, credentials) {
+  if (!credentials) return false;
+  const salt = hexToBytes(record.salt);
+
+  if (record.v >= 2) {
+    const { password } = credentials;
+    if (typeof password !== 'string' || !password) return false;
+    return timingSafeEqual(await derivePasswordHash(password, salt, record.iterations), record.hash);
+  }
 
-      [data-theme="dark"] {
-        --primary-color: #a2c2f5;
-        --secondary-color: #9ca3af;
-        --bg-color: #1a1a1a;
-        --text-color: #f1f1f1;
-        --border-color: #404040;
-        --container-bg: #2a2a2a;
-        --editor-bg: #333333;
-        --shadow-color: rgba(0, 0, 0, 0.3);
-        --hover-color: #3a3a3a;
-        --link-color: #58a6ff;
-        --link-hover-color: #79b8ff;
-        --link-visited-color: #bc8cff;
-      }
+  // 旧版记录: 单次 SHA-256,使用不带笔记名的旧预哈希
+  const { legacyPassword } = credentials;
+  if (typeof legacyPassword !== 'string' || !legacyPassword) return false;
+  return timingSafeEqual(await hashPasswordWithSalt(legacyPassword, salt), record.hash);
+}
 
-      * {
-        box-sizing: border-box;
-        margin: 0;
-        padding: 0;
-      }
+/**
+ * 校验笔记密码,旧版记录在验证成功后升级为当前版本
+ * @param {string} noteName - 笔记名称
+ * @param {Object} record - 密码记录
+ * @param {Object} credentials - 密码凭据 { password, legacyPassword }
+ * @returns {Promise<Object|null>} 验证成功时返回(可能已升级的)密码记录,否则为 null
+ */
+async function verifyNotePassword(noteName, record, credentials) {
+  if (!await verifyPassword(record, credentials)) return null;
+
+  // 只有同时拿到新旧两种预哈希时才能升级,仅提供一种预哈希的脚本请求保持原记录
+  const upgradable = credentials.password && credentials.password !== credentials.legacyPassword;
+  if ((record.v || 1) < PASSWORD_RECORD_VERSION && upgradable) {
+    const upgraded = await createPasswordRecord(credentials.password);
+    await NOTES_KV.put(await generatePasswordKey(noteName), JSON.stringify(upgraded));
+    return upgraded;
+  }
+  return record;
+}
 
-      body {
-        margin: 0;
-        background: var(--bg-color);
-        color: var(--text-color);
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-        font-size: 16px;
-        line-height: 1.6;
-        transition: all 0.3s ease;
-      }
+/**
+ * 与页面中的 hashPassword 相同的预哈希,用于命令行直接提交明文密码的场景
+ * @param {string} noteName - 笔记名称
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 预哈希后的密码
+ */
+async function prehashPassword(noteName, password) {
+  const encoder = new TextEncoder();
+  const hashBuffer = await crypto.subtle.digest('SHA-256', encoder.encode('mmnote:' + noteName + ':' + password));
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
 
-      .container {
-        width: 100%;
-        max-width: 100%;
-        margin: 0 auto;
-        padding: 10px;
-        min-height: 100vh;
-        height: 100vh;
-        display: flex;
-        flex-direction: column;
-        background-color: var(--container-bg);
-      }
+/**
+ * 旧版页面使用的无盐预哈希,仅用于校验旧版密码记录
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 预哈希后的密码
+ */
+async function prehashLegacyPassword(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
 
-      .container.toolbar-hidden {
-        padding: 10px 10px 10px 10px;
-      }
+/**
+ * 从请求中提取密码凭据
+ * 脚本可通过 X-Note-Password 头提交预哈希密码,
+ * 或使用 Basic 认证提交明文密码(如 curl -u :密码)
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Object|null>} 密码凭据 { password, legacyPassword },未提供时为 null
+ */
+async function getRequestPassword(request, noteName) {
+  const headerPassword = request.headers.get('X-Note-Password');
+  if (headerPassword) {
+    return { password: headerPassword, legacyPassword: headerPassword };
+  }
 
-      .container.toolbar-hidden .editor-container {
-        height: calc(100vh - 20px);
-      }
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Basic ')) {
+    try {
+      const bytes = Uint8Array.from(atob(authorization.slice(6).trim()), c => c.charCodeAt(0));
+      const decoded = new TextDecoder().decode(bytes);
+      const password = decoded.slice(decoded.indexOf(':') + 1);
+      if (!password) return null;
+      return {
+        password: await prehashPassword(noteName, password),
+        legacyPassword: await prehashLegacyPassword(password)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
 
-      @media (min-width: 1200px) {
-        .container {
-          max-width: 95%;
-          box-shadow: 0 0 20px var(--shadow-color);
-        }
-      }
+/**
+ * 检查请求是否有权访问笔记
+ * 未设置密码的笔记总是允许访问,已设置密码的笔记需要有效的会话令牌或密码凭据;
+ * 供脚本使用的接口(原始内容、追加和 REST API)传入所需的权限,此时也接受具有该权限的 API 令牌
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @param {string} [scope] - 接口所需的 API 令牌权限(read、write 或 append),省略时不接受 API 令牌
+ * @returns {Promise<boolean>} 是否允许访问
+ */
+async function authorizeNote(request, noteName, scope) {
+  const record = await getPasswordRecord(noteName);
+  if (!record) return true;
+  if (await verifySessionToken(getRequestSessionToken(request, noteName), noteName, record)) {
+    return true;
+  }
+  const apiToken = getRequestApiToken(request);
+  if (apiToken) {
+    return Boolean(scope) && await verifyApiToken(apiToken, noteName, record, scope);
+  }
+  const credentials = await getRequestPassword(request, noteName);
+  if (!credentials || await getPasswordLockout(request, noteName)) return false;
+  if (await verifyNotePassword(noteName, record, credentials)) return true;
+  await recordPasswordFailure(request, noteName);
+  return false;
+}
 
-      .toolbar {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 12px 15px;
-        background: var(--editor-bg);
-        border-radius: 12px;
-        margin-bottom: 10px;
-        gap: 10px;
-        overflow-x: auto;
-        -webkit-overflow-scrolling: touch;
-        scrollbar-width: none;
-        flex-shrink: 0;
-        transition: all 0.3s ease;
-        cursor: grab;
-      }
+/**
+ * 从请求中读取 API 令牌(Authorization: Bearer 头)
+ * @param {Request} request - 请求对象
+ * @returns {string|null} API 令牌
+ */
+function getRequestApiToken(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
 
-      /* 添加工具栏滚动条样式 */
-      .toolbar::-webkit-scrollbar {
-        height: 6px;
-        width: 6px;
-      }
+/**
+ * 解析 API 令牌
+ * @param {string} token - API 令牌,格式为 API_TOKEN_PREFIX + <笔记名>.<令牌ID>.<密钥>
+ * @returns {{note: string, id: string}|null} 创建令牌的笔记和令牌ID,格式错误时为 null
+ */
+function parseApiToken(token) {
+  if (!token.startsWith(API_TOKEN_PREFIX)) return null;
+  const [note, id, secret, ...rest] = token.slice(API_TOKEN_PREFIX.length).split('.');
+  if (!note || !id || !secret || rest.length > 0 || !VALID_NOTE_PATTERN.test(note) || !VALID_NOTE_PATTERN.test(id)) {
+    return null;
+  }
+  return { note, id };
+}
 
-      .toolbar::-webkit-scrollbar-track {
-        background: transparent;
-      }
+/**
+ * 计算 API 令牌的哈希,KV 中只保存哈希
+ * @param {string} token - API 令牌
+ * @returns {Promise<string>} 十六进制 SHA-256 哈希
+ */
+async function hashApiToken(token) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return bytesToHex(new Uint8Array(hashBuffer));
+}
 
-      .toolbar::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 3px;
-      }
+/**
+ * 由 API 令牌派生加密命名空间令牌中笔记密码的密钥
+ * 输入与令牌哈希不同,只持有 KV 中的记录无法解出密码
+ * @param {string} token - API 令牌
+ * @returns {Promise<CryptoKey>} AES-GCM 密钥
+ */
+async function deriveApiTokenKey(token) {
+  return await generateEncryptionKey('mmnote-token:' + token);
+}
 
-      .toolbar::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
+/**
+ * 校验 API 令牌是否有权访问笔记
+ * 单个笔记的令牌只对创建它的笔记有效,与会话令牌一样在修改或移除密码后失效;
+ * 命名空间令牌对名称以其前缀开头、且密码与创建时相同的笔记有效,避免他人借同一前缀的笔记获得访问权限
+ * @param {string} token - API 令牌
+ * @param {string} noteName - 要访问的笔记名称
+ * @param {Object} record - 要访问的笔记的密码记录
+ * @param {string} scope - 所需权限
+ * @returns {Promise<boolean>} 是否有效
+ */
+async function verifyApiToken(token, noteName, record, scope) {
+  const parsed = parseApiToken(token);
+  if (!parsed) return false;
+  const data = await NOTES_KV.get(`${TOKENS_PATH}/${parsed.note}/${parsed.id}`, 'json');
+  if (!data || !timingSafeEqual(await hashApiToken(token), data.hash)) return false;
+  if (!data.scopes.includes(scope) && !(scope === 'append' && data.scopes.includes('write'))) return false;
+
+  if (!data.namespace) {
+    return parsed.note === noteName && data.salt === record.salt;
+  }
+  if (!noteName.startsWith(data.namespace)) return false;
+  const password = await decryptText(data.password, await deriveApiTokenKey(token));
+  if (!password) return false;
+  return Boolean(await verifyNotePassword(noteName, record, {
+    password: await prehashPassword(noteName, password),
+    legacyPassword: await prehashLegacyPassword(password)
+  }));
+}
 
-      /* 拖动时的光标样式 */
-      .toolbar.dragging {
-        cursor: grabbing;
-      }
+/**
+ * 获取客户端IP
+ * @param {Request} request - 请求对象
+ * @returns {string} 客户端IP
+ */
+function getClientIP(request) {
+  return request.headers.get('CF-Connecting-IP') ||
+    (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim() ||
+    'unknown';
+}
 
-      .toolbar.hidden {
-        display: none;
-      }
+/**
+ * 生成密码错误计数的存储键(按笔记和按客户端IP各一个)
+ * 按笔记的计数防止从多个IP分散猜测密码,但任何人都能借此锁定笔记,
+ * 因此曾在此浏览器验证过密码的客户端(持有有效的标记 Cookie)只按IP计数
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Array<{key: string, limit: number}>>} 计数键及对应的上限
+ */
+async function getPasswordThrottleKeys(request, noteName) {
+  const keys = [{ key: '_throttle_ip_' + getClientIP(request), limit: PASSWORD_MAX_FAILURES_PER_IP }];
+  if (!await isKnownClient(request, noteName)) {
+    keys.unshift({ key: '_throttle_note_' + noteName, limit: PASSWORD_MAX_FAILURES_PER_NOTE });
+  }
+  return keys;
+}
 
-      .toolbar-left {
-        display: flex;
-        align-items: center;
-        gap: 15px;
-        flex-shrink: 0; /* 防止工具栏压缩 */
-      }
+/**
+ * 生成验证过密码的浏览器标记
+ * 签名内容包含密码记录的盐值和用途,不能用作会话令牌,修改密码后失效
+ * @param {string} noteName - 笔记名称
+ * @param {Object} record - 密码记录
+ * @returns {Promise<string>} 标记
+ */
+async function createKnownClientToken(noteName, record) {
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify({
+    n: noteName,
+    exp: Math.floor(Date.now() / 1000) + KNOWN_CLIENT_TTL
+  })));
+  const key = await getSessionSigningKey();
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload + '.' + record.salt + '.known'));
+  return payload + '.' + toBase64Url(new Uint8Array(signature));
+}
 
-      .toolbar-right {
-        display: flex;
-        align-items: center;
-        gap: 15px;
-        flex-shrink: 0; /* 防止工具栏压缩 */
-      }
+/**
+ * 检查请求是否来自曾验证过笔记密码的浏览器
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<boolean>} 是否持有有效的标记
+ */
+async function isKnownClient(request, noteName) {
+  const token = getCookie(request, KNOWN_CLIENT_COOKIE_PREFIX + noteName);
+  const [payload, signature] = token ? token.split('.') : [];
+  if (!payload || !signature) return false;
+  const record = await getPasswordRecord(noteName);
+  if (!record) return false;
 
-      .toolbar-divider {
-        width: 1px;
-        height: 20px;
-        background-color: var(--border-color);
-        margin: 0 2px;
-      }
+  try {
+    const key = await getSessionSigningKey();
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature),
+      new TextEncoder().encode(payload + '.' + record.salt + '.known')
+    );
+    const data = parseSessionToken(token);
+    return valid && Boolean(data) && data.n === noteName && data.exp > Date.now() / 1000;
+  } catch (error) {
+    return false;
+  }
+}
 
-      .switch-label {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        cursor: pointer;
-        color: var(--text-color);
-        font-size: 0.9rem;
-      }
+/**
+ * 检查是否因密码错误次数过多而被锁定
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<number>} 剩余锁定秒数,未锁定时为 0
+ */
+async function getPasswordLockout(request, noteName) {
+  let retryAfter = 0;
+  for (const { key, limit } of await getPasswordThrottleKeys(request, noteName)) {
+    const counter = await NOTES_KV.get(key, 'json');
+    if (counter && counter.count >= limit) {
+      retryAfter = Math.max(retryAfter, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    }
+  }
+  return retryAfter;
+}
 
-      .switch-label input[type="checkbox"] {
-        width: 16px;
-        height: 16px;
+/**
+ * 记录一次密码错误,达到上限时记录锁定日志
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<number>} 记录后剩余锁定秒数,未锁定时为 0
+ */
+async function recordPasswordFailure(request, noteName) {
+  const now = Date.now();
+  let retryAfter = 0;
+  for (const { key, limit } of await getPasswordThrottleKeys(request, noteName)) {
+    let counter = await NOTES_KV.get(key, 'json');
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + PASSWORD_LOCKOUT_SECONDS * 1000 };
+    }
+    counter.count++;
+    const ttl = Math.ceil((counter.resetAt - now) / 1000);
+    // KV 的过期时间最少为 60 秒
+    await NOTES_KV.put(key, JSON.stringify(counter), { expirationTtl: Math.max(60, ttl) });
+
+    if (counter.count >= limit) {
+      retryAfter = Math.max(retryAfter, ttl);
+      if (counter.count === limit) {
+        console.warn('密码尝试次数过多,已锁定:', JSON.stringify({
+          key,
+          note: noteName,
+          ip: getClientIP(request),
+          failures: counter.count,
+          until: new Date(counter.resetAt).toISOString()
+        }));
       }
+    }
+  }
+  return retryAfter;
+}
 
-      .mode-toggle {
-        background: none;
-        border: none;
-        font-size: 1.2rem;
-        cursor: pointer;
-        padding: 8px;
-        border-radius: 50%;
-        transition: all 0.3s ease;
-        color: var(--text-color);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
+/**
+ * 生成尝试次数过多的响应
+ * @param {number} retryAfter - 剩余锁定秒数
+ * @returns {Response} 429 响应
+ */
+function tooManyAttemptsResponse(retryAfter) {
+  return Response.json({ error: 'Too many attempts', retryAfter }, {
+    status: 429,
+    headers: { 'Retry-After': String(retryAfter) }
+  });
+}
 
-      .mode-toggle:hover {
-        background: var(--hover-color);
-      }
+/**
+ * 记录密码错误并生成对应响应
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Response>} 401 响应,达到上限时为 429 响应
+ */
+async function passwordFailureResponse(request, noteName) {
+  const retryAfter = await recordPasswordFailure(request, noteName);
+  return retryAfter
+    ? tooManyAttemptsResponse(retryAfter)
+    : new Response('Invalid password', { status: 401 });
+}
 
-      .mode-toggle .sun-icon,
-      .mode-toggle .moon-icon {
-        display: none;
-      }
+/**
+ * 将字节数组编码为 base64url 字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} base64url 字符串
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-      [data-theme="dark"] .moon-icon {
-        display: block;
-      }
+/**
+ * 将 base64url 字符串解码为字节数组
+ * @param {string} text - base64url 字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return new Uint8Array(atob(base64).split('').map(c => c.charCodeAt(0)));
+}
 
-      [data-theme="light"] .sun-icon {
-        display: block;
-      }
+/**
+ * 获取会话令牌签名密钥
+ * 优先使用 Workers 中配置的 SESSION_SECRET 变量;未配置时读取 KV 中保存的密钥,
+ * KV 中还没有时交给配置房间生成。KV 没有原子的读改写,各实例自行生成会互相覆盖,使先签发的令牌失效
+ * @returns {Promise<CryptoKey>} HMAC 签名密钥
+ */
+async function getSessionSigningKey() {
+  let secret = SESSION_SECRET || await NOTES_KV.get(SESSION_SECRET_KEY);
+  if (!secret) {
+    const room = NOTE_ROOMS.get(NOTE_ROOMS.idFromName(CONFIG_ROOM_NAME));
+    const response = await room.fetch(`https://mmnote.internal/${CONFIG_ROOM_NAME}/session-secret`, { method: 'POST' });
+    secret = await response.text();
+  }
+  return await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
 
-      .icon-container {
-        width: 20px;
-        height: 20px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
+/**
+ * 生成会话令牌
+ * 签名内容包含密码记录的盐值,修改或移除密码后旧令牌自动失效
+ * @param {string} noteName - 笔记名称
+ * @param {Object} record - 密码记录
+ * @returns {Promise<string>} 会话令牌
+ */
+async function createSessionToken(noteName, record) {
+  const payload = toBase64Url(new TextEncoder().encode(JSON.stringify({
+    n: noteName,
+    exp: Math.floor(Date.now() / 1000) + SESSION_TTL,
+    jti: toBase64Url(crypto.getRandomValues(new Uint8Array(12)))
+  })));
+  const key = await getSessionSigningKey();
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload + '.' + record.salt));
+  return payload + '.' + toBase64Url(new Uint8Array(signature));
+}
 
-      .note-name {
-        color: var(--primary-color);
-        font-weight: 500;
-        cursor: pointer;
-        padding: 5px 10px;
-        border-radius: 6px;
-        transition: all 0.3s ease;
-        display: flex;
-        align-items: center;
-        gap: 5px;
-        transform-origin: left center;
-      }
+/**
+ * 解析会话令牌的载荷(不校验签名)
+ * @param {string} token - 会话令牌
+ * @returns {Object|null} 载荷 { n, exp, jti },格式错误时为 null
+ */
+function parseSessionToken(token) {
+  try {
+    const [payload] = token.split('.');
+    return JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+  } catch (error) {
+    return null;
+  }
+}
 
-      .note-name:hover {
-        background: var(--hover-color);
-        transform: scale(1.1);
-      }
+/**
+ * 校验会话令牌
+ * @param {string|null} token - 会话令牌
+ * @param {string} noteName - 笔记名称
+ * @param {Object} record - 密码记录
+ * @returns {Promise<boolean>} 令牌是否有效
+ */
+async function verifySessionToken(token, noteName, record) {
+  if (!token) return false;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return false;
 
-      #save-status {
-        color: var(--secondary-color);
-        font-size: 0.9rem;
-        margin-left: 10px;
-      }
+  try {
+    const key = await getSessionSigningKey();
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      fromBase64Url(signature),
+      new TextEncoder().encode(payload + '.' + record.salt)
+    );
+    if (!valid) return false;
+  } catch (error) {
+    return false;
+  }
 
-      .editor-container {
-        display: grid;
-        grid-template-columns: 1fr;
-        gap: 15px;
-        flex: 1;
-        min-height: 0;
-        margin: 0;
-        position: relative;
-        transition: all 0.3s ease;
-      }
+  const data = parseSessionToken(token);
+  if (!data || data.n !== noteName || data.exp <= Date.now() / 1000) return false;
+  // 检查令牌是否已被注销
+  return !await NOTES_KV.get('_revoked_' + data.jti);
+}
 
-      /* 编辑器包装器 */
-      .editor-wrapper {
-        position: relative;
-        width: 100%;
-        height: 100%;
-        display: flex;
-        background: var(--editor-bg);
-        border: 1px solid var(--border-color);
-        border-radius: 8px;
-        overflow: hidden;
-        flex-direction: column;
-      }
+/**
+ * 注销会话令牌,记录保留到令牌过期为止
+ * @param {string} token - 会话令牌
+ */
+async function revokeSessionToken(token) {
+  const data = parseSessionToken(token);
+  if (!data || !data.jti) return;
+  const remaining = Math.ceil(data.exp - Date.now() / 1000);
+  if (remaining <= 0) return;
+  // KV 的过期时间最少为 60 秒
+  await NOTES_KV.put('_revoked_' + data.jti, '1', { expirationTtl: Math.max(60, remaining) });
+}
 
-      /* 设置统一的行高和字符宽度 */
-      .editor-wrapper textarea,
-      .line-numbers span {
-        line-height: 1.5;
-        min-height: 1.5em;
-        font-size: 14px;
-        font-family: 'Consolas', 'Monaco', monospace;
-        box-sizing: border-box;
-        letter-spacing: 0;
-      }
+/**
+ * 从请求中读取 Cookie
+ * @param {Request} request - 请求对象
+ * @param {string} name - Cookie 名称
+ * @returns {string|null} Cookie 值
+ */
+function getCookie(request, name) {
+  const cookieHeader = request.headers.get('Cookie') || '';
+  for (const part of cookieHeader.split(';')) {
+    const index = part.indexOf('=');
+    if (index > -1 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
 
-      .line-numbers {
-        padding: 15px 2px 40px 2px;
-        background: var(--editor-bg);
-        border-right: 1px solid var(--border-color);
-        color: var(--secondary-color);
-        user-select: none;
-        overflow: hidden;
-        min-width: 28px;
-        width: auto;
-        display: flex;
-        flex-direction: column;
-        align-items: flex-end;
-      }
+/**
+ * 从请求中读取会话令牌(X-Note-Token 头或会话 Cookie)
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {string|null} 会话令牌
+ */
+function getRequestSessionToken(request, noteName) {
+  return request.headers.get('X-Note-Token') || getCookie(request, SESSION_COOKIE_PREFIX + noteName);
+}
 
-      .line-numbers span {
-        display: block;
-        padding: 0 4px;
-        min-width: 24px;
-        text-align: right;
-        white-space: nowrap;
-      }
+/**
+ * 生成会话 Cookie
+ * @param {string} noteName - 笔记名称
+ * @param {string} token - 会话令牌
+ * @param {number} [maxAge] - 有效期(秒),为 0 时删除 Cookie,省略时为浏览器会话 Cookie
+ * @returns {string} Set-Cookie 头的值
+ */
+function buildSessionCookie(noteName, token, maxAge) {
+  const cookie = SESSION_COOKIE_PREFIX + noteName + '=' + token + '; Path=/; HttpOnly; Secure; SameSite=Strict';
+  return maxAge === undefined ? cookie : cookie + '; Max-Age=' + maxAge;
+}
 
-      .line-numbers.hidden {
-        display: none;
-      }
+/**
+ * 生成携带新会话令牌的响应
+ * @param {string} noteName - 笔记名称
+ * @param {Object} record - 密码记录
+ * @returns {Promise<Response>} 响应对象,令牌同时写入 Cookie 和 JSON 内容
+ */
+async function sessionResponse(noteName, record) {
+  const token = await createSessionToken(noteName, record);
+  const headers = new Headers();
+  headers.append('Set-Cookie', buildSessionCookie(noteName, token));
+  // 同时标记此浏览器验证过密码,注销会话后仍保留,使其不受笔记级别的锁定影响
+  const knownToken = await createKnownClientToken(noteName, record);
+  headers.append('Set-Cookie', KNOWN_CLIENT_COOKIE_PREFIX + noteName + '=' + knownToken +
+    '; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=' + KNOWN_CLIENT_TTL);
+  return Response.json({
+    token,
+    expiresAt: parseSessionToken(token).exp * 1000
+  }, { headers });
+}
 
-      /* 编辑器主体区域 */
-      .editor-main {
-        display: flex;
-        flex: 1;
-        overflow: hidden;
-        position: relative;
-      }
+/**
+ * 生成未授权响应
+ * 页面发起的请求(带 X-Requested-With 头)不返回 WWW-Authenticate,避免浏览器弹出登录框
+ * @param {Request} request - 请求对象
+ * @returns {Response} 401 响应
+ */
+function unauthorizedResponse(request) {
+  const headers = {};
+  if (!request.headers.has('X-Requested-With')) {
+    headers['WWW-Authenticate'] = 'Basic realm="mmnote", charset="UTF-8"';
+  }
+  return new Response('Password required', { status: 401, headers });
+}
 
-      /* 状态栏样式统一 */
-      .status-bar,
-      .preview-status-bar {
-        position: relative;
-        height: 25px;
-        background: var(--editor-bg);
-        border-top: 1px solid var(--border-color);
-        display: flex;
-        align-items: center;
-        padding: 0 10px;
-        font-size: 12px;
-        color: var(--secondary-color);
-        justify-content: space-between;
-        overflow-x: auto;
-        overflow-y: hidden;
-        -webkit-overflow-scrolling: touch;
-        scrollbar-width: none;
-        white-space: nowrap;
-        flex-shrink: 0;
-      }
+/**
+ * 处理POST请求 - 保存或删除笔记内容
+ * 与其他写入一样由笔记房间依次执行,内容为空时移入回收站
+ * @param {Request} request - POST请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Response} 响应对象
+ */
+async function handlePostRequest(request, noteName) {
+  if (!await authorizeNote(request, noteName, 'write')) {
+    return unauthorizedResponse(request);
+  }
 
-      /* 状态栏滚动条样式 */
-      .status-bar::-webkit-scrollbar,
-      .preview-status-bar::-webkit-scrollbar {
-        height: 4px;
-        width: 4px;
-      }
+  const note = await updateNote(request, noteName, 'save', { text: await readPostedText(request) });
+  if (note instanceof Response) return note;
+  if (!note.text) {
+    return new Response('Note moved to trash', {
+      status: 200,
+      headers: { 'ETag': formatETag(NOTE_REVISION_NONE) }
+    });
+  }
+  return new Response(null, { status: 204, headers: { 'ETag': formatETag(note.rev) } });
+}
 
-      .status-bar::-webkit-scrollbar-track,
-      .preview-status-bar::-webkit-scrollbar-track {
-        background: transparent;
-      }
+/**
+ * 在笔记房间中保存编辑器提交的内容
+ * @param {{text: string, rev: string}} current - 当前内容
+ * @param {{text: string}} params - 提交的内容
+ * @param {Request} request - 转发到房间的请求,带有原请求的 If-Match 和 X-Note-Encryption 头
+ * @returns {string|Response} 新内容,或错误响应
+ */
+function applyNoteSave(current, { text }, request) {
+
+  // 带 If-Match 的保存只在笔记仍是客户端所基于的版本时生效,否则返回当前内容由客户端合并
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch && !matchesETag(ifMatch, current.rev)) {
+    return Response.json(
+      { error: 'conflict', rev: current.rev, content: current.text },
+      { status: 409, headers: { 'ETag': formatETag(current.rev) } }
+    );
+  }
 
-      .status-bar::-webkit-scrollbar-thumb,
-      .preview-status-bar::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 2px;
-      }
+  // 端到端加密的笔记只接受密文,防止未解锁的页面用明文覆盖
+  if (text.startsWith(E2E_PREFIX)) {
+    if (!parseE2EEnvelope(text)) {
+      return new Response('Invalid encrypted content', { status: 400 });
+    }
+  } else if (text.trim().length > 0 && request.headers.get('X-Note-Encryption') !== 'none') {
+    if (parseE2EEnvelope(current.text)) {
+      return new Response('Note is end-to-end encrypted', { status: 409 });
+    }
+  }
+  return text;
+}
 
-      .status-bar::-webkit-scrollbar-thumb:hover,
-      .preview-status-bar::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
+/**
+ * 处理追加请求 - 在笔记末尾或开头写入一行(或多行)内容,而不是替换整个笔记
+ * 追加由笔记的房间依次执行,同一笔记的并发追加不会互相覆盖;有协同编辑者时作为操作同步给他们
+ * 请求带 timestamp 参数时在内容前加上 [ISO 时间]
+ * @param {Request} request - POST请求对象,内容的读取方式与保存相同
+ * @param {string} noteName - 笔记名称
+ * @param {string} position - append(末尾)或 prepend(开头)
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleAppendRequest(request, noteName, position) {
+  if (!await authorizeNote(request, noteName, 'append')) {
+    return unauthorizedResponse(request);
+  }
 
-      .status-left,
-      .preview-status-left {
-        display: flex;
-        align-items: center;
-        flex-wrap: nowrap;
-        min-width: min-content;
-        gap: 8px;
-        padding-right: 8px;
-      }
+  let entry = await readPostedText(request);
+  if (entry.trim().length === 0) {
+    return new Response('Empty content', { status: 400 });
+  }
+  const url = new URL(request.url);
+  if (url.searchParams.has('timestamp')) {
+    entry = `[${new Date().toISOString()}] ${entry}`;
+  }
 
-      .status-right,
-      .preview-status-right {
-        display: flex;
-        align-items: center;
-        margin-left: auto;
-        padding-left: 15px;
-        flex-wrap: nowrap;
-        min-width: min-content;
-        gap: 8px;
-      }
+  const note = await updateNote(request, noteName, 'append', { position, entry });
+  if (note instanceof Response) return note;
+  return new Response(null, { status: 204, headers: { 'ETag': formatETag(note.rev) } });
+}
 
-      /* 确保状态栏内容不会被截断 */
-      .status-bar > div,
-      .preview-status-bar > div {
-        flex-shrink: 0;
-      }
+/**
+ * 在笔记房间中追加内容
+ * @param {{text: string}} current - 当前内容
+ * @param {{position: string, entry: string}} params - 追加的位置(append 或 prepend)及内容
+ * @returns {string|Response} 新内容,或错误响应
+ */
+function applyNoteAppend(current, { position, entry }) {
+  if (parseE2EEnvelope(current.text)) {
+    return new Response('Note is end-to-end encrypted', { status: 409 });
+  }
+  // 追加的内容单独成行
+  const line = entry.endsWith('\n') ? entry : entry + '\n';
+  const text = position === 'prepend'
+    ? line + current.text
+    : current.text + (current.text && !current.text.endsWith('\n') ? '\n' : '') + line;
+  if (new TextEncoder().encode(text).length > NOTE_APPEND_MAX_BYTES) {
+    return new Response('Note too large', { status: 413 });
+  }
+  return text;
+}
 
-      .status-item,
-      .preview-status-item {
-        display: flex;
-        align-items: center;
-        gap: 5px;
-        font-family: 'Consolas', 'Monaco', monospace;
-        white-space: nowrap;
-        color: var(--secondary-color);
-      }
+/**
+ * 将版本标识格式化为 ETag
+ * @param {string} rev - 版本标识
+ * @returns {string} ETag 头的值
+ */
+function formatETag(rev) {
+  return `"${rev}"`;
+}
 
-      .status-item label,
-      .preview-status-item label {
-        display: flex;
-        align-items: center;
-        gap: 4px;
-        cursor: pointer;
-        font-family: inherit;
-        font-size: inherit;
-        color: var(--secondary-color);
-      }
+/**
+ * 判断 If-Match 头是否匹配当前版本
+ * @param {string} header - If-Match 头的值,可以是 * 或逗号分隔的 ETag 列表
+ * @param {string} rev - 当前版本标识
+ * @returns {boolean} 是否匹配
+ */
+function matchesETag(header, rev) {
+  if (header.trim() === '*') return true;
+  return header.split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .includes(rev);
+}
 
-      .status-item input[type="checkbox"],
-      .preview-status-item input[type="checkbox"] {
-        width: 14px;
-        height: 14px;
-        cursor: pointer;
-        margin: 0;
-      }
+/**
+ * 读取POST请求提交的笔记内容
+ * 表单请求读取 text 字段,没有 text 字段的表单(如 curl -d 内容)及其他请求读取整个请求体
+ * @param {Request} request - POST请求对象
+ * @returns {Promise<string>} 笔记内容
+ */
+async function readPostedText(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    return formData.get('text') || '';
+  }
+  const body = await request.text();
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const params = new URLSearchParams(body);
+    return params.has('text') ? params.get('text') : body;
+  }
+  return body;
+}
 
-      .status-item span,
-      .preview-status-item span {
-        color: var(--secondary-color);
-      }
+/**
+ * 读取 JSON 格式的请求体
+ * @param {Request} request - 请求对象
+ * @returns {Promise<Object|null>} 请求体对象,不是有效的 JSON 对象时为 null
+ */
+async function readJSONBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-      .editor-container textarea {
-        flex: 1;
-        height: 100%;
-        padding: 15px 10px;
-        border: none;
-        border-radius: 0;
-        background: var(--editor-bg);
-        color: var(--text-color);
-        resize: none;
-        tab-size: 4;
-        -moz-tab-size: 4;
-        white-space: pre-wrap;
-        word-wrap: break-word;
-        overflow-wrap: break-word;
-        overflow-x: hidden;
-        width: 100%;
-        transition: all 0.3s ease;
-      }
+/**
+ * 处理GET请求 - 返回笔记的HTML页面
+ * 受密码保护的笔记在验证通过前不输出内容,由页面验证后再通过 raw 接口加载
+ * @param {Request} request - GET请求对象
+ * @param {string} notePath - 笔记路径
+ * @param {string} noteName - 笔记名称
+ * @returns {Response} HTML响应
+ */
+async function handleGetRequest(request, notePath, noteName) {
+  const authorized = await authorizeNote(request, noteName);
+  const { text: noteContent, rev } = authorized
+    ? await getNoteWithRevision(notePath)
+    : { text: '', rev: NOTE_REVISION_NONE };
+  // 端到端加密的内容不放入编辑区,由页面输入口令解密
+  const envelope = parseE2EEnvelope(noteContent);
+  const html = envelope
+    ? generateHTML(noteName, '', envelope, rev)
+    : generateHTML(noteName, noteContent, null, rev);
+  return new Response(html, { headers: { 'Content-Type': 'text/html' } });
+}
 
-      .editor-container textarea:focus {
-        outline: none;
-      }
+/**
+ * 处理原始内容请求 - 返回纯文本格式的笔记内容
+ * @param {Request} request - GET请求对象
+ * @param {string} notePath - 笔记路径
+ * @param {string} noteName - 笔记名称
+ * @returns {Response} 文本响应
+ */
+async function handleRawRequest(request, notePath, noteName) {
+  if (!await authorizeNote(request, noteName, 'read')) {
+    return unauthorizedResponse(request);
+  }
 
-      .editor-container.preview-mode {
-        grid-template-columns: 1fr 1fr;
-      }
+  const { text: noteContent, rev } = await getNoteWithRevision(notePath);
+  if (!noteContent) {
+    return new Response('404 Not Found', { status: 404 });
+  }
+  const headers = { 'Content-Type': 'text/plain', 'ETag': formatETag(rev) };
+  // 端到端加密的笔记原样返回密文信封,由持有口令的客户端解密
+  if (parseE2EEnvelope(noteContent)) {
+    headers['X-Note-Encryption'] = 'e2e';
+  }
+  return new Response(noteContent, { headers });
+}
 
-      .preview-container {
-        display: none;
-        height: 100%;
-        padding: 0;  /* 移除padding */
-        border-radius: 8px;
-        border: 1px solid var(--border-color);
-        background: var(--editor-bg);
-        color: var(--text-color);
-        overflow: hidden;  /* 改为hidden，防止整体滚动 */
-        position: relative;
-        -webkit-user-select: none;  /* Safari */
-        -ms-user-select: none;      /* IE 10+ */
-        user-select: none;          /* Standard syntax */
-      }
+/**
+ * 解析端到端加密的密文信封
+ * 信封格式: E2E_PREFIX + JSON { v, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+ * 服务端只校验格式,无法也不需要解密
+ * @param {string} text - 笔记内容
+ * @returns {Object|null} 信封对象,不是有效的密文信封时为 null
+ */
+function parseE2EEnvelope(text) {
+  if (!text || !text.startsWith(E2E_PREFIX)) return null;
+  try {
+    const envelope = JSON.parse(text.slice(E2E_PREFIX.length));
+    const { kdf, cipher, data } = envelope;
+    const isBase64 = value => typeof value === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(value);
+    const valid = envelope.v === 1 &&
+      kdf && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+      Number.isInteger(kdf.iterations) && kdf.iterations >= 100000 && kdf.iterations <= 10000000 &&
+      isBase64(kdf.salt) &&
+      cipher && cipher.name === 'AES-GCM' && isBase64(cipher.iv) &&
+      isBase64(data);
+    return valid ? envelope : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-      /* 添加预览内容容器样式 */
-      .preview-content {
-        height: calc(100% - 25px);  /* 减去状态栏高度 */
-        padding: 10px 12px;
-        overflow-y: auto;
-        overflow-x: hidden;
-        -webkit-user-select: text;  /* Safari */
-        -ms-user-select: text;      /* IE 10+ */
-        user-select: text;          /* Standard syntax */
-      }
+/**
+ * 处理历史版本请求
+ * GET /<笔记>/history 列出版本; GET /<笔记>/history/<版本> 获取版本内容;
+ * POST /<笔记>/history/<版本>/restore 恢复到该版本
+ * @param {Request} request - 请求对象
+ * @param {string} notePath - 笔记路径
+ * @param {string} noteName - 笔记名称
+ * @param {string[]} params - 路径参数 [版本ID, 操作]
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleHistoryRequest(request, notePath, noteName, params) {
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
 
-      /* 预览区状态栏样式 */
-      .preview-status-bar {
-        position: absolute;
-        bottom: 0;
-        left: 0;
-        right: 0;
-        height: 25px;
-        background: var(--editor-bg);
-        border-top: 1px solid var(--border-color);
-        display: flex;
-        align-items: center;
-        padding: 0 10px;
-        font-size: 12px;
-        color: var(--secondary-color);
-        z-index: 1;
-        justify-content: space-between;
-        min-width: 100%;
-        white-space: nowrap;
-      }
+  const [revisionId, operation] = params;
 
-      .preview-status-left {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        flex-shrink: 0;
-      }
+  if (!revisionId) {
+    if (request.method !== 'GET') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    const revisions = await getRevisions(notePath);
+    return Response.json({ revisions: revisions.reverse() });
+  }
 
-      .preview-status-right {
-        display: flex;
-        align-items: center;
-        gap: 15px;
-        flex-shrink: 0;
-        margin-left: auto;
-      }
+  const revision = await getRevision(notePath, revisionId);
+  if (!revision) {
+    return new Response('404 Not Found', { status: 404 });
+  }
 
-      .preview-status-item {
-        display: flex;
-        align-items: center;
-        gap: 5px;
-        font-family: 'Consolas', 'Monaco', monospace;
-        white-space: nowrap;
-        flex-shrink: 0;
-      }
+  if (!operation && request.method === 'GET') {
+    return Response.json(revision);
+  }
 
-      .preview-status-item label {
-        display: flex;
-        align-items: center;
-        gap: 4px;
-        cursor: pointer;
-        font-family: inherit;
-        font-size: inherit;
-        color: var(--secondary-color);
-      }
+  if (operation === 'restore' && request.method === 'POST') {
+    // 与其他写入一样经由笔记房间,协同编辑者会看到恢复的内容
+    const note = await updateNote(request, noteName, 'restore', { content: revision.content });
+    return new Response(null, { status: 204, headers: { 'ETag': formatETag(note.rev) } });
+  }
 
-      .preview-status-item input[type="checkbox"] {
-        width: 14px;
-        height: 14px;
-        cursor: pointer;
-        margin: 0;
-      }
+  return new Response('Method Not Allowed', { status: 405 });
+}
 
-      .preview-status-item span {
-        color: var(--secondary-color);
-      }
+/**
+ * 处理回收站请求
+ * GET /<笔记>/trash 列出已删除的内容; GET /<笔记>/trash/<删除ID> 获取内容;
+ * POST /<笔记>/trash/<删除ID>/restore 恢复; DELETE /<笔记>/trash/<删除ID> 彻底删除
+ * @param {Request} request - 请求对象
+ * @param {string} notePath - 笔记路径
+ * @param {string} noteName - 笔记名称
+ * @param {string[]} params - 路径参数 [删除ID, 操作]
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleTrashRequest(request, notePath, noteName, params) {
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
 
-      .fullscreen-toggle {
-        background: none;
-        border: none;
-        color: var(--text-color);
-        cursor: pointer;
-        padding: 2px 8px;
-        border-radius: 4px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.2s ease;
-        font-size: 12px;
-      }
+  const [trashId, operation] = params;
 
-      .fullscreen-toggle:hover {
-        background: var(--hover-color);
-      }
+  if (!trashId) {
+    if (request.method !== 'GET') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    return Response.json({ entries: await getTrashEntries(notePath) });
+  }
 
-      /* Markdown 内容样式 */
-      .preview-container > *:first-child {
-        margin-top: 0;
-      }
+  const entry = await getTrashEntry(notePath, trashId);
+  if (!entry) {
+    return new Response('404 Not Found', { status: 404 });
+  }
 
-      .preview-container > *:last-child {
-        margin-bottom: 0;
-      }
+  if (!operation && request.method === 'GET') {
+    return Response.json(entry);
+  }
 
-      .preview-container h1,
-      .preview-container h2,
-      .preview-container h3,
-      .preview-container h4,
-      .preview-container h5,
-      .preview-container h6 {
-        margin-top: 1.8em;
-        margin-bottom: 0.8em;
-        line-height: 1.2;
-        color: var(--text-color);
-      }
+  if (!operation && request.method === 'DELETE') {
+    await NOTES_KV.delete(`${getTrashPath(notePath)}/${trashId}`);
+    return new Response(null, { status: 204 });
+  }
 
-      .preview-container h1:first-child,
-      .preview-container h2:first-child,
-      .preview-container h3:first-child,
-      .preview-container h4:first-child,
-      .preview-container h5:first-child,
-      .preview-container h6:first-child {
-        margin-top: 0;
-      }
+  if (operation === 'restore' && request.method === 'POST') {
+    // 恢复前的内容由笔记房间记入历史版本,直接覆盖
+    const note = await updateNote(request, noteName, 'restore', { content: entry.content });
+    await NOTES_KV.delete(`${getTrashPath(notePath)}/${trashId}`);
+    return new Response(null, { status: 204, headers: { 'ETag': formatETag(note.rev) } });
+  }
 
-      .preview-container p {
-        margin: 1.2em 0;
-        line-height: 1.8;
-      }
+  return new Response('Method Not Allowed', { status: 405 });
+}
 
-      .preview-container a {
-        display: inline;
-        color: var(--link-color);
-        text-decoration: none;
-        border-bottom: 1px solid transparent;
-        transition: all 0.2s ease;
-        padding: 2px 4px;
-        margin: 0 -4px;
-        border-radius: 4px;
-        text-align: left;
-      }
+/**
+ * 处理笔记房间请求 - 将 WebSocket 连接转交给笔记的房间(在线状态及协同编辑)
+ * @param {Request} request - WebSocket 升级请求
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleLiveRequest(request, noteName) {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return new Response('Expected WebSocket', { status: 426 });
+  }
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
+  return await getNoteRoom(noteName).fetch(request);
+}
 
-      /* 处理单独一行的链接 */
-      .preview-container p > a:only-child {
-        display: inline-block;
-        text-align: left;
-        width: auto;
-      }
+/**
+ * 列出笔记的 API 令牌,移除因修改或移除密码而失效的单个笔记令牌
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Array<Object>>} 令牌列表(从新到旧),不含令牌本身
+ */
+async function getNoteTokens(noteName) {
+  const prefix = `${TOKENS_PATH}/${noteName}/`;
+  const record = await getPasswordRecord(noteName);
+  const names = [];
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix, cursor });
+    result.keys.forEach(({ name }) => names.push(name));
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  const tokens = await Promise.all(names.map(async name => {
+    const data = await NOTES_KV.get(name, 'json');
+    if (!data) return null;
+    if (!data.namespace && (!record || data.salt !== record.salt)) {
+      await NOTES_KV.delete(name);
+      return null;
+    }
+    return describeApiToken(data);
+  }));
+  return tokens.filter(Boolean).sort((a, b) => Date.parse(b.created) - Date.parse(a.created));
+}
 
-      /* 确保链接在段落中的对齐方式 */
-      .preview-container p {
-        text-align: left;
-      }
+/**
+ * 生成 API 令牌的描述(不含令牌哈希和加密的密码)
+ * @param {Object} data - 令牌记录
+ * @returns {{id: string, label: string, scopes: string[], namespace: string|null, created: string}} 令牌描述
+ */
+function describeApiToken(data) {
+  return {
+    id: data.id,
+    label: data.label,
+    scopes: data.scopes,
+    namespace: data.namespace || null,
+    created: data.created
+  };
+}
 
-      .preview-container a:hover {
-        background: var(--hover-color);
-        color: var(--link-hover-color);
-        border-bottom-color: var(--link-hover-color);
-      }
+/**
+ * 处理 API 令牌管理请求
+ * GET /<笔记>/tokens 列出令牌; POST /<笔记>/tokens 创建令牌; DELETE /<笔记>/tokens/<令牌ID> 撤销令牌
+ * 创建请求为 JSON { label, scopes, namespace, password },namespace 为笔记名前缀,
+ * 设置 namespace 时需要提供笔记的明文密码,用于校验同一前缀的其他笔记的密码
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @param {string[]} params - 路径参数 [令牌ID]
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleTokensRequest(request, noteName, params) {
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
 
-      .preview-container a:visited {
-        color: var(--link-visited-color);
-      }
+  const [tokenId] = params;
 
-      .preview-container a:visited:hover {
-        background: var(--hover-color);
-        border-bottom-color: var(--link-visited-color);
-      }
+  if (tokenId) {
+    if (request.method !== 'DELETE') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    const key = `${TOKENS_PATH}/${noteName}/${tokenId}`;
+    if (!await NOTES_KV.get(key)) {
+      return new Response('404 Not Found', { status: 404 });
+    }
+    await NOTES_KV.delete(key);
+    return new Response(null, { status: 204 });
+  }
 
-      .preview-container a[href^="http"]::after {
-        content: "↗";
-        display: inline;
-        margin-left: 2px;
-        font-size: 0.9em;
-        opacity: 0.6;
-      }
-      .preview-container ul,
-      .preview-container ol {
-        margin: 1em 0;
-        padding-left: 1.5em;
-      }
+  if (request.method === 'GET') {
+    return Response.json({ tokens: await getNoteTokens(noteName) });
+  }
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', { status: 405 });
+  }
 
-      .preview-container li {
-        margin: 0.5em 0;
-      }
+  // 未设置密码的笔记无需凭据即可访问,令牌没有意义
+  const record = await getPasswordRecord(noteName);
+  if (!record) {
+    return new Response('Password protection required', { status: 400 });
+  }
 
-      .preview-container blockquote {
-        margin: 1.2em 0;
-        padding: 1em 1.2em;
-        border-left: 4px solid var(--border-color);
-        background: var(--bg-color);
-        border-radius: 0 4px 4px 0;
-        display: flow-root;
-        width: fit-content;
-        max-width: 100%;
-        box-shadow: 0 2px 4px var(--shadow-color);
-        transition: all 0.2s ease;
-      }
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    body = null;
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return new Response('Invalid token data', { status: 400 });
+  }
+  const { label = '', scopes, namespace = null, password } = body;
+  if (typeof label !== 'string' || label.length > 64) {
+    return new Response('Invalid label', { status: 400 });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_TOKEN_SCOPES.includes(scope))) {
+    return new Response('Invalid scopes', { status: 400 });
+  }
+  if (namespace !== null && (typeof namespace !== 'string' || !VALID_NOTE_PATTERN.test(namespace) || !noteName.startsWith(namespace))) {
+    return new Response('Namespace must be a prefix of the note name', { status: 400 });
+  }
 
-      .preview-container blockquote > *:first-child {
-        margin-top: 0;
-      }
+  const id = toBase64Url(crypto.getRandomValues(new Uint8Array(6)));
+  const token = `${API_TOKEN_PREFIX}${noteName}.${id}.${toBase64Url(crypto.getRandomValues(new Uint8Array(32)))}`;
+  const data = {
+    id,
+    label: label.trim(),
+    scopes: API_TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+    namespace,
+    created: new Date().toISOString(),
+    hash: await hashApiToken(token)
+  };
+
+  if (namespace) {
+    // 命名空间令牌保存用令牌加密的笔记密码,创建时确认密码正确
+    const retryAfter = await getPasswordLockout(request, noteName);
+    if (retryAfter) {
+      return tooManyAttemptsResponse(retryAfter);
+    }
+    const credentials = typeof password === 'string' && password ? {
+      password: await prehashPassword(noteName, password),
+      legacyPassword: await prehashLegacyPassword(password)
+    } : null;
+    if (!credentials || !await verifyNotePassword(noteName, record, credentials)) {
+      return await passwordFailureResponse(request, noteName);
+    }
+    data.password = await encryptText(password, await deriveApiTokenKey(token));
+  } else {
+    data.salt = record.salt;
+  }
 
-      .preview-container blockquote > *:last-child {
-        margin-bottom: 0;
-      }
+  await NOTES_KV.put(`${TOKENS_PATH}/${noteName}/${id}`, JSON.stringify(data));
+  return Response.json({ token, ...describeApiToken(data) }, { status: 201 });
+}
 
-      .preview-container blockquote p {
-        margin: 0.8em 0;
-        line-height: 1.6;
-      }
+/**
+ * 读取笔记的 Webhook 订阅
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Array<{id: string, url: string, secret: string, created: string}>>} 订阅列表
+ */
+async function getNoteWebhooks(noteName) {
+  return await NOTES_KV.get(`${WEBHOOKS_PATH}/${noteName}`, 'json') || [];
+}
 
-      .preview-container blockquote + blockquote {
-        margin-top: -0.5em;
-      }
+/**
+ * 读取笔记的 Webhook 投递记录
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Array<Object>>} 投递记录(从新到旧)
+ */
+async function getWebhookDeliveries(noteName) {
+  return await NOTES_KV.get(`${WEBHOOK_LOG_PATH}/${noteName}`, 'json') || [];
+}
 
-      /* 嵌套引用的样式 */
-      .preview-container blockquote blockquote {
-        margin: 0.8em 0;
-        border-left-color: var(--secondary-color);
-        background: var(--editor-bg);
-        box-shadow: none;
-      }
+/**
+ * 向笔记的所有 Webhook 订阅发送变更通知并保存投递记录
+ * @param {string} noteName - 笔记名称
+ * @param {Object} change - 变更 { webhooks, origin, baseText, text, rev }
+ * @returns {Promise<void>}
+ */
+async function notifyNoteChange(noteName, change) {
+  try {
+    const diff = summarizeTextChange(change.baseText, change.text);
+    const trashed = change.text.length === 0;
+    const payload = {
+      event: trashed ? 'note.trashed' : 'note.updated',
+      note: noteName,
+      url: `${change.origin}/${noteName}`,
+      rev: change.rev,
+      time: new Date().toISOString(),
+      diff,
+      // Slack 等聊天工具的 incoming webhook 直接显示 text 字段
+      text: trashed
+        ? `笔记 ${noteName} 已被清空`
+        : `笔记 ${noteName} 已更新` + (diff.encrypted ? '' : `(+${diff.linesAdded} -${diff.linesRemoved} 行)`)
+    };
+    const deliveries = await Promise.all(change.webhooks.map(webhook => deliverWebhook(webhook, payload)));
+    await recordWebhookDeliveries(noteName, deliveries);
+  } catch (error) {
+    console.error('发送 Webhook 通知失败:', error);
+  }
+}
 
-      /* 移动端适配 */
-      @media (max-width: 768px) {
-        .preview-container blockquote {
-          padding: 0.8em 1em;
-          margin: 1em 0;
-          width: 100%;
-        }
-      }
+/**
+ * 汇总笔记内容的变化
+ * 去掉相同的开头和结尾行后统计增删的行数,并附上新增内容的摘录;端到端加密的内容只标记为密文
+ * @param {string} oldText - 修改前的内容
+ * @param {string} newText - 修改后的内容
+ * @returns {Object} 变化摘要 { linesAdded, linesRemoved, sizeBefore, sizeAfter, excerpt } 或 { encrypted: true }
+ */
+function summarizeTextChange(oldText, newText) {
+  if (parseE2EEnvelope(oldText) || parseE2EEnvelope(newText)) {
+    return { encrypted: true };
+  }
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  return {
+    linesAdded: newEnd - start,
+    linesRemoved: oldEnd - start,
+    sizeBefore: new TextEncoder().encode(oldText).length,
+    sizeAfter: new TextEncoder().encode(newText).length,
+    excerpt: newLines.slice(start, newEnd).join('\n').slice(0, WEBHOOK_EXCERPT_LENGTH)
+  };
+}
 
-      /* 代码块基础样式 */
-      .preview-container pre {
-        background: var(--editor-bg);
-        padding: 1.2em 1em;
-        border-radius: 8px;
-        overflow: auto;
-        position: relative;
-        margin: 1.5em 0;
-        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
-        line-height: 1.5;
-        font-size: 0.95em;
-        border: 1px solid var(--border-color);
-        scrollbar-width: thin;
-        scrollbar-color: var(--secondary-color) transparent;
-      }
+/**
+ * 计算 Webhook 请求体的签名
+ * @param {string} secret - 订阅的签名密钥
+ * @param {string} body - 请求体
+ * @returns {Promise<string>} 十六进制 HMAC-SHA256 签名
+ */
+async function signWebhookPayload(secret, body) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return bytesToHex(new Uint8Array(signature));
+}
 
-      /* 行内代码样式 */
-      .preview-container code {
-        background: var(--editor-bg);
-        padding: 0.2em 0.4em;
-        margin: 0 0.2em;
-        border-radius: 4px;
-        font-size: 0.9em;
-        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
-        border: 1px solid var(--border-color);
-      }
-
-      /* 代码块中的代码样式 */
-      .preview-container pre code {
-        background: none;
-        padding: 0;
-        margin: 0;
-        font-size: 0.95em;
-        white-space: pre;
-        word-break: normal;
-        word-wrap: normal;
-        line-height: inherit;
-        tab-size: 2;
-        hyphens: none;
-        border: none;
-      }
+/**
+ * 投递一次 Webhook 通知,网络错误、429 和 5xx 响应按 WEBHOOK_RETRY_DELAYS 重试,总耗时不超过 WEBHOOK_DELIVERY_BUDGET;
+ * 重定向响应视为失败
+ * 请求头 X-Mmnote-Signature 为 sha256=<请求体的 HMAC-SHA256>,接收方用订阅的签名密钥校验
+ * @param {Object} webhook - 订阅 { id, url, secret }
+ * @param {Object} payload - 通知内容
+ * @returns {Promise<Object>} 投递记录 { id, webhook, url, event, rev, time, attempts, status, error, ok, payload }
+ */
+async function deliverWebhook(webhook, payload) {
+  const body = JSON.stringify(payload);
+  const delivery = {
+    id: toBase64Url(crypto.getRandomValues(new Uint8Array(9))),
+    webhook: webhook.id,
+    url: webhook.url,
+    event: payload.event,
+    rev: payload.rev || null,
+    time: new Date().toISOString(),
+    attempts: 0,
+    status: null,
+    error: null,
+    ok: false,
+    payload
+  };
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'mmnote-webhook',
+    'X-Mmnote-Event': payload.event,
+    'X-Mmnote-Delivery': delivery.id,
+    'X-Mmnote-Signature': 'sha256=' + await signWebhookPayload(webhook.secret, body)
+  };
+
+  // 地址检查收紧之前添加的订阅可能指向内网
+  if (!isValidWebhookURL(webhook.url)) {
+    delivery.error = 'Invalid webhook URL';
+    return delivery;
+  }
 
-      /* 代码块滚动条样式 */
-      .preview-container pre::-webkit-scrollbar {
-        width: 6px;
-        height: 6px;
-      }
+  const deadline = Date.now() + WEBHOOK_DELIVERY_BUDGET;
+  for (let attempt = 0; ; attempt++) {
+    delivery.attempts++;
+    try {
+      // 不跟随重定向,否则重定向的目标可以绕过对订阅地址的检查
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(Math.min(WEBHOOK_TIMEOUT, deadline - Date.now()))
+      });
+      delivery.status = response.status;
+      delivery.error = response.status >= 300 && response.status < 400 ? 'Redirect not followed' : null;
+      delivery.ok = response.ok;
+      // 其他 4xx 说明请求本身被拒绝,重试也不会成功
+      if (response.ok || (response.status < 500 && response.status !== 429)) break;
+    } catch (error) {
+      delivery.status = null;
+      delivery.error = error.name === 'TimeoutError' ? 'Timeout' : error.message;
+    }
+    // 剩余时间不够等待后再完整尝试一次时放弃重试
+    if (attempt >= WEBHOOK_RETRY_DELAYS.length || Date.now() + WEBHOOK_RETRY_DELAYS[attempt] + WEBHOOK_TIMEOUT > deadline) break;
+    await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS[attempt]));
+  }
+  return delivery;
+}
 
-      .preview-container pre::-webkit-scrollbar-track {
-        background: transparent;
-      }
+/**
+ * 保存投递记录,只保留最近 WEBHOOK_LOG_LIMIT 条
+ * @param {string} noteName - 笔记名称
+ * @param {Array<Object>} deliveries - 新的投递记录
+ */
+async function recordWebhookDeliveries(noteName, deliveries) {
+  const log = deliveries.concat(await getWebhookDeliveries(noteName)).slice(0, WEBHOOK_LOG_LIMIT);
+  await NOTES_KV.put(`${WEBHOOK_LOG_PATH}/${noteName}`, JSON.stringify(log));
+}
 
-      .preview-container pre::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 3px;
-        border: 2px solid var(--editor-bg);
-      }
+/**
+ * 检查 Webhook 地址,只接受公网的 https 地址
+ * @param {*} url - 地址
+ * @returns {boolean} 是否有效
+ */
+function isValidWebhookURL(url) {
+  if (typeof url !== 'string' || url.length > 2048) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return parsed.protocol === 'https:' && isPublicHostname(parsed.hostname);
+}
 
-      .preview-container pre::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
+/**
+ * 检查主机名是否为公网地址,拒绝本机、内网和链路本地地址及不带点或内网专用后缀的主机名
+ * URL 解析后 IPv4 地址已规范为点分十进制,IPv6 地址为带方括号的十六进制形式
+ * @param {string} hostname - URL 中的主机名
+ * @returns {boolean} 是否为公网地址
+ */
+function isPublicHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (host.startsWith('[')) {
+    return isPublicIPv6(host.slice(1, -1));
+  }
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+    return isPublicIPv4(host.split('.').map(Number));
+  }
+  return host.includes('.') && !/(?:^|\.)(?:localhost|localdomain|local|internal|intranet|lan|home|corp|home\.arpa)$/.test(host);
+}
 
-      /* 代码块语言标签 */
-      .preview-container pre::before {
-        content: attr(data-language);
-        position: absolute;
-        top: 0.5em;
-        right: 0.5em;
-        font-size: 0.85em;
-        color: var(--secondary-color);
-        padding: 0.2em 0.5em;
-        border-radius: 3px;
-        background: var(--container-bg);
-        opacity: 0.8;
-        transition: opacity 0.2s ease;
-      }
+/**
+ * 检查 IPv4 地址是否为公网地址
+ * @param {number[]} bytes - 地址的四个字节
+ * @returns {boolean} 是否为公网地址
+ */
+function isPublicIPv4([a, b]) {
+  return !(a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b < 128) ||   // 运营商级 NAT
+    (a === 169 && b === 254) ||            // 链路本地,包括云服务的元数据地址
+    (a === 172 && b >= 16 && b < 32) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)));
+}
 
-      .preview-container pre:hover::before {
-        opacity: 1;
-      }
+/**
+ * 检查 IPv6 地址是否为公网地址,内嵌 IPv4 地址的按其 IPv4 地址检查
+ * @param {string} address - 不带方括号的 IPv6 地址
+ * @returns {boolean} 是否为公网地址
+ */
+function isPublicIPv6(address) {
+  const [head, tail] = address.split('::');
+  const headWords = head ? head.split(':') : [];
+  const tailWords = tail ? tail.split(':') : [];
+  const words = headWords.concat(new Array(8 - headWords.length - tailWords.length).fill('0'), tailWords)
+    .map(word => parseInt(word, 16));
+  // 未指定地址和本机地址
+  if (words.slice(0, 7).every(word => word === 0)) return false;
+  // IPv4 映射、IPv4 兼容及 NAT64 地址
+  if ((words.slice(0, 5).every(word => word === 0) && (words[5] === 0xffff || words[5] === 0)) ||
+      (words[0] === 0x64 && words[1] === 0xff9b && words.slice(2, 6).every(word => word === 0))) {
+    return isPublicIPv4([words[6] >> 8, words[6] & 0xff]);
+  }
+  // 唯一本地地址(fc00::/7)、链路本地地址(fe80::/10)和组播地址(ff00::/8)
+  return (words[0] & 0xfe00) !== 0xfc00 && (words[0] & 0xffc0) !== 0xfe80 && (words[0] & 0xff00) !== 0xff00;
+}
 
-      /* 代码高亮主题 - 浅色模式 */
-      .hljs {
-        color: #383a42;
-        background: var(--editor-bg);
-      }
+/**
+ * 处理 Webhook 管理请求
+ * GET /<笔记>/webhooks 列出订阅及投递记录; POST /<笔记>/webhooks 添加订阅 { url };
+ * DELETE /<笔记>/webhooks/<订阅ID> 删除订阅; POST /<笔记>/webhooks/<订阅ID>/test 发送测试通知;
+ * POST /<笔记>/webhooks/<订阅ID>/redeliver/<投递ID> 重新发送一条投递记录中的通知
+ * 测试和重新发送的结果同样写入投递记录并在响应中返回
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @param {string[]} params - 路径参数 [订阅ID, 操作, 投递ID]
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleWebhooksRequest(request, noteName, params) {
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
 
-      .hljs-comment,
-      .hljs-quote {
-        color: #a0a1a7;
-        font-style: italic;
-      }
+  const [webhookId, operation, deliveryId] = params;
+  const webhooks = await getNoteWebhooks(noteName);
 
-      .hljs-doctag,
-      .hljs-keyword,
-      .hljs-formula {
-        color: #a626a4;
-      }
+  if (!webhookId) {
+    if (request.method === 'GET') {
+      return Response.json({ webhooks, deliveries: await getWebhookDeliveries(noteName) });
+    }
+    if (request.method !== 'POST') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    let url;
+    try {
+      ({ url } = await request.json());
+    } catch (error) {
+      url = null;
+    }
+    if (!isValidWebhookURL(url)) {
+      return new Response('Invalid webhook URL', { status: 400 });
+    }
+    if (webhooks.length >= WEBHOOK_MAX_PER_NOTE) {
+      return new Response('Too many webhooks', { status: 400 });
+    }
+    const webhook = {
+      id: toBase64Url(crypto.getRandomValues(new Uint8Array(6))),
+      url,
+      secret: toBase64Url(crypto.getRandomValues(new Uint8Array(24))),
+      created: new Date().toISOString()
+    };
+    webhooks.push(webhook);
+    await NOTES_KV.put(`${WEBHOOKS_PATH}/${noteName}`, JSON.stringify(webhooks));
+    return Response.json(webhook, { status: 201 });
+  }
 
-      .hljs-section,
-      .hljs-name,
-      .hljs-selector-tag,
-      .hljs-deletion,
-      .hljs-subst {
-        color: #e45649;
-      }
+  const webhook = webhooks.find(item => item.id === webhookId);
+  if (!webhook) {
+    return new Response('404 Not Found', { status: 404 });
+  }
 
-      .hljs-literal {
-        color: #0184bb;
-      }
+  if (!operation && request.method === 'DELETE') {
+    const remaining = webhooks.filter(item => item.id !== webhookId);
+    if (remaining.length > 0) {
+      await NOTES_KV.put(`${WEBHOOKS_PATH}/${noteName}`, JSON.stringify(remaining));
+    } else {
+      await NOTES_KV.delete(`${WEBHOOKS_PATH}/${noteName}`);
+    }
+    return new Response(null, { status: 204 });
+  }
 
-      .hljs-string,
-      .hljs-regexp,
-      .hljs-addition,
-      .hljs-attribute,
-      .hljs-meta .hljs-string {
-        color: #50a14f;
+  if (request.method === 'POST' && (operation === 'test' || operation === 'redeliver')) {
+    let payload;
+    if (operation === 'test') {
+      payload = {
+        event: 'ping',
+        note: noteName,
+        url: `${new URL(request.url).origin}/${noteName}`,
+        time: new Date().toISOString(),
+        text: `笔记 ${noteName} 的 Webhook 测试通知`
+      };
+    } else {
+      const previous = (await getWebhookDeliveries(noteName)).find(item => item.id === deliveryId);
+      if (!previous || !previous.payload) {
+        return new Response('404 Not Found', { status: 404 });
       }
+      payload = previous.payload;
+    }
+    const delivery = await deliverWebhook(webhook, payload);
+    await recordWebhookDeliveries(noteName, [delivery]);
+    return Response.json(delivery);
+  }
 
-      .hljs-attr,
-      .hljs-variable,
-      .hljs-template-variable,
-      .hljs-type,
-      .hljs-selector-class,
-      .hljs-selector-attr,
-      .hljs-selector-pseudo,
-      .hljs-number {
-        color: #986801;
-      }
+  return new Response('Method Not Allowed', { status: 405 });
+}
 
-      .hljs-symbol,
-      .hljs-bullet,
-      .hljs-link,
-      .hljs-meta,
-      .hljs-selector-id,
-      .hljs-title {
-        color: #4078f2;
-      }
+/**
+ * 生成 REST API 的错误响应
+ * @param {number} status - 状态码
+ * @param {string} error - 错误代码
+ * @param {string} message - 错误说明
+ * @param {Object} [headers] - 额外的响应头
+ * @returns {Response} JSON 格式 { error, message } 的响应
+ */
+function apiError(status, error, message, headers = {}) {
+  return Response.json({ error, message }, { status, headers });
+}
 
-      .hljs-built_in,
-      .hljs-title.class_,
-      .hljs-class .hljs-title {
-        color: #c18401;
-      }
+/**
+ * 处理 REST API 请求(/api/v1/...)
+ * 目前只有笔记资源 /api/v1/notes/<笔记名>
+ * @param {Request} request - 请求对象
+ * @param {string[]} params - v1 之后的路径参数
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleApiRequest(request, params) {
+  const [resource, noteName, ...rest] = params;
+  if (resource !== 'notes' || !noteName || rest.length > 0) {
+    return apiError(404, 'not_found', 'Unknown API endpoint');
+  }
+  if (noteName.length > 64 || !VALID_NOTE_PATTERN.test(noteName)) {
+    return apiError(400, 'invalid_name', 'Note names may only contain letters, digits, underscores and hyphens');
+  }
+  try {
+    return await handleApiNoteRequest(request, noteName);
+  } catch (error) {
+    console.error('API 请求失败:', error);
+    return apiError(500, 'internal_error', 'Internal error');
+  }
+}
 
-      .hljs-emphasis {
-        font-style: italic;
-      }
+/**
+ * 处理笔记资源请求
+ * GET/HEAD 读取内容及元数据(支持 If-None-Match),PUT 替换内容,PATCH 在开头或末尾追加内容,DELETE 移入回收站;
+ * 写入和删除支持 If-Match/If-None-Match 条件请求,条件不满足时返回 412。
+ * 写入由笔记房间依次执行,条件按房间中的最新内容检查;读取直接来自 KV,其他位置在写入后的短时间内(最多约 60 秒)可能读到旧版本
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleApiNoteRequest(request, noteName) {
+  const scope = { GET: 'read', HEAD: 'read', PATCH: 'append' }[request.method] || 'write';
+  if (!await authorizeNote(request, noteName, scope)) {
+    // 与 unauthorizedResponse 相同,页面发起的请求不返回 WWW-Authenticate,避免浏览器弹出登录框
+    const headers = {};
+    if (!request.headers.has('X-Requested-With')) {
+      headers['WWW-Authenticate'] = 'Basic realm="mmnote", charset="UTF-8"';
+    }
+    return apiError(401, 'unauthorized', 'Password required', headers);
+  }
 
-      .hljs-strong {
-        font-weight: bold;
-      }
+  switch (request.method) {
+    case 'GET':
+    case 'HEAD': {
+      const current = await getNoteWithRevision(`${SAVE_PATH}/${noteName}`);
+      if (!current.text) {
+        return request.method === 'HEAD'
+          ? new Response(null, { status: 404 })
+          : apiError(404, 'not_found', 'Note not found');
+      }
+      const headers = getApiNoteHeaders(current);
+      const ifNoneMatch = request.headers.get('If-None-Match');
+      if (ifNoneMatch && matchesETag(ifNoneMatch, current.rev)) {
+        return new Response(null, { status: 304, headers });
+      }
+      if (request.method === 'HEAD') {
+        return new Response(null, { headers });
+      }
+      return Response.json(await describeApiNote(noteName, current), { headers });
+    }
 
-      /* 代码高亮主题 - 深色模式 */
-      [data-theme="dark"] .hljs {
-        color: #abb2bf;
-        background: var(--editor-bg);
+    case 'PUT':
+    case 'PATCH':
+    case 'DELETE': {
+      let body = null;
+      if (request.method !== 'DELETE') {
+        body = await readApiJSON(request);
+        if (body instanceof Response) return body;
+      }
+      if (request.method === 'PUT' && (typeof body.content !== 'string' || !body.content.trim())) {
+        return apiError(400, 'invalid_content', 'content must be a non-empty string; use DELETE to remove a note');
+      }
+      if (request.method === 'PATCH') {
+        const { prepend = '', append = '' } = body;
+        if (typeof prepend !== 'string' || typeof append !== 'string' || (!prepend && !append)) {
+          return apiError(400, 'invalid_content', 'PATCH requires a prepend or append string');
+        }
       }
 
-      [data-theme="dark"] .hljs-comment,
-      [data-theme="dark"] .hljs-quote {
-        color: #7f848e;
-        font-style: italic;
+      // 与追加请求相同,由笔记房间依次写入:条件检查和写入之间不会插入其他修改,协同编辑者也能立即看到
+      const note = await updateNote(request, noteName, 'api', { method: request.method, body });
+      if (note instanceof Response) return note;
+      if (request.method === 'DELETE') {
+        return new Response(null, { status: 204 });
       }
 
-      [data-theme="dark"] .hljs-doctag,
-      [data-theme="dark"] .hljs-keyword,
-      [data-theme="dark"] .hljs-formula {
-        color: #c678dd;
+      const created = !note.existed;
+      const headers = getApiNoteHeaders(note);
+      if (created) {
+        headers['Location'] = `/api/v1/notes/${noteName}`;
       }
+      return Response.json(await describeApiNote(noteName, note), { status: created ? 201 : 200, headers });
+    }
 
-      [data-theme="dark"] .hljs-section,
-      [data-theme="dark"] .hljs-name,
-      [data-theme="dark"] .hljs-selector-tag,
-      [data-theme="dark"] .hljs-deletion,
-      [data-theme="dark"] .hljs-subst {
-        color: #e06c75;
-      }
+    default:
+      return apiError(405, 'method_not_allowed', 'Method not allowed', { 'Allow': 'GET, HEAD, PUT, PATCH, DELETE' });
+  }
+}
 
-      [data-theme="dark"] .hljs-literal {
-        color: #56b6c2;
-      }
+/**
+ * 检查写入和删除请求的条件头
+ * If-Match 要求笔记存在且版本匹配,If-None-Match: * 要求笔记不存在(只创建不覆盖)
+ * @param {Request} request - 请求对象
+ * @param {{rev: string}} current - 笔记当前版本
+ * @param {boolean} exists - 笔记是否存在
+ * @returns {Response|null} 条件不满足时的 412 响应
+ */
+function checkApiPreconditions(request, current, exists) {
+  const ifMatch = request.headers.get('If-Match');
+  if (ifMatch && !(exists && matchesETag(ifMatch, current.rev))) {
+    return apiError(412, 'precondition_failed', 'Note has been modified', { 'ETag': formatETag(current.rev) });
+  }
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch && exists && matchesETag(ifNoneMatch, current.rev)) {
+    return apiError(412, 'precondition_failed', 'Note already exists', { 'ETag': formatETag(current.rev) });
+  }
+  return null;
+}
 
-      [data-theme="dark"] .hljs-string,
-      [data-theme="dark"] .hljs-regexp,
-      [data-theme="dark"] .hljs-addition,
-      [data-theme="dark"] .hljs-attribute,
-      [data-theme="dark"] .hljs-meta .hljs-string {
-        color: #98c379;
-      }
+/**
+ * 在笔记房间中执行 REST API 的写入
+ * @param {{text: string, rev: string}} current - 当前内容
+ * @param {{method: string, body: (Object|null)}} params - 请求方法(PUT、PATCH 或 DELETE)及已检查格式的请求内容
+ * @param {Request} request - 转发到房间的请求,带有原请求的条件请求头
+ * @returns {string|Response} 新内容(DELETE 时为空),或错误响应
+ */
+function applyApiNoteChange(current, { method, body }, request) {
+  const exists = current.text.length > 0;
+  if (method === 'DELETE' && !exists) {
+    return apiError(404, 'not_found', 'Note not found');
+  }
+  const failed = checkApiPreconditions(request, current, exists);
+  if (failed) return failed;
+  if (method === 'DELETE') return '';
+
+  // 与表单保存相同,端到端加密的笔记只接受密文,也不能在密文前后追加内容
+  if (method === 'PATCH') {
+    if (parseE2EEnvelope(current.text)) {
+      return apiError(409, 'e2e_encrypted', 'Cannot append to an end-to-end encrypted note');
+    }
+    const text = (body.prepend || '') + current.text + (body.append || '');
+    if (text.startsWith(E2E_PREFIX)) {
+      return apiError(400, 'invalid_content', 'Invalid encrypted content');
+    }
+    if (new TextEncoder().encode(text).length > NOTE_APPEND_MAX_BYTES) {
+      return apiError(413, 'too_large', 'Note would exceed ' + NOTE_APPEND_MAX_BYTES + ' bytes');
+    }
+    return text;
+  }
+  if (body.content.startsWith(E2E_PREFIX)) {
+    if (!parseE2EEnvelope(body.content)) {
+      return apiError(400, 'invalid_content', 'Invalid encrypted content');
+    }
+  } else if (parseE2EEnvelope(current.text) && request.headers.get('X-Note-Encryption') !== 'none') {
+    return apiError(409, 'e2e_encrypted', 'Note is end-to-end encrypted');
+  }
+  return body.content;
+}
 
-      [data-theme="dark"] .hljs-attr,
-      [data-theme="dark"] .hljs-variable,
-      [data-theme="dark"] .hljs-template-variable,
-      [data-theme="dark"] .hljs-type,
-      [data-theme="dark"] .hljs-selector-class,
-      [data-theme="dark"] .hljs-selector-attr,
-      [data-theme="dark"] .hljs-selector-pseudo,
-      [data-theme="dark"] .hljs-number {
-        color: #d19a66;
-      }
+/**
+ * 读取 REST API 请求的 JSON 对象
+ * @param {Request} request - 请求对象
+ * @returns {Promise<Object|Response>} 请求内容,格式错误时为错误响应
+ */
+async function readApiJSON(request) {
+  if (!(request.headers.get('Content-Type') || '').includes('application/json')) {
+    return apiError(415, 'unsupported_media_type', 'Request body must be application/json');
+  }
+  try {
+    const body = await request.json();
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      return body;
+    }
+  } catch (error) {
+    // 按格式错误处理
+  }
+  return apiError(400, 'invalid_json', 'Request body must be a JSON object');
+}
 
-      [data-theme="dark"] .hljs-symbol,
-      [data-theme="dark"] .hljs-bullet,
-      [data-theme="dark"] .hljs-link,
-      [data-theme="dark"] .hljs-meta,
-      [data-theme="dark"] .hljs-selector-id,
-      [data-theme="dark"] .hljs-title {
-        color: #61afef;
-      }
+/**
+ * 生成笔记资源的响应头
+ * @param {{rev: string, updated: string|null}} note - 笔记版本
+ * @returns {Object} 响应头
+ */
+function getApiNoteHeaders(note) {
+  const headers = { 'ETag': formatETag(note.rev), 'Cache-Control': 'no-store' };
+  if (note.updated) {
+    headers['Last-Modified'] = new Date(note.updated).toUTCString();
+  }
+  return headers;
+}
 
-      [data-theme="dark"] .hljs-built_in,
-      [data-theme="dark"] .hljs-title.class_,
-      [data-theme="dark"] .hljs-class .hljs-title {
-        color: #e6c07b;
-      }
+/**
+ * 生成笔记资源的 JSON 表示
+ * @param {string} noteName - 笔记名称
+ * @param {{text: string, rev: string, updated: string|null}} note - 笔记内容及版本
+ * @returns {Promise<Object>} { name, content, rev, updated, size, protected, encrypted }
+ */
+async function describeApiNote(noteName, note) {
+  return {
+    name: noteName,
+    content: note.text,
+    rev: note.rev,
+    updated: note.updated,
+    size: new TextEncoder().encode(note.text).length,
+    protected: Boolean(await getPasswordRecord(noteName)),
+    // 端到端加密的笔记返回密文信封,由持有口令的客户端解密
+    encrypted: Boolean(parseE2EEnvelope(note.text))
+  };
+}
 
-      [data-theme="dark"] .hljs-emphasis {
-        font-style: italic;
-      }
+/**
+ * 生成随机笔记名称
+ * @returns {string} 5位随机字符串
+ */
+function generateRandomNoteName() {
+  const chars = '0123456789abcdefghijklmnopqrstuvwxyz';
+  return Array.from({ length: 5 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+}
 
-      [data-theme="dark"] .hljs-strong {
-        font-weight: bold;
+/**
+ * 生成分享ID,分享链接即访问凭证,使用安全随机数
+ * @returns {string} SHARE_ID_LENGTH 位随机字符串
+ */
+function generateShareId() {
+  const chars = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  let id = '';
+  while (id.length < SHARE_ID_LENGTH) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(SHARE_ID_LENGTH))) {
+      // 丢弃超出字符数整数倍的取值,避免取模造成的分布偏差
+      if (byte < 248 && id.length < SHARE_ID_LENGTH) {
+        id += chars[byte % chars.length];
       }
+    }
+  }
+  return id;
+}
 
-      /* 代码复制按钮 */
-      .copy-button {
-        position: absolute;
-        top: 0.5em;
-        right: 0.5em;
-        padding: 0.2em 0.5em;
-        font-size: 0.85em;
-        color: var(--text-color);
-        background: var(--container-bg);
-        border: 1px solid var(--border-color);
-        border-radius: 3px;
-        cursor: pointer;
-        opacity: 0;
-        transition: all 0.2s ease;
-        display: flex;
-        align-items: center;
-        gap: 4px;
-      }
+/**
+ * 检查是否为命令行请求
+ * @param {Request} request - 请求对象
+ * @returns {boolean} 是否为命令行请求
+ */
+function isCommandLineRequest(request) {
+  const userAgent = request.headers.get('User-Agent') || '';
+  return userAgent.startsWith('curl') || userAgent.startsWith('Wget');
+}
 
-      .preview-container pre:hover .copy-button {
-        opacity: 0.8;
-      }
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
-      .copy-button:hover {
-        opacity: 1 !important;
-        background: var(--hover-color);
-      }
+// 净化HTML时各命名空间允许保留的元素(小写),其余元素去掉标签、保留内容
+const SANITIZE_ELEMENTS = {
+  html: new Set(('a abbr b bdi bdo blockquote br caption cite code col colgroup dd del details dfn div dl dt em ' +
+    'figcaption figure h1 h2 h3 h4 h5 h6 hr i img input ins kbd li mark ol p pre q s samp small span strike strong ' +
+    'sub summary sup table tbody td tfoot th thead time tr u ul var wbr').split(' ')),
+  svg: new Set(('svg g path rect circle ellipse line polyline polygon text tspan textpath defs marker style title desc ' +
+    'lineargradient radialgradient stop clippath mask pattern symbol use switch foreignobject').split(' ')),
+  math: new Set(('math semantics annotation mrow mi mo mn ms mtext mspace msup msub msubsup mfrac msqrt mroot mover ' +
+    'munder munderover mtable mtr mtd mlabeledtr mstyle mpadded mphantom menclose merror mfenced mmultiscripts ' +
+    'mprescripts none').split(' '))
+};
+// 净化HTML时各命名空间允许保留的属性(小写),另外允许所有 aria-* 属性
+const SANITIZE_ATTRIBUTES = {
+  html: new Set(('class id title lang dir style role align alt width height href src cite name target start reversed ' +
+    'type value checked disabled colspan rowspan scope span open datetime loading data-language').split(' ')),
+  svg: new Set(('class id style role transform x y x1 x2 y1 y2 cx cy r rx ry d points width height viewbox ' +
+    'preserveaspectratio fill fill-opacity fill-rule stroke stroke-width stroke-dasharray stroke-dashoffset ' +
+    'stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity opacity font-family font-size font-style ' +
+    'font-weight text-anchor dominant-baseline alignment-baseline baseline-shift dx dy rotate textlength lengthadjust ' +
+    'letter-spacing word-spacing text-decoration marker-start marker-mid marker-end markerwidth markerheight ' +
+    'markerunits refx refy orient clip-path clip-rule clippathunits mask maskunits gradientunits gradienttransform ' +
+    'patternunits patterntransform spreadmethod offset stop-color stop-opacity xmlns xmlns:xlink version href ' +
+    'xlink:href visibility display overflow color').split(' ')),
+  math: new Set(('class id style xmlns display displaystyle encoding mathvariant mathsize mathcolor mathbackground ' +
+    'stretchy fence separator separators lspace rspace accent accentunder columnalign columnlines columnspacing ' +
+    'rowalign rowlines rowspacing width height depth voffset minsize maxsize movablelimits scriptlevel linethickness ' +
+    'notation symmetric largeop form open close align').split(' '))
+};
+// 用户内容中 id、name 及文档内引用统一加上的前缀,避免覆盖页面脚本用到的全局变量和元素(DOM clobbering)
+const USER_CONTENT_ID_PREFIX = 'user-content-';
+// 不允许时连同内容一起移除的元素
+const SANITIZE_DROP_ELEMENTS = new Set(('script style textarea title noscript template iframe object embed applet ' +
+  'button select xmp noembed noframes plaintext frameset frame audio video canvas head').split(' '));
+// 内容按原始文本解析(不含子元素)的元素
+const SANITIZE_RAW_TEXT_ELEMENTS = new Set('script style textarea title xmp iframe noembed noframes noscript plaintext'.split(' '));
+// 没有结束标签的HTML元素
+const SANITIZE_VOID_ELEMENTS = new Set('area base br col embed hr img input link meta param source track wbr'.split(' '));
 
-      .copy-button.copied {
-        color: #4caf50;
-        border-color: #4caf50;
-        opacity: 1;
+/**
+ * 按白名单净化HTML,用于分享页面等直接输出用户内容的场景
+ * 保留 KaTeX(HTML 与 MathML)、Mermaid SVG、highlight.js 标记和图片,
+ * 移除脚本、事件处理属性和 javascript: 等危险链接。
+ * 输出由解析结果重新拼装,所有文本和属性值都重新转义,不会原样透传任何未识别的标记。
+ * @param {string} html - 待净化的HTML
+ * @returns {string} 净化后的HTML
+ */
+function sanitizeHTML(html) {
+  const source = String(html || '');
+  // 已输出但尚未闭合的元素
+  const stack = [];
+  // 正在整体移除的元素 { name, depth }
+  let skip = null;
+  let output = '';
+  let index = 0;
+
+  const currentNamespace = () => {
+    const top = stack[stack.length - 1];
+    if (!top) return 'html';
+    return top.ns === 'svg' && top.name === 'foreignobject' ? 'html' : top.ns;
+  };
+
+  while (index < source.length) {
+    const lt = source.indexOf('<', index);
+    const textEnd = lt === -1 ? source.length : lt;
+    if (textEnd > index && !skip) {
+      output += sanitizeHTMLText(source.slice(index, textEnd));
+    }
+    if (lt === -1) break;
+    index = lt;
+
+    // 注释、文档类型和处理指令整体丢弃
+    if (source.startsWith('<!--', index)) {
+      const end = source.indexOf('-->', index + 4);
+      index = end === -1 ? source.length : end + 3;
+      continue;
+    }
+    if (source[index + 1] === '!' || source[index + 1] === '?') {
+      const end = source.indexOf('>', index);
+      index = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    const tag = parseHTMLTag(source, index);
+    if (!tag) {
+      if (!skip) output += '&lt;';
+      index++;
+      continue;
+    }
+    // 未闭合的标签,浏览器会将其与之后的内容一并丢弃
+    if (tag.unterminated) break;
+    index = tag.end;
+
+    if (tag.closing) {
+      if (skip) {
+        if (tag.name === skip.name && --skip.depth === 0) skip = null;
+        continue;
+      }
+      let position = stack.length - 1;
+      while (position >= 0 && stack[position].name !== tag.name) position--;
+      while (position >= 0 && stack.length > position) {
+        output += '</' + stack.pop().tag + '>';
       }
+      continue;
+    }
 
-      /* 移动端适配 */
-      @media (max-width: 768px) {
-        .preview-container pre {
-          padding: 1em 0.8em;
-          font-size: 0.9em;
-        }
+    const parentNs = currentNamespace();
+    const ns = parentNs === 'html' && (tag.name === 'svg' || tag.name === 'math') ? tag.name : parentNs;
+    let rawText = null;
+    if (SANITIZE_RAW_TEXT_ELEMENTS.has(tag.name) && (ns === 'html' || tag.name === 'style' || tag.name === 'script')) {
+      const closeTag = new RegExp('</' + tag.name + '(?=[\\s/>]|$)', 'ig');
+      closeTag.lastIndex = index;
+      const close = closeTag.exec(source);
+      rawText = source.slice(index, close ? close.index : source.length);
+      const closeEnd = close ? source.indexOf('>', close.index) : -1;
+      index = closeEnd === -1 ? source.length : closeEnd + 1;
+    }
 
-        .preview-container code {
-          font-size: 0.85em;
-        }
+    const isVoid = (ns === 'html' && SANITIZE_VOID_ELEMENTS.has(tag.name)) || (ns !== 'html' && tag.selfClosing);
+    if (skip) {
+      if (rawText === null && tag.name === skip.name && !isVoid) skip.depth++;
+      continue;
+    }
 
-        .preview-container pre::before {
-          opacity: 1;
-        }
+    const isAllowed = SANITIZE_ELEMENTS[ns].has(tag.name) &&
+      (tag.name !== 'input' || tag.attrs.some(attr => attr.name.toLowerCase() === 'type' && attr.value.toLowerCase() === 'checkbox'));
+    if (!isAllowed) {
+      if (SANITIZE_DROP_ELEMENTS.has(tag.name) && rawText === null && !isVoid) {
+        skip = { name: tag.name, depth: 1 };
       }
+      continue;
+    }
 
-      /* 代码块中的链接样式 */
-      .preview-container pre a,
-      .preview-container code a {
-        border-bottom: none;
-      }
+    if (rawText !== null) {
+      // 只有 SVG 中的 style 会走到这里,浏览器会解码其中的字符实体,因此先解码再校验并重新转义
+      const css = prefixUserContentCSS(sanitizeCSS(decodeHTMLEntities(rawText)), true);
+      output += '<' + tag.tag + '>' + escapeHTML(css) + '</' + tag.tag + '>';
+      continue;
+    }
 
-      .preview-container pre a::after,
-      .preview-container code a::after {
-        display: none;
-      }
+    output += '<' + tag.tag + sanitizeHTMLAttributes(tag, ns) + (ns !== 'html' && isVoid ? '/>' : '>');
+    if (!isVoid) {
+      stack.push({ name: tag.name, tag: tag.tag, ns });
+    }
+  }
 
-      /* 图片链接样式 */
-      .preview-container a:has(img) {
-        border-bottom: none;
-      }
+  // 补齐未闭合的元素,避免影响页面其余部分
+  while (stack.length) {
+    output += '</' + stack.pop().tag + '>';
+  }
+  return output;
+}
 
-      .preview-container a:has(img)::after {
-        display: none;
-      }
+/**
+ * 解析HTML中位于指定位置的开始或结束标签
+ * @param {string} source - HTML源码
+ * @param {number} start - "<" 所在位置
+ * @returns {Object|null} 标签信息 { closing, tag, name, attrs, selfClosing, end, unterminated },不是标签时返回 null
+ */
+function parseHTMLTag(source, start) {
+  const head = /<(\/?)([a-zA-Z][^\s\/>]*)/y;
+  head.lastIndex = start;
+  const match = head.exec(source);
+  if (!match) return null;
+
+  const tag = {
+    closing: match[1] === '/',
+    tag: match[2],
+    name: match[2].toLowerCase(),
+    attrs: [],
+    selfClosing: false,
+    end: source.length,
+    unterminated: false
+  };
+  const attribute = /([^\s\/>][^\s\/>=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/y;
+  let position = head.lastIndex;
+  while (position < source.length) {
+    const char = source[position];
+    if (char === '>') {
+      tag.end = position + 1;
+      return tag;
+    }
+    if (char === '/') {
+      tag.selfClosing = source[position + 1] === '>';
+      position++;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    attribute.lastIndex = position;
+    const attr = attribute.exec(source);
+    const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4];
+    tag.attrs.push({ name: attr[1], value: value || '' });
+    position = attribute.lastIndex;
+  }
+  tag.unterminated = true;
+  return tag;
+}
 
-      .preview-container hr {
-        margin: 2em 0;
-        border: none;
-        border-top: 1px solid var(--border-color);
-      }
+/**
+ * 按白名单输出元素的属性,属性值解码后校验并重新转义
+ * @param {Object} tag - parseHTMLTag 返回的标签信息
+ * @param {string} ns - 元素所在命名空间(html、svg 或 math)
+ * @returns {string} 以空格开头的属性字符串
+ */
+function sanitizeHTMLAttributes(tag, ns) {
+  if (ns === 'html' && tag.name === 'input') {
+    // 只保留任务列表的复选框
+    const checked = tag.attrs.some(attr => attr.name.toLowerCase() === 'checked');
+    return ' type="checkbox" disabled' + (checked ? ' checked' : '');
+  }
 
-      .preview-container table {
-        width: 100%;
-        border-collapse: collapse;
-        margin: 1.5em 0;
-        overflow-x: auto;
-        display: block;
+  const seen = new Set();
+  let result = '';
+  for (const attr of tag.attrs) {
+    const name = attr.name.toLowerCase();
+    // 重复属性以第一个为准,与浏览器一致
+    if (seen.has(name)) continue;
+    seen.add(name);
+    if (!SANITIZE_ATTRIBUTES[ns].has(name) && !/^aria-[a-z-]+$/.test(name)) continue;
+
+    let value = decodeHTMLEntities(attr.value);
+    if (name === 'href' || name === 'xlink:href' || name === 'src' || name === 'cite') {
+      // SVG 中只允许引用文档内的元素(如 Mermaid 的箭头标记)
+      const isSafe = ns === 'html' ? isSafeURL(value, tag.name === 'img' && name === 'src') : value.startsWith('#');
+      if (!isSafe) continue;
+      // 文档内的引用指向加了前缀的 id
+      if (value.startsWith('#') && value.length > 1) {
+        value = '#' + prefixUserContentId(value.slice(1));
       }
+    }
+    if (name === 'id' || name === 'name') {
+      if (!value) continue;
+      value = prefixUserContentId(value);
+    }
+    if (name === 'style') {
+      value = sanitizeCSS(value);
+      if (!value) continue;
+    }
+    if (ns !== 'html') {
+      // SVG 的 fill、marker-end、clip-path 等属性用 url(#id) 引用元素
+      value = prefixUserContentCSS(value, false);
+    }
+    if (ns === 'html' && tag.name === 'a' && name === 'rel') continue;
+    result += ' ' + attr.name + '="' + escapeHTML(value) + '"';
+  }
+  if (ns === 'html' && tag.name === 'a') {
+    result += ' rel="noopener noreferrer"';
+  }
+  return result;
+}
 
-      .preview-container th,
-      .preview-container td {
-        border: 1px solid var(--border-color);
-        padding: 8px 12px;
-        text-align: left;
-      }
+/**
+ * 给用户内容中的 id 加上前缀,已有前缀的保持不变(内容可能被多次净化)
+ * @param {string} id - 原始 id
+ * @returns {string} 加上前缀的 id
+ */
+function prefixUserContentId(id) {
+  return id.startsWith(USER_CONTENT_ID_PREFIX) ? id : USER_CONTENT_ID_PREFIX + id;
+}
 
-      .preview-container th {
-        background-color: var(--hover-color);
-        font-weight: 600;
-      }
+/**
+ * 给样式中对文档内元素的引用加上与 id 相同的前缀
+ * @param {string} css - 样式文本或 SVG 属性值
+ * @param {boolean} isStyleSheet - 是否为样式表(此时同时处理选择器中的 #id)
+ * @returns {string} 处理后的样式文本
+ */
+function prefixUserContentCSS(css, isStyleSheet) {
+  let result = css.replace(/(url\(\s*['"]?\s*#)([^'")\s]+)/gi, (match, start, id) => start + prefixUserContentId(id));
+  if (isStyleSheet) {
+    // 只处理 { 之前的选择器部分,声明中的 #fff 之类的颜色保持不变
+    result = result.replace(/(^|[{}])([^{}]+)(?=\{)/g, (match, start, selector) =>
+      start + selector.replace(/#(-?[_a-zA-Z\u00a0-\uffff][\w\u00a0-\uffff-]*)/g, (id, name) => '#' + prefixUserContentId(name)));
+  }
+  return result;
+}
 
-      .preview-container tr:nth-child(even) {
-        background-color: var(--editor-bg);
-      }
+/**
+ * 转义文本中的HTML特殊字符,保留已有的字符实体
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function sanitizeHTMLText(text) {
+  return text
+    .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
 
-      .preview-container tr:hover {
-        background-color: var(--hover-color);
-      }
+/**
+ * 解码属性值中的字符实体,以便按浏览器看到的值进行校验
+ * @param {string} value - 属性原始值
+ * @returns {string} 解码后的值,不认识的命名实体保持原样
+ */
+function decodeHTMLEntities(value) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', colon: ':', tab: '\t', newline: '\n' };
+  return value.replace(/&(?:#x([0-9a-f]+);?|#(\d+);?|([a-z][a-z0-9]*);)/gi, (entity, hex, decimal, name) => {
+    if (name) {
+      const char = named[name.toLowerCase()];
+      return char !== undefined ? char : entity;
+    }
+    const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+  });
+}
 
-      .preview-container img {
-        max-width: 100%;
-        margin: 1em 0;
-        border-radius: 4px;
-      }
+/**
+ * 检查链接是否安全,只允许相对地址和 http、https、mailto、tel 协议
+ * @param {string} url - 已解码的链接
+ * @param {boolean} [allowDataImage] - 是否允许 data:image 图片
+ * @returns {boolean} 是否安全
+ */
+function isSafeURL(url, allowDataImage = false) {
+  // 浏览器解析链接时会忽略控制字符和空白,校验前同样去掉
+  const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+  if (!scheme) return true;
+  const protocol = scheme[1].toLowerCase();
+  if (['http', 'https', 'mailto', 'tel'].includes(protocol)) return true;
+  return allowDataImage && protocol === 'data' && /^data:image\/(png|gif|jpe?g|webp|bmp|svg\+xml)[;,]/i.test(normalized);
+}
 
-      /* 滚动条样式 */
-      .editor-container textarea,
-      .preview-container,
-      .preview-content {
-        scrollbar-width: thin;
-        scrollbar-color: var(--secondary-color) transparent;
-      }
+/**
+ * 净化CSS,包含脚本、外部资源引用的样式整体丢弃
+ * 只允许 url(#id) 形式的文档内引用(Mermaid 的箭头标记和渐变会用到)
+ * @param {string} css - 样式文本
+ * @returns {string} 原样式文本,不安全时返回空字符串
+ */
+function sanitizeCSS(css) {
+  // 先展开 CSS 转义并去掉注释,避免用 \75 rl( 之类的写法绕过检查
+  const normalized = css
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([0-9a-f]{1,6})\s?/gi, (escape, hex) => {
+      const code = parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+    })
+    .replace(/\\([\s\S])/g, '$1');
+  if (/expression\s*\(|javascript:|behavior\s*:|-moz-binding|@import|url\s*\(\s*['"]?\s*(?!#)/i.test(normalized)) {
+    return '';
+  }
+  return css;
+}
 
-      .editor-container textarea::-webkit-scrollbar,
-      .preview-container::-webkit-scrollbar,
-      .preview-content::-webkit-scrollbar {
-        width: 8px;
-        height: 8px;
-      }
+// 行内原样保留的内容,按优先顺序排列:[开始标记, 结束标记, 内容最少字符数] 或从当前位置匹配的粘性正则
+// 公式交给页面中的 KaTeX 渲染
+const MARKDOWN_FORMULA_SPANS = [
+  ['$$', '$$', 1],
+  /\$(?!\s)[^$\n]+?(?<!\s)\$/y,
+  ['\\(', '\\)', 1],
+  ['math\\[', '\\]', 1],
+  ['\\begin{align}', '\\end{align}', 1]
+];
+// 行内HTML注释和标签,随后统一净化
+const MARKDOWN_INLINE_HTML_SPANS = [['<!--', '-->', 0], /<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>/y];
+// 引用块和列表最多嵌套的层数,更深的标记按普通文本渲染,避免深层递归耗尽调用栈
+const MARKDOWN_MAX_NESTING = 32;
+// Markdown 中作为HTML块原样保留(随后统一净化)的块级元素
+const MARKDOWN_HTML_BLOCK_TAGS = new Set(('address article aside blockquote center details dialog dd div dl dt ' +
+  'fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 header hr iframe li main nav ol p pre script section ' +
+  'style summary table tbody td tfoot th thead tr ul svg math').split(' '));
 
-      .editor-container textarea::-webkit-scrollbar-track,
-      .preview-container::-webkit-scrollbar-track,
-      .preview-content::-webkit-scrollbar-track {
-        background: transparent;
-      }
+/**
+ * 在服务端将 Markdown 渲染为净化后的HTML,供分享页面使用
+ * 支持 GFM 常用语法(表格、任务列表、删除线、自动链接)并与编辑器一样把换行渲染为 <br>;
+ * 公式保留原始定界符,代码块输出 language-* 类名,由页面中的 KaTeX、highlight.js 和 Mermaid 完成渲染。
+ * @param {string} markdown - Markdown 源码
+ * @returns {string} 净化后的HTML
+ */
+function renderMarkdown(markdown) {
+  const context = { links: {}, slugs: new Map(), depth: 0 };
+  const text = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '\ufffd')
+    .replace(/^\t+/gm, tabs => '    '.repeat(tabs.length))
+    // 先收集引用式链接的定义
+    .replace(/^ {0,3}\[([^\]\n]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+["'(]([^\n]*?)["')])?[ \t]*$/gm, (definition, label, href, title) => {
+      context.links[label.toLowerCase()] = { href, title };
+      return '';
+    });
+  return sanitizeHTML(renderMarkdownBlocks(text.split('\n'), context, false));
+}
 
-      .editor-container textarea::-webkit-scrollbar-thumb,
-      .preview-container::-webkit-scrollbar-thumb,
-      .preview-content::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 4px;
-        border: 2px solid var(--editor-bg);
-      }
+/**
+ * 渲染 Markdown 块级内容
+ * @param {string[]} lines - 源码行
+ * @param {Object} context - 渲染上下文 { links, slugs, depth },depth 为当前所在引用块和列表的层数
+ * @param {boolean} tight - 是否为紧凑列表项(段落不包 <p>)
+ * @returns {string} HTML
+ */
+function renderMarkdownBlocks(lines, context, tight) {
+  let html = '';
+  let paragraph = [];
+  let index = 0;
+
+  const flushParagraph = () => {
+    if (!paragraph.length) return;
+    const content = renderMarkdownInline(paragraph.join('\n').trim(), context);
+    html += tight ? content + '\n' : '<p>' + content + '</p>\n';
+    paragraph = [];
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    let match;
+
+    if (!line.trim()) {
+      flushParagraph();
+      index++;
+      continue;
+    }
 
-      .editor-container textarea::-webkit-scrollbar-thumb:hover,
-      .preview-container::-webkit-scrollbar-thumb:hover,
-      .preview-content::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
+    // Setext 标题(上一行是段落)
+    if (paragraph.length && (match = /^ {0,3}(=+|-+)\s*$/.exec(line))) {
+      const text = paragraph.join('\n').trim();
+      paragraph = [];
+      html += renderMarkdownHeading(match[1][0] === '=' ? 1 : 2, text, context);
+      index++;
+      continue;
+    }
 
-      /* 移动端滚动条优化 */
-      @media (max-width: 768px) {
-        .editor-container textarea::-webkit-scrollbar,
-        .preview-container::-webkit-scrollbar,
-        .preview-content::-webkit-scrollbar {
-          width: 6px;
-          height: 6px;
-        }
+    // 围栏代码块
+    if ((match = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/.exec(line))) {
+      flushParagraph();
+      const closing = new RegExp('^ {0,3}' + match[1][0] + '{' + match[1].length + ',}\\s*$');
+      const code = [];
+      index++;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index++]);
+      }
+      index++;
+      const language = match[2] ? ' class="language-' + escapeHTML(match[2]) + '"' : '';
+      html += '<pre><code' + language + '>' + escapeHTML(code.join('\n')) + (code.length ? '\n' : '') + '</code></pre>\n';
+      continue;
+    }
 
-        .editor-container textarea::-webkit-scrollbar-thumb,
-        .preview-container::-webkit-scrollbar-thumb,
-        .preview-content::-webkit-scrollbar-thumb {
-          border-width: 1.5px;
+    // 独立成段的 $$ 公式,保持为单个文本节点以便 KaTeX 识别跨行公式
+    if (line.trim() === '$$' || /^ {0,3}\$\$[\s\S]*\$\$\s*$/.test(line)) {
+      flushParagraph();
+      const formula = [line.trim()];
+      index++;
+      if (line.trim() === '$$') {
+        while (index < lines.length && !/\$\$\s*$/.test(lines[index])) {
+          formula.push(lines[index++]);
         }
+        if (index < lines.length) formula.push(lines[index++]);
       }
+      html += '<p>' + escapeHTML(formula.join('\n')) + '</p>\n';
+      continue;
+    }
 
-      /* 移动端响应式布局优化 */
-      @media (max-width: 768px) {
-        .container {
-          padding: 5px;
-          height: 100vh;
-          max-height: -webkit-fill-available;
-          display: flex;
-          flex-direction: column;
-          width: 100%;
-        }
-
-        .container.toolbar-hidden {
-          padding: 5px;
-        }
+    // ATX 标题
+    if ((match = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/.exec(line))) {
+      flushParagraph();
+      html += renderMarkdownHeading(match[1].length, match[2] || '', context);
+      index++;
+      continue;
+    }
 
-        .editor-container {
-          flex: 1;
-          min-height: 0;
-          gap: 5px;
-          margin-bottom: env(safe-area-inset-bottom, 15px);
-          width: 100%;
-          display: flex;
-          flex-direction: column;
-        }
+    // 分隔线
+    if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line)) {
+      flushParagraph();
+      html += '<hr>\n';
+      index++;
+      continue;
+    }
 
-        .editor-container.preview-mode {
-          display: flex;
-          flex-direction: column;
-          height: calc(100vh - 60px - env(safe-area-inset-bottom, 15px)); /* 减去工具栏和底部安全区域 */
-        }
+    // 引用块,直到空行结束(包括省略 > 的延续行)
+    if (context.depth < MARKDOWN_MAX_NESTING && /^ {0,3}>/.test(line)) {
+      flushParagraph();
+      const quote = [];
+      while (index < lines.length && lines[index].trim()) {
+        quote.push(lines[index++].replace(/^ {0,3}> ?/, ''));
+      }
+      context.depth++;
+      html += '<blockquote>\n' + renderMarkdownBlocks(quote, context, false) + '</blockquote>\n';
+      context.depth--;
+      continue;
+    }
 
-        .editor-wrapper,
-        .preview-container {
-          flex: 1;
-          min-height: 0;
-          overflow: auto;
-          -webkit-overflow-scrolling: touch;
-          width: 100%;
-        }
+    // 列表
+    if (context.depth < MARKDOWN_MAX_NESTING && (match = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+|$)/.exec(line)) &&
+        (!paragraph.length || !/^\d/.test(match[2]) || parseInt(match[2], 10) === 1)) {
+      flushParagraph();
+      const result = renderMarkdownList(lines, index, context);
+      html += result.html;
+      index = result.end;
+      continue;
+    }
 
-        .editor-container.preview-mode .editor-wrapper,
-        .editor-container.preview-mode .preview-container {
-          flex: 1;
-          height: 0; /* 让flex:1生效 */
-          min-height: 0;
-          max-height: none;
-          width: 100%;
-        }
+    // 表格:表头行之后紧跟对齐行
+    if (line.includes('|') && index + 1 < lines.length && lines[index + 1].includes('|') &&
+        /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(lines[index + 1])) {
+      flushParagraph();
+      const result = renderMarkdownTable(lines, index, context);
+      html += result.html;
+      index = result.end;
+      continue;
+    }
 
-        /* 处理键盘弹出时的布局 */
-        @supports (-webkit-touch-callout: none) {
-          .editor-container.preview-mode {
-            height: calc(100vh - 60px - env(safe-area-inset-bottom, 15px) - env(keyboard-inset-height, 0px));
-          }
-        }
+    // HTML块,直到空行结束
+    if ((match = /^ {0,3}<(?:!--|\/?([a-zA-Z][\w-]*))/.exec(line)) && (!match[1] || MARKDOWN_HTML_BLOCK_TAGS.has(match[1].toLowerCase()))) {
+      flushParagraph();
+      while (index < lines.length && lines[index].trim()) {
+        html += lines[index++] + '\n';
+      }
+      continue;
+    }
 
-        /* 确保内容可滚动 */
-        .editor-container.preview-mode .editor-wrapper textarea,
-        .editor-container.preview-mode .preview-container {
-          height: 100%;
-          overflow-y: auto;
-        }
+    // 缩进代码块(不能打断段落)
+    if (!paragraph.length && /^ {4}/.test(line)) {
+      const code = [];
+      while (index < lines.length && (/^ {4}/.test(lines[index]) || !lines[index].trim())) {
+        code.push(lines[index++].slice(4));
       }
+      while (code.length && !code[code.length - 1].trim()) code.pop();
+      html += '<pre><code>' + escapeHTML(code.join('\n')) + '\n</code></pre>\n';
+      continue;
+    }
 
-      /* 处理超小屏幕设备 */
-      @media (max-width: 320px) {
-        .container {
-          padding: 3px 3px 12px 3px;
-        }
+    paragraph.push(line);
+    index++;
+  }
 
-        .container.toolbar-hidden {
-          padding: 8px;
-        }
+  flushParagraph();
+  return html;
+}
 
-        .editor-wrapper textarea,
-        .line-numbers span {
-          font-size: 15px;
-        }
+/**
+ * 渲染标题,生成与编辑器预览(marked headerIds)相同规则的锚点ID
+ * @param {number} level - 标题级别
+ * @param {string} text - 标题源码
+ * @param {Object} context - 渲染上下文
+ * @returns {string} HTML
+ */
+function renderMarkdownHeading(level, text, context) {
+  const content = renderMarkdownInline(text, context);
+  let slug = content.toLowerCase().trim()
+    .replace(/<[!\/a-z].*?>/gi, '')
+    .replace(/[\u2000-\u206F\u2E00-\u2E7F\\'!"#$%&()*+,./:;<=>?@[\]^`{|}~]/g, '')
+    .replace(/\s/g, '-');
+  const count = context.slugs.get(slug) || 0;
+  context.slugs.set(slug, count + 1);
+  if (count) slug += '-' + count;
+  return '<h' + level + ' id="' + escapeHTML(slug) + '">' + content + '</h' + level + '>\n';
+}
 
-        .preview-container {
-          font-size: 15px;
-          padding: 10px 10px 20px 10px;
-        }
-      }
+/**
+ * 渲染从指定行开始的列表
+ * @param {string[]} lines - 源码行
+ * @param {number} start - 列表第一行
+ * @param {Object} context - 渲染上下文
+ * @returns {{html: string, end: number}} HTML 及列表之后的行号
+ */
+function renderMarkdownList(lines, start, context) {
+  const itemPattern = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+  const first = itemPattern.exec(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const bullet = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let index = start;
+
+  while (index < lines.length) {
+    const match = itemPattern.exec(lines[index]);
+    if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== bullet) break;
+    // 分隔线优先于列表项
+    if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(lines[index])) break;
+
+    const contentIndent = match[1].length + match[2].length + (match[4] ? Math.min(match[3].length, 4) : 1);
+    const content = [match[4]];
+    let blankBefore = false;
+    index++;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (!line.trim()) {
+        blankBefore = true;
+        content.push('');
+        index++;
+        continue;
+      }
+      const indent = line.match(/^ */)[0].length;
+      if (indent >= contentIndent) {
+        if (blankBefore) loose = loose || content.some(part => part.trim());
+        content.push(line.slice(contentIndent));
+        blankBefore = false;
+        index++;
+        continue;
+      }
+      // 空行之后缩进不足,或遇到新的列表项,当前项结束
+      if (blankBefore || itemPattern.test(line) || /^ {0,3}(>|#|```|~~~)/.test(line)) break;
+      // 段落的延续行
+      content.push(line);
+      index++;
+    }
 
-      /* 处理横屏模式 */
-      @media (max-height: 480px) and (orientation: landscape) {
-        .container {
-          padding: 5px;
-          width: 100%;
-        }
-        
-        .container.toolbar-hidden {
-          padding: 5px;
-        }
-        
-        .toolbar {
-          padding: 6px 10px;
-          margin-bottom: 8px;
-          width: 100%;
-        }
-        
-        .editor-container {
-          height: calc(100vh - 80px);
-          width: 100%;
-        }
-        
-        .editor-container.preview-mode {
-          grid-template-columns: 1fr 1fr; /* 横屏时恢复左右布局 */
-          gap: 8px;
-          width: 100%;
-        }
-        
-        .editor-wrapper,
-        .preview-container {
-          width: 100%;
-          height: 100%;
-          box-sizing: border-box;
-        }
+    // 列表项之间的空行使整个列表成为松散列表
+    while (content.length && !content[content.length - 1].trim()) content.pop();
+    if (blankBefore && index < lines.length && itemPattern.test(lines[index])) {
+      const next = itemPattern.exec(lines[index]);
+      if (/\d/.test(next[2]) === ordered && next[2].slice(-1) === bullet) loose = true;
+    }
+    items.push(content);
+  }
 
-        .editor-wrapper textarea,
-        .preview-container {
-          width: 100%;
-          height: 100%;
-          box-sizing: border-box;
-        }
-        
-        .editor-container.preview-mode .editor-wrapper,
-        .editor-container.preview-mode .preview-container {
-          height: 100%;
-          width: 100%;
-        }
+  let html = ordered && parseInt(first[2], 10) !== 1 ? '<ol start="' + parseInt(first[2], 10) + '">\n' : ordered ? '<ol>\n' : '<ul>\n';
+  for (const content of items) {
+    let checkbox = '';
+    const task = /^\[([ xX])\][ \t]+/.exec(content[0]);
+    if (task) {
+      checkbox = '<input ' + (task[1] === ' ' ? '' : 'checked="" ') + 'disabled="" type="checkbox"> ';
+      content[0] = content[0].slice(task[0].length);
+    }
+    context.depth++;
+    const body = renderMarkdownBlocks(content, context, !loose).replace(/\n$/, '');
+    context.depth--;
+    html += '<li>' + (loose && checkbox ? body.replace(/^<p>/, '<p>' + checkbox) : checkbox + body) + '</li>\n';
+  }
+  html += ordered ? '</ol>\n' : '</ul>\n';
+  return { html, end: index };
+}
 
-        /* 横屏模式下状态栏优化 */
-        .status-bar,
-        .preview-status-bar {
-          height: 24px;
-          font-size: 11px;
-          padding: 0 6px;
-          width: 100%;
-        }
+/**
+ * 渲染从指定行开始的 GFM 表格
+ * @param {string[]} lines - 源码行
+ * @param {number} start - 表头所在行
+ * @param {Object} context - 渲染上下文
+ * @returns {{html: string, end: number}} HTML 及表格之后的行号
+ */
+function renderMarkdownTable(lines, start, context) {
+  const splitRow = row => {
+    const cells = row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+    return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+  };
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+  });
+  const renderCell = (tag, text, column) => {
+    const align = aligns[column] ? ' align="' + aligns[column] + '"' : '';
+    return '<' + tag + align + '>' + renderMarkdownInline(text || '', context) + '</' + tag + '>';
+  };
+
+  let html = '<table>\n<thead>\n<tr>\n' + header.map((cell, column) => renderCell('th', cell, column)).join('\n') + '\n</tr>\n</thead>\n';
+  let index = start + 2;
+  const rows = [];
+  while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+    const cells = splitRow(lines[index++]);
+    rows.push('<tr>\n' + header.map((cell, column) => renderCell('td', cells[column], column)).join('\n') + '\n</tr>');
+  }
+  if (rows.length) {
+    html += '<tbody>\n' + rows.join('\n') + '\n</tbody>\n';
+  }
+  html += '</table>\n';
+  return { html, end: index };
+}
 
-        .status-bar .status-left,
-        .status-bar .status-right,
-        .preview-status-bar .preview-status-left,
-        .preview-status-bar .preview-status-right {
-          gap: 8px;
-        }
+/**
+ * 渲染 Markdown 行内内容
+ * 代码、公式、链接地址等先替换为占位符,转义其余文本并处理强调后再还原。
+ * @param {string} text - 行内源码
+ * @param {Object} context - 渲染上下文
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text, context) {
+  const held = [];
+  const hold = html => '\u0000' + (held.push(html) - 1) + '\u0000';
+  const restore = html => html.replace(/\u0000(\d+)\u0000/g, (token, position) => restore(held[position]));
+  const link = (href, title, label) => {
+    if (!isSafeURL(href)) return label;
+    return hold('<a href="' + escapeHTML(href) + '"' + (title ? ' title="' + escapeHTML(title) + '"' : '') + '>') + label + hold('</a>');
+  };
+  const image = (src, title, alt) => {
+    const plainAlt = alt.replace(/\u0000(\d+)\u0000/g, (token, position) => restore(held[position]).replace(/<[^>]*>/g, ''));
+    return hold('<img src="' + escapeHTML(src) + '" alt="' + escapeHTML(plainAlt) + '"' + (title ? ' title="' + escapeHTML(title) + '"' : '') + '>');
+  };
+
+  // 行内代码
+  let result = text.replace(/(?<!`)(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (code, ticks, content) => {
+    return hold('<code>' + escapeHTML(content.replace(/^ ([\s\S]*) $/, '$1')) + '</code>');
+  });
+
+  // 公式原样保留,交给页面中的 KaTeX 渲染
+  result = holdMarkdownSpans(result, MARKDOWN_FORMULA_SPANS, formula => hold(escapeHTML(formula)));
+
+  result = result
+    // 反斜杠转义
+    .replace(/\\([!-\/:-@\[-`{-~])/g, (escape, char) => hold(escapeHTML(char)))
+    // <https://...> 形式的自动链接
+    .replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (autolink, href) => link(href, '', hold(escapeHTML(href))));
+
+  // 行内HTML,随后统一净化
+  result = holdMarkdownSpans(result, MARKDOWN_INLINE_HTML_SPANS, hold);
+
+  // 图片和链接
+  result = renderMarkdownLinks(result, '![', (alt, src, title) => image(src, title, alt));
+  result = renderMarkdownLinks(result, '[', (label, href, title) => link(href, title, label));
+
+  result = result
+    // 引用式图片和链接
+    .replace(/(!?)\[([^\[\]]+)\](?:\[([^\[\]]*)\])?/g, (match, bang, label, reference) => {
+      const definition = context.links[(reference || label).toLowerCase()];
+      if (!definition) return match;
+      return bang ? image(definition.href, definition.title, label) : link(definition.href, definition.title, label);
+    })
+    // 裸链接
+    .replace(/\bhttps?:\/\/[^\s<\u0000]*[^\s<\u0000.,:;"')\]!?]/g, url => link(url, '', hold(escapeHTML(url))));
+
+  result = escapeHTML(result);
+  result = renderMarkdownDelimiter(result, '**', 'strong');
+  result = renderMarkdownDelimiter(result, '__', 'strong');
+  result = renderMarkdownDelimiter(result, '*', 'em');
+  result = renderMarkdownDelimiter(result, '_', 'em');
+  result = renderMarkdownDelimiter(result, '~~', 'del');
+  // 与编辑器预览一致,段落内的换行渲染为 <br>
+  result = result.replace(/ *\n/g, '<br>');
+
+  return restore(result);
+}
 
-        .status-bar .status-right,
-        .preview-status-bar .preview-status-right {
-          padding-left: 8px;
-        }
+/**
+ * 找出行内需要原样保留的内容并替换为占位符
+ * 在每个位置按顺序尝试各项,成对标记的结束位置按结束标记缓存,之后的开始标记直接复用;
+ * 找不到结束标记时不再为同样的结束标记向后查找,未闭合的开始标记不会导致反复扫描
+ * @param {string} text - 行内文本
+ * @param {Array<Array|RegExp>} spans - 按优先顺序排列的 [开始标记, 结束标记, 内容最少字符数] 或粘性正则
+ * @param {function(string): string} hold - 把内容替换为占位符
+ * @returns {string} 替换后的文本
+ */
+function holdMarkdownSpans(text, spans, hold) {
+  // 结束标记 → 最近一次查找的 { from, at },at 为 -1 表示其后没有该结束标记
+  const found = new Map();
+  const findClosing = (closing, from) => {
+    const cached = found.get(closing);
+    if (cached && cached.from <= from && (cached.at === -1 || cached.at >= from)) return cached.at;
+    const at = text.indexOf(closing, from);
+    found.set(closing, { from, at });
+    return at;
+  };
+  const matchAt = (span, index) => {
+    if (span instanceof RegExp) {
+      span.lastIndex = index;
+      return span.test(text) ? span.lastIndex : -1;
+    }
+    const [opening, closing, minLength] = span;
+    if (!text.startsWith(opening, index)) return -1;
+    const at = findClosing(closing, index + opening.length + minLength);
+    return at === -1 ? -1 : at + closing.length;
+  };
+
+  let result = '';
+  let copied = 0;
+  let index = 0;
+  while (index < text.length) {
+    let end = -1;
+    for (const span of spans) {
+      end = matchAt(span, index);
+      if (end !== -1) break;
+    }
+    if (end === -1) {
+      index++;
+      continue;
+    }
+    result += text.slice(copied, index) + hold(text.slice(index, end));
+    copied = index = end;
+  }
+  return result + text.slice(copied);
+}
 
-        .status-item,
-        .preview-status-item {
-          margin-right: 8px;
-        }
+/**
+ * 渲染行内链接 [文字](地址 "标题") 或图片 ![说明](地址 "标题")
+ * 先用栈一次配对所有方括号,每个 [ 的结束位置直接查表,地址部分向后解析时遇到第一个不合法的字符就停止,
+ * 整体是线性的,未闭合的 [ 或 ( 不会导致反复向后扫描
+ * @param {string} text - 行内文本
+ * @param {string} marker - 开始标记,[ 为链接,![ 为图片
+ * @param {function(string, string, string): string} render - 根据文字、地址和标题生成替换内容
+ * @returns {string} 渲染后的文本
+ */
+function renderMarkdownLinks(text, marker, render) {
+  // [ 的位置 → 与之配对的 ] 的位置
+  const closing = new Map();
+  const opening = [];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '[') {
+      opening.push(index);
+    } else if (text[index] === ']' && opening.length) {
+      closing.set(opening.pop(), index);
+    }
+  }
 
-        .status-item label,
-        .preview-status-item label {
-          gap: 2px;
-        }
+  let result = '';
+  let copied = 0;
+  let index = 0;
+  while (index < text.length) {
+    const start = text.indexOf(marker, index);
+    if (start === -1) break;
+    const bracket = start + marker.length - 1;
+    const end = closing.get(bracket);
+    const target = end !== undefined && text[end + 1] === '(' ? parseMarkdownLinkTarget(text, end + 2) : null;
+    if (!target) {
+      index = start + 1;
+      continue;
+    }
+    result += text.slice(copied, start) + render(text.slice(bracket + 1, end), target.href, target.title);
+    copied = index = target.end;
+  }
+  return result + text.slice(copied);
+}
 
-        .status-item input[type="checkbox"],
-        .preview-status-item input[type="checkbox"] {
-          width: 12px;
-          height: 12px;
-        }
+/**
+ * 解析链接的地址和标题部分 <地址> "标题")
+ * 地址不含空白和尖括号,可以包含一层成对的圆括号;标题以引号包围
+ * @param {string} text - 行内文本
+ * @param {number} start - 左圆括号之后的位置
+ * @returns {{href: string, title: string, end: number}|null} 地址、标题及右圆括号之后的位置,格式不正确时为 null
+ */
+function parseMarkdownLinkTarget(text, start) {
+  const isSpace = char => char !== undefined && /\s/.test(char);
+  const isTargetDelimiter = char => /[\s()<>]/.test(char);
+  let index = start;
+  while (isSpace(text[index])) index++;
+  if (text[index] === '<') index++;
+
+  const hrefStart = index;
+  while (index < text.length) {
+    if (text[index] === '(') {
+      let group = index + 1;
+      while (group < text.length && !isTargetDelimiter(text[group])) group++;
+      if (text[group] !== ')') break;
+      index = group + 1;
+    } else if (isTargetDelimiter(text[index])) {
+      break;
+    } else {
+      index++;
+    }
+  }
+  const href = text.slice(hrefStart, index);
+  if (text[index] === '>') index++;
+
+  // 标题前至少一个空白,引号不配对时不算标题
+  let title = '';
+  let after = index;
+  while (isSpace(text[after])) after++;
+  if (after > index && (text[after] === '"' || text[after] === "'")) {
+    let close = after + 1;
+    while (close < text.length && text[close] !== '"' && text[close] !== "'") close++;
+    if (close < text.length) {
+      title = text.slice(after + 1, close);
+      index = close + 1;
+    }
+  }
 
-        /* 调整状态栏右侧开关的间距 */
-        .status-right .status-item {
-          margin-right: 4px;
-        }
+  while (isSpace(text[index])) index++;
+  return text[index] === ')' ? { href, title, end: index + 1 } : null;
+}
 
-        .status-right .switch-label,
-        .preview-status-right .switch-label {
-          font-size: 11px;
-          padding: 2px 4px;
-        }
-      }
-      
-      /* 适配折叠屏设备 */
-      @media (max-width: 350px) and (min-height: 600px) {
-        .container {
-          padding: 4px;
-        }
-        
-        .toolbar {
-          flex-direction: column;
-          align-items: stretch;
-        }
-        
-        .toolbar-left,
-        .toolbar-right {
-          justify-content: center;
-        }
-        
-        .editor-container {
-          height: calc(100vh - 140px);
-        }
-      }
-      
-      /* 适配深色模式和高对比度显示 */
-      @media (prefers-contrast: high) {
-        :root {
-          --border-color: #666666;
-          --shadow-color: rgba(0, 0, 0, 0.3);
-        }
-        
-        .editor-container textarea,
-        .preview-container {
-          border-width: 2px;
-        }
-      }
+/**
+ * 把成对的强调标记渲染为HTML标签
+ * 从左到右只扫描一遍:记住第一个能作为开头的标记,遇到第一个能作为结尾的标记时配对,
+ * 结果与"开头后紧跟非空白、结尾前紧跟非空白的最短匹配"一致,未闭合的标记不会导致回溯。
+ * 下划线标记不能出现在单词中间。
+ * @param {string} text - 已转义的行内文本
+ * @param {string} delimiter - 标记(**、__、*、_ 或 ~~)
+ * @param {string} tag - 输出的标签名
+ * @returns {string} 渲染后的文本
+ */
+function renderMarkdownDelimiter(text, delimiter, tag) {
+  const isWord = char => char !== undefined && /\w/.test(char);
+  const isSpace = char => char === undefined || /\s/.test(char);
+  const intraword = delimiter[0] !== '_';
+  const length = delimiter.length;
+  let result = '';
+  let copied = 0;
+  let open = -1;
+  let index = 0;
+  while (index < text.length) {
+    const position = text.indexOf(delimiter, index);
+    if (position === -1) break;
+    if (open === -1) {
+      if (!isSpace(text[position + length]) && (intraword || !isWord(text[position - 1]))) {
+        open = position;
+        // 内容至少一个字符
+        index = position + length + 1;
+      } else {
+        index = position + 1;
+      }
+      continue;
+    }
+    if (!isSpace(text[position - 1]) && (intraword || !isWord(text[position + length]))) {
+      result += text.slice(copied, open) + '<' + tag + '>' + text.slice(open + length, position) + '</' + tag + '>';
+      copied = position + length;
+      open = -1;
+      index = copied;
+    } else {
+      index = position + 1;
+    }
+  }
+  return result + text.slice(copied);
+}
 
-      /* 适配强制颜色模式 */
-      @media (forced-colors: active) {
-        :root {
-          --border-color: CanvasText;
-          --text-color: CanvasText;
-          --bg-color: Canvas;
-          --primary-color: LinkText;
-          --secondary-color: GrayText;
-          --container-bg: Canvas;
-          --editor-bg: Canvas;
-          --hover-color: Highlight;
-          --link-color: LinkText;
-          --link-hover-color: LinkText;
-          --link-visited-color: VisitedText;
-        }
+/**
+ * 生成笔记编辑页面HTML
+ * @param {string} noteName - 笔记名称
+ * @param {string} noteContent - 笔记内容
+ * @param {Object|null} [e2eEnvelope] - 端到端加密笔记的密文信封
+ * @param {string} [noteRevision] - 笔记内容的版本标识,保存时用于检测并发修改
+ * @returns {string} HTML内容
+ */
+function generateHTML(noteName, noteContent, e2eEnvelope = null, noteRevision = NOTE_REVISION_NONE) {
+  // 密文信封以 JSON 数据块输出,转义 < 避免提前闭合 script 标签
+  const e2eData = e2eEnvelope ? JSON.stringify(e2eEnvelope).replace(/</g, '\\u003c') : 'null';
+  return `<!DOCTYPE html>
+  <html lang="zh-CN">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${noteName} - 在线笔记</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github.min.css">
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github-dark.min.css" media="(prefers-color-scheme: dark)">
+    <!-- 添加KaTeX依赖 -->
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css">
+    <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/contrib/auto-render.min.js"></script>
+    <!-- 添加Mermaid依赖 -->
+    <script src="https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js"></script>
+    <style>
+      :root {
+        --primary-color: #4e92d1;
+        --secondary-color: #6c757d;
+        --bg-color: #ffffff;
+        --text-color: #333333;
+        --border-color: #e0e0e0;
+        --container-bg: #ffffff;
+        --editor-bg: #f8f8f8;
+        --shadow-color: rgba(0, 0, 0, 0.1);
+        --hover-color: #f0f0f0;
+        --link-color: #0366d6;
+        --link-hover-color: #0969da;
+        --link-visited-color: #6f42c1;
+      }
 
-        .editor-container textarea,
-        .preview-container,
-        .toolbar,
-        .status-bar,
-        .preview-status-bar {
-          border: 1px solid CanvasText;
-        }
+      [data-theme="dark"] {
+        --primary-color: #a2c2f5;
+        --secondary-color: #9ca3af;
+        --bg-color: #1a1a1a;
+        --text-color: #f1f1f1;
+        --border-color: #404040;
+        --container-bg: #2a2a2a;
+        --editor-bg: #333333;
+        --shadow-color: rgba(0, 0, 0, 0.3);
+        --hover-color: #3a3a3a;
+        --link-color: #58a6ff;
+        --link-hover-color: #79b8ff;
+        --link-visited-color: #bc8cff;
+      }
 
-        .markdown-toolbar button,
-        .toolbar-select,
-        .fullscreen-toggle {
-          border: 1px solid CanvasText;
-          background: Canvas;
-          color: CanvasText;
-        }
+      * {
+        box-sizing: border-box;
+        margin: 0;
+        padding: 0;
+      }
 
-        .markdown-toolbar button:hover,
-        .toolbar-select:hover,
-        .fullscreen-toggle:hover {
-          background: Highlight;
-          color: HighlightText;
-        }
+      body {
+        margin: 0;
+        background: var(--bg-color);
+        color: var(--text-color);
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+        font-size: 16px;
+        line-height: 1.6;
+        transition: all 0.3s ease;
       }
-      
-      /* 减少动画以适应省电模式 */
-      @media (prefers-reduced-motion: reduce) {
-        * {
-          transition: none !important;
+
+      .container {
+        width: 100%;
+        max-width: 100%;
+        margin: 0 auto;
+        padding: 10px;
+        min-height: 100vh;
+        height: 100vh;
+        display: flex;
+        flex-direction: column;
+        background-color: var(--container-bg);
+      }
+
+      .container.toolbar-hidden {
+        padding: 10px 10px 10px 10px;
+      }
+
+      .container.toolbar-hidden .editor-container {
+        height: calc(100vh - 20px);
+      }
+
+      @media (min-width: 1200px) {
+        .container {
+          max-width: 95%;
+          box-shadow: 0 0 20px var(--shadow-color);
         }
       }
 
-      /* 工具栏样式 */
-      .markdown-toolbar {
+      .toolbar {
         display: flex;
-        gap: 4px;
+        justify-content: space-between;
         align-items: center;
+        padding: 12px 15px;
+        background: var(--editor-bg);
+        border-radius: 12px;
+        margin-bottom: 10px;
+        gap: 10px;
+        overflow-x: auto;
+        -webkit-overflow-scrolling: touch;
+        scrollbar-width: none;
+        flex-shrink: 0;
+        transition: all 0.3s ease;
+        cursor: grab;
       }
 
-      .markdown-toolbar button {
-        padding: 4px 8px;
-        background: var(--editor-bg);
-        border: 1px solid var(--border-color);
-        border-radius: 4px;
-        color: var(--text-color);
-        cursor: pointer;
-        font-size: 14px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        min-width: 28px;
-        height: 28px;
-        transition: all 0.2s ease;
+      /* 添加工具栏滚动条样式 */
+      .toolbar::-webkit-scrollbar {
+        height: 6px;
+        width: 6px;
       }
 
-      .markdown-toolbar button:hover {
-        background: var(--hover-color);
+      .toolbar::-webkit-scrollbar-track {
+        background: transparent;
       }
 
-      .toolbar-select {
-        padding: 4px 8px;
-        border: 1px solid var(--border-color);
-        border-radius: 4px;
-        background: var(--editor-bg);
-        color: var(--text-color);
-        font-size: 14px;
-        cursor: pointer;
+      .toolbar::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 3px;
       }
 
-      .toolbar-select:hover {
-        background: var(--hover-color);
+      .toolbar::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
       }
 
-      /* Emoji 选择器样式 */
-      .emoji-picker {
-        position: fixed; /* 改为fixed定位，避免滚动问题 */
-        left: 50%;
-        top: 50%;
-        transform: translate(-50%, -50%);
-        background: var(--container-bg);
-        border: 1px solid var(--border-color);
-        border-radius: 8px;
-        box-shadow: 0 2px 8px var(--shadow-color);
-        padding: 15px;
+      /* 拖动时的光标样式 */
+      .toolbar.dragging {
+        cursor: grabbing;
+      }
+
+      .toolbar.hidden {
         display: none;
-        z-index: 1000;
-        max-height: 80vh;
-        width: 90%;
-        max-width: 400px;
-        overflow-y: auto;
-        -webkit-overflow-scrolling: touch;
       }
 
-      .emoji-picker-grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fill, minmax(40px, 1fr));
+      .toolbar-left {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        flex-shrink: 0; /* 防止工具栏压缩 */
+      }
+
+      .toolbar-right {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        flex-shrink: 0; /* 防止工具栏压缩 */
+      }
+
+      .toolbar-divider {
+        width: 1px;
+        height: 20px;
+        background-color: var(--border-color);
+        margin: 0 2px;
+      }
+
+      .switch-label {
+        display: flex;
+        align-items: center;
         gap: 8px;
+        cursor: pointer;
+        color: var(--text-color);
+        font-size: 0.9rem;
       }
 
-      .emoji-picker button {
-        width: 40px;
-        height: 40px;
-        padding: 8px;
-        border: none;
+      .switch-label input[type="checkbox"] {
+        width: 16px;
+        height: 16px;
+      }
+
+      .mode-toggle {
         background: none;
+        border: none;
+        font-size: 1.2rem;
         cursor: pointer;
-        border-radius: 8px;
-        transition: all 0.2s ease;
-        font-size: 20px;
+        padding: 8px;
+        border-radius: 50%;
+        transition: all 0.3s ease;
+        color: var(--text-color);
         display: flex;
         align-items: center;
         justify-content: center;
       }
 
-      .emoji-picker button:hover {
+      .mode-toggle:hover {
         background: var(--hover-color);
       }
 
-      .emoji-picker-overlay {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        z-index: 999;
+      .mode-toggle .sun-icon,
+      .mode-toggle .moon-icon {
         display: none;
       }
 
-      /* 全屏模式样式 */
-      .preview-container.fullscreen {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        width: 100vw;
-        height: 100vh;
-        z-index: 9999;
-        border-radius: 0;
-        border: none;
+      [data-theme="dark"] .moon-icon {
+        display: block;
       }
 
-      /* 真实全屏模式的样式 */
-      .preview-container:fullscreen {
-        background-color: var(--container-bg);
-        width: 100vw;
-        height: 100vh;
-        padding: 0;
-        margin: 0;
-        border: none;
-        border-radius: 0;
+      [data-theme="light"] .sun-icon {
+        display: block;
       }
 
-      .preview-container:fullscreen .preview-content {
-        height: calc(100vh - 25px);
-        padding: 20px;
-        max-width: 1200px;
-        margin: 0 auto;
+      .icon-container {
+        width: 20px;
+        height: 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
       }
 
-      .preview-container:fullscreen .preview-status-bar {
-        position: fixed;
-        bottom: 0;
-        left: 0;
-        right: 0;
-        background: var(--editor-bg);
-        border-top: 1px solid var(--border-color);
+      .note-name {
+        color: var(--primary-color);
+        font-weight: 500;
+        cursor: pointer;
+        padding: 5px 10px;
+        border-radius: 6px;
+        transition: all 0.3s ease;
+        display: flex;
+        align-items: center;
+        gap: 5px;
+        transform-origin: left center;
       }
 
-      /* 移动端全屏适配 */
-      @media (max-width: 768px) {
-        .preview-container:fullscreen .preview-content {
-          padding: 15px;
-          height: calc(100vh - 25px - env(safe-area-inset-bottom, 0px));
-        }
-        
-        .preview-container:fullscreen .preview-status-bar {
-          padding-bottom: env(safe-area-inset-bottom, 0px);
-        }
+      .note-name:hover {
+        background: var(--hover-color);
+        transform: scale(1.1);
       }
 
-      .preview-container.fullscreen .preview-content {
-        height: calc(100vh - 25px);
-        padding: 20px;
+      #save-status {
+        color: var(--secondary-color);
+        font-size: 0.9rem;
+        margin-left: 10px;
       }
 
-      /* 全屏切换按钮样式 */
-      .fullscreen-toggle {
-        background: none;
-        border: none;
-        color: var(--text-color);
-        cursor: pointer;
-        padding: 2px 8px;
-        border-radius: 4px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        transition: all 0.2s ease;
-        font-size: 12px;
+      .editor-container {
+        display: grid;
+        grid-template-columns: 1fr;
+        gap: 15px;
+        flex: 1;
+        min-height: 0;
+        margin: 0;
+        position: relative;
+        transition: all 0.3s ease;
       }
 
-      .fullscreen-toggle:hover {
-        background: var(--hover-color);
+      /* 编辑器包装器 */
+      .editor-wrapper {
+        position: relative;
+        width: 100%;
+        height: 100%;
+        display: flex;
+        background: var(--editor-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        overflow: hidden;
+        flex-direction: column;
       }
 
-      .fullscreen-toggle .fullscreen-icon {
-        display: inline-flex;
-        align-items: center;
-        justify-content: center;
-        width: 16px;
-        height: 16px;
+      /* 设置统一的行高和字符宽度 */
+      .editor-wrapper textarea,
+      .line-numbers span {
+        line-height: 1.5;
+        min-height: 1.5em;
+        font-size: 14px;
+        font-family: 'Consolas', 'Monaco', monospace;
+        box-sizing: border-box;
+        letter-spacing: 0;
       }
 
-      /* 预览区双击时禁止选中文本 */
-      .preview-container.fullscreen .preview-content {
-        -webkit-user-select: none;
-        -moz-user-select: none;
-        -ms-user-select: none;
+      .line-numbers {
+        padding: 15px 2px 40px 2px;
+        background: var(--editor-bg);
+        border-right: 1px solid var(--border-color);
+        color: var(--secondary-color);
         user-select: none;
+        overflow: hidden;
+        min-width: 28px;
+        width: auto;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
       }
 
-      /* 预览区恢复正常文本选择 */
-      .preview-container:not(.fullscreen) .preview-content {
-        -webkit-user-select: text;
-        -moz-user-select: text;
-        -ms-user-select: text;
-        user-select: text;
+      .line-numbers span {
+        display: block;
+        padding: 0 4px;
+        min-width: 24px;
+        text-align: right;
+        white-space: nowrap;
       }
 
-      /* 全屏模式下的状态栏样式 */
-      .preview-container.fullscreen .preview-status-bar {
-        position: fixed;
-        bottom: env(safe-area-inset-bottom, 0);
-        left: 0;
-        right: 0;
+      .line-numbers.hidden {
+        display: none;
+      }
+
+      /* 编辑器主体区域 */
+      .editor-main {
+        display: flex;
+        flex: 1;
+        overflow: hidden;
+        position: relative;
+      }
+
+      /* 状态栏样式统一 */
+      .status-bar,
+      .preview-status-bar {
+        position: relative;
+        height: 25px;
         background: var(--editor-bg);
         border-top: 1px solid var(--border-color);
-        z-index: 10000;
+        display: flex;
+        align-items: center;
+        padding: 0 10px;
+        font-size: 12px;
+        color: var(--secondary-color);
+        justify-content: space-between;
+        overflow-x: auto;
+        overflow-y: hidden;
+        -webkit-overflow-scrolling: touch;
+        scrollbar-width: none;
+        white-space: nowrap;
+        flex-shrink: 0;
       }
 
-      /* 响应式布局 - 移动端优化 */
-      @media (max-width: 768px) {
-        .toolbar {
-          padding: 8px;
-          margin-bottom: 12px;
-          white-space: nowrap;
-          gap: 8px;
-        }
+      /* 状态栏滚动条样式 */
+      .status-bar::-webkit-scrollbar,
+      .preview-status-bar::-webkit-scrollbar {
+        height: 4px;
+        width: 4px;
+      }
 
-        .toolbar-left,
-        .toolbar-right {
-          gap: 8px;
-        }
+      .status-bar::-webkit-scrollbar-track,
+      .preview-status-bar::-webkit-scrollbar-track {
+        background: transparent;
+      }
 
-        .markdown-toolbar button {
-          min-width: 32px;
-          height: 32px;
-          padding: 4px;
-        }
+      .status-bar::-webkit-scrollbar-thumb,
+      .preview-status-bar::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 2px;
+      }
 
-        .toolbar-select {
-          padding: 4px;
-          font-size: 13px;
-        }
+      .status-bar::-webkit-scrollbar-thumb:hover,
+      .preview-status-bar::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
+      }
 
-        .note-name {
-          font-size: 0.9rem;
-          padding: 4px 8px;
-        }
+      .status-left,
+      .preview-status-left {
+        display: flex;
+        align-items: center;
+        flex-wrap: nowrap;
+        min-width: min-content;
+        gap: 8px;
+        padding-right: 8px;
+      }
 
-        .emoji-picker {
-          padding: 10px;
-        }
+      .status-right,
+      .preview-status-right {
+        display: flex;
+        align-items: center;
+        margin-left: auto;
+        padding-left: 15px;
+        flex-wrap: nowrap;
+        min-width: min-content;
+        gap: 8px;
+      }
 
-        .emoji-picker button {
-          width: 36px;
-          height: 36px;
-          font-size: 18px;
-        }
+      /* 确保状态栏内容不会被截断 */
+      .status-bar > div,
+      .preview-status-bar > div {
+        flex-shrink: 0;
       }
 
-      /* 移动端状态栏适配 */
-      @media (max-width: 768px) {
-        .preview-status-bar {
-          padding: 0 8px;
-          overflow: hidden;
-        }
-
-        .preview-status-right {
-          gap: 8px;
-        }
-
-        .preview-status-item {
-          margin-left: 8px;
-          font-size: 11px;
-        }
+      .status-item,
+      .preview-status-item {
+        display: flex;
+        align-items: center;
+        gap: 5px;
+        font-family: 'Consolas', 'Monaco', monospace;
+        white-space: nowrap;
+        color: var(--secondary-color);
       }
 
-      /* 处理超小屏幕设备状态栏 */
-      @media (max-width: 320px) {
-        .preview-status-bar {
-          padding: 0 5px;
-        }
-
-        .preview-status-item {
-          margin-left: 5px;
-          font-size: 10px;
-        }
+      .status-item label,
+      .preview-status-item label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        cursor: pointer;
+        font-family: inherit;
+        font-size: inherit;
+        color: var(--secondary-color);
       }
 
-      /* 全屏模式下的移动端优化 */
-      @media (max-width: 768px) {
-        .preview-container.fullscreen {
-          position: fixed;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          width: 100vw;
-          height: 100vh;
-          height: -webkit-fill-available;
-          z-index: 9999;
-          border-radius: 0;
-          padding-bottom: env(safe-area-inset-bottom, 0);
-        }
-
-        .preview-container.fullscreen .preview-content {
-          height: calc(100vh - 25px - env(safe-area-inset-bottom, 0));
-          padding: 15px;
-        }
+      .status-item input[type="checkbox"],
+      .preview-status-item input[type="checkbox"] {
+        width: 14px;
+        height: 14px;
+        cursor: pointer;
+        margin: 0;
       }
 
-      /* 处理横屏模式 */
-      @media (max-height: 480px) and (orientation: landscape) {
-        .preview-container.fullscreen .preview-status-bar {
-          height: 24px;
-          font-size: 11px;
-          padding: 0 6px;
-        }
-
-        .preview-container.fullscreen .preview-content {
-          height: calc(100vh - 24px);
-          padding: 10px;
-        }
+      .status-item span,
+      .preview-status-item span {
+        color: var(--secondary-color);
       }
 
-      /* 在现有样式的末尾添加密码相关样式 */
-      .password-dialog {
-        display: none;
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        background: var(--container-bg);
-        border: 1px solid var(--border-color);
-        border-radius: 12px;
-        padding: 24px;
-        box-shadow: 0 8px 24px var(--shadow-color);
-        z-index: 1000;
-        width: 90%;
-        max-width: 360px;
+      .editor-container textarea {
+        flex: 1;
+        height: 100%;
+        padding: 15px 10px;
+        border: none;
+        border-radius: 0;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        resize: none;
+        tab-size: 4;
+        -moz-tab-size: 4;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        overflow-wrap: break-word;
+        overflow-x: hidden;
+        width: 100%;
         transition: all 0.3s ease;
       }
 
-      .password-dialog h3 {
-        margin: 0 0 20px 0;
-        color: var(--text-color);
-        font-size: 1.2em;
-        font-weight: 500;
-        display: flex;
-        align-items: center;
-        gap: 8px;
+      .editor-container textarea:focus {
+        outline: none;
       }
 
-      .password-dialog h3::before {
-        content: '🔒';
-        font-size: 1.1em;
+      .editor-container.preview-mode {
+        grid-template-columns: 1fr 1fr;
       }
 
-      .password-dialog input[type="password"] {
-        width: 100%;
-        padding: 10px 14px;
-        margin-bottom: 12px;
-        border: 1px solid var(--border-color);
+      .preview-container {
+        display: none;
+        height: 100%;
+        padding: 0;  /* 移除padding */
         border-radius: 8px;
+        border: 1px solid var(--border-color);
         background: var(--editor-bg);
         color: var(--text-color);
-        font-size: 15px;
-        transition: all 0.2s ease;
+        overflow: hidden;  /* 改为hidden，防止整体滚动 */
+        position: relative;
+        -webkit-user-select: none;  /* Safari */
+        -ms-user-select: none;      /* IE 10+ */
+        user-select: none;          /* Standard syntax */
       }
 
-      .password-dialog input[type="password"]:hover {
-        border-color: var(--secondary-color);
+      /* 添加预览内容容器样式 */
+      .preview-content {
+        height: calc(100% - 25px);  /* 减去状态栏高度 */
+        padding: 10px 12px;
+        overflow-y: auto;
+        overflow-x: hidden;
+        -webkit-user-select: text;  /* Safari */
+        -ms-user-select: text;      /* IE 10+ */
+        user-select: text;          /* Standard syntax */
       }
 
-      .password-dialog input[type="password"]:focus {
-        outline: none;
-        border-color: var(--primary-color);
-        box-shadow: 0 0 0 2px var(--primary-color-alpha);
+      /* 预览区状态栏样式 */
+      .preview-status-bar {
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        height: 25px;
+        background: var(--editor-bg);
+        border-top: 1px solid var(--border-color);
+        display: flex;
+        align-items: center;
+        padding: 0 10px;
+        font-size: 12px;
+        color: var(--secondary-color);
+        z-index: 1;
+        justify-content: space-between;
+        min-width: 100%;
+        white-space: nowrap;
       }
 
-      .password-dialog-message {
-        margin-bottom: 20px;
-        font-size: 0.95em;
-        color: #e74c3c;
-        min-height: 20px;
-        transition: all 0.3s ease;
-        opacity: 0;
+      .preview-status-left {
         display: flex;
         align-items: center;
-        gap: 6px;
+        gap: 8px;
+        flex-shrink: 0;
       }
 
-      .password-dialog-message::before {
-        content: '⚠️';
-        font-size: 1.1em;
+      .preview-status-right {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        flex-shrink: 0;
+        margin-left: auto;
       }
 
-      .password-dialog-message.success {
-        color: #2ecc71;
+      .preview-status-item {
+        display: flex;
+        align-items: center;
+        gap: 5px;
+        font-family: 'Consolas', 'Monaco', monospace;
+        white-space: nowrap;
+        flex-shrink: 0;
       }
 
-      .password-dialog-message.success::before {
-        content: '✅';
+      .preview-status-item label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        cursor: pointer;
+        font-family: inherit;
+        font-size: inherit;
+        color: var(--secondary-color);
       }
 
-      .password-dialog-message.show {
-        opacity: 1;
+      .preview-status-item input[type="checkbox"] {
+        width: 14px;
+        height: 14px;
+        cursor: pointer;
+        margin: 0;
       }
 
-      .password-dialog-buttons {
-        display: flex;
-        justify-content: flex-end;
-        gap: 12px;
+      .preview-status-item span {
+        color: var(--secondary-color);
       }
 
-      .password-dialog button {
-        padding: 8px 16px;
-        border: 1px solid var(--border-color);
-        border-radius: 8px;
-        background: var(--editor-bg);
+      .fullscreen-toggle {
+        background: none;
+        border: none;
         color: var(--text-color);
         cursor: pointer;
-        font-size: 14px;
-        font-weight: 500;
-        transition: all 0.2s ease;
+        padding: 2px 8px;
+        border-radius: 4px;
         display: flex;
         align-items: center;
-        gap: 6px;
+        justify-content: center;
+        transition: all 0.2s ease;
+        font-size: 12px;
       }
 
-      .password-dialog button:hover {
+      .fullscreen-toggle:hover {
         background: var(--hover-color);
-        border-color: var(--secondary-color);
-      }
-
-      .password-dialog button.primary {
-        background: var(--primary-color);
-        color: white;
-        border-color: var(--primary-color);
       }
 
-      .password-dialog button.primary:hover {
-        opacity: 0.9;
-        transform: translateY(-1px);
-      }
-
-      .password-dialog button:active {
-        transform: translateY(1px);
-      }
-
-      .password-dialog-overlay {
-        display: none;
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.5);
-        backdrop-filter: blur(4px);
-        z-index: 999;
-        transition: all 0.3s ease;
+      /* Markdown 内容样式 */
+      .preview-container > *:first-child {
+        margin-top: 0;
       }
 
-      .password-protected .editor-container,
-      .password-protected .toolbar {
-        filter: blur(8px);
-        pointer-events: none;
-        user-select: none;
+      .preview-container > *:last-child {
+        margin-bottom: 0;
       }
 
-      .password-status {
-        display: flex;
-        align-items: center;
-        gap: 8px;
+      .preview-container h1,
+      .preview-container h2,
+      .preview-container h3,
+      .preview-container h4,
+      .preview-container h5,
+      .preview-container h6 {
+        margin-top: 1.8em;
+        margin-bottom: 0.8em;
+        line-height: 1.2;
         color: var(--text-color);
-        font-size: 0.9rem;
-        padding: 4px 8px;
-        border-radius: 6px;
-        cursor: pointer;
-        transition: all 0.2s ease;
       }
 
-      .password-status:hover {
-        background: var(--hover-color);
+      .preview-container h1:first-child,
+      .preview-container h2:first-child,
+      .preview-container h3:first-child,
+      .preview-container h4:first-child,
+      .preview-container h5:first-child,
+      .preview-container h6:first-child {
+        margin-top: 0;
       }
 
-      .password-status-icon {
-        font-size: 1.2rem;
-        transition: transform 0.3s ease;
+      .preview-container p {
+        margin: 1.2em 0;
+        line-height: 1.8;
       }
 
-      .password-status:hover .password-status-icon {
-        transform: scale(1.1);
+      .preview-container a {
+        display: inline;
+        color: var(--link-color);
+        text-decoration: none;
+        border-bottom: 1px solid transparent;
+        transition: all 0.2s ease;
+        padding: 2px 4px;
+        margin: 0 -4px;
+        border-radius: 4px;
+        text-align: left;
       }
 
-      @media (max-width: 768px) {
-        .password-dialog {
-          width: 90%;
-          padding: 20px;
-          /* 保持在屏幕中间 */
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          margin: 0;
-        }
-
-        .password-dialog h3 {
-          font-size: 1.1em;
-        }
-
-        .password-dialog input[type="password"] {
-          font-size: 14px;
-          padding: 8px 12px;
-        }
-
-        .password-dialog button {
-          padding: 7px 14px;
-        }
+      /* 处理单独一行的链接 */
+      .preview-container p > a:only-child {
+        display: inline-block;
+        text-align: left;
+        width: auto;
       }
 
-      @media (max-width: 480px) {
-        .password-dialog {
-          width: 100%;
-          max-width: none;
-          border-radius: 12px 12px 0 0;
-          bottom: 0;
-          top: auto;
-          transform: translateX(-50%);
-          padding-bottom: calc(20px + env(safe-area-inset-bottom));
-        }
+      /* 确保链接在段落中的对齐方式 */
+      .preview-container p {
+        text-align: left;
       }
 
-      /* 工具栏右侧按钮样式 */
-      .toolbar-right {
-        display: flex;
-        align-items: center;
-        gap: 8px;
+      .preview-container a:hover {
+        background: var(--hover-color);
+        color: var(--link-hover-color);
+        border-bottom-color: var(--link-hover-color);
       }
 
-      .toolbar-button {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        color: var(--text-color);
-        font-size: 0.9rem;
-        padding: 4px 8px;
-        border-radius: 6px;
-        cursor: pointer;
-        transition: all 0.2s ease;
-        border: none;
-        background: none;
+      .preview-container a:visited {
+        color: var(--link-visited-color);
       }
 
-      .toolbar-button:hover {
+      .preview-container a:visited:hover {
         background: var(--hover-color);
+        border-bottom-color: var(--link-visited-color);
       }
 
-      .toolbar-button .icon {
-        font-size: 1.2rem;
-        transition: transform 0.3s ease;
+      .preview-container a[href^="http"]::after {
+        content: "↗";
+        display: inline;
+        margin-left: 2px;
+        font-size: 0.9em;
+        opacity: 0.6;
       }
-
-      .toolbar-button:hover .icon {
-        transform: scale(1.1);
+      .preview-container ul,
+      .preview-container ol {
+        margin: 1em 0;
+        padding-left: 1.5em;
       }
 
-      .toolbar-button .label {
-        display: none;
+      .preview-container li {
+        margin: 0.5em 0;
       }
 
-      @media (min-width: 768px) {
-        .toolbar-button {
-          padding: 6px 12px;
-        }
+      .preview-container blockquote {
+        margin: 1.2em 0;
+        padding: 1em 1.2em;
+        border-left: 4px solid var(--border-color);
+        background: var(--bg-color);
+        border-radius: 0 4px 4px 0;
+        display: flow-root;
+        width: fit-content;
+        max-width: 100%;
+        box-shadow: 0 2px 4px var(--shadow-color);
+        transition: all 0.2s ease;
+      }
 
-        .toolbar-button .label {
-          display: inline;
-        }
+      .preview-container blockquote > *:first-child {
+        margin-top: 0;
       }
 
-      /* 主题切换按钮特定样式 */
-      .theme-toggle .sun-icon,
-      .theme-toggle .moon-icon {
-        display: none;
+      .preview-container blockquote > *:last-child {
+        margin-bottom: 0;
       }
 
-      [data-theme="dark"] .moon-icon {
-        display: block;
+      .preview-container blockquote p {
+        margin: 0.8em 0;
+        line-height: 1.6;
       }
 
-      [data-theme="light"] .sun-icon {
-        display: block;
+      .preview-container blockquote + blockquote {
+        margin-top: -0.5em;
       }
 
-      /* 密码状态按钮特定样式 */
-      .password-status {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        color: var(--text-color);
-        font-size: 0.9rem;
-        padding: 4px 8px;
-        border-radius: 6px;
-        cursor: pointer;
-        transition: all 0.2s ease;
+      /* 嵌套引用的样式 */
+      .preview-container blockquote blockquote {
+        margin: 0.8em 0;
+        border-left-color: var(--secondary-color);
+        background: var(--editor-bg);
+        box-shadow: none;
       }
 
-      .password-status:hover {
-        background: var(--hover-color);
+      /* 移动端适配 */
+      @media (max-width: 768px) {
+        .preview-container blockquote {
+          padding: 0.8em 1em;
+          margin: 1em 0;
+          width: 100%;
+        }
       }
 
-      .password-status .icon {
-        font-size: 1.2rem;
-        transition: transform 0.3s ease;
+      /* 代码块基础样式 */
+      .preview-container pre {
+        background: var(--editor-bg);
+        padding: 1.2em 1em;
+        border-radius: 8px;
+        overflow: auto;
+        position: relative;
+        margin: 1.5em 0;
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        line-height: 1.5;
+        font-size: 0.95em;
+        border: 1px solid var(--border-color);
+        scrollbar-width: thin;
+        scrollbar-color: var(--secondary-color) transparent;
       }
 
-      .password-status:hover .icon {
-        transform: scale(1.1);
+      /* 行内代码样式 */
+      .preview-container code {
+        background: var(--editor-bg);
+        padding: 0.2em 0.4em;
+        margin: 0 0.2em;
+        border-radius: 4px;
+        font-size: 0.9em;
+        font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+        border: 1px solid var(--border-color);
       }
 
-      /* 添加 Toast 提示框样式 */
-      .toast-container {
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        z-index: 10000;
-        display: flex;
-        flex-direction: column;
-        gap: 10px;
-        pointer-events: none;
-        /* 保持在右上角 */
-        top: 20px;
-        right: 20px;
-        width: auto;
-        max-width: calc(100% - 40px);
-        transform: none;
+      /* 代码块中的代码样式 */
+      .preview-container pre code {
+        background: none;
+        padding: 0;
+        margin: 0;
+        font-size: 0.95em;
+        white-space: pre;
+        word-break: normal;
+        word-wrap: normal;
+        line-height: inherit;
+        tab-size: 2;
+        hyphens: none;
+        border: none;
       }
 
-      .toast {
-        background: var(--container-bg);
-        color: var(--text-color);
-        padding: 12px 24px;
-        border-radius: 8px;
-        box-shadow: 0 4px 12px var(--shadow-color);
-        font-size: 14px;
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        opacity: 0;
-        transform: translateX(100%);
-        transition: all 0.3s ease;
-        border: 1px solid var(--border-color);
-        pointer-events: all;
-        max-width: 300px;
-        word-break: break-word;
+      /* 代码块滚动条样式 */
+      .preview-container pre::-webkit-scrollbar {
+        width: 6px;
+        height: 6px;
       }
 
-      .toast.show {
-        opacity: 1;
-        transform: translateX(0);
+      .preview-container pre::-webkit-scrollbar-track {
+        background: transparent;
       }
 
-      .toast.success {
-        border-left: 4px solid #4caf50;
+      .preview-container pre::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 3px;
+        border: 2px solid var(--editor-bg);
       }
 
-      .toast.error {
-        border-left: 4px solid #f44336;
+      .preview-container pre::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
       }
 
-      .toast.info {
-        border-left: 4px solid #2196f3;
+      /* 代码块语言标签 */
+      .preview-container pre::before {
+        content: attr(data-language);
+        position: absolute;
+        top: 0.5em;
+        right: 0.5em;
+        font-size: 0.85em;
+        color: var(--secondary-color);
+        padding: 0.2em 0.5em;
+        border-radius: 3px;
+        background: var(--container-bg);
+        opacity: 0.8;
+        transition: opacity 0.2s ease;
       }
 
-      .toast.warning {
-        border-left: 4px solid #ff9800;
+      .preview-container pre:hover::before {
+        opacity: 1;
       }
 
-      .toast-icon {
-        font-size: 18px;
-        flex-shrink: 0;
+      /* 代码高亮主题 - 浅色模式 */
+      .hljs {
+        color: #383a42;
+        background: var(--editor-bg);
       }
 
-      .toast-message {
-        flex: 1;
-        margin-right: 8px;
+      .hljs-comment,
+      .hljs-quote {
+        color: #a0a1a7;
+        font-style: italic;
       }
 
-      .toast-close {
-        cursor: pointer;
-        opacity: 0.7;
-        transition: opacity 0.2s ease;
-        padding: 4px;
-        margin: -4px;
-        border-radius: 4px;
+      .hljs-doctag,
+      .hljs-keyword,
+      .hljs-formula {
+        color: #a626a4;
       }
 
-      .toast-close:hover {
-        opacity: 1;
-        background: var(--hover-color);
+      .hljs-section,
+      .hljs-name,
+      .hljs-selector-tag,
+      .hljs-deletion,
+      .hljs-subst {
+        color: #e45649;
       }
 
-      @media (max-width: 768px) {
-        .toast-container {
-          /* 保持在右上角 */
-          top: 20px;
-          right: 20px;
-          width: auto;
-          max-width: calc(100% - 40px);
-          transform: none;
-        }
-
-        .toast {
-          width: 100%;
-          transform: translateY(100%);
-        }
-
-        .toast.show {
-          transform: translateY(0);
-        }
+      .hljs-literal {
+        color: #0184bb;
       }
 
-      /* 添加复制全部按钮样式 */
-      .copy-all-button {
-        background: none;
-        border: none;
-        color: var(--text-color);
-        cursor: pointer;
-        padding: 0px 4px;
-        border-radius: 4px;
-        font-size: 12px;
-        display: flex;
-        align-items: center;
-        gap: 4px;
-        transition: all 0.2s ease;
+      .hljs-string,
+      .hljs-regexp,
+      .hljs-addition,
+      .hljs-attribute,
+      .hljs-meta .hljs-string {
+        color: #50a14f;
       }
 
-      .copy-all-button:hover {
-        background: var(--hover-color);
+      .hljs-attr,
+      .hljs-variable,
+      .hljs-template-variable,
+      .hljs-type,
+      .hljs-selector-class,
+      .hljs-selector-attr,
+      .hljs-selector-pseudo,
+      .hljs-number {
+        color: #986801;
       }
 
-      /* 添加复制全部的动效样式 */
-      .copy-all-item {
-        cursor: pointer;
-        transition: all 0.2s ease;
-        padding: 0px 4px;
-        border-radius: 4px;
-        display: flex;
-        align-items: center;
-        gap: 4px;
+      .hljs-symbol,
+      .hljs-bullet,
+      .hljs-link,
+      .hljs-meta,
+      .hljs-selector-id,
+      .hljs-title {
+        color: #4078f2;
       }
 
-      .copy-all-item:hover {
-        background: var(--hover-color);
+      .hljs-built_in,
+      .hljs-title.class_,
+      .hljs-class .hljs-title {
+        color: #c18401;
       }
 
-      .copy-all-item .copy-icon {
-        transition: transform 0.2s ease;
+      .hljs-emphasis {
+        font-style: italic;
       }
 
-      .copy-all-item:hover .copy-icon {
-        transform: scale(1.1);
+      .hljs-strong {
+        font-weight: bold;
       }
 
-      .copy-all-item.copied {
-        animation: copied-animation 0.5s ease;
+      /* 代码高亮主题 - 深色模式 */
+      [data-theme="dark"] .hljs {
+        color: #abb2bf;
+        background: var(--editor-bg);
       }
 
-      @keyframes copied-animation {
-        0% { transform: scale(1); }
-        50% { transform: scale(1.1); }
-        100% { transform: scale(1); }
+      [data-theme="dark"] .hljs-comment,
+      [data-theme="dark"] .hljs-quote {
+        color: #7f848e;
+        font-style: italic;
       }
 
-      /* 表格样式 */
-      .content table {
-        width: 100%;
-        border-collapse: collapse;
-        margin: 1.5em 0;
-        overflow-x: auto;
-        display: block;
+      [data-theme="dark"] .hljs-doctag,
+      [data-theme="dark"] .hljs-keyword,
+      [data-theme="dark"] .hljs-formula {
+        color: #c678dd;
       }
 
-      .content th,
-      .content td {
-        border: 1px solid var(--border-color);
-        padding: 8px 12px;
-        text-align: left;
+      [data-theme="dark"] .hljs-section,
+      [data-theme="dark"] .hljs-name,
+      [data-theme="dark"] .hljs-selector-tag,
+      [data-theme="dark"] .hljs-deletion,
+      [data-theme="dark"] .hljs-subst {
+        color: #e06c75;
       }
 
-      .content th {
-        background-color: var(--hover-color);
-        font-weight: 600;
+      [data-theme="dark"] .hljs-literal {
+        color: #56b6c2;
       }
 
-      .content tr:nth-child(even) {
-        background-color: var(--editor-bg);
+      [data-theme="dark"] .hljs-string,
+      [data-theme="dark"] .hljs-regexp,
+      [data-theme="dark"] .hljs-addition,
+      [data-theme="dark"] .hljs-attribute,
+      [data-theme="dark"] .hljs-meta .hljs-string {
+        color: #98c379;
       }
 
-      .content tr:hover {
-        background-color: var(--hover-color);
+      [data-theme="dark"] .hljs-attr,
+      [data-theme="dark"] .hljs-variable,
+      [data-theme="dark"] .hljs-template-variable,
+      [data-theme="dark"] .hljs-type,
+      [data-theme="dark"] .hljs-selector-class,
+      [data-theme="dark"] .hljs-selector-attr,
+      [data-theme="dark"] .hljs-selector-pseudo,
+      [data-theme="dark"] .hljs-number {
+        color: #d19a66;
       }
 
-      /* 移动端表格适配 */
-      @media (max-width: 768px) {
-        .content table {
-          font-size: 14px;
-        }
-
-        .content th,
-        .content td {
-          padding: 6px 8px;
-        }
-      }
-
-      /* 表格滚动条样式 */
-      .content table::-webkit-scrollbar {
-        height: 8px;
-        width: 8px;
-      }
-
-      .content table::-webkit-scrollbar-track {
-        background: transparent;
-      }
-
-      .content table::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 4px;
-        border: 2px solid var(--editor-bg);
-      }
-
-      .content table::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
-
-      /* 表格滚动条样式 */
-      .content table::-webkit-scrollbar {
-        height: 8px;
-        width: 8px;
-      }
-
-      .content table::-webkit-scrollbar-track {
-        background: transparent;
-      }
-
-      .content table::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 4px;
-        border: 2px solid var(--editor-bg);
-      }
-
-      .content table::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
-
-      /* 图片样式 */
-      .content img {
-        max-width: 100%;
-        height: auto;
-        margin: 1em 0;
-        border-radius: 8px;
-        display: block;
-        box-shadow: 0 2px 8px var(--shadow-color);
-        transition: all 0.3s ease;
-        opacity: 0;
-        animation: fadeIn 0.5s ease forwards;
-      }
-
-      /* 图片容器 */
-      .content p:has(img) {
-        text-align: center;
-        margin: 2em 0;
-      }
-
-      /* 图片悬停效果 */
-      .content img:hover {
-        transform: scale(1.01);
-        box-shadow: 0 4px 12px var(--shadow-color);
-      }
-
-      /* 图片标题样式 */
-      .content img + em {
-        display: block;
-        text-align: center;
-        color: var(--secondary-color);
-        font-size: 0.9em;
-        margin-top: 0.5em;
-      }
-
-      /* 移动端图片适配 */
-      @media (max-width: 768px) {
-        .content img {
-          border-radius: 6px;
-          margin: 0.8em 0;
-        }
-
-        .content p:has(img) {
-          margin: 1.5em 0;
-        }
-
-        /* 禁用移动端图片缩放动画 */
-        .content img:hover {
-          transform: none;
-          box-shadow: 0 2px 8px var(--shadow-color);
-        }
-      }
-
-      /* 图片加载动画 */
-      @keyframes fadeIn {
-        from {
-          opacity: 0;
-          transform: translateY(10px);
-        }
-        to {
-          opacity: 1;
-          transform: translateY(0);
-        }
-      }
-
-      /* 图片加载失败样式 */
-      .content img:not([src]),
-      .content img[src=""],
-      .content img[src*="data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=="] {
-        position: relative;
-        min-height: 100px;
-        background: var(--editor-bg);
-        border: 1px dashed var(--border-color);
-        display: flex;
-        align-items: center;
-        justify-content: center;
-      }
-
-      .content img:not([src])::after,
-      .content img[src=""]::after,
-      .content img[src*="data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=="]::after {
-        content: "图片加载失败";
-        position: absolute;
-        color: var(--secondary-color);
-        font-size: 0.9em;
-      }
-
-      /* 大图查看模式 */
-      .content img.enlarged {
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        max-width: 90vw;
-        max-height: 90vh;
-        object-fit: contain;
-        z-index: 1000;
-        cursor: zoom-out;
-        margin: 0;
-        padding: 0;
-        background: var(--bg-color);
-        box-shadow: 0 0 20px var(--shadow-color);
+      [data-theme="dark"] .hljs-symbol,
+      [data-theme="dark"] .hljs-bullet,
+      [data-theme="dark"] .hljs-link,
+      [data-theme="dark"] .hljs-meta,
+      [data-theme="dark"] .hljs-selector-id,
+      [data-theme="dark"] .hljs-title {
+        color: #61afef;
       }
 
-      /* 大图查看遮罩层 */
-      .image-overlay {
-        position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        bottom: 0;
-        background: rgba(0, 0, 0, 0.8);
-        z-index: 999;
-        display: none;
-        opacity: 0;
-        transition: opacity 0.3s ease;
+      [data-theme="dark"] .hljs-built_in,
+      [data-theme="dark"] .hljs-title.class_,
+      [data-theme="dark"] .hljs-class .hljs-title {
+        color: #e6c07b;
       }
 
-      .image-overlay.active {
-        display: block;
-        opacity: 1;
+      [data-theme="dark"] .hljs-emphasis {
+        font-style: italic;
       }
 
-      /* 代码块复制按钮样式 */
-      .content pre {
-        position: relative;
+      [data-theme="dark"] .hljs-strong {
+        font-weight: bold;
       }
 
+      /* 代码复制按钮 */
       .copy-button {
         position: absolute;
         top: 0.5em;
@@ -2600,17 +3950,15 @@ function generateHTML(noteName, noteContent) {
         display: flex;
         align-items: center;
         gap: 4px;
-        z-index: 2;
       }
 
-      .content pre:hover .copy-button {
+      .preview-container pre:hover .copy-button {
         opacity: 0.8;
       }
 
       .copy-button:hover {
         opacity: 1 !important;
         background: var(--hover-color);
-        transform: translateY(-1px);
       }
 
       .copy-button.copied {
@@ -2619,238 +3967,1637 @@ function generateHTML(noteName, noteContent) {
         opacity: 1;
       }
 
-      .copy-button.error {
-        color: #f44336;
-        border-color: #f44336;
-        opacity: 1;
-      }
-
-      /* 代码块语言标签 */
-      .content pre::before {
-        content: attr(data-language);
-        position: absolute;
-        top: 0;
-        right: 0;
-        padding: 0.2em 0.5em;
-        font-size: 0.85em;
-        background: var(--container-bg);
-        border-bottom-left-radius: 4px;
-        color: var(--secondary-color);
-        opacity: 0.8;
-        transition: opacity 0.2s ease;
-      }
-
-      .content pre:hover::before {
-        opacity: 0;
-      }
-
+      /* 移动端适配 */
       @media (max-width: 768px) {
-        .copy-button {
-          padding: 0.15em 0.4em;
-          font-size: 0.8em;
+        .preview-container pre {
+          padding: 1em 0.8em;
+          font-size: 0.9em;
         }
 
-        .content pre::before {
-          font-size: 0.8em;
-          padding: 0.15em 0.4em;
+        .preview-container code {
+          font-size: 0.85em;
         }
-      }
 
-      .info-bar {
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 15px;
-        background: var(--editor-bg);
-        border-radius: 12px;
-        margin-bottom: 20px;
-        font-size: 14px;
-        border: 1px solid var(--border-color);
-        overflow-x: auto;
-        -webkit-overflow-scrolling: touch;
-        scrollbar-width: none;
-        gap: 15px;
-        min-width: 0;
+        .preview-container pre::before {
+          opacity: 1;
+        }
       }
 
-      .info-bar::-webkit-scrollbar {
-        height: 6px;
-        width: 6px;
+      /* 代码块中的链接样式 */
+      .preview-container pre a,
+      .preview-container code a {
+        border-bottom: none;
       }
 
-      .info-bar::-webkit-scrollbar-track {
-        background: transparent;
+      .preview-container pre a::after,
+      .preview-container code a::after {
+        display: none;
       }
 
-      .info-bar::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 3px;
+      /* 图片链接样式 */
+      .preview-container a:has(img) {
+        border-bottom: none;
       }
 
-      .info-bar::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
+      .preview-container a:has(img)::after {
+        display: none;
       }
 
-      .info-left {
-        display: flex;
-        gap: 15px;
-        flex-shrink: 0;
-        margin-right: auto;
+      .preview-container hr {
+        margin: 2em 0;
+        border: none;
+        border-top: 1px solid var(--border-color);
       }
 
-      .info-right {
-        display: flex;
-        align-items: center;
-        gap: 15px;
-        flex-shrink: 0;
-        margin-left: auto;
+      .preview-container table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 1.5em 0;
+        overflow-x: auto;
+        display: block;
       }
 
-      .info-item {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        padding: 4px 10px;
-        border-radius: 6px;
-        transition: all 0.2s ease;
-        white-space: nowrap;
-        flex-shrink: 0;
+      .preview-container th,
+      .preview-container td {
+        border: 1px solid var(--border-color);
+        padding: 8px 12px;
+        text-align: left;
       }
 
-      .info-item:hover {
-        background: var(--hover-color);
+      .preview-container th {
+        background-color: var(--hover-color);
+        font-weight: 600;
       }
 
-      .theme-toggle {
-        display: flex;
-        align-items: center;
-        gap: 8px;
-        padding: 4px 10px;
-        border-radius: 6px;
-        border: none;
-        color: var(--text-color);
-        cursor: pointer;
-        font-size: 14px;
-        transition: all 0.2s ease;
-        background: transparent;
-        white-space: nowrap;
-        flex-shrink: 0;
+      .preview-container tr:nth-child(even) {
+        background-color: var(--editor-bg);
       }
 
-      .theme-toggle:hover {
-        background: var(--hover-color);
+      .preview-container tr:hover {
+        background-color: var(--hover-color);
       }
 
-      .theme-toggle:active {
-        transform: scale(0.95);
+      .preview-container img {
+        max-width: 100%;
+        margin: 1em 0;
+        border-radius: 4px;
       }
 
-      .theme-toggle .sun-icon,
-      .theme-toggle .moon-icon {
-        display: none;
-        font-size: 1.2rem;
+      /* 滚动条样式 */
+      .editor-container textarea,
+      .preview-container,
+      .preview-content {
+        scrollbar-width: thin;
+        scrollbar-color: var(--secondary-color) transparent;
       }
 
-      .theme-toggle .label {
-        font-size: 14px;
+      .editor-container textarea::-webkit-scrollbar,
+      .preview-container::-webkit-scrollbar,
+      .preview-content::-webkit-scrollbar {
+        width: 8px;
+        height: 8px;
       }
 
-      [data-theme="dark"] .moon-icon {
-        display: block;
+      .editor-container textarea::-webkit-scrollbar-track,
+      .preview-container::-webkit-scrollbar-track,
+      .preview-content::-webkit-scrollbar-track {
+        background: transparent;
       }
 
-      [data-theme="light"] .sun-icon {
-        display: block;
+      .editor-container textarea::-webkit-scrollbar-thumb,
+      .preview-container::-webkit-scrollbar-thumb,
+      .preview-content::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 4px;
+        border: 2px solid var(--editor-bg);
+      }
+
+      .editor-container textarea::-webkit-scrollbar-thumb:hover,
+      .preview-container::-webkit-scrollbar-thumb:hover,
+      .preview-content::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
       }
 
+      /* 移动端滚动条优化 */
       @media (max-width: 768px) {
-        .theme-toggle {
-          padding: 4px 8px;
+        .editor-container textarea::-webkit-scrollbar,
+        .preview-container::-webkit-scrollbar,
+        .preview-content::-webkit-scrollbar {
+          width: 6px;
+          height: 6px;
         }
 
-        .theme-toggle .label {
-          font-size: 13px;
+        .editor-container textarea::-webkit-scrollbar-thumb,
+        .preview-container::-webkit-scrollbar-thumb,
+        .preview-content::-webkit-scrollbar-thumb {
+          border-width: 1.5px;
         }
       }
 
+      /* 移动端响应式布局优化 */
       @media (max-width: 768px) {
-        .info-bar {
-          padding: 10px;
-          gap: 10px;
+        .container {
+          padding: 5px;
+          height: 100vh;
+          max-height: -webkit-fill-available;
+          display: flex;
+          flex-direction: column;
+          width: 100%;
         }
 
-        .info-left,
-        .info-right {
-          gap: 10px;
+        .container.toolbar-hidden {
+          padding: 5px;
         }
 
-        .info-item {
-          padding: 4px 8px;
-          font-size: 13px;
+        .editor-container {
+          flex: 1;
+          min-height: 0;
+          gap: 5px;
+          margin-bottom: env(safe-area-inset-bottom, 15px);
+          width: 100%;
+          display: flex;
+          flex-direction: column;
         }
-      }
-
-      /* 添加KaTeX相关样式 */
-      .katex-display {
-        overflow-x: auto;
-        overflow-y: hidden;
-        padding: 1em 0;
-        margin: 1em 0;
-      }
 
-      .katex-display::-webkit-scrollbar {
-        height: 6px;
-      }
+        .editor-container.preview-mode {
+          display: flex;
+          flex-direction: column;
+          height: calc(100vh - 60px - env(safe-area-inset-bottom, 15px)); /* 减去工具栏和底部安全区域 */
+        }
 
-      .katex-display::-webkit-scrollbar-track {
-        background: transparent;
-      }
+        .editor-wrapper,
+        .preview-container {
+          flex: 1;
+          min-height: 0;
+          overflow: auto;
+          -webkit-overflow-scrolling: touch;
+          width: 100%;
+        }
 
-      .katex-display::-webkit-scrollbar-thumb {
-        background-color: var(--secondary-color);
-        border-radius: 3px;
-      }
+        .editor-container.preview-mode .editor-wrapper,
+        .editor-container.preview-mode .preview-container {
+          flex: 1;
+          height: 0; /* 让flex:1生效 */
+          min-height: 0;
+          max-height: none;
+          width: 100%;
+        }
 
-      .katex-display::-webkit-scrollbar-thumb:hover {
-        background-color: var(--text-color);
-      }
+        /* 处理键盘弹出时的布局 */
+        @supports (-webkit-touch-callout: none) {
+          .editor-container.preview-mode {
+            height: calc(100vh - 60px - env(safe-area-inset-bottom, 15px) - env(keyboard-inset-height, 0px));
+          }
+        }
 
-      /* Mermaid图表样式 */
-      .mermaid {
-        margin: 1.5em 0;
-        text-align: center;
-        background: var(--editor-bg);
-        padding: 1em;
-        border-radius: 8px;
-        border: 1px solid var(--border-color);
-        overflow-x: auto;
+        /* 确保内容可滚动 */
+        .editor-container.preview-mode .editor-wrapper textarea,
+        .editor-container.preview-mode .preview-container {
+          height: 100%;
+          overflow-y: auto;
+        }
       }
 
-      .mermaid svg {
-        max-width: 100%;
-        height: auto;
-      }
+      /* 处理超小屏幕设备 */
+      @media (max-width: 320px) {
+        .container {
+          padding: 3px 3px 12px 3px;
+        }
 
-      /* 深色模式下的Mermaid样式 */
-      [data-theme="dark"] .mermaid {
-        --mermaid-bg: var(--editor-bg);
-        --mermaid-fg: var(--text-color);
-        --mermaid-edge: var(--text-color);
-        --mermaid-label: var(--text-color);
-        --mermaid-cluster: var(--border-color);
-      }
+        .container.toolbar-hidden {
+          padding: 8px;
+        }
 
-      [data-theme="dark"] .mermaid .node rect,
-      [data-theme="dark"] .mermaid .node circle,
-      [data-theme="dark"] .mermaid .node ellipse,
-      [data-theme="dark"] .mermaid .node polygon,
-      [data-theme="dark"] .mermaid .node path {
-        fill: var(--mermaid-bg);
-        stroke: var(--mermaid-fg);
-      }
+        .editor-wrapper textarea,
+        .line-numbers span {
+          font-size: 15px;
+        }
 
-      [data-theme="dark"] .mermaid .edgePath .path {
-        stroke: var(--mermaid-edge) !important;
+        .preview-container {
+          font-size: 15px;
+          padding: 10px 10px 20px 10px;
+        }
+      }
+
+      /* 处理横屏模式 */
+      @media (max-height: 480px) and (orientation: landscape) {
+        .container {
+          padding: 5px;
+          width: 100%;
+        }
+        
+        .container.toolbar-hidden {
+          padding: 5px;
+        }
+        
+        .toolbar {
+          padding: 6px 10px;
+          margin-bottom: 8px;
+          width: 100%;
+        }
+        
+        .editor-container {
+          height: calc(100vh - 80px);
+          width: 100%;
+        }
+        
+        .editor-container.preview-mode {
+          grid-template-columns: 1fr 1fr; /* 横屏时恢复左右布局 */
+          gap: 8px;
+          width: 100%;
+        }
+        
+        .editor-wrapper,
+        .preview-container {
+          width: 100%;
+          height: 100%;
+          box-sizing: border-box;
+        }
+
+        .editor-wrapper textarea,
+        .preview-container {
+          width: 100%;
+          height: 100%;
+          box-sizing: border-box;
+        }
+        
+        .editor-container.preview-mode .editor-wrapper,
+        .editor-container.preview-mode .preview-container {
+          height: 100%;
+          width: 100%;
+        }
+
+        /* 横屏模式下状态栏优化 */
+        .status-bar,
+        .preview-status-bar {
+          height: 24px;
+          font-size: 11px;
+          padding: 0 6px;
+          width: 100%;
+        }
+
+        .status-bar .status-left,
+        .status-bar .status-right,
+        .preview-status-bar .preview-status-left,
+        .preview-status-bar .preview-status-right {
+          gap: 8px;
+        }
+
+        .status-bar .status-right,
+        .preview-status-bar .preview-status-right {
+          padding-left: 8px;
+        }
+
+        .status-item,
+        .preview-status-item {
+          margin-right: 8px;
+        }
+
+        .status-item label,
+        .preview-status-item label {
+          gap: 2px;
+        }
+
+        .status-item input[type="checkbox"],
+        .preview-status-item input[type="checkbox"] {
+          width: 12px;
+          height: 12px;
+        }
+
+        /* 调整状态栏右侧开关的间距 */
+        .status-right .status-item {
+          margin-right: 4px;
+        }
+
+        .status-right .switch-label,
+        .preview-status-right .switch-label {
+          font-size: 11px;
+          padding: 2px 4px;
+        }
+      }
+      
+      /* 适配折叠屏设备 */
+      @media (max-width: 350px) and (min-height: 600px) {
+        .container {
+          padding: 4px;
+        }
+        
+        .toolbar {
+          flex-direction: column;
+          align-items: stretch;
+        }
+        
+        .toolbar-left,
+        .toolbar-right {
+          justify-content: center;
+        }
+        
+        .editor-container {
+          height: calc(100vh - 140px);
+        }
+      }
+      
+      /* 适配深色模式和高对比度显示 */
+      @media (prefers-contrast: high) {
+        :root {
+          --border-color: #666666;
+          --shadow-color: rgba(0, 0, 0, 0.3);
+        }
+        
+        .editor-container textarea,
+        .preview-container {
+          border-width: 2px;
+        }
+      }
+
+      /* 适配强制颜色模式 */
+      @media (forced-colors: active) {
+        :root {
+          --border-color: CanvasText;
+          --text-color: CanvasText;
+          --bg-color: Canvas;
+          --primary-color: LinkText;
+          --secondary-color: GrayText;
+          --container-bg: Canvas;
+          --editor-bg: Canvas;
+          --hover-color: Highlight;
+          --link-color: LinkText;
+          --link-hover-color: LinkText;
+          --link-visited-color: VisitedText;
+        }
+
+        .editor-container textarea,
+        .preview-container,
+        .toolbar,
+        .status-bar,
+        .preview-status-bar {
+          border: 1px solid CanvasText;
+        }
+
+        .markdown-toolbar button,
+        .toolbar-select,
+        .fullscreen-toggle {
+          border: 1px solid CanvasText;
+          background: Canvas;
+          color: CanvasText;
+        }
+
+        .markdown-toolbar button:hover,
+        .toolbar-select:hover,
+        .fullscreen-toggle:hover {
+          background: Highlight;
+          color: HighlightText;
+        }
+      }
+      
+      /* 减少动画以适应省电模式 */
+      @media (prefers-reduced-motion: reduce) {
+        * {
+          transition: none !important;
+        }
+      }
+
+      /* 工具栏样式 */
+      .markdown-toolbar {
+        display: flex;
+        gap: 4px;
+        align-items: center;
+      }
+
+      .markdown-toolbar button {
+        padding: 4px 8px;
+        background: var(--editor-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 4px;
+        color: var(--text-color);
+        cursor: pointer;
+        font-size: 14px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        min-width: 28px;
+        height: 28px;
+        transition: all 0.2s ease;
+      }
+
+      .markdown-toolbar button:hover {
+        background: var(--hover-color);
+      }
+
+      .toolbar-select {
+        padding: 4px 8px;
+        border: 1px solid var(--border-color);
+        border-radius: 4px;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        font-size: 14px;
+        cursor: pointer;
+      }
+
+      .toolbar-select:hover {
+        background: var(--hover-color);
+      }
+
+      /* Emoji 选择器样式 */
+      .emoji-picker {
+        position: fixed; /* 改为fixed定位，避免滚动问题 */
+        left: 50%;
+        top: 50%;
+        transform: translate(-50%, -50%);
+        background: var(--container-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        box-shadow: 0 2px 8px var(--shadow-color);
+        padding: 15px;
+        display: none;
+        z-index: 1000;
+        max-height: 80vh;
+        width: 90%;
+        max-width: 400px;
+        overflow-y: auto;
+        -webkit-overflow-scrolling: touch;
+      }
+
+      .emoji-picker-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(40px, 1fr));
+        gap: 8px;
+      }
+
+      .emoji-picker button {
+        width: 40px;
+        height: 40px;
+        padding: 8px;
+        border: none;
+        background: none;
+        cursor: pointer;
+        border-radius: 8px;
+        transition: all 0.2s ease;
+        font-size: 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .emoji-picker button:hover {
+        background: var(--hover-color);
+      }
+
+      .emoji-picker-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        z-index: 999;
+        display: none;
+      }
+
+      /* 全屏模式样式 */
+      .preview-container.fullscreen {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        width: 100vw;
+        height: 100vh;
+        z-index: 9999;
+        border-radius: 0;
+        border: none;
+      }
+
+      /* 真实全屏模式的样式 */
+      .preview-container:fullscreen {
+        background-color: var(--container-bg);
+        width: 100vw;
+        height: 100vh;
+        padding: 0;
+        margin: 0;
+        border: none;
+        border-radius: 0;
+      }
+
+      .preview-container:fullscreen .preview-content {
+        height: calc(100vh - 25px);
+        padding: 20px;
+        max-width: 1200px;
+        margin: 0 auto;
+      }
+
+      .preview-container:fullscreen .preview-status-bar {
+        position: fixed;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        background: var(--editor-bg);
+        border-top: 1px solid var(--border-color);
+      }
+
+      /* 移动端全屏适配 */
+      @media (max-width: 768px) {
+        .preview-container:fullscreen .preview-content {
+          padding: 15px;
+          height: calc(100vh - 25px - env(safe-area-inset-bottom, 0px));
+        }
+        
+        .preview-container:fullscreen .preview-status-bar {
+          padding-bottom: env(safe-area-inset-bottom, 0px);
+        }
+      }
+
+      .preview-container.fullscreen .preview-content {
+        height: calc(100vh - 25px);
+        padding: 20px;
+      }
+
+      /* 全屏切换按钮样式 */
+      .fullscreen-toggle {
+        background: none;
+        border: none;
+        color: var(--text-color);
+        cursor: pointer;
+        padding: 2px 8px;
+        border-radius: 4px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.2s ease;
+        font-size: 12px;
+      }
+
+      .fullscreen-toggle:hover {
+        background: var(--hover-color);
+      }
+
+      .fullscreen-toggle .fullscreen-icon {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        width: 16px;
+        height: 16px;
+      }
+
+      /* 预览区双击时禁止选中文本 */
+      .preview-container.fullscreen .preview-content {
+        -webkit-user-select: none;
+        -moz-user-select: none;
+        -ms-user-select: none;
+        user-select: none;
+      }
+
+      /* 预览区恢复正常文本选择 */
+      .preview-container:not(.fullscreen) .preview-content {
+        -webkit-user-select: text;
+        -moz-user-select: text;
+        -ms-user-select: text;
+        user-select: text;
+      }
+
+      /* 全屏模式下的状态栏样式 */
+      .preview-container.fullscreen .preview-status-bar {
+        position: fixed;
+        bottom: env(safe-area-inset-bottom, 0);
+        left: 0;
+        right: 0;
+        background: var(--editor-bg);
+        border-top: 1px solid var(--border-color);
+        z-index: 10000;
+      }
+
+      /* 响应式布局 - 移动端优化 */
+      @media (max-width: 768px) {
+        .toolbar {
+          padding: 8px;
+          margin-bottom: 12px;
+          white-space: nowrap;
+          gap: 8px;
+        }
+
+        .toolbar-left,
+        .toolbar-right {
+          gap: 8px;
+        }
+
+        .markdown-toolbar button {
+          min-width: 32px;
+          height: 32px;
+          padding: 4px;
+        }
+
+        .toolbar-select {
+          padding: 4px;
+          font-size: 13px;
+        }
+
+        .note-name {
+          font-size: 0.9rem;
+          padding: 4px 8px;
+        }
+
+        .emoji-picker {
+          padding: 10px;
+        }
+
+        .emoji-picker button {
+          width: 36px;
+          height: 36px;
+          font-size: 18px;
+        }
+      }
+
+      /* 移动端状态栏适配 */
+      @media (max-width: 768px) {
+        .preview-status-bar {
+          padding: 0 8px;
+          overflow: hidden;
+        }
+
+        .preview-status-right {
+          gap: 8px;
+        }
+
+        .preview-status-item {
+          margin-left: 8px;
+          font-size: 11px;
+        }
+      }
+
+      /* 处理超小屏幕设备状态栏 */
+      @media (max-width: 320px) {
+        .preview-status-bar {
+          padding: 0 5px;
+        }
+
+        .preview-status-item {
+          margin-left: 5px;
+          font-size: 10px;
+        }
+      }
+
+      /* 全屏模式下的移动端优化 */
+      @media (max-width: 768px) {
+        .preview-container.fullscreen {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          width: 100vw;
+          height: 100vh;
+          height: -webkit-fill-available;
+          z-index: 9999;
+          border-radius: 0;
+          padding-bottom: env(safe-area-inset-bottom, 0);
+        }
+
+        .preview-container.fullscreen .preview-content {
+          height: calc(100vh - 25px - env(safe-area-inset-bottom, 0));
+          padding: 15px;
+        }
+      }
+
+      /* 处理横屏模式 */
+      @media (max-height: 480px) and (orientation: landscape) {
+        .preview-container.fullscreen .preview-status-bar {
+          height: 24px;
+          font-size: 11px;
+          padding: 0 6px;
+        }
+
+        .preview-container.fullscreen .preview-content {
+          height: calc(100vh - 24px);
+          padding: 10px;
+        }
+      }
+
+      /* 在现有样式的末尾添加密码相关样式 */
+      .password-dialog {
+        display: none;
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: var(--container-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 12px;
+        padding: 24px;
+        box-shadow: 0 8px 24px var(--shadow-color);
+        z-index: 1000;
+        width: 90%;
+        max-width: 360px;
+        transition: all 0.3s ease;
+      }
+
+      .password-dialog h3 {
+        margin: 0 0 20px 0;
+        color: var(--text-color);
+        font-size: 1.2em;
+        font-weight: 500;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .password-dialog h3::before {
+        content: '🔒';
+        font-size: 1.1em;
+      }
+
+      .password-dialog input[type="password"] {
+        width: 100%;
+        padding: 10px 14px;
+        margin-bottom: 12px;
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        font-size: 15px;
+        transition: all 0.2s ease;
+      }
+
+      .password-dialog input[type="password"]:hover {
+        border-color: var(--secondary-color);
+      }
+
+      .password-dialog input[type="password"]:focus {
+        outline: none;
+        border-color: var(--primary-color);
+        box-shadow: 0 0 0 2px var(--primary-color-alpha);
+      }
+
+      .password-dialog-message {
+        margin-bottom: 20px;
+        font-size: 0.95em;
+        color: #e74c3c;
+        min-height: 20px;
+        transition: all 0.3s ease;
+        opacity: 0;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .password-dialog-message::before {
+        content: '⚠️';
+        font-size: 1.1em;
+      }
+
+      .password-dialog-message.success {
+        color: #2ecc71;
+      }
+
+      .password-dialog-message.success::before {
+        content: '✅';
+      }
+
+      .password-dialog-message.show {
+        opacity: 1;
+      }
+
+      .password-dialog-buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 12px;
+      }
+
+      .password-dialog button {
+        padding: 8px 16px;
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 500;
+        transition: all 0.2s ease;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .password-dialog button:hover {
+        background: var(--hover-color);
+        border-color: var(--secondary-color);
+      }
+
+      .password-dialog button.primary {
+        background: var(--primary-color);
+        color: white;
+        border-color: var(--primary-color);
+      }
+
+      .password-dialog button.primary:hover {
+        opacity: 0.9;
+        transform: translateY(-1px);
+      }
+
+      .password-dialog button:active {
+        transform: translateY(1px);
+      }
+
+      .password-dialog-overlay {
+        display: none;
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.5);
+        backdrop-filter: blur(4px);
+        z-index: 999;
+        transition: all 0.3s ease;
+      }
+
+      .password-protected .editor-container,
+      .password-protected .toolbar,
+      .e2e-locked .editor-container,
+      .e2e-locked .toolbar {
+        filter: blur(8px);
+        pointer-events: none;
+        user-select: none;
+      }
+
+      .password-status {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        color: var(--text-color);
+        font-size: 0.9rem;
+        padding: 4px 8px;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+
+      .password-status:hover {
+        background: var(--hover-color);
+      }
+
+      .password-status-icon {
+        font-size: 1.2rem;
+        transition: transform 0.3s ease;
+      }
+
+      .password-status:hover .password-status-icon {
+        transform: scale(1.1);
+      }
+
+      @media (max-width: 768px) {
+        .password-dialog {
+          width: 90%;
+          padding: 20px;
+          /* 保持在屏幕中间 */
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          margin: 0;
+        }
+
+        .password-dialog h3 {
+          font-size: 1.1em;
+        }
+
+        .password-dialog input[type="password"] {
+          font-size: 14px;
+          padding: 8px 12px;
+        }
+
+        .password-dialog button {
+          padding: 7px 14px;
+        }
+      }
+
+      @media (max-width: 480px) {
+        .password-dialog {
+          width: 100%;
+          max-width: none;
+          border-radius: 12px 12px 0 0;
+          bottom: 0;
+          top: auto;
+          transform: translateX(-50%);
+          padding-bottom: calc(20px + env(safe-area-inset-bottom));
+        }
+      }
+
+      /* 工具栏右侧按钮样式 */
+      .toolbar-right {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .toolbar-button {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        color: var(--text-color);
+        font-size: 0.9rem;
+        padding: 4px 8px;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+        border: none;
+        background: none;
+      }
+
+      .toolbar-button:hover {
+        background: var(--hover-color);
+      }
+
+      .toolbar-button .icon {
+        font-size: 1.2rem;
+        transition: transform 0.3s ease;
+      }
+
+      .toolbar-button:hover .icon {
+        transform: scale(1.1);
+      }
+
+      .toolbar-button .label {
+        display: none;
+      }
+
+      @media (min-width: 768px) {
+        .toolbar-button {
+          padding: 6px 12px;
+        }
+
+        .toolbar-button .label {
+          display: inline;
+        }
+      }
+
+      /* 主题切换按钮特定样式 */
+      .theme-toggle .sun-icon,
+      .theme-toggle .moon-icon {
+        display: none;
+      }
+
+      [data-theme="dark"] .moon-icon {
+        display: block;
+      }
+
+      [data-theme="light"] .sun-icon {
+        display: block;
+      }
+
+      /* 密码状态按钮特定样式 */
+      .password-status {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        color: var(--text-color);
+        font-size: 0.9rem;
+        padding: 4px 8px;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+
+      .password-status:hover {
+        background: var(--hover-color);
+      }
+
+      .password-status .icon {
+        font-size: 1.2rem;
+        transition: transform 0.3s ease;
+      }
+
+      .password-status:hover .icon {
+        transform: scale(1.1);
+      }
+
+      /* 添加 Toast 提示框样式 */
+      .toast-container {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        z-index: 10000;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+        pointer-events: none;
+        /* 保持在右上角 */
+        top: 20px;
+        right: 20px;
+        width: auto;
+        max-width: calc(100% - 40px);
+        transform: none;
+      }
+
+      .toast {
+        background: var(--container-bg);
+        color: var(--text-color);
+        padding: 12px 24px;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px var(--shadow-color);
+        font-size: 14px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        opacity: 0;
+        transform: translateX(100%);
+        transition: all 0.3s ease;
+        border: 1px solid var(--border-color);
+        pointer-events: all;
+        max-width: 300px;
+        word-break: break-word;
+      }
+
+      .toast.show {
+        opacity: 1;
+        transform: translateX(0);
+      }
+
+      .toast.success {
+        border-left: 4px solid #4caf50;
+      }
+
+      .toast.error {
+        border-left: 4px solid #f44336;
+      }
+
+      .toast.info {
+        border-left: 4px solid #2196f3;
+      }
+
+      .toast.warning {
+        border-left: 4px solid #ff9800;
+      }
+
+      .toast-icon {
+        font-size: 18px;
+        flex-shrink: 0;
+      }
+
+      .toast-message {
+        flex: 1;
+        margin-right: 8px;
+      }
+
+      .toast-close {
+        cursor: pointer;
+        opacity: 0.7;
+        transition: opacity 0.2s ease;
+        padding: 4px;
+        margin: -4px;
+        border-radius: 4px;
+      }
+
+      .toast-close:hover {
+        opacity: 1;
+        background: var(--hover-color);
+      }
+
+      @media (max-width: 768px) {
+        .toast-container {
+          /* 保持在右上角 */
+          top: 20px;
+          right: 20px;
+          width: auto;
+          max-width: calc(100% - 40px);
+          transform: none;
+        }
+
+        .toast {
+          width: 100%;
+          transform: translateY(100%);
+        }
+
+        .toast.show {
+          transform: translateY(0);
+        }
+      }
+
+      /* 添加复制全部按钮样式 */
+      .copy-all-button {
+        background: none;
+        border: none;
+        color: var(--text-color);
+        cursor: pointer;
+        padding: 0px 4px;
+        border-radius: 4px;
+        font-size: 12px;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        transition: all 0.2s ease;
+      }
+
+      .copy-all-button:hover {
+        background: var(--hover-color);
+      }
+
+      /* 添加复制全部的动效样式 */
+      .copy-all-item {
+        cursor: pointer;
+        transition: all 0.2s ease;
+        padding: 0px 4px;
+        border-radius: 4px;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+
+      .copy-all-item:hover {
+        background: var(--hover-color);
+      }
+
+      .copy-all-item .copy-icon {
+        transition: transform 0.2s ease;
+      }
+
+      .copy-all-item:hover .copy-icon {
+        transform: scale(1.1);
+      }
+
+      .copy-all-item.copied {
+        animation: copied-animation 0.5s ease;
+      }
+
+      @keyframes copied-animation {
+        0% { transform: scale(1); }
+        50% { transform: scale(1.1); }
+        100% { transform: scale(1); }
+      }
+
+      /* 表格样式 */
+      .content table {
+        width: 100%;
+        border-collapse: collapse;
+        margin: 1.5em 0;
+        overflow-x: auto;
+        display: block;
+      }
+
+      .content th,
+      .content td {
+        border: 1px solid var(--border-color);
+        padding: 8px 12px;
+        text-align: left;
+      }
+
+      .content th {
+        background-color: var(--hover-color);
+        font-weight: 600;
+      }
+
+      .content tr:nth-child(even) {
+        background-color: var(--editor-bg);
+      }
+
+      .content tr:hover {
+        background-color: var(--hover-color);
+      }
+
+      /* 移动端表格适配 */
+      @media (max-width: 768px) {
+        .content table {
+          font-size: 14px;
+        }
+
+        .content th,
+        .content td {
+          padding: 6px 8px;
+        }
+      }
+
+      /* 表格滚动条样式 */
+      .content table::-webkit-scrollbar {
+        height: 8px;
+        width: 8px;
+      }
+
+      .content table::-webkit-scrollbar-track {
+        background: transparent;
+      }
+
+      .content table::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 4px;
+        border: 2px solid var(--editor-bg);
+      }
+
+      .content table::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
+      }
+
+      /* 表格滚动条样式 */
+      .content table::-webkit-scrollbar {
+        height: 8px;
+        width: 8px;
+      }
+
+      .content table::-webkit-scrollbar-track {
+        background: transparent;
+      }
+
+      .content table::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 4px;
+        border: 2px solid var(--editor-bg);
+      }
+
+      .content table::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
+      }
+
+      /* 图片样式 */
+      .content img {
+        max-width: 100%;
+        height: auto;
+        margin: 1em 0;
+        border-radius: 8px;
+        display: block;
+        box-shadow: 0 2px 8px var(--shadow-color);
+        transition: all 0.3s ease;
+        opacity: 0;
+        animation: fadeIn 0.5s ease forwards;
+      }
+
+      /* 图片容器 */
+      .content p:has(img) {
+        text-align: center;
+        margin: 2em 0;
+      }
+
+      /* 图片悬停效果 */
+      .content img:hover {
+        transform: scale(1.01);
+        box-shadow: 0 4px 12px var(--shadow-color);
+      }
+
+      /* 图片标题样式 */
+      .content img + em {
+        display: block;
+        text-align: center;
+        color: var(--secondary-color);
+        font-size: 0.9em;
+        margin-top: 0.5em;
+      }
+
+      /* 移动端图片适配 */
+      @media (max-width: 768px) {
+        .content img {
+          border-radius: 6px;
+          margin: 0.8em 0;
+        }
+
+        .content p:has(img) {
+          margin: 1.5em 0;
+        }
+
+        /* 禁用移动端图片缩放动画 */
+        .content img:hover {
+          transform: none;
+          box-shadow: 0 2px 8px var(--shadow-color);
+        }
+      }
+
+      /* 图片加载动画 */
+      @keyframes fadeIn {
+        from {
+          opacity: 0;
+          transform: translateY(10px);
+        }
+        to {
+          opacity: 1;
+          transform: translateY(0);
+        }
+      }
+
+      /* 图片加载失败样式 */
+      .content img:not([src]),
+      .content img[src=""],
+      .content img[src*="data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=="] {
+        position: relative;
+        min-height: 100px;
+        background: var(--editor-bg);
+        border: 1px dashed var(--border-color);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .content img:not([src])::after,
+      .content img[src=""]::after,
+      .content img[src*="data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw=="]::after {
+        content: "图片加载失败";
+        position: absolute;
+        color: var(--secondary-color);
+        font-size: 0.9em;
+      }
+
+      /* 大图查看模式 */
+      .content img.enlarged {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        max-width: 90vw;
+        max-height: 90vh;
+        object-fit: contain;
+        z-index: 1000;
+        cursor: zoom-out;
+        margin: 0;
+        padding: 0;
+        background: var(--bg-color);
+        box-shadow: 0 0 20px var(--shadow-color);
+      }
+
+      /* 大图查看遮罩层 */
+      .image-overlay {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.8);
+        z-index: 999;
+        display: none;
+        opacity: 0;
+        transition: opacity 0.3s ease;
+      }
+
+      .image-overlay.active {
+        display: block;
+        opacity: 1;
+      }
+
+      /* 代码块复制按钮样式 */
+      .content pre {
+        position: relative;
+      }
+
+      .copy-button {
+        position: absolute;
+        top: 0.5em;
+        right: 0.5em;
+        padding: 0.2em 0.5em;
+        font-size: 0.85em;
+        color: var(--text-color);
+        background: var(--container-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 3px;
+        cursor: pointer;
+        opacity: 0;
+        transition: all 0.2s ease;
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        z-index: 2;
+      }
+
+      .content pre:hover .copy-button {
+        opacity: 0.8;
+      }
+
+      .copy-button:hover {
+        opacity: 1 !important;
+        background: var(--hover-color);
+        transform: translateY(-1px);
+      }
+
+      .copy-button.copied {
+        color: #4caf50;
+        border-color: #4caf50;
+        opacity: 1;
+      }
+
+      .copy-button.error {
+        color: #f44336;
+        border-color: #f44336;
+        opacity: 1;
+      }
+
+      /* 代码块语言标签 */
+      .content pre::before {
+        content: attr(data-language);
+        position: absolute;
+        top: 0;
+        right: 0;
+        padding: 0.2em 0.5em;
+        font-size: 0.85em;
+        background: var(--container-bg);
+        border-bottom-left-radius: 4px;
+        color: var(--secondary-color);
+        opacity: 0.8;
+        transition: opacity 0.2s ease;
+      }
+
+      .content pre:hover::before {
+        opacity: 0;
+      }
+
+      @media (max-width: 768px) {
+        .copy-button {
+          padding: 0.15em 0.4em;
+          font-size: 0.8em;
+        }
+
+        .content pre::before {
+          font-size: 0.8em;
+          padding: 0.15em 0.4em;
+        }
+      }
+
+      .info-bar {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 15px;
+        background: var(--editor-bg);
+        border-radius: 12px;
+        margin-bottom: 20px;
+        font-size: 14px;
+        border: 1px solid var(--border-color);
+        overflow-x: auto;
+        -webkit-overflow-scrolling: touch;
+        scrollbar-width: none;
+        gap: 15px;
+        min-width: 0;
+      }
+
+      .info-bar::-webkit-scrollbar {
+        height: 6px;
+        width: 6px;
+      }
+
+      .info-bar::-webkit-scrollbar-track {
+        background: transparent;
+      }
+
+      .info-bar::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 3px;
+      }
+
+      .info-bar::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
+      }
+
+      .info-left {
+        display: flex;
+        gap: 15px;
+        flex-shrink: 0;
+        margin-right: auto;
+      }
+
+      .info-right {
+        display: flex;
+        align-items: center;
+        gap: 15px;
+        flex-shrink: 0;
+        margin-left: auto;
+      }
+
+      .info-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 10px;
+        border-radius: 6px;
+        transition: all 0.2s ease;
+        white-space: nowrap;
+        flex-shrink: 0;
+      }
+
+      .info-item:hover {
+        background: var(--hover-color);
+      }
+
+      .theme-toggle {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 10px;
+        border-radius: 6px;
+        border: none;
+        color: var(--text-color);
+        cursor: pointer;
+        font-size: 14px;
+        transition: all 0.2s ease;
+        background: transparent;
+        white-space: nowrap;
+        flex-shrink: 0;
+      }
+
+      .theme-toggle:hover {
+        background: var(--hover-color);
+      }
+
+      .theme-toggle:active {
+        transform: scale(0.95);
+      }
+
+      .theme-toggle .sun-icon,
+      .theme-toggle .moon-icon {
+        display: none;
+        font-size: 1.2rem;
+      }
+
+      .theme-toggle .label {
+        font-size: 14px;
+      }
+
+      [data-theme="dark"] .moon-icon {
+        display: block;
+      }
+
+      [data-theme="light"] .sun-icon {
+        display: block;
+      }
+
+      @media (max-width: 768px) {
+        .theme-toggle {
+          padding: 4px 8px;
+        }
+
+        .theme-toggle .label {
+          font-size: 13px;
+        }
+      }
+
+      @media (max-width: 768px) {
+        .info-bar {
+          padding: 10px;
+          gap: 10px;
+        }
+
+        .info-left,
+        .info-right {
+          gap: 10px;
+        }
+
+        .info-item {
+          padding: 4px 8px;
+          font-size: 13px;
+        }
+      }
+
+      /* 添加KaTeX相关样式 */
+      .katex-display {
+        overflow-x: auto;
+        overflow-y: hidden;
+        padding: 1em 0;
+        margin: 1em 0;
+      }
+
+      .katex-display::-webkit-scrollbar {
+        height: 6px;
+      }
+
+      .katex-display::-webkit-scrollbar-track {
+        background: transparent;
+      }
+
+      .katex-display::-webkit-scrollbar-thumb {
+        background-color: var(--secondary-color);
+        border-radius: 3px;
+      }
+
+      .katex-display::-webkit-scrollbar-thumb:hover {
+        background-color: var(--text-color);
+      }
+
+      /* Mermaid图表样式 */
+      .mermaid {
+        margin: 1.5em 0;
+        text-align: center;
+        background: var(--editor-bg);
+        padding: 1em;
+        border-radius: 8px;
+        border: 1px solid var(--border-color);
+        overflow-x: auto;
+      }
+
+      .mermaid svg {
+        max-width: 100%;
+        height: auto;
+      }
+
+      /* 深色模式下的Mermaid样式 */
+      [data-theme="dark"] .mermaid {
+        --mermaid-bg: var(--editor-bg);
+        --mermaid-fg: var(--text-color);
+        --mermaid-edge: var(--text-color);
+        --mermaid-label: var(--text-color);
+        --mermaid-cluster: var(--border-color);
+      }
+
+      [data-theme="dark"] .mermaid .node rect,
+      [data-theme="dark"] .mermaid .node circle,
+      [data-theme="dark"] .mermaid .node ellipse,
+      [data-theme="dark"] .mermaid .node polygon,
+      [data-theme="dark"] .mermaid .node path {
+        fill: var(--mermaid-bg);
+        stroke: var(--mermaid-fg);
+      }
+
+      [data-theme="dark"] .mermaid .edgePath .path {
+        stroke: var(--mermaid-edge) !important;
       }
 
       [data-theme="dark"] .mermaid .edgeLabel {
@@ -2858,1499 +5605,6452 @@ function generateHTML(noteName, noteContent) {
         background-color: var(--mermaid-bg);
       }
 
-      [data-theme="dark"] .mermaid .cluster rect {
-        fill: var(--mermaid-bg) !important;
-        stroke: var(--mermaid-cluster) !important;
+      [data-theme="dark"] .mermaid .cluster rect {
+        fill: var(--mermaid-bg) !important;
+        stroke: var(--mermaid-cluster) !important;
+      }
+
+      [data-theme="dark"] .mermaid .label {
+        color: var(--mermaid-label);
+      }
+
+      [data-theme="dark"] .mermaid .node .label {
+        color: var(--mermaid-label);
+      }
+
+      [data-theme="dark"] .mermaid marker {
+        fill: var(--mermaid-edge);
+      }
+
+      /* 侧边面板样式(历史版本等) */
+      .side-panel {
+        display: none;
+        position: fixed;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        width: 420px;
+        max-width: 100%;
+        background: var(--container-bg);
+        border-left: 1px solid var(--border-color);
+        box-shadow: -8px 0 24px var(--shadow-color);
+        z-index: 1000;
+        flex-direction: column;
+      }
+
+      .side-panel.open {
+        display: flex;
+      }
+
+      .side-panel-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 16px 20px;
+        border-bottom: 1px solid var(--border-color);
+      }
+
+      .side-panel-header h3 {
+        margin: 0;
+        color: var(--text-color);
+        font-size: 1.1em;
+        font-weight: 500;
+      }
+
+      .side-panel-close {
+        border: none;
+        background: none;
+        color: var(--secondary-color);
+        font-size: 16px;
+        cursor: pointer;
+        padding: 4px 8px;
+        border-radius: 6px;
+      }
+
+      .side-panel-close:hover {
+        background: var(--hover-color);
+        color: var(--text-color);
+      }
+
+      .side-panel-body {
+        flex: 1;
+        overflow-y: auto;
+        padding: 12px 20px 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+      }
+
+      .side-panel-empty {
+        color: var(--secondary-color);
+        text-align: center;
+        padding: 24px 0;
+      }
+
+      .side-panel-overlay {
+        display: none;
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        background: rgba(0, 0, 0, 0.3);
+        z-index: 999;
+      }
+
+      .side-panel-overlay.active {
+        display: block;
+      }
+
+      .side-panel button.panel-action {
+        padding: 6px 12px;
+        border: 1px solid var(--border-color);
+        border-radius: 6px;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        cursor: pointer;
+        font-size: 13px;
+        transition: all 0.2s ease;
+      }
+
+      .side-panel button.panel-action:hover {
+        background: var(--hover-color);
+        border-color: var(--secondary-color);
+      }
+
+      .side-panel button.panel-action.primary {
+        background: var(--primary-color);
+        border-color: var(--primary-color);
+        color: white;
+      }
+
+      .history-list {
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        max-height: 40vh;
+        overflow-y: auto;
+      }
+
+      .history-list li {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        padding: 8px 12px;
+        cursor: pointer;
+        color: var(--text-color);
+        font-size: 14px;
+        border-bottom: 1px solid var(--border-color);
+      }
+
+      .history-list li:last-child {
+        border-bottom: none;
+      }
+
+      .history-list li:hover {
+        background: var(--hover-color);
+      }
+
+      .history-list li.active {
+        background: var(--hover-color);
+        color: var(--primary-color);
+      }
+
+      .history-list .history-size {
+        color: var(--secondary-color);
+        font-size: 12px;
+        white-space: nowrap;
+      }
+
+      .history-detail {
+        display: none;
+        flex-direction: column;
+        gap: 8px;
+        min-height: 0;
+        flex: 1;
+      }
+
+      .history-detail.active {
+        display: flex;
+      }
+
+      .history-detail-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        color: var(--secondary-color);
+        font-size: 13px;
+      }
+
+      .history-detail-actions {
+        display: flex;
+        gap: 8px;
+      }
+
+      .share-chart {
+        display: flex;
+        align-items: flex-end;
+        gap: 3px;
+        flex-shrink: 0;
+        height: 60px;
+        padding: 8px 12px;
+        background: var(--editor-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+      }
+
+      .share-chart-bar {
+        flex: 1;
+        background: var(--primary-color);
+        border-radius: 2px 2px 0 0;
+        opacity: 0.8;
+      }
+
+      .history-detail pre {
+        flex: 1;
+        margin: 0;
+        padding: 12px;
+        overflow: auto;
+        background: var(--editor-bg);
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        color: var(--text-color);
+        font-size: 13px;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      @media (max-width: 480px) {
+        .side-panel {
+          width: 100%;
+        }
+      }
+
+      /* 协同编辑样式 */
+      .live-status.active {
+        color: var(--primary-color);
+        background: var(--hover-color);
+      }
+
+      .presence-list {
+        display: inline-flex;
+        align-items: center;
+        margin-left: 10px;
+      }
+
+      .presence-avatar {
+        width: 22px;
+        height: 22px;
+        border-radius: 50%;
+        border: 2px solid var(--container-bg);
+        margin-left: -6px;
+        color: white;
+        font-size: 11px;
+        line-height: 18px;
+        text-align: center;
+        cursor: default;
+        user-select: none;
+      }
+
+      .presence-avatar:first-child {
+        margin-left: 0;
+      }
+
+      .presence-avatar.typing {
+        animation: presence-pulse 1s ease-in-out infinite;
+      }
+
+      @keyframes presence-pulse {
+        50% {
+          transform: translateY(-2px);
+        }
+      }
+
+      .presence-status {
+        color: var(--secondary-color);
+        font-size: 0.85rem;
+        margin-left: 6px;
+        white-space: nowrap;
+      }
+
+      .live-cursors {
+        position: absolute;
+        pointer-events: none;
+        overflow: hidden;
+      }
+
+      .live-mirror {
+        position: absolute;
+        top: 0;
+        left: 0;
+        visibility: hidden;
+        box-sizing: border-box;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        overflow-wrap: break-word;
+      }
+
+      .live-selection {
+        position: absolute;
+        opacity: 0.25;
+      }
+
+      .live-caret {
+        position: absolute;
+        width: 2px;
+      }
+
+      .live-caret-label {
+        position: absolute;
+        bottom: 100%;
+        left: 0;
+        padding: 0 4px;
+        border-radius: 3px 3px 3px 0;
+        color: white;
+        font-size: 11px;
+        line-height: 1.5;
+        white-space: nowrap;
+      }
+
+      /* 保存冲突对话框样式 */
+      .conflict-dialog {
+        max-width: 760px;
+      }
+
+      .conflict-dialog h3::before {
+        content: '⚠️';
+      }
+
+      .conflict-summary {
+        margin: 0 0 12px 0;
+        color: var(--secondary-color);
+        font-size: 14px;
+      }
+
+      .conflict-diff {
+        max-height: 50vh;
+        overflow: auto;
+        margin-bottom: 20px;
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+      }
+
+      /* 分享对话框样式 */
+      .share-dialog h3::before {
+        content: '🔗';
+      }
+
+      .share-option {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 12px;
+        margin-bottom: 12px;
+        color: var(--text-color);
+        font-size: 14px;
+      }
+
+      .share-option select,
+      .share-option input[type="text"],
+      .share-option input[type="number"],
+      .share-option input[type="password"],
+      .share-option input[type="datetime-local"] {
+        flex: 1;
+        max-width: 200px;
+        margin: 0;
+        padding: 6px 10px;
+        border: 1px solid var(--border-color);
+        border-radius: 8px;
+        background: var(--editor-bg);
+        color: var(--text-color);
+        font-size: 14px;
+      }
+
+      .share-option input:disabled {
+        opacity: 0.5;
+      }
+
+      .share-option-check {
+        justify-content: flex-start;
+        margin-bottom: 20px;
+        cursor: pointer;
+      }
+
+      #share-expiry-custom-option {
+        display: none;
+      }
+
+      /* API 令牌样式 */
+      .token-dialog h3::before {
+        content: '🔑';
+      }
+
+      .token-scopes {
+        display: flex;
+        gap: 12px;
+      }
+
+      .token-scopes label {
+        cursor: pointer;
+      }
+
+      #token-namespace-option,
+      #token-password-option {
+        display: none;
+      }
+
+      /* 面板顶部的说明和操作按钮 */
+      .panel-toolbar {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 12px;
+        color: var(--secondary-color);
+        font-size: 12px;
+      }
+
+      /* 版本对比样式 */
+      .editor-container.diff-mode {
+        grid-template-columns: 1fr 1fr;
+      }
+
+      .diff-toolbar {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 8px;
+        padding: 6px 10px;
+        border-bottom: 1px solid var(--border-color);
+        font-size: 12px;
+        color: var(--secondary-color);
+      }
+
+      .diff-toolbar .toolbar-select {
+        max-width: 180px;
+      }
+
+      .diff-toggle-group {
+        display: inline-flex;
+        border: 1px solid var(--border-color);
+        border-radius: 6px;
+        overflow: hidden;
+      }
+
+      .diff-toggle-group button {
+        border: none;
+        background: none;
+        color: var(--text-color);
+        padding: 3px 10px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .diff-toggle-group button.active {
+        background: var(--primary-color);
+        color: white;
+      }
+
+      .diff-stats .diff-stat-insert {
+        color: #2ecc71;
+      }
+
+      .diff-stats .diff-stat-delete {
+        color: #e74c3c;
+      }
+
+      .diff-close {
+        margin-left: auto;
+        border: none;
+        background: none;
+        color: var(--secondary-color);
+        cursor: pointer;
+        padding: 2px 8px;
+        border-radius: 4px;
+      }
+
+      .diff-close:hover {
+        background: var(--hover-color);
+        color: var(--text-color);
+      }
+
+      .diff-body {
+        height: calc(100% - 41px);
+        overflow: auto;
+        -webkit-user-select: text;
+        -ms-user-select: text;
+        user-select: text;
+      }
+
+      .diff-message {
+        color: var(--secondary-color);
+        text-align: center;
+        padding: 24px;
+      }
+
+      .diff-table {
+        width: 100%;
+        border-collapse: collapse;
+        table-layout: fixed;
+        font-family: 'Consolas', 'Monaco', monospace;
+        font-size: 13px;
+      }
+
+      .diff-table td {
+        padding: 0 8px;
+        vertical-align: top;
+        white-space: pre-wrap;
+        word-break: break-word;
+        line-height: 1.5;
+      }
+
+      .diff-table td.diff-line-no {
+        width: 3.5em;
+        text-align: right;
+        color: var(--secondary-color);
+        -webkit-user-select: none;
+        user-select: none;
+      }
+
+      .diff-table td.diff-delete {
+        background: rgba(248, 81, 73, 0.12);
+      }
+
+      .diff-table td.diff-insert {
+        background: rgba(46, 160, 67, 0.12);
+      }
+
+      .diff-table td.diff-blank {
+        background: var(--hover-color);
+      }
+
+      .diff-table tr.diff-fold td {
+        text-align: center;
+        color: var(--secondary-color);
+        background: var(--hover-color);
+        font-size: 12px;
+      }
+
+      .diff-word-delete {
+        background: rgba(248, 81, 73, 0.35);
+        border-radius: 2px;
+      }
+
+      .diff-word-insert {
+        background: rgba(46, 160, 67, 0.35);
+        border-radius: 2px;
+      }
+
+      .diff-rendered {
+        padding: 10px 12px;
+      }
+
+      .diff-rendered-row {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 12px;
+      }
+
+      .diff-block {
+        border-left: 3px solid transparent;
+        padding: 0 8px;
+        margin: 4px 0;
+        min-width: 0;
+      }
+
+      .diff-block.diff-delete {
+        border-left-color: #e74c3c;
+        background: rgba(248, 81, 73, 0.08);
+      }
+
+      .diff-block.diff-insert {
+        border-left-color: #2ecc71;
+        background: rgba(46, 160, 67, 0.08);
+      }
+    </style>
+
+    <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/emoji-toolkit@7.0.0/lib/js/joypixels.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/highlight.min.js"></script>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/emoji-toolkit@7.0.0/extras/css/joypixels.min.css">
+  </head>
+  <body>
+    <div class="container">
+      <div class="toolbar">
+        <div class="toolbar-left">
+          <div class="note-name" onclick="copyNoteLink()" title="点击复制链接">
+            📋 ${noteName}
+          </div>
+          <div class="toolbar-divider"></div>
+          <!-- 字体和字号选择器 -->
+          <select id="font-family" class="toolbar-select" onchange="applyFont()">
+            <option value="default">默认字体</option>
+            <option value="serif">宋体</option>
+            <option value="yahei">微软雅黑</option>
+            <option value="kaiti">楷体</option>
+            <option value="heiti">黑体</option>
+            <option value="fangsong">仿宋</option>
+            <option value="songti">新宋体</option>
+            <option value="monospace">等宽字体</option>
+            <option value="arial">Arial</option>
+            <option value="times">Times New Roman</option>
+            <option value="helvetica">Helvetica</option>
+          </select>
+          <select id="font-size" class="toolbar-select" onchange="applyFontSize()">
+            <option value="12">12px</option>
+            <option value="13">13px</option>
+            <option value="14">14px</option>
+            <option value="15">15px</option>
+            <option value="16" selected>16px</option>
+            <option value="17">17px</option>
+            <option value="18">18px</option>
+            <option value="20">20px</option>
+            <option value="22">22px</option>
+            <option value="24">24px</option>
+            <option value="26">26px</option>
+            <option value="28">28px</option>
+            <option value="32">32px</option>
+          </select>
+          <div class="toolbar-divider"></div>
+          <!-- Markdown 工具栏 -->
+          <div class="markdown-toolbar">
+            <button onclick="applyMarkdown('bold')" title="粗体 Ctrl+B">B</button>
+            <button onclick="applyMarkdown('italic')" title="斜体 Ctrl+I">I</button>
+            <button onclick="applyMarkdown('heading')" title="标题 Ctrl+H">H</button>
+            <button onclick="applyMarkdown('strikethrough')" title="删除线 Ctrl+D">S</button>
+            <button onclick="applyMarkdown('list')" title="无序列表 Ctrl+U">•</button>
+            <button onclick="applyMarkdown('ordered-list')" title="有序列表 Ctrl+O">1.</button>
+            <button onclick="applyMarkdown('task')" title="任务列表 Ctrl+T">☐</button>
+            <button onclick="applyMarkdown('quote')" title="引用 Ctrl+Q">""</button>
+            <button onclick="applyMarkdown('code')" title="代码 Ctrl+K">{}</button>
+            <button onclick="applyMarkdown('table')" title="表格">⚏</button>
+            <button onclick="applyMarkdown('divider')" title="分割线">—</button>
+            <button onclick="applyMarkdown('link')" title="链接 Ctrl+L">🔗</button>
+            <button onclick="applyMarkdown('image')" title="图片 Ctrl+P">🖼</button>
+            <button onclick="showEmojiPicker()" title="表情">😊</button>
+            <div class="toolbar-divider"></div>
+            <button onclick="applyMarkdown('latex-inline')" title="行内公式">∑</button>
+            <button onclick="applyMarkdown('latex-block')" title="公式块">∫</button>
+            <button onclick="applyMarkdown('mermaid')" title="流程图">📊</button>
+          </div>
+          <span id="save-status"></span>
+          <span class="presence-list" id="presence-list"></span>
+          <span class="presence-status" id="presence-status"></span>
+        </div>
+        <div class="toolbar-right">
+          <div class="e2e-status toolbar-button" onclick="showE2EDialog()" title="端到端加密设置">
+            <span class="icon" id="e2e-status-icon">🛡️</span>
+            <span class="label">端到端加密</span>
+          </div>
+          <div class="password-status toolbar-button" onclick="showPasswordDialog()" title="密码保护设置">
+            <span class="icon" id="password-status-icon">🔓</span>
+            <span class="label">密码保护</span>
+          </div>
+          <button onclick="toggleDarkMode()" class="toolbar-button theme-toggle" title="切换主题">
+            <div class="icon">
+              <span class="sun-icon">☀️</span>
+              <span class="moon-icon">🌙</span>
+            </div>
+            <span class="label">主题</span>
+          </button>
+          <div class="live-status toolbar-button" id="live-status" onclick="toggleLiveEditing()" title="开启协同编辑">
+            <span class="icon">👥</span>
+            <span class="label" id="live-status-label">协同</span>
+          </div>
+          <div class="toolbar-button" onclick="showHistoryPanel()" title="历史版本">
+            <span class="icon">🕘</span>
+            <span class="label">历史</span>
+          </div>
+          <div class="toolbar-button" onclick="showTrashPanel()" title="回收站">
+            <span class="icon">🗑️</span>
+            <span class="label">回收站</span>
+          </div>
+          <div class="toolbar-button" onclick="showSharesPanel()" title="我的分享">
+            <span class="icon">🔗</span>
+            <span class="label">我的分享</span>
+          </div>
+          <div class="toolbar-button" onclick="showTokensPanel()" title="API 令牌">
+            <span class="icon">🔑</span>
+            <span class="label">令牌</span>
+          </div>
+          <div class="toolbar-button" onclick="showWebhooksPanel()" title="Webhook 通知">
+            <span class="icon">🔔</span>
+            <span class="label">通知</span>
+          </div>
+          <div class="share-button toolbar-button" onclick="shareNote()" title="分享笔记">
+            <span class="icon">📤</span>
+            <span class="label">分享</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="editor-container">
+        <div class="editor-wrapper">
+          <div class="editor-main">
+            <div class="line-numbers"></div>
+            <textarea id="content" placeholder="开始输入笔记内容..." onscroll="handleEditorScroll()">${escapeHTML(noteContent)}</textarea>
+            <div class="live-cursors" id="live-cursors"></div>
+          </div>
+          <div class="status-bar">
+            <div class="status-left">
+              <div class="status-item">
+                <label title="显示/隐藏行号">
+                  <input type="checkbox" id="line-numbers-toggle" checked onchange="toggleLineNumbers()">
+                  行号
+                </label>
+              </div>
+              <div class="status-item">
+                <label title="显示/隐藏工具栏">
+                  <input type="checkbox" id="toolbar-toggle" checked onchange="toggleToolbar()">
+                  工具栏
+                </label>
+              </div>
+              <div class="status-item">
+                <label class="switch-label">
+                  <input type="checkbox" id="preview-toggle" onchange="togglePreview()">
+                  预览
+                </label>
+              </div>
+            </div>
+            <div class="status-right">
+              <div class="status-item copy-all-item" onclick="copyAllContent()" title="复制全部内容">
+                <span class="copy-icon">📋</span>
+                <span>复制全部</span>
+              </div>
+              <div class="status-item">
+                <span>字数:</span>
+                <span id="char-count">0</span>
+              </div>
+              <div class="status-item">
+                <span>单词:</span>
+                <span id="word-count">0</span>
+              </div>
+              <div class="status-item">
+                <span>行:</span>
+                <span id="line-count">1</span>
+              </div>
+              <div class="status-item">
+                <span>列:</span>
+                <span id="column-count">1</span>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div id="preview" class="preview-container">
+          <div class="preview-content" onscroll="handlePreviewScroll()" ondblclick="handlePreviewDoubleTap(event)"></div>
+          <div class="preview-status-bar">
+            <div class="preview-status-left">
+              <button onclick="togglePreviewFullscreen()" class="fullscreen-toggle" title="切换全屏">
+                <span class="fullscreen-icon" id="fullscreen-icon">⛶</span>
+              </button>
+              <div class="preview-status-item">
+                <label class="switch-label">
+                  <input type="checkbox" id="sync-scroll-toggle" onchange="toggleSyncScroll()">
+                  同步滚动
+                </label>
+              </div>
+            </div>
+            <div class="preview-status-right">
+              <div class="preview-status-item">
+                <span>字数:</span>
+                <span id="preview-char-count">0</span>
+              </div>
+              <div class="preview-status-item">
+                <span>单词:</span>
+                <span id="preview-word-count">0</span>
+              </div>
+              <div class="preview-status-item">
+                <span>段落:</span>
+                <span id="preview-paragraph-count">0</span>
+              </div>
+            </div>
+          </div>
+        </div>
+        <!-- 版本对比 -->
+        <div id="diff-view" class="preview-container diff-container">
+          <div class="diff-toolbar">
+            <select id="diff-left" class="toolbar-select" onchange="updateDiffView()" title="旧版本"></select>
+            <span>→</span>
+            <select id="diff-right" class="toolbar-select" onchange="updateDiffView()" title="新版本"></select>
+            <div class="diff-toggle-group" id="diff-mode-group">
+              <button data-value="source" onclick="setDiffOption('mode', 'source')">源码</button>
+              <button data-value="rendered" onclick="setDiffOption('mode', 'rendered')">预览</button>
+            </div>
+            <div class="diff-toggle-group" id="diff-layout-group">
+              <button data-value="split" onclick="setDiffOption('layout', 'split')">并排</button>
+              <button data-value="inline" onclick="setDiffOption('layout', 'inline')">行内</button>
+            </div>
+            <span class="diff-stats" id="diff-stats"></span>
+            <button class="diff-close" onclick="closeDiffView()" title="关闭对比">✕</button>
+          </div>
+          <div class="diff-body" id="diff-body"></div>
+        </div>
+      </div>
+    </div>
+
+    <div id="emoji-picker" class="emoji-picker"></div>
+    
+    <!-- 添加密码对话框 -->
+    <div class="password-dialog-overlay" id="password-overlay"></div>
+    <div class="password-dialog" id="password-dialog">
+      <h3 id="password-dialog-title">设置密码保护</h3>
+      <input type="password" id="password-input" placeholder="请输入密码" autocomplete="new-password">
+      <div class="password-dialog-message" id="password-message"></div>
+      <div class="password-dialog-buttons">
+        <button onclick="closePasswordDialog()">
+          <span>取消</span>
+        </button>
+        <button onclick="lockNote()" id="password-lock-btn" title="注销当前会话，下次访问需重新输入密码">
+          <span>锁定</span>
+        </button>
+        <button class="primary" onclick="handlePasswordAction()" id="password-action-btn">
+          <span>确定</span>
+        </button>
+      </div>
+    </div>
+
+    <!-- 历史版本面板 -->
+    <div class="side-panel-overlay" id="side-panel-overlay" onclick="closeSidePanels()"></div>
+    <div class="side-panel" id="history-panel">
+      <div class="side-panel-header">
+        <h3>🕘 历史版本</h3>
+        <button class="side-panel-close" onclick="closeSidePanels()" title="关闭">✕</button>
+      </div>
+      <div class="side-panel-body">
+        <ul class="history-list" id="history-list"></ul>
+        <div class="history-detail" id="history-detail">
+          <div class="history-detail-header">
+            <span id="history-detail-title"></span>
+            <div class="history-detail-actions">
+              <button class="panel-action" onclick="openDiffView(selectedRevision.id)">与当前对比</button>
+              <button class="panel-action primary" onclick="restoreRevision()">恢复此版本</button>
+            </div>
+          </div>
+          <pre id="history-detail-content"></pre>
+        </div>
+      </div>
+    </div>
+
+    <!-- 回收站面板 -->
+    <div class="side-panel" id="trash-panel">
+      <div class="side-panel-header">
+        <h3>🗑️ 回收站</h3>
+        <button class="side-panel-close" onclick="closeSidePanels()" title="关闭">✕</button>
+      </div>
+      <div class="side-panel-body">
+        <ul class="history-list" id="trash-list"></ul>
+        <div class="history-detail" id="trash-detail">
+          <div class="history-detail-header">
+            <span id="trash-detail-title"></span>
+            <div class="history-detail-actions">
+              <button class="panel-action" onclick="purgeTrashEntry()">彻底删除</button>
+              <button class="panel-action primary" onclick="restoreTrashEntry()">恢复</button>
+            </div>
+          </div>
+          <pre id="trash-detail-content"></pre>
+        </div>
+      </div>
+    </div>
+
+    <!-- 我的分享面板 -->
+    <div class="side-panel" id="shares-panel">
+      <div class="side-panel-header">
+        <h3>🔗 我的分享</h3>
+        <button class="side-panel-close" onclick="closeSidePanels()" title="关闭">✕</button>
+      </div>
+      <div class="side-panel-body">
+        <ul class="history-list" id="shares-list"></ul>
+        <div class="history-detail" id="shares-detail">
+          <div class="history-detail-header">
+            <span id="shares-detail-title"></span>
+            <div class="history-detail-actions">
+              <button class="panel-action" onclick="revokeShare()">撤销</button>
+              <button class="panel-action" onclick="refreshShare()" title="用笔记当前内容更新此分享">更新内容</button>
+              <button class="panel-action primary" onclick="copyShareLink(selectedShare.id)">复制链接</button>
+            </div>
+          </div>
+          <div class="share-chart" id="shares-detail-chart" title="最近 14 天的每日访问"></div>
+          <pre id="shares-detail-content"></pre>
+        </div>
+      </div>
+    </div>
+
+    <!-- API 令牌面板 -->
+    <div class="side-panel" id="tokens-panel">
+      <div class="side-panel-header">
+        <h3>🔑 API 令牌</h3>
+        <button class="side-panel-close" onclick="closeSidePanels()" title="关闭">✕</button>
+      </div>
+      <div class="side-panel-body">
+        <div class="panel-toolbar">
+          <span>脚本通过 Authorization: Bearer 头使用令牌访问原始内容、追加接口和 REST API</span>
+          <button class="panel-action primary" onclick="showTokenDialog()">新建令牌</button>
+        </div>
+        <ul class="history-list" id="tokens-list"></ul>
+        <div class="history-detail" id="tokens-detail">
+          <div class="history-detail-header">
+            <span id="tokens-detail-title"></span>
+            <div class="history-detail-actions">
+              <button class="panel-action" onclick="revokeToken()">撤销</button>
+              <button class="panel-action primary" id="tokens-copy-btn" onclick="copyToken()">复制令牌</button>
+            </div>
+          </div>
+          <pre id="tokens-detail-content"></pre>
+        </div>
+      </div>
+    </div>
+
+    <!-- Webhook 通知面板 -->
+    <div class="side-panel" id="webhooks-panel">
+      <div class="side-panel-header">
+        <h3>🔔 Webhook 通知</h3>
+        <button class="side-panel-close" onclick="closeSidePanels()" title="关闭">✕</button>
+      </div>
+      <div class="side-panel-body">
+        <div class="panel-toolbar">
+          <span>笔记修改后（1分钟内的连续修改合并为一次）向以下地址发送带签名的 JSON 通知</span>
+          <button class="panel-action primary" onclick="addWebhook()">添加地址</button>
+        </div>
+        <ul class="history-list" id="webhooks-list"></ul>
+        <div class="panel-toolbar">
+          <span>投递记录</span>
+        </div>
+        <ul class="history-list" id="webhook-deliveries"></ul>
+        <div class="history-detail" id="webhooks-detail">
+          <div class="history-detail-header">
+            <span id="webhooks-detail-title"></span>
+            <div class="history-detail-actions">
+              <button class="panel-action" id="webhooks-delete-btn" onclick="deleteWebhook()">删除</button>
+              <button class="panel-action" id="webhooks-test-btn" onclick="sendWebhook('test')">发送测试</button>
+              <button class="panel-action primary" id="webhooks-redeliver-btn" onclick="sendWebhook('redeliver/' + encodeURIComponent(selectedDelivery.id))">重新发送</button>
+            </div>
+          </div>
+          <pre id="webhooks-detail-content"></pre>
+        </div>
+      </div>
+    </div>
+
+    <!-- 保存冲突对话框 -->
+    <div class="password-dialog-overlay" id="conflict-overlay"></div>
+    <div class="password-dialog conflict-dialog" id="conflict-dialog">
+      <h3>笔记已在其他地方被修改</h3>
+      <p class="conflict-summary" id="conflict-summary"></p>
+      <div class="conflict-diff" id="conflict-diff"></div>
+      <div class="password-dialog-buttons">
+        <button onclick="resolveConflict('theirs')" title="放弃本页的修改，使用其他地方保存的内容">
+          <span>使用对方版本</span>
+        </button>
+        <button onclick="resolveConflict('mine')" title="用本页的内容覆盖其他地方保存的内容">
+          <span>保留我的修改</span>
+        </button>
+        <button class="primary" onclick="resolveConflict('merge')" title="合并双方的修改，重叠部分以冲突标记保留">
+          <span>合并</span>
+        </button>
+      </div>
+    </div>
+
+    <!-- 分享对话框 -->
+    <div class="password-dialog-overlay" id="share-overlay"></div>
+    <div class="password-dialog share-dialog" id="share-dialog">
+      <h3>分享笔记</h3>
+      <label class="share-option">
+        <span>分享方式</span>
+        <select id="share-type">
+          <option value="snapshot">快照（当前内容）</option>
+          <option value="live" id="share-type-live">实时（跟随笔记保存更新）</option>
+        </select>
+      </label>
+      <label class="share-option">
+        <span>有效期</span>
+        <select id="share-expiry" onchange="updateShareOptions()">
+          <option value="">永久有效</option>
+          <option value="3600">1 小时</option>
+          <option value="86400">1 天</option>
+          <option value="604800">7 天</option>
+          <option value="custom">自定义</option>
+        </select>
+      </label>
+      <label class="share-option" id="share-expiry-custom-option">
+        <span>过期时间</span>
+        <input type="datetime-local" id="share-expiry-custom">
+      </label>
+      <label class="share-option" title="同时打开的访问可能会多出一两次">
+        <span>最多查看次数</span>
+        <input type="number" id="share-max-views" min="1" step="1" placeholder="不限">
+      </label>
+      <label class="share-option">
+        <span>访问密码</span>
+        <input type="password" id="share-password" placeholder="不设置" autocomplete="new-password">
+      </label>
+      <label class="share-option share-option-check">
+        <input type="checkbox" id="share-burn" onchange="updateShareOptions()">
+        <span>阅后即焚（首次查看后失效）</span>
+      </label>
+      <div class="password-dialog-buttons">
+        <button onclick="closeShareDialog()">
+          <span>取消</span>
+        </button>
+        <button class="primary" onclick="createShareLink()">
+          <span>创建链接</span>
+        </button>
+      </div>
+    </div>
+
+    <!-- 新建 API 令牌对话框 -->
+    <div class="password-dialog-overlay" id="token-overlay"></div>
+    <div class="password-dialog token-dialog" id="token-dialog">
+      <h3>新建 API 令牌</h3>
+      <label class="share-option">
+        <span>名称</span>
+        <input type="text" id="token-label" maxlength="64" placeholder="如 定时任务日志">
+      </label>
+      <div class="share-option">
+        <span>权限</span>
+        <span class="token-scopes">
+          <label><input type="checkbox" name="token-scope" value="read"> 读取</label>
+          <label><input type="checkbox" name="token-scope" value="append"> 追加</label>
+          <label><input type="checkbox" name="token-scope" value="write"> 写入</label>
+        </span>
+      </div>
+      <label class="share-option">
+        <span>适用范围</span>
+        <select id="token-range" onchange="updateTokenOptions()">
+          <option value="note">仅此笔记</option>
+          <option value="namespace">同一前缀且密码相同的笔记</option>
+        </select>
+      </label>
+      <label class="share-option" id="token-namespace-option">
+        <span>笔记名前缀</span>
+        <input type="text" id="token-namespace">
+      </label>
+      <label class="share-option" id="token-password-option">
+        <span>笔记密码</span>
+        <input type="password" id="token-password" autocomplete="current-password">
+      </label>
+      <div class="password-dialog-buttons">
+        <button onclick="closeTokenDialog()">
+          <span>取消</span>
+        </button>
+        <button class="primary" onclick="createToken()">
+          <span>创建</span>
+        </button>
+      </div>
+    </div>
+
+    <!-- 添加 Toast 容器 -->
+    <div class="toast-container" id="toast-container"></div>
+
+    <div class="image-overlay" id="imageOverlay" onclick="closeEnlargedImage()"></div>
+
+    <script type="application/json" id="e2e-envelope">${e2eData}</script>
+    <script>
+      const noteName = '${noteName}';
+      const content = document.getElementById('content');
+      const preview = document.getElementById('preview');
+      const previewToggle = document.getElementById('preview-toggle');
+      const syncScrollToggle = document.getElementById('sync-scroll-toggle');
+      const saveStatus = document.getElementById('save-status');
+      let saveTimeout;
+      let isEditorScrolling = false;
+      let isPreviewScrolling = false;
+      let isSyncScrollEnabled = true;
+
+      document.addEventListener('DOMContentLoaded', () => {
+        // 配置 marked
+        marked.setOptions({
+          gfm: true,
+          breaks: true,
+          tables: true,
+          headerIds: true,
+          mangle: false,
+          sanitize: false,
+          smartLists: true,
+          smartypants: true,
+          xhtml: false,
+          langPrefix: 'language-',
+          pedantic: false,
+          highlight: function(code, lang) {
+            if (lang && hljs.getLanguage(lang)) {
+              try {
+                return hljs.highlight(code, { language: lang }).value;
+              } catch (err) {}
+            }
+            try {
+              return hljs.highlightAuto(code).value;
+            } catch (err) {}
+            return code;
+          }
+        });
+
+        // 自定义 emoji 渲染
+        const renderer = new marked.Renderer();
+        const originalText = renderer.text.bind(renderer);
+        renderer.text = (text) => {
+          return joypixels.shortnameToImage(originalText(text));
+        };
+        marked.setOptions({ renderer });
+
+        // 初始化主题
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        document.documentElement.setAttribute('data-theme', savedTheme);
+
+        // 初始化预览状态
+        const showPreview = localStorage.getItem('preview') === 'true';
+        previewToggle.checked = showPreview;
+        
+        // 初始化同步滚动状态
+        const savedSyncScroll = localStorage.getItem('sync-scroll');
+        isSyncScrollEnabled = savedSyncScroll !== 'false';
+        syncScrollToggle.checked = isSyncScrollEnabled;
+        
+        const editorContainer = document.querySelector('.editor-container');
+        editorContainer.classList.toggle('preview-mode', showPreview);
+        preview.style.display = showPreview ? 'block' : 'none';
+        
+        if (showPreview) {
+          updatePreview(content.value);
+        }
+
+        content.addEventListener('input', () => {
+          updatePreview(content.value);
+
+          // 内容清空后保存时笔记会被移入回收站
+          saveStatus.textContent = content.value.trim().length === 0 ? '笔记将移入回收站' : 'Saving...';
+
+          debounceSaveContent(content.value);
+        });
+
+        window.addEventListener('resize', () => {
+          if (previewToggle.checked) {
+            syncScrollPositions('editor');
+          }
+        });
+
+        // 初始化行号显示状态
+        const showLineNumbers = localStorage.getItem('show-line-numbers') !== 'false';
+        document.getElementById('line-numbers-toggle').checked = showLineNumbers;
+        const lineNumbers = document.querySelector('.line-numbers');
+        lineNumbers.classList.toggle('hidden', !showLineNumbers);
+
+        // 初始化行号和文本统计
+        updateLineNumbers();
+        updateTextStats();
+
+        // 初始化工具栏显示状态
+        const showToolbar = localStorage.getItem('show-toolbar') !== 'false';
+        document.getElementById('toolbar-toggle').checked = showToolbar;
+        const toolbar = document.querySelector('.toolbar');
+        const container = document.querySelector('.container');
+        toolbar.classList.toggle('hidden', !showToolbar);
+        container.classList.toggle('toolbar-hidden', !showToolbar);
+
+        // 恢复全屏状态
+        const savedFullscreen = localStorage.getItem('preview-fullscreen') === 'true';
+        if (savedFullscreen) {
+          togglePreviewFullscreen();
+        }
+
+        // 添加 Firefox 双击事件监听
+        const previewContent = document.querySelector('.preview-content');
+        if (previewContent) {
+          previewContent.addEventListener('mousedown', (e) => {
+            if (e.detail === 2) { // 检测双击
+              e.preventDefault(); // 阻止默认的文本选择
+            }
+          });
+        }
+
+        // 添加工具栏鼠标滚动支持
+        let isMouseDown = false;
+        let startX;
+        let scrollLeft;
+
+        toolbar.addEventListener('mousedown', (e) => {
+          isMouseDown = true;
+          toolbar.classList.add('dragging');
+          startX = e.pageX - toolbar.offsetLeft;
+          scrollLeft = toolbar.scrollLeft;
+        });
+
+        toolbar.addEventListener('mouseleave', () => {
+          isMouseDown = false;
+          toolbar.classList.remove('dragging');
+        });
+
+        toolbar.addEventListener('mouseup', () => {
+          isMouseDown = false;
+          toolbar.classList.remove('dragging');
+        });
+
+        toolbar.addEventListener('mousemove', (e) => {
+          if (!isMouseDown) return;
+          e.preventDefault();
+          const x = e.pageX - toolbar.offsetLeft;
+          const walk = (x - startX) * 2;
+          toolbar.scrollLeft = scrollLeft - walk;
+        });
+
+        // 支持鼠标滚轮横向滚动
+        toolbar.addEventListener('wheel', (e) => {
+          e.preventDefault();
+          toolbar.scrollLeft += e.deltaY;
+        });
+      });
+
+      function togglePreview() {
+        const showPreview = previewToggle.checked;
+        const editorContainer = document.querySelector('.editor-container');
+        if (isDiffViewOpen()) {
+          closeDiffView();
+        }
+        
+        editorContainer.classList.toggle('preview-mode', showPreview);
+        preview.style.display = showPreview ? 'block' : 'none';
+        
+        localStorage.setItem('preview', showPreview);
+        
+        if (showPreview) {
+          updatePreview(content.value);
+          setTimeout(() => syncScrollPositions('editor'), 100);
+        }
+      }
+
+      function toggleSyncScroll() {
+        isSyncScrollEnabled = syncScrollToggle.checked;
+        localStorage.setItem('sync-scroll', isSyncScrollEnabled);
+      }
+
+      function updatePreview(text) {
+        if (previewToggle.checked) {
+          const previewContent = preview.querySelector('.preview-content');
+          const scrollPos = previewContent.scrollTop;
+          
+          // 渲染Markdown内容
+          previewContent.innerHTML = marked.parse(text);
+          renderEnhancements(previewContent);
+          
+          // 更新预览区统计信息
+          updatePreviewStats(text);
+
+          previewContent.scrollTop = scrollPos;
+        }
+      }
+
+      // 对 marked 输出的内容渲染公式、Mermaid 图表和代码块
+      function renderEnhancements(container) {
+        // 渲染LaTeX公式
+        renderMathInElement(container, {
+          delimiters: [
+            {left: '$$', right: '$$', display: true},
+            {left: '$', right: '$', display: false},
+            // 移除普通方括号作为数学公式的标记
+            // {left: '\\[', right: '\\]', display: true},
+            // 替换为更明确的数学公式标记
+            {left: 'math\\[', right: '\\]', display: true},
+            {left: '\\(', right: '\\)', display: false},
+            {left: '\\begin{align}', right: '\\end{align}', display: true}, // 添加对 align 环境的支持
+          ],
+          throwOnError: false,
+          output: 'html'
+        });
+
+        // 渲染Mermaid图表
+        mermaid.initialize({
+          startOnLoad: false,
+          theme: document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'default',
+          securityLevel: 'loose',
+          fontFamily: 'var(--font-family)',
+        });
+
+        const mermaidDiagrams = container.querySelectorAll('pre code.language-mermaid');
+        mermaidDiagrams.forEach(async (diagram, index) => {
+          try {
+            const pre = diagram.parentElement;
+            const mermaidDiv = document.createElement('div');
+            mermaidDiv.className = 'mermaid';
+            mermaidDiv.id = 'mermaid-' + Date.now() + '-' + index; // 添加唯一ID
+            mermaidDiv.textContent = diagram.textContent;
+            pre.parentNode.replaceChild(mermaidDiv, pre);
+          } catch (error) {
+            console.error('Mermaid渲染错误:', error);
+          }
+        });
+
+        // 等待所有图表渲染完成
+        if (mermaidDiagrams.length > 0) {
+          mermaid.run();
+        }
+        
+        // 为所有代码块添加复制按钮和语言标签
+        const codeBlocks = container.querySelectorAll('pre code');
+        codeBlocks.forEach(code => {
+          const pre = code.parentElement;
+          // 跳过Mermaid图表
+          if (code.classList.contains('language-mermaid')) return;
+          
+          // 获取语言类名
+          const langClass = Array.from(code.classList).find(cl => cl.startsWith('language-'));
+          const language = langClass ? langClass.replace('language-', '') : '代码';
+          // 设置语言标签
+          pre.setAttribute('data-language', language);
+          
+          // 添加复制按钮
+          if (!pre.querySelector('.copy-button')) {
+            const button = document.createElement('button');
+            button.className = 'copy-button';
+            button.innerHTML = '📋 复制';
+            button.onclick = (e) => {
+              e.preventDefault();
+              copyToClipboard(code.innerText, button);
+            };
+            pre.appendChild(button);
+          }
+        });
+
+        // 重新应用代码高亮
+        hljs.highlightAll();
+      }
+
+      async function copyToClipboard(text, button) {
+        try {
+          await navigator.clipboard.writeText(text);
+          const originalText = button.innerHTML;
+          button.innerHTML = '✅ 已复制';
+          button.classList.add('copied');
+          setTimeout(() => {
+            button.innerHTML = originalText;
+            button.classList.remove('copied');
+          }, 2000);
+        } catch (err) {
+          console.error('复制失败:', err);
+          button.innerHTML = '❌ 复制失败';
+          setTimeout(() => {
+            button.innerHTML = '📋 复制';
+          }, 2000);
+        }
+      }
+
+      function handleEditorScroll() {
+        if (!isPreviewScrolling && previewToggle.checked && isSyncScrollEnabled) {
+          isEditorScrolling = true;
+          syncScrollPositions('editor');
+          setTimeout(() => { isEditorScrolling = false; }, 50);
+        }
+      }
+
+      function handlePreviewScroll() {
+        if (!isEditorScrolling && previewToggle.checked && isSyncScrollEnabled) {
+          isPreviewScrolling = true;
+          const previewContent = preview.querySelector('.preview-content');
+          const editorHeight = content.scrollHeight - content.clientHeight;
+          const previewHeight = previewContent.scrollHeight - previewContent.clientHeight;
+          
+          if (previewHeight > 0) {
+            const scrollPercentage = previewContent.scrollTop / previewHeight;
+            content.scrollTop = scrollPercentage * editorHeight;
+          }
+          setTimeout(() => { isPreviewScrolling = false; }, 50);
+        }
+      }
+
+      function syncScrollPositions(source) {
+        if (!previewToggle.checked || !isSyncScrollEnabled) return;
+
+        const editor = content;
+        const previewContent = preview.querySelector('.preview-content');
+        const editorHeight = editor.scrollHeight - editor.clientHeight;
+        const previewHeight = previewContent.scrollHeight - previewContent.clientHeight;
+
+        if (source === 'editor' && editorHeight > 0) {
+          const scrollPercentage = editor.scrollTop / editorHeight;
+          previewContent.scrollTop = scrollPercentage * previewHeight;
+        } else if (source === 'preview' && previewHeight > 0) {
+          const scrollPercentage = previewContent.scrollTop / previewHeight;
+          editor.scrollTop = scrollPercentage * editorHeight;
+        }
+      }
+
+      function debounceSaveContent(text) {
+        sendTyping();
+        // 协同编辑时修改通过协同通道同步,由服务端保存
+        if (liveEnabled) {
+          sendLiveChanges();
+          return;
+        }
+        clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(() => saveContent(text), 1000);
+      }
+
+      // 保存请求依次发送,保证每次 If-Match 都基于上一次保存的结果
+      function saveContent(text, extraHeaders = {}) {
+        const result = saveChain.then(() => postNoteContent(text, extraHeaders));
+        saveChain = result.catch(() => {});
+        return result;
+      }
+
+      async function postNoteContent(text, extraHeaders) {
+        // 端到端加密的笔记解密前不允许保存,避免覆盖密文
+        if (e2eEnvelope) {
+          saveStatus.textContent = '笔记未解密';
+          return false;
+        }
+        if (liveEnabled) {
+          sendLiveChanges();
+          return true;
+        }
+        // 冲突解决前暂停保存
+        if (pendingConflict) {
+          saveStatus.textContent = '存在未解决的冲突';
+          return false;
+        }
+        if (!confirmOverwrite()) {
+          saveStatus.textContent = '未保存';
+          return false;
+        }
+
+        let saved = false;
+        try {
+          // 端到端加密模式下只提交密文,清空内容时仍按原逻辑移入回收站
+          const body = e2eKey && text.trim().length > 0 ? await encryptE2E(text) : text;
+          const response = await fetch(window.location.pathname, {
+            method: 'POST',
+            headers: getAuthHeaders({
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'If-Match': '"' + baseRevision + '"',
+              ...extraHeaders
+            }),
+            body: 'text=' + encodeURIComponent(body),
+          });
+
+          saved = response.ok;
+          if (saved) {
+            updateBaseRevision(response, response.status === 204 ? text : '');
+          }
+          if (response.status === 204) {
+            saveStatus.textContent = '已保存';
+          } else if (response.status === 409 && (response.headers.get('Content-Type') || '').includes('json')) {
+            saveStatus.textContent = '内容冲突';
+            await showConflictDialog(await response.json());
+          } else if (response.status === 409) {
+            saveStatus.textContent = '笔记已启用端到端加密，请刷新页面';
+          } else {
+            saveStatus.textContent = saved ? '已移入回收站' : '保存失败';
+          }
+        } catch (error) {
+          saveStatus.textContent = '保存失败';
+        }
+
+        setTimeout(() => {
+          saveStatus.textContent = '';
+        }, 2000);
+        return saved;
+      }
+
+      // 添加 Toast 提示框功能
+      function showToast(message, type = 'info', duration = 3000) {
+        const container = document.getElementById('toast-container');
+        const toast = document.createElement('div');
+        toast.className = 'toast ' + type;
+        
+        // 设置图标
+        const icons = {
+          success: '✅',
+          error: '❌',
+          info: 'ℹ️',
+          warning: '⚠️'
+        };
+        
+        toast.innerHTML = 
+          '<span class="toast-icon">' + (icons[type] || icons.info) + '</span>' +
+          '<span class="toast-message">' + message + '</span>' +
+          '<span class="toast-close" onclick="this.parentElement.remove()">✕</span>';
+        
+        container.appendChild(toast);
+        
+        // 触发重排以启动动画
+        void toast.offsetWidth;
+        toast.classList.add('show');
+        
+        // 自动关闭
+        setTimeout(() => {
+          toast.classList.remove('show');
+          setTimeout(() => toast.remove(), 300);
+        }, duration);
+      }
+
+      // 替换原有的 alert 调用
+      function copyNoteLink() {
+        const link = window.location.href;
+        navigator.clipboard.writeText(link).then(() => {
+          showToast('笔记链接已复制到剪贴板！', 'success');
+        }).catch(() => {
+          showToast('复制失败，请手动复制链接。', 'error');
+        });
+      }
+
+      function toggleDarkMode() {
+        const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        
+        // 更新Mermaid主题
+        mermaid.initialize({
+          startOnLoad: false,
+          theme: theme === 'dark' ? 'dark' : 'default',
+          securityLevel: 'loose',
+          fontFamily: 'var(--font-family)',
+        });
+        
+        // 重新渲染预览内容以更新Mermaid图表
+        if (previewToggle.checked) {
+          updatePreview(content.value);
+        }
+      }
+
+      // Markdown 编辑功能
+      function applyMarkdown(type) {
+        const textarea = document.getElementById('content');
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const text = textarea.value;
+        let result;
+
+        switch(type) {
+          case 'bold':
+            result = insertAround(text, start, end, '**');
+            break;
+          case 'italic':
+            result = insertAround(text, start, end, '_');
+            break;
+          case 'heading':
+            result = insertAtLineStart(text, start, '# ');
+            break;
+          case 'strikethrough':
+            result = insertAround(text, start, end, '~~');
+            break;
+          case 'list':
+            result = insertAtLineStart(text, start, '- ');
+            break;
+          case 'ordered-list':
+            result = insertAtLineStart(text, start, '1. ');
+            break;
+          case 'task':
+            result = insertAtLineStart(text, start, '- [ ] ');
+            break;
+          case 'quote':
+            result = insertAtLineStart(text, start, '> ');
+            break;
+          case 'code':
+            result = insertAround(text, start, end, '\`\`\`\\n', '\\n\`\`\`');
+            break;
+          case 'table':
+            result = insertTable(text, start);
+            break;
+          case 'divider':
+            result = insertDivider(text, start);
+            break;
+          case 'link':
+            result = insertLink(text, start, end);
+            break;
+          case 'image':
+            result = insertImage(text, start, end);
+            break;
+          case 'latex-inline':
+            result = insertAround(text, start, end, '$');
+            break;
+          case 'latex-block':
+            result = insertAround(text, start, end, '$$\\n', '\\n$$');
+            break;
+          case 'mermaid':
+            result = insertMermaid(text, start);
+            break;
+        }
+
+        if (result) {
+          textarea.value = result.text;
+          textarea.selectionStart = result.selectionStart;
+          textarea.selectionEnd = result.selectionEnd;
+          textarea.focus();
+          updatePreview(textarea.value);
+          debounceSaveContent(textarea.value);
+        }
+      }
+
+      // 辅助函数：在选中文本周围插入标记
+      function insertAround(text, start, end, mark, endMark = mark) {
+        const selection = text.substring(start, end);
+        const before = text.substring(0, start);
+        const after = text.substring(end);
+        const newText = before + mark + selection + endMark + after;
+        return {
+          text: newText,
+          selectionStart: start + mark.length,
+          selectionEnd: end + mark.length
+        };
+      }
+
+      // 辅助函数：在行首插入标记
+      function insertAtLineStart(text, start, mark) {
+        const lines = text.split('\\n');
+        let currentPos = 0;
+        let targetLine = 0;
+        
+        // 找到光标所在行
+        for (let i = 0; i < lines.length; i++) {
+          if (currentPos + lines[i].length >= start) {
+            targetLine = i;
+            break;
+          }
+          currentPos += lines[i].length + 1;
+        }
+
+        // 在目标行前添加标记
+        lines[targetLine] = mark + lines[targetLine];
+        
+        return {
+          text: lines.join('\\n'),
+          selectionStart: currentPos + mark.length,
+          selectionEnd: currentPos + mark.length
+        };
+      }
+
+      // 插入表格
+      function insertTable(text, start) {
+        const tableTemplate = '\\n| 标题1 | 标题2 | 标题3 |\\n|--------|--------|--------|\\n| 内容1 | 内容2 | 内容3 |\\n';
+        const newText = text.substring(0, start) + tableTemplate + text.substring(start);
+        return {
+          text: newText,
+          selectionStart: start + tableTemplate.length,
+          selectionEnd: start + tableTemplate.length
+        };
+      }
+
+      // 添加插入Mermaid图表的函数
+      function insertMermaid(text, start) {
+        const mermaidTemplate = '\\n\`\`\`mermaid\\ngraph TD\\n    A[开始] --> B[步骤1]\\n    B --> C[步骤2]\\n    C --> D[结束]\\n\`\`\`\\n';
+        const newText = text.substring(0, start) + mermaidTemplate + text.substring(start);
+        return {
+          text: newText,
+          selectionStart: start + mermaidTemplate.length,
+          selectionEnd: start + mermaidTemplate.length
+        };
+      }
+
+      // 插入链接
+      function insertLink(text, start, end) {
+        const selection = text.substring(start, end).trim();
+        const link = selection || '链接文字';
+        const template = '[' + link + '](https://)';
+        const newText = text.substring(0, start) + template + text.substring(end);
+        return {
+          text: newText,
+          selectionStart: start + link.length + 3,
+          selectionEnd: start + template.length - 1
+        };
+      }
+
+      // 插入图片
+      function insertImage(text, start, end) {
+        const template = '![图片描述](https://)';
+        return {
+          text: text.substring(0, start) + template + text.substring(end),
+          selectionStart: start + 2,
+          selectionEnd: start + 6
+        };
+      }
+
+      // 插入分割线
+      function insertDivider(text, start) {
+        const divider = '\\n---\\n';
+        const newText = text.substring(0, start) + divider + text.substring(start);
+        return {
+          text: newText,
+          selectionStart: start + divider.length,
+          selectionEnd: start + divider.length
+        };
+      }
+
+      // 字体设置
+      function applyFont() {
+        const select = document.getElementById('font-family');
+        const textarea = document.getElementById('content');
+        const fontMap = {
+          'default': '',
+          'serif': 'SimSun, serif',
+          'yahei': '"Microsoft YaHei", "微软雅黑", sans-serif',
+          'kaiti': 'KaiTi, "楷体", serif',
+          'heiti': 'SimHei, "黑体", sans-serif',
+          'fangsong': 'FangSong, "仿宋", serif',
+          'songti': 'NSimSun, "新宋体", serif',
+          'monospace': 'Monaco, Consolas, monospace',
+          'arial': 'Arial, sans-serif',
+          'times': '"Times New Roman", Times, serif',
+          'helvetica': 'Helvetica, Arial, sans-serif'
+        };
+        textarea.style.fontFamily = fontMap[select.value] || '';
+      }
+
+      // 字号设置
+      function applyFontSize() {
+        const select = document.getElementById('font-size');
+        const textarea = document.getElementById('content');
+        textarea.style.fontSize = select.value + 'px';
+      }
+
+      // Emoji 选择器
+      function showEmojiPicker() {
+        const picker = document.getElementById('emoji-picker');
+        const overlay = document.querySelector('.emoji-picker-overlay') || createOverlay();
+        
+        if (picker.style.display === 'block') {
+          picker.style.display = 'none';
+          overlay.style.display = 'none';
+          return;
+        }
+
+        // 如果是第一次显示，初始化表情列表
+        if (!picker.children.length) {
+          const gridContainer = document.createElement('div');
+          gridContainer.className = 'emoji-picker-grid';
+          
+          const emojis = ['😀', '😃', '😄', '😁', '😅', '😂', '🤣', '😊', 
+                         '😇', '🙂', '🙃', '😉', '😌', '😍', '🥰', '😘',
+                         '😗', '😙', '😚', '😋', '😛', '😝', '😜', '🤪',
+                         '🤨', '🧐', '🤓', '😎', '🤩', '🥳', '😏', '😒',
+                         '❤️', '🙌', '👍', '🎉', '✨', '🔥', '💡', '⭐',
+                         '💪', '🎯', '✅', '❌', '💬', '👀', '🎨', '🎮',
+                         '🎵', '🎬', '📚', '💻', '🔍', '⚡', '🌈', '🍀'];
+          
+          emojis.forEach(emoji => {
+            const button = document.createElement('button');
+            button.textContent = emoji;
+            button.onclick = () => {
+              insertEmoji(emoji);
+              picker.style.display = 'none';
+              overlay.style.display = 'none';
+            };
+            gridContainer.appendChild(button);
+          });
+          
+          picker.appendChild(gridContainer);
+        }
+
+        overlay.style.display = 'block';
+        picker.style.display = 'block';
+      }
+
+      // 创建遮罩层
+      function createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'emoji-picker-overlay';
+        document.body.appendChild(overlay);
+        
+        overlay.addEventListener('click', () => {
+          const picker = document.getElementById('emoji-picker');
+          picker.style.display = 'none';
+          overlay.style.display = 'none';
+        });
+        
+        return overlay;
+      }
+
+      // 插入表情
+      function insertEmoji(emoji) {
+        const textarea = document.getElementById('content');
+        const start = textarea.selectionStart;
+        const end = textarea.selectionEnd;
+        const text = textarea.value;
+        
+        textarea.value = text.substring(0, start) + emoji + text.substring(end);
+        textarea.selectionStart = textarea.selectionEnd = start + emoji.length;
+        textarea.focus();
+        
+        updatePreview(textarea.value);
+        debounceSaveContent(textarea.value);
+      }
+
+      // 添加快捷键支持
+      document.addEventListener('keydown', function(e) {
+        if (!e.ctrlKey) return;
+        
+        const shortcuts = {
+          'b': 'bold',
+          'i': 'italic',
+          'h': 'heading',
+          'd': 'strikethrough',
+          'u': 'list',
+          'o': 'ordered-list',
+          't': 'task',
+          'q': 'quote',
+          'k': 'code',
+          'l': 'link',
+          'p': 'image'
+        };
+
+        if (shortcuts[e.key.toLowerCase()]) {
+          e.preventDefault();
+          applyMarkdown(shortcuts[e.key.toLowerCase()]);
+        }
+      });
+
+      // 更新行号和调整布局
+      function updateLineNumbers() {
+        const textarea = document.getElementById('content');
+        const lineNumbers = document.querySelector('.line-numbers');
+        const fullText = textarea.value;
+        const totalLines = fullText.endsWith('\\n') ? 
+          fullText.split('\\n').length :
+          fullText.split('\\n').length;
+        
+        // 清空现有行号
+        lineNumbers.innerHTML = '';
+        
+        // 为每一行创建行号 span 元素
+        for (let i = 0; i < totalLines; i++) {
+          const span = document.createElement('span');
+          span.textContent = i + 1;
+          lineNumbers.appendChild(span);
+        }
+
+        // 确保至少有一行
+        if (totalLines === 0) {
+          const span = document.createElement('span');
+          span.textContent = '1';
+          lineNumbers.appendChild(span);
+        }
+
+        // 调整行号区域宽度
+        const maxLineNumber = totalLines || 1;
+        const minWidth = 28; // 最小宽度
+        const digitWidth = 8; // 每个数字的估计宽度
+        const newWidth = Math.max(minWidth, String(maxLineNumber).length * digitWidth + 8);
+        lineNumbers.style.minWidth = newWidth + 'px';
+      }
+
+      // 监听窗口大小变化
+      window.addEventListener('resize', () => {
+        updateLineNumbers();
+      });
+
+      // 更新文本统计
+      function updateTextStats() {
+        const textarea = document.getElementById('content');
+        const text = textarea.value;
+        const position = textarea.selectionStart;
+
+        // 计算字符数（不包括空格和换行）
+        const charCount = text.replace(/\s/g, '').length;
+        
+        // 计算单词数
+        const wordCount = text.trim().split(/\s+/).filter(word => word.length > 0).length;
+        
+        // 计算当前行和列
+        const textBeforeCursor = text.substring(0, position);
+        const lines = textBeforeCursor.split('\\n');
+        const currentLine = lines.length;
+        const currentLineContent = lines[lines.length - 1];
+        const currentColumn = currentLineContent ? currentLineContent.length + 1 : 1;
+        
+        // 更新显示（使用更紧凑的格式）
+        document.getElementById('char-count').textContent = String(charCount);
+        document.getElementById('word-count').textContent = String(wordCount);
+        document.getElementById('line-count').textContent = String(currentLine);
+        document.getElementById('column-count').textContent = String(currentColumn);
+      }
+
+      // 同步滚动行号
+      function syncLineNumbersScroll() {
+        const textarea = document.getElementById('content');
+        const lineNumbers = document.querySelector('.line-numbers');
+        
+        // 计算最大可滚动高度
+        const maxScroll = textarea.scrollHeight - textarea.clientHeight;
+        const currentScroll = textarea.scrollTop;
+        
+        // 确保不会滚动过头
+        if (currentScroll <= maxScroll) {
+          lineNumbers.scrollTop = currentScroll;
+        }
+      }
+
+      // 监听输入事件
+      content.addEventListener('input', () => {
+        updatePreview(content.value);
+        updateLineNumbers();
+        updateTextStats();
+        scheduleDiffUpdate();
+        debounceSaveContent(content.value);
+        // 输入时也同步滚动
+        syncLineNumbersScroll();
+      });
+
+      // 监听光标位置变化
+      content.addEventListener('keyup', updateTextStats);
+      content.addEventListener('click', updateTextStats);
+      content.addEventListener('scroll', syncLineNumbersScroll);
+
+      // 切换行号显示/隐藏
+      function toggleLineNumbers() {
+        const lineNumbers = document.querySelector('.line-numbers');
+        const isVisible = document.getElementById('line-numbers-toggle').checked;
+        lineNumbers.classList.toggle('hidden', !isVisible);
+        localStorage.setItem('show-line-numbers', isVisible);
+      }
+
+      // 切换工具栏显示/隐藏
+      function toggleToolbar() {
+        const isVisible = document.getElementById('toolbar-toggle').checked;
+        const toolbar = document.querySelector('.toolbar');
+        const container = document.querySelector('.container');
+        
+        toolbar.classList.toggle('hidden', !isVisible);
+        container.classList.toggle('toolbar-hidden', !isVisible);
+        
+        localStorage.setItem('show-toolbar', isVisible);
+        
+        // 触发一次窗口大小变化事件，以更新编辑器布局
+        window.dispatchEvent(new Event('resize'));
+      }
+
+      // 添加预览区统计功能
+      function updatePreviewStats(text) {
+        // 计算字符数（不包括空格和换行）
+        const charCount = text.replace(/\\s/g, '').length;
+        
+        // 计算单词数
+        const wordCount = text.trim().split(/\\s+/).filter(word => word.length > 0).length;
+        
+        // 计算段落数（通过空行分隔）
+        const paragraphCount = text.split(/\\n\\s*\\n/).filter(para => para.trim().length > 0).length;
+        
+        // 更新显示
+        document.getElementById('preview-char-count').textContent = String(charCount);
+        document.getElementById('preview-word-count').textContent = String(wordCount);
+        document.getElementById('preview-paragraph-count').textContent = String(paragraphCount);
+      }
+
+      // 添加全屏切换功能
+      function togglePreviewFullscreen() {
+        const preview = document.getElementById('preview');
+        const fullscreenIcon = document.getElementById('fullscreen-icon');
+        const isFullscreen = preview.classList.contains('fullscreen');
+        
+        if (isFullscreen) {
+          // 如果已经是容器全屏，切换到真实全屏
+          if (document.fullscreenElement) {
+            document.exitFullscreen();
+          } else {
+            preview.requestFullscreen();
+          }
+        } else {
+          // 首次点击进入容器全屏
+          preview.classList.add('fullscreen');
+          fullscreenIcon.textContent = '⛶';
+        }
+        
+        // 触发resize事件以更新布局
+        window.dispatchEvent(new Event('resize'));
+        
+        // 保存全屏状态到本地存储
+        localStorage.setItem('preview-fullscreen', preview.classList.contains('fullscreen'));
+      }
+
+      // ESC键退出全屏
+      function handleFullscreenEsc(e) {
+        if (e.key === 'Escape') {
+          const preview = document.getElementById('preview');
+          if (preview.classList.contains('fullscreen')) {
+            preview.classList.remove('fullscreen');
+            const fullscreenIcon = document.getElementById('fullscreen-icon');
+            fullscreenIcon.textContent = '⛶';
+            localStorage.setItem('preview-fullscreen', false);
+          }
+        }
+      }
+
+      // 监听浏览器全屏变化事件
+      document.addEventListener('fullscreenchange', () => {
+        const preview = document.getElementById('preview');
+        const fullscreenIcon = document.getElementById('fullscreen-icon');
+        
+        if (!document.fullscreenElement && preview.classList.contains('fullscreen')) {
+          // 从真实全屏退出时，也退出容器全屏
+          preview.classList.remove('fullscreen');
+          fullscreenIcon.textContent = '⛶';
+          localStorage.setItem('preview-fullscreen', false);
+        }
+      });
+
+      // 双击进入/退出全屏（移动端支持）
+      function handlePreviewDoubleTap(e) {
+        const preview = document.getElementById('preview');
+        // 确保不是在状态栏上双击
+        if (!e.target.closest('.preview-status-bar')) {
+          e.preventDefault(); // 阻止默认行为
+          // 清除任何可能的文本选择
+          window.getSelection().removeAllRanges();
+          togglePreviewFullscreen();
+        }
+      }
+
+      // 添加密码相关功能
+      let isPasswordProtected = false;
+      let isPasswordVerified = false;
+      let currentPasswordAction = '';
+
+      // 标记页面发起的请求,会话令牌通过 Cookie 自动携带
+      function getAuthHeaders(headers = {}) {
+        headers['X-Requested-With'] = 'mmnote';
+        return headers;
+      }
+
+      // 验证通过后从服务端加载受保护的笔记内容
+      async function loadProtectedContent() {
+        const response = await fetch(window.location.pathname + '?raw', {
+          headers: getAuthHeaders()
+        });
+        if (response.status !== 200 && response.status !== 404) {
+          throw new Error('加载笔记内容失败: ' + response.status);
+        }
+        const text = response.status === 200 ? await response.text() : '';
+        updateBaseRevision(response, text);
+        applyNoteText(text);
+      }
+
+      // 替换编辑区内容并刷新预览、行号和统计
+      function setEditorText(text) {
+        content.value = text;
+        updatePreview(content.value);
+        updateLineNumbers();
+        updateTextStats();
+      }
+
+      async function checkPasswordProtection() {
+        try {
+          const response = await fetch(window.location.pathname + '/password-check', {
+            method: 'GET',
+          });
+          
+          if (response.status === 200) {
+            isPasswordProtected = true;
+            const { unlocked } = await response.json();
+            if (unlocked) {
+              // 当前会话已解锁,内容已随页面输出
+              isPasswordVerified = true;
+            } else {
+              document.body.classList.add('password-protected'); // 添加密码保护状态类
+              showPasswordVerification();
+            }
+          }
+          updatePasswordStatus();
+        } catch (error) {
+          console.error('检查密码保护状态失败:', error);
+        }
+      }
+
+      function showPasswordMessage(message, isSuccess = false) {
+        const messageEl = document.getElementById('password-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('success', isSuccess);
+        messageEl.classList.add('show');
+        
+        // 1秒后自动隐藏成功消息
+        if (isSuccess) {
+          setTimeout(() => {
+            messageEl.classList.remove('show');
+          }, 1000);
+        }
+      }
+
+      // 密码错误次数过多时提示剩余锁定时间
+      function showLockoutMessage(response) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+        const minutes = Math.ceil(retryAfter / 60);
+        const message = '密码错误次数过多，请 ' + minutes + ' 分钟后再试';
+        showPasswordMessage(message);
+        showToast(message, 'warning', 5000);
+      }
+
+      function clearPasswordMessage() {
+        const messageEl = document.getElementById('password-message');
+        messageEl.classList.remove('show', 'success');
+        messageEl.textContent = '';
+      }
+
+      function showPasswordDialog() {
+        const dialog = document.getElementById('password-dialog');
+        const overlay = document.getElementById('password-overlay');
+        const title = document.getElementById('password-dialog-title');
+        const actionBtn = document.getElementById('password-action-btn');
+        const lockBtn = document.getElementById('password-lock-btn');
+        const passwordInput = document.getElementById('password-input');
+        
+        clearPasswordMessage();
+        lockBtn.style.display = isPasswordProtected && isPasswordVerified ? '' : 'none';
+        
+        if (isPasswordProtected && isPasswordVerified) {
+          title.textContent = '移除密码保护';
+          actionBtn.textContent = '移除';
+          currentPasswordAction = 'remove';
+        } else if (!isPasswordProtected) {
+          title.textContent = '设置密码保护';
+          actionBtn.textContent = '设置';
+          currentPasswordAction = 'set';
+        }
+        
+        dialog.style.display = 'block';
+        overlay.style.display = 'block';
+        passwordInput.focus();
+
+        // 添加回车键事件监听
+        passwordInput.onkeydown = (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handlePasswordAction();
+          }
+        };
+      }
+
+      function showPasswordVerification() {
+        const dialog = document.getElementById('password-dialog');
+        const overlay = document.getElementById('password-overlay');
+        const title = document.getElementById('password-dialog-title');
+        const actionBtn = document.getElementById('password-action-btn');
+        const passwordInput = document.getElementById('password-input');
+        
+        clearPasswordMessage();
+        
+        title.textContent = '请输入密码';
+        actionBtn.textContent = '验证';
+        currentPasswordAction = 'verify';
+        document.getElementById('password-lock-btn').style.display = 'none';
+        
+        dialog.style.display = 'block';
+        overlay.style.display = 'block';
+        passwordInput.focus();
+
+        // 添加回车键事件监听
+        passwordInput.onkeydown = (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handlePasswordAction();
+          }
+        };
+      }
+
+      function closePasswordDialog() {
+        const dialog = document.getElementById('password-dialog');
+        const overlay = document.getElementById('password-overlay');
+        const passwordInput = document.getElementById('password-input');
+        
+        dialog.style.display = 'none';
+        overlay.style.display = 'none';
+        passwordInput.value = '';
+        passwordInput.placeholder = '请输入密码';
+        passwordInput.onkeydown = null; // 移除回车键事件监听
+        clearPasswordMessage();
+      }
+
+      async function handlePasswordAction() {
+        const password = document.getElementById('password-input').value;
+        if (!password) {
+          showPasswordMessage('请输入密码');
+          showToast('请输入密码', 'warning');
+          return;
+        }
+
+        try {
+          let response;
+          const hashedPassword = await hashPassword(password);
+          // 旧版密码记录使用无盐预哈希,验证成功后服务端会自动升级
+          const legacyPassword = await hashLegacyPassword(password);
+          switch (currentPasswordAction) {
+            case 'set':
+              response = await fetch(window.location.pathname + '/password', {
+                method: 'POST',
+                headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ password: hashedPassword })
+              });
+              if (response.status === 200) {
+                isPasswordProtected = true;
+                isPasswordVerified = true;
+                document.body.classList.add('password-protected');
+                updatePasswordStatus();
+                showPasswordMessage('密码保护已设置', true);
+                showToast('密码保护已设置', 'success');
+                setTimeout(closePasswordDialog, 1500);
+              }
+              break;
+
+            case 'verify':
+              response = await fetch(window.location.pathname + '/password-verify', {
+                method: 'POST',
+                headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ password: hashedPassword, legacyPassword })
+              });
+              if (response.status === 200) {
+                await loadProtectedContent();
+                isPasswordVerified = true;
+                document.body.classList.remove('password-protected');
+                if (!roomSocket) connectRoom();
+                updatePasswordStatus();
+                showPasswordMessage('密码验证成功', true);
+                showToast('密码验证成功', 'success');
+                setTimeout(closePasswordDialog, 1500);
+              } else if (response.status === 429) {
+                showLockoutMessage(response);
+                return;
+              } else {
+                showPasswordMessage('密码错误');
+                showToast('密码错误', 'error');
+                return;
+              }
+              break;
+
+            case 'e2e-unlock':
+              await unlockE2E(password);
+              break;
+
+            case 'e2e-enable':
+              await enableE2E(password);
+              break;
+
+            case 'e2e-disable':
+              await disableE2E(password);
+              break;
+
+            case 'remove':
+              response = await fetch(window.location.pathname + '/password', {
+                method: 'DELETE',
+                headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({ password: hashedPassword, legacyPassword })
+              });
+              if (response.status === 200) {
+                isPasswordProtected = false;
+                isPasswordVerified = false;
+                document.body.classList.remove('password-protected');
+                updatePasswordStatus();
+                showPasswordMessage('密码保护已移除', true);
+                showToast('密码保护已移除', 'success');
+                setTimeout(closePasswordDialog, 1500);
+              } else if (response.status === 429) {
+                showLockoutMessage(response);
+                return;
+              } else {
+                showPasswordMessage('密码错误');
+                showToast('密码错误', 'error');
+                return;
+              }
+              break;
+          }
+        } catch (error) {
+          console.error('密码操作失败:', error);
+          showPasswordMessage('操作失败，请重试');
+          showToast('操作失败，请重试', 'error');
+        }
+      }
+
+      // 注销当前会话并重新锁定笔记
+      async function lockNote() {
+        try {
+          clearTimeout(saveTimeout);
+          liveEnabled = false;
+          localStorage.removeItem('live-' + noteName);
+          disconnectRoom();
+          updateLiveStatus();
+          await fetch(window.location.pathname + '/logout', {
+            method: 'POST',
+            headers: getAuthHeaders()
+          });
+          isPasswordVerified = false;
+          e2eKey = null;
+          e2eKdf = null;
+          e2eEnvelope = null;
+          document.body.classList.remove('e2e-locked');
+          setEditorText('');
+          updateE2EStatus();
+          document.body.classList.add('password-protected');
+          updatePasswordStatus();
+          showToast('笔记已锁定', 'success');
+          showPasswordVerification();
+        } catch (error) {
+          console.error('锁定失败:', error);
+          showPasswordMessage('操作失败，请重试');
+          showToast('操作失败，请重试', 'error');
+        }
+      }
+
+      // 以笔记名称为盐预哈希密码,服务端再做 PBKDF2 慢哈希
+      async function hashPassword(password) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode('mmnote:' + noteName + ':' + password);
+        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+        const hashArray = Array.from(new Uint8Array(hashBuffer));
+        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+      }
+
+      async function hashLegacyPassword(password) {
+        const encoder = new TextEncoder();
+        const data = encoder.encode(password);
+        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+        const hashArray = Array.from(new Uint8Array(hashBuffer));
+        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+      }
+
+      function updatePasswordStatus() {
+        const icon = document.getElementById('password-status-icon');
+        const label = icon.nextElementSibling;
+        if (isPasswordProtected) {
+          icon.textContent = '🔒';
+          icon.title = '已启用密码保护';
+          label.textContent = '已加密';
+        } else {
+          icon.textContent = '🔓';
+          icon.title = '未启用密码保护';
+          label.textContent = '密码保护';
+        }
+      }
+
+      // 在页面加载时检查密码保护状态
+      document.addEventListener('DOMContentLoaded', async () => {
+        await checkPasswordProtection();
+        // 页面中带有密文信封时提示输入口令
+        if (e2eEnvelope) {
+          document.body.classList.add('e2e-locked');
+          showE2EUnlock();
+        }
+        updateE2EStatus();
+        // 空白笔记若在回收站中有内容,提示可以恢复
+        if (!document.body.classList.contains('password-protected') && !e2eEnvelope && !content.value.trim()) {
+          notifyTrash();
+        }
+        // 加入笔记房间,上次开启了协同编辑时自动重新开启
+        if (!document.body.classList.contains('password-protected')) {
+          if (localStorage.getItem('live-' + noteName) && !e2eEnvelope) {
+            startLiveEditing();
+          } else {
+            connectRoom();
+          }
+        }
+        // ... existing DOMContentLoaded code ...
+      });
+
+      // 端到端加密相关功能
+      // 口令只在浏览器中用于派生密钥,服务端只保存密文和 KDF 参数
+      const E2E_PREFIX = 'mmnote-e2e:';
+      const E2E_ITERATIONS = 600000;
+      let e2eKey = null; // 由口令派生的 AES-GCM 密钥,仅保存在内存中
+      let e2eKdf = null; // 当前笔记的 KDF 参数 { name, hash, iterations, salt }
+      let e2eEnvelope = JSON.parse(document.getElementById('e2e-envelope').textContent); // 尚未解密的密文信封
+
+      function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+          binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+      }
+
+      function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+      }
+
+      function parseE2EEnvelope(text) {
+        if (!text || !text.startsWith(E2E_PREFIX)) return null;
+        try {
+          return JSON.parse(text.slice(E2E_PREFIX.length));
+        } catch (error) {
+          return null;
+        }
+      }
+
+      async function deriveE2EKey(passphrase, kdf) {
+        const baseKey = await crypto.subtle.importKey(
+          'raw',
+          new TextEncoder().encode(passphrase),
+          'PBKDF2',
+          false,
+          ['deriveKey']
+        );
+        return await crypto.subtle.deriveKey(
+          { name: 'PBKDF2', hash: kdf.hash, salt: base64ToBytes(kdf.salt), iterations: kdf.iterations },
+          baseKey,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          ['encrypt', 'decrypt']
+        );
+      }
+
+      // 加密内容并生成密文信封,笔记名称作为附加数据防止密文被挪用到其他笔记
+      async function encryptE2E(text, key = e2eKey, kdf = e2eKdf) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(noteName) },
+          key,
+          new TextEncoder().encode(text)
+        );
+        return E2E_PREFIX + JSON.stringify({
+          v: 1,
+          kdf,
+          cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+          data: bytesToBase64(new Uint8Array(data))
+        });
+      }
+
+      // 解密密文信封,口令错误时抛出异常
+      async function decryptE2E(envelope, key) {
+        const data = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv), additionalData: new TextEncoder().encode(noteName) },
+          key,
+          base64ToBytes(envelope.data)
+        );
+        return new TextDecoder().decode(data);
+      }
+
+      // 将服务端返回的笔记内容填入编辑区,密文需要先输入口令解密
+      function applyNoteText(text) {
+        const envelope = parseE2EEnvelope(text);
+        if (envelope) {
+          e2eEnvelope = envelope;
+          e2eKey = null;
+          setEditorText('');
+          document.body.classList.add('e2e-locked');
+          showE2EUnlock();
+        } else {
+          setEditorText(text);
+        }
+        updateE2EStatus();
+      }
+
+      function openPasswordDialog(title, actionText, action, placeholder) {
+        const dialog = document.getElementById('password-dialog');
+        const overlay = document.getElementById('password-overlay');
+        const passwordInput = document.getElementById('password-input');
+
+        clearPasswordMessage();
+        document.getElementById('password-dialog-title').textContent = title;
+        document.getElementById('password-action-btn').textContent = actionText;
+        document.getElementById('password-lock-btn').style.display = 'none';
+        passwordInput.placeholder = placeholder;
+        currentPasswordAction = action;
+
+        dialog.style.display = 'block';
+        overlay.style.display = 'block';
+        passwordInput.focus();
+
+        passwordInput.onkeydown = (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handlePasswordAction();
+          }
+        };
+      }
+
+      function showE2EUnlock() {
+        openPasswordDialog('请输入解密口令', '解密', 'e2e-unlock', '请输入口令');
+      }
+
+      function showE2EDialog() {
+        if (e2eEnvelope) {
+          showE2EUnlock();
+        } else if (e2eKdf) {
+          openPasswordDialog('关闭端到端加密', '关闭', 'e2e-disable', '请输入口令');
+        } else {
+          openPasswordDialog('开启端到端加密', '开启', 'e2e-enable', '请输入口令');
+          showPasswordMessage('口令只保存在浏览器中，遗忘后将无法恢复笔记内容');
+        }
+      }
+
+      async function unlockE2E(passphrase) {
+        let key;
+        let text;
+        try {
+          key = await deriveE2EKey(passphrase, e2eEnvelope.kdf);
+          text = await decryptE2E(e2eEnvelope, key);
+        } catch (error) {
+          showPasswordMessage('口令错误');
+          showToast('口令错误', 'error');
+          return;
+        }
+
+        e2eKey = key;
+        e2eKdf = e2eEnvelope.kdf;
+        e2eEnvelope = null;
+        document.body.classList.remove('e2e-locked');
+        setEditorText(text);
+        baseText = text;
+        updateE2EStatus();
+        showPasswordMessage('解密成功', true);
+        showToast('解密成功', 'success');
+        setTimeout(closePasswordDialog, 1500);
+      }
+
+      async function enableE2E(passphrase) {
+        if (content.value.trim().length === 0) {
+          showPasswordMessage('请先输入笔记内容');
+          return;
+        }
+        if (liveEnabled) {
+          stopLiveEditing();
+        }
+
+        const kdf = {
+          name: 'PBKDF2',
+          hash: 'SHA-256',
+          iterations: E2E_ITERATIONS,
+          salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))
+        };
+        e2eKey = await deriveE2EKey(passphrase, kdf);
+        e2eKdf = kdf;
+
+        clearTimeout(saveTimeout);
+        if (await saveContent(content.value)) {
+          updateE2EStatus();
+          showPasswordMessage('端到端加密已开启', true);
+          showToast('端到端加密已开启', 'success');
+          setTimeout(closePasswordDialog, 1500);
+        } else {
+          e2eKey = null;
+          e2eKdf = null;
+          showPasswordMessage('操作失败，请重试');
+        }
+      }
+
+      async function disableE2E(passphrase) {
+        // 用输入的口令解密一段当前密钥加密的数据,以确认口令正确
+        try {
+          const key = await deriveE2EKey(passphrase, e2eKdf);
+          await decryptE2E(parseE2EEnvelope(await encryptE2E('check')), key);
+        } catch (error) {
+          showPasswordMessage('口令错误');
+          showToast('口令错误', 'error');
+          return;
+        }
+
+        const previousKey = e2eKey;
+        const previousKdf = e2eKdf;
+        e2eKey = null;
+        e2eKdf = null;
+
+        clearTimeout(saveTimeout);
+        if (await saveContent(content.value, { 'X-Note-Encryption': 'none' })) {
+          updateE2EStatus();
+          showPasswordMessage('端到端加密已关闭', true);
+          showToast('端到端加密已关闭', 'success');
+          setTimeout(closePasswordDialog, 1500);
+        } else {
+          e2eKey = previousKey;
+          e2eKdf = previousKdf;
+          showPasswordMessage('操作失败，请重试');
+        }
+      }
+
+      function updateE2EStatus() {
+        const icon = document.getElementById('e2e-status-icon');
+        const label = icon.nextElementSibling;
+        if (e2eKdf || e2eEnvelope) {
+          icon.textContent = '🔐';
+          icon.title = '已启用端到端加密';
+          label.textContent = '已端到端加密';
+        } else {
+          icon.textContent = '🛡️';
+          icon.title = '未启用端到端加密';
+          label.textContent = '端到端加密';
+        }
+      }
+
+      // 修改复制全部内容功能，添加动效
+      async function copyAllContent() {
+        const copyAllItem = document.querySelector('.copy-all-item');
+        const textarea = document.getElementById('content');
+        const text = textarea.value;
+        
+        try {
+          await navigator.clipboard.writeText(text);
+          copyAllItem.classList.add('copied');
+          setTimeout(() => copyAllItem.classList.remove('copied'), 500);
+          showToast('已复制全部内容到剪贴板', 'success');
+        } catch (err) {
+          console.error('复制失败:', err);
+          showToast('复制失败，请重试', 'error');
+        }
+      }
+
+      // 分享内容会以明文保存在服务端,端到端加密的笔记需要先解密并确认
+      function canSharePlaintext() {
+        if (e2eEnvelope) {
+          showToast('请先解密笔记', 'warning');
+          return false;
+        }
+        return !e2eKey || confirm('该笔记已启用端到端加密，分享后内容将以明文保存在服务器上，确定继续吗？');
+      }
+
+      async function shareNote() {
+        if (!canSharePlaintext()) return;
+
+        // 端到端加密的笔记在服务端无法解密,只能分享当前内容的快照
+        document.getElementById('share-type').value = 'snapshot';
+        document.getElementById('share-type-live').disabled = Boolean(e2eKey);
+        document.getElementById('share-expiry').value = '';
+        document.getElementById('share-expiry-custom').value = '';
+        document.getElementById('share-max-views').value = '';
+        document.getElementById('share-burn').checked = false;
+        document.getElementById('share-password').value = '';
+        updateShareOptions();
+        document.getElementById('share-dialog').style.display = 'block';
+        document.getElementById('share-overlay').style.display = 'block';
+      }
+
+      function closeShareDialog() {
+        document.getElementById('share-dialog').style.display = 'none';
+        document.getElementById('share-overlay').style.display = 'none';
+      }
+
+      // 自定义有效期时显示时间输入框,阅后即焚时查看次数固定为一次
+      function updateShareOptions() {
+        const isCustom = document.getElementById('share-expiry').value === 'custom';
+        const burnAfterReading = document.getElementById('share-burn').checked;
+        document.getElementById('share-expiry-custom-option').style.display = isCustom ? 'flex' : 'none';
+        document.getElementById('share-max-views').disabled = burnAfterReading;
+      }
+
+      async function createShareLink() {
+        const expiry = document.getElementById('share-expiry').value;
+        let expiresIn = expiry ? Number(expiry) : null;
+        if (expiry === 'custom') {
+          const expireTime = new Date(document.getElementById('share-expiry-custom').value).getTime();
+          expiresIn = Math.round((expireTime - Date.now()) / 1000);
+          if (!(expiresIn >= 60)) {
+            showToast('过期时间至少需要在一分钟之后', 'warning');
+            return;
+          }
+        }
+        const burnAfterReading = document.getElementById('share-burn').checked;
+        const maxViewsValue = document.getElementById('share-max-views').value;
+        const maxViews = burnAfterReading || !maxViewsValue ? null : Number(maxViewsValue);
+        if (maxViews !== null && !(Number.isInteger(maxViews) && maxViews > 0)) {
+          showToast('查看次数需要是正整数', 'warning');
+          return;
+        }
+        const live = document.getElementById('share-type').value === 'live';
+        closeShareDialog();
+        if (!await flushPendingSave()) return;
+      
+        try {
+          // 准备分享数据,分享页面由服务端根据笔记的已保存内容渲染;
+          // 端到端加密的笔记在服务端无法解密,由浏览器提交解密后的内容
+          const shareData = {
+            note: noteName,
+            markdown: live || !e2eKey ? undefined : content.value,
+            live,
+            expiresIn,
+            maxViews,
+            burnAfterReading,
+            password: document.getElementById('share-password').value
+          };
+      
+          // 保存分享数据,分享ID由服务端生成
+          const response = await fetch('/share', {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify(shareData)
+          });
+      
+          if (response.ok) {
+            const { id } = await response.json();
+            await copyShareLink(id);
+          } else if (response.status === 413) {
+            showToast('笔记内容过大，无法分享', 'error');
+          } else {
+            showToast('分享失败,请重试', 'error');
+          }
+        } catch (error) {
+          console.error('分享失败:', error);
+          showToast('分享失败,请重试', 'error');
+        }
+      }
+
+      // 分享内容取自服务端保存的笔记,分享前先保存尚未提交的修改
+      async function flushPendingSave() {
+        if (liveEnabled || e2eKey) return true;
+        clearTimeout(saveTimeout);
+        if (content.value === baseText) return true;
+        if (await saveContent(content.value)) return true;
+        showToast('笔记保存失败，无法分享最新内容', 'error');
+        return false;
+      }
+
+      // 复制分享链接到剪贴板
+      async function copyShareLink(shareId) {
+        const shareUrl = window.location.origin + '/share/' + shareId;
+        try {
+          await navigator.clipboard.writeText(shareUrl);
+          showToast('分享链接已复制到剪贴板', 'success');
+        } catch (error) {
+          console.error('复制失败:', error);
+          showToast('复制失败，分享链接: ' + shareUrl, 'warning', 8000);
+        }
+      }
+
+      // 侧边面板
+      function openSidePanel(id) {
+        closeSidePanels();
+        document.getElementById(id).classList.add('open');
+        document.getElementById('side-panel-overlay').classList.add('active');
+      }
+
+      function closeSidePanels() {
+        document.querySelectorAll('.side-panel.open').forEach(panel => panel.classList.remove('open'));
+        document.getElementById('side-panel-overlay').classList.remove('active');
+      }
+
+      function formatSize(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+      }
+
+      function formatTime(time) {
+        return new Date(time).toLocaleString('zh-CN');
+      }
+
+      // 历史版本
+      let selectedRevision = null; // 当前查看的版本 { id, time, size, text }
+
+      async function showHistoryPanel() {
+        if (e2eEnvelope) {
+          showToast('请先解密笔记', 'warning');
+          return;
+        }
+        openSidePanel('history-panel');
+        await loadHistoryList();
+      }
+
+      async function loadHistoryList() {
+        const list = document.getElementById('history-list');
+        selectedRevision = null;
+        document.getElementById('history-detail').classList.remove('active');
+        list.innerHTML = '<li class="side-panel-empty">加载中...</li>';
+
+        try {
+          const response = await fetch(window.location.pathname + '/history', {
+            headers: getAuthHeaders()
+          });
+          if (!response.ok) throw new Error('加载历史版本失败: ' + response.status);
+          const { revisions } = await response.json();
+
+          list.innerHTML = '';
+          if (revisions.length === 0) {
+            list.innerHTML = '<li class="side-panel-empty">暂无历史版本</li>';
+            return;
+          }
+          revisions.forEach(revision => {
+            const item = document.createElement('li');
+            item.dataset.id = revision.id;
+            const time = document.createElement('span');
+            time.textContent = formatTime(revision.time);
+            const size = document.createElement('span');
+            size.className = 'history-size';
+            size.textContent = formatSize(revision.size);
+            item.append(time, size);
+            item.onclick = () => showRevision(revision.id);
+            list.appendChild(item);
+          });
+        } catch (error) {
+          console.error('加载历史版本失败:', error);
+          list.innerHTML = '<li class="side-panel-empty">加载失败，请重试</li>';
+        }
+      }
+
+      // 获取历史版本内容,端到端加密的版本使用当前口令解密
+      async function fetchRevision(id) {
+        const response = await fetch(window.location.pathname + '/history/' + encodeURIComponent(id), {
+          headers: getAuthHeaders()
+        });
+        if (!response.ok) throw new Error('加载版本失败: ' + response.status);
+        const revision = await response.json();
+        const envelope = parseE2EEnvelope(revision.content);
+        revision.encrypted = !!envelope;
+        if (envelope) {
+          if (!e2eKey) throw new Error('该版本已端到端加密，请先开启并解密');
+          try {
+            revision.text = await decryptE2E(envelope, e2eKey);
+          } catch (error) {
+            throw new Error('无法使用当前口令解密该版本');
+          }
+        } else {
+          revision.text = revision.content;
+        }
+        return revision;
+      }
+
+      async function showRevision(id) {
+        document.querySelectorAll('#history-list li').forEach(item => {
+          item.classList.toggle('active', item.dataset.id === id);
+        });
+
+        try {
+          selectedRevision = await fetchRevision(id);
+          document.getElementById('history-detail-title').textContent =
+            formatTime(selectedRevision.time) + ' · ' + formatSize(selectedRevision.size);
+          document.getElementById('history-detail-content').textContent = selectedRevision.text;
+          document.getElementById('history-detail').classList.add('active');
+        } catch (error) {
+          console.error('加载版本失败:', error);
+          showToast(error.message, 'error');
+        }
+      }
+
+      async function restoreRevision() {
+        if (!selectedRevision) return;
+        if (!confirm('确定将笔记恢复到 ' + formatTime(selectedRevision.time) + ' 的版本吗？')) return;
+
+        try {
+          clearTimeout(saveTimeout);
+          if (e2eKey || selectedRevision.encrypted || liveEnabled) {
+            // 端到端加密的笔记在浏览器中重新加密后保存,协同编辑时通过协同通道提交
+            setEditorText(selectedRevision.text);
+            if (!await saveContent(selectedRevision.text)) throw new Error('保存失败');
+          } else {
+            const response = await fetch(window.location.pathname + '/history/' + encodeURIComponent(selectedRevision.id) + '/restore', {
+              method: 'POST',
+              headers: getAuthHeaders()
+            });
+            if (!response.ok) throw new Error('恢复失败: ' + response.status);
+            setEditorText(selectedRevision.text);
+            updateBaseRevision(response, selectedRevision.text);
+          }
+          showToast('已恢复到所选版本', 'success');
+          await loadHistoryList();
+        } catch (error) {
+          console.error('恢复版本失败:', error);
+          showToast('恢复失败，请重试', 'error');
+        }
+      }
+
+      // 回收站
+      let selectedTrashEntry = null; // 当前查看的已删除内容 { id, deleted, expires, size, content }
+
+      async function fetchTrashEntries() {
+        const response = await fetch(window.location.pathname + '/trash', {
+          headers: getAuthHeaders()
+        });
+        if (!response.ok) throw new Error('加载回收站失败: ' + response.status);
+        const { entries } = await response.json();
+        return entries;
+      }
+
+      async function notifyTrash() {
+        try {
+          const entries = await fetchTrashEntries();
+          if (entries.length > 0) {
+            showToast('该笔记已被清空，可在回收站中恢复', 'info', 5000);
+          }
+        } catch (error) {
+          console.error('加载回收站失败:', error);
+        }
+      }
+
+      async function showTrashPanel() {
+        openSidePanel('trash-panel');
+        await loadTrashList();
+      }
+
+      async function loadTrashList() {
+        const list = document.getElementById('trash-list');
+        selectedTrashEntry = null;
+        document.getElementById('trash-detail').classList.remove('active');
+        list.innerHTML = '<li class="side-panel-empty">加载中...</li>';
+
+        try {
+          const entries = await fetchTrashEntries();
+          list.innerHTML = '';
+          if (entries.length === 0) {
+            list.innerHTML = '<li class="side-panel-empty">回收站为空</li>';
+            return;
+          }
+          entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.dataset.id = entry.id;
+            const time = document.createElement('span');
+            time.textContent = formatTime(entry.deleted);
+            const info = document.createElement('span');
+            info.className = 'history-size';
+            const days = Math.max(1, Math.ceil((entry.expires - Date.now()) / 86400000));
+            info.textContent = formatSize(entry.size) + ' · ' + days + ' 天后清除';
+            item.append(time, info);
+            item.onclick = () => showTrashEntry(entry.id);
+            list.appendChild(item);
+          });
+        } catch (error) {
+          console.error('加载回收站失败:', error);
+          list.innerHTML = '<li class="side-panel-empty">加载失败，请重试</li>';
+        }
+      }
+
+      async function showTrashEntry(id) {
+        document.querySelectorAll('#trash-list li').forEach(item => {
+          item.classList.toggle('active', item.dataset.id === id);
+        });
+
+        try {
+          const response = await fetch(window.location.pathname + '/trash/' + encodeURIComponent(id), {
+            headers: getAuthHeaders()
+          });
+          if (!response.ok) throw new Error('加载内容失败: ' + response.status);
+          selectedTrashEntry = await response.json();
+
+          let text = selectedTrashEntry.content;
+          const envelope = parseE2EEnvelope(text);
+          if (envelope) {
+            try {
+              text = e2eKey ? await decryptE2E(envelope, e2eKey) : '（端到端加密内容，恢复后输入口令查看）';
+            } catch (error) {
+              text = '（端到端加密内容，恢复后输入口令查看）';
+            }
+          }
+          document.getElementById('trash-detail-title').textContent =
+            '删除于 ' + formatTime(selectedTrashEntry.deleted) + ' · ' + formatSize(selectedTrashEntry.size);
+          document.getElementById('trash-detail-content').textContent = text;
+          document.getElementById('trash-detail').classList.add('active');
+        } catch (error) {
+          console.error('加载内容失败:', error);
+          showToast(error.message, 'error');
+        }
+      }
+
+      async function restoreTrashEntry() {
+        if (!selectedTrashEntry) return;
+        if (content.value.trim() && !confirm('当前笔记不为空，恢复后将覆盖当前内容（当前内容可在历史版本中找回），确定恢复吗？')) return;
+
+        try {
+          clearTimeout(saveTimeout);
+          if (liveEnabled) {
+            // 协同编辑时通过协同通道提交恢复的内容,再从回收站中移除
+            if (parseE2EEnvelope(selectedTrashEntry.content)) {
+              showToast('请先关闭协同编辑再恢复端到端加密的内容', 'warning');
+              return;
+            }
+            setEditorText(selectedTrashEntry.content);
+            sendLiveChanges();
+            await fetch(window.location.pathname + '/trash/' + encodeURIComponent(selectedTrashEntry.id), {
+              method: 'DELETE',
+              headers: getAuthHeaders()
+            });
+          } else {
+            const response = await fetch(window.location.pathname + '/trash/' + encodeURIComponent(selectedTrashEntry.id) + '/restore', {
+              method: 'POST',
+              headers: getAuthHeaders()
+            });
+            if (!response.ok) throw new Error('恢复失败: ' + response.status);
+            // 重新加载内容,端到端加密的内容会提示输入口令
+            await loadProtectedContent();
+          }
+          closeSidePanels();
+          showToast('笔记已恢复', 'success');
+        } catch (error) {
+          console.error('恢复失败:', error);
+          showToast('恢复失败，请重试', 'error');
+        }
+      }
+
+      async function purgeTrashEntry() {
+        if (!selectedTrashEntry) return;
+        if (!confirm('彻底删除后无法恢复，确定删除吗？')) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/trash/' + encodeURIComponent(selectedTrashEntry.id), {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+          });
+          if (!response.ok) throw new Error('删除失败: ' + response.status);
+          showToast('已彻底删除', 'success');
+          await loadTrashList();
+        } catch (error) {
+          console.error('彻底删除失败:', error);
+          showToast('删除失败，请重试', 'error');
+        }
+      }
+
+      // 我的分享
+      let selectedShare = null; // 当前查看的分享 { id, createTime, lastEditTime, expireTime, maxViews, burnAfterReading, protected, visitCount }
+      let noteShares = [];
+
+      async function showSharesPanel() {
+        openSidePanel('shares-panel');
+        await loadSharesList();
+      }
+
+      // 分享的访问次数和剩余有效期摘要
+      function describeShare(share) {
+        const parts = ['👀 ' + share.visitCount + (share.maxViews && !share.burnAfterReading ? ' / ' + share.maxViews : '')];
+        if (share.live) parts.push('📡 实时');
+        if (share.burnAfterReading) parts.push('🔥 阅后即焚');
+        if (share.protected) parts.push('🔒');
+        if (share.expireTime) {
+          const hours = Math.max(1, Math.ceil((new Date(share.expireTime).getTime() - Date.now()) / 3600000));
+          parts.push(hours < 48 ? hours + ' 小时后过期' : Math.ceil(hours / 24) + ' 天后过期');
+        }
+        return parts.join(' · ');
+      }
+
+      async function loadSharesList() {
+        const list = document.getElementById('shares-list');
+        selectedShare = null;
+        document.getElementById('shares-detail').classList.remove('active');
+        list.innerHTML = '<li class="side-panel-empty">加载中...</li>';
+
+        try {
+          const response = await fetch(window.location.pathname + '/shares', { headers: getAuthHeaders() });
+          if (!response.ok) throw new Error('加载分享失败: ' + response.status);
+          noteShares = (await response.json()).shares;
+          list.innerHTML = '';
+          if (noteShares.length === 0) {
+            list.innerHTML = '<li class="side-panel-empty">还没有分享过此笔记</li>';
+            return;
+          }
+          noteShares.forEach(share => {
+            const item = document.createElement('li');
+            item.dataset.id = share.id;
+            const time = document.createElement('span');
+            time.textContent = formatTime(share.createTime);
+            const info = document.createElement('span');
+            info.className = 'history-size';
+            info.textContent = describeShare(share);
+            item.append(time, info);
+            item.onclick = () => showShareEntry(share.id);
+            list.appendChild(item);
+          });
+        } catch (error) {
+          console.error('加载分享失败:', error);
+          list.innerHTML = '<li class="side-panel-empty">加载失败，请重试</li>';
+        }
+      }
+
+      function showShareEntry(id) {
+        document.querySelectorAll('#shares-list li').forEach(item => {
+          item.classList.toggle('active', item.dataset.id === id);
+        });
+        selectedShare = noteShares.find(share => share.id === id);
+        if (!selectedShare) return;
+
+        const lines = [
+          '链接：' + window.location.origin + '/share/' + selectedShare.id,
+          '嵌入：' + window.location.origin + '/embed/' + selectedShare.id + '（可加 ?theme=dark&height=400）',
+          '方式：' + (selectedShare.live ? '实时（始终展示笔记的最新内容）' : '快照'),
+          '创建：' + formatTime(selectedShare.createTime),
+          '更新：' + formatTime(selectedShare.lastEditTime),
+          '有效期至：' + (selectedShare.expireTime ? formatTime(selectedShare.expireTime) : '永久有效'),
+          '访问次数：' + selectedShare.visitCount + (selectedShare.maxViews ? ' / ' + selectedShare.maxViews : ''),
+          '近 30 天独立访客：' + selectedShare.visitors,
+          '访问密码：' + (selectedShare.protected ? '已设置' : '未设置')
+        ];
+        if (selectedShare.burnAfterReading) lines.push('阅后即焚：首次查看后失效');
+        document.getElementById('shares-detail-title').textContent = '分享 ' + selectedShare.id;
+        document.getElementById('shares-detail-content').textContent = lines.join('\\n');
+        renderShareChart(selectedShare.days);
+        document.getElementById('shares-detail').classList.add('active');
+      }
+
+      // 最近 14 天的每日访问柱状图,日期与服务端统计一致使用 UTC
+      function renderShareChart(days) {
+        const chart = document.getElementById('shares-detail-chart');
+        chart.innerHTML = '';
+        const dates = Array.from({ length: 14 }, (_, i) => new Date(Date.now() - (13 - i) * 86400000).toISOString().slice(0, 10));
+        const max = Math.max(1, ...dates.map(date => days[date] ? days[date].views : 0));
+        dates.forEach(date => {
+          const day = days[date] || { views: 0, visitors: 0 };
+          const bar = document.createElement('div');
+          bar.className = 'share-chart-bar';
+          bar.style.height = Math.max(2, Math.round(day.views / max * 100)) + '%';
+          bar.title = date + '：' + day.views + ' 次访问，' + day.visitors + ' 位访客';
+          chart.appendChild(bar);
+        });
+      }
+
+      async function refreshShare() {
+        if (selectedShare && selectedShare.live) {
+          showToast('实时分享会自动展示笔记的最新内容，无需更新', 'info');
+          return;
+        }
+        if (!selectedShare || !canSharePlaintext()) return;
+        let password;
+        if (selectedShare.protected) {
+          // 受密码保护的分享用原密码重新加密
+          password = prompt('请输入此分享的访问密码');
+          if (!password) return;
+        }
+        if (!await flushPendingSave()) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/shares/' + encodeURIComponent(selectedShare.id) + '/refresh', {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ markdown: e2eKey ? content.value : undefined, password })
+          });
+          if (response.status === 403) {
+            showToast('分享密码错误', 'error');
+            return;
+          }
+          if (response.status === 429) {
+            showToast('尝试次数过多，请稍后再试', 'error');
+            return;
+          }
+          if (!response.ok) throw new Error('更新失败: ' + response.status);
+          showToast('分享内容已更新', 'success');
+          await loadSharesList();
+        } catch (error) {
+          console.error('更新分享失败:', error);
+          showToast('更新失败，请重试', 'error');
+        }
+      }
+
+      async function revokeShare() {
+        if (!selectedShare) return;
+        if (!confirm('撤销后此分享链接将无法再访问，确定撤销吗？')) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/shares/' + encodeURIComponent(selectedShare.id), {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+          });
+          if (!response.ok && response.status !== 404) throw new Error('撤销失败: ' + response.status);
+          showToast('分享已撤销', 'success');
+          await loadSharesList();
+        } catch (error) {
+          console.error('撤销分享失败:', error);
+          showToast('撤销失败，请重试', 'error');
+        }
+      }
+
+      // API 令牌
+      let noteTokens = []; // { id, label, scopes, namespace, created }
+      let selectedToken = null;
+      let createdToken = null; // 刚创建的令牌 { id, token },令牌只在创建时返回一次
+
+      const TOKEN_SCOPE_LABELS = { read: '读取', write: '写入', append: '追加' };
+
+      async function showTokensPanel() {
+        openSidePanel('tokens-panel');
+        await loadTokensList();
+      }
+
+      async function loadTokensList() {
+        const list = document.getElementById('tokens-list');
+        selectedToken = null;
+        document.getElementById('tokens-detail').classList.remove('active');
+        list.innerHTML = '<li class="side-panel-empty">加载中...</li>';
+
+        try {
+          const response = await fetch(window.location.pathname + '/tokens', { headers: getAuthHeaders() });
+          if (!response.ok) throw new Error('加载令牌失败: ' + response.status);
+          noteTokens = (await response.json()).tokens;
+          list.innerHTML = '';
+          if (noteTokens.length === 0) {
+            list.innerHTML = '<li class="side-panel-empty">' +
+              (isPasswordProtected ? '还没有创建过令牌' : '设置密码保护后才能创建令牌') + '</li>';
+            return;
+          }
+          noteTokens.forEach(token => {
+            const item = document.createElement('li');
+            item.dataset.id = token.id;
+            const label = document.createElement('span');
+            label.textContent = token.label || token.id;
+            const info = document.createElement('span');
+            info.className = 'history-size';
+            info.textContent = token.scopes.map(scope => TOKEN_SCOPE_LABELS[scope]).join('、') +
+              (token.namespace ? ' · ' + token.namespace + '*' : '');
+            item.append(label, info);
+            item.onclick = () => showTokenEntry(token.id);
+            list.appendChild(item);
+          });
+        } catch (error) {
+          console.error('加载令牌失败:', error);
+          list.innerHTML = '<li class="side-panel-empty">加载失败，请重试</li>';
+        }
+      }
+
+      function showTokenEntry(id) {
+        document.querySelectorAll('#tokens-list li').forEach(item => {
+          item.classList.toggle('active', item.dataset.id === id);
+        });
+        selectedToken = noteTokens.find(token => token.id === id);
+        if (!selectedToken) return;
+
+        const lines = [];
+        const isNew = createdToken && createdToken.id === id;
+        if (isNew) {
+          lines.push('令牌：' + createdToken.token, '（令牌只显示这一次，请立即复制并妥善保存）', '');
+        }
+        lines.push(
+          '权限：' + selectedToken.scopes.map(scope => TOKEN_SCOPE_LABELS[scope]).join('、'),
+          '范围：' + (selectedToken.namespace ? '名称以 ' + selectedToken.namespace + ' 开头且密码相同的笔记' : '仅此笔记（修改或移除密码后失效）'),
+          '创建：' + formatTime(selectedToken.created),
+          '',
+          '示例：',
+          'curl -H "Authorization: Bearer <令牌>" ' + window.location.origin + '/' + noteName + '?raw',
+          'echo 内容 | curl -H "Authorization: Bearer <令牌>" --data-binary @- "' + window.location.origin + '/' + noteName + '?append&timestamp"'
+        );
+        document.getElementById('tokens-detail-title').textContent = '令牌 ' + (selectedToken.label || selectedToken.id);
+        document.getElementById('tokens-detail-content').textContent = lines.join('\\n');
+        document.getElementById('tokens-copy-btn').style.display = isNew ? '' : 'none';
+        document.getElementById('tokens-detail').classList.add('active');
+      }
+
+      function showTokenDialog() {
+        if (!isPasswordProtected) {
+          showToast('设置密码保护后才能创建令牌', 'warning');
+          return;
+        }
+        document.getElementById('token-label').value = '';
+        document.querySelectorAll('input[name="token-scope"]').forEach(input => {
+          input.checked = input.value === 'read';
+        });
+        document.getElementById('token-range').value = 'note';
+        // 默认前缀为笔记名中最后一个分隔符之前的部分,如 log-web 的 log-
+        const separator = Math.max(noteName.lastIndexOf('-'), noteName.lastIndexOf('_'));
+        document.getElementById('token-namespace').value = separator > 0 ? noteName.slice(0, separator + 1) : noteName;
+        document.getElementById('token-password').value = '';
+        updateTokenOptions();
+        document.getElementById('token-dialog').style.display = 'block';
+        document.getElementById('token-overlay').style.display = 'block';
+        document.getElementById('token-label').focus();
+      }
+
+      function closeTokenDialog() {
+        document.getElementById('token-dialog').style.display = 'none';
+        document.getElementById('token-overlay').style.display = 'none';
+      }
+
+      // 命名空间令牌需要填写前缀和笔记密码
+      function updateTokenOptions() {
+        const display = document.getElementById('token-range').value === 'namespace' ? 'flex' : 'none';
+        document.getElementById('token-namespace-option').style.display = display;
+        document.getElementById('token-password-option').style.display = display;
+      }
+
+      async function createToken() {
+        const scopes = Array.from(document.querySelectorAll('input[name="token-scope"]:checked')).map(input => input.value);
+        if (scopes.length === 0) {
+          showToast('请至少选择一项权限', 'warning');
+          return;
+        }
+        const isNamespace = document.getElementById('token-range').value === 'namespace';
+        const namespace = document.getElementById('token-namespace').value.trim();
+        if (isNamespace && (!namespace || !noteName.startsWith(namespace))) {
+          showToast('前缀需要是当前笔记名的开头部分', 'warning');
+          return;
+        }
+        const password = document.getElementById('token-password').value;
+        if (isNamespace && !password) {
+          showToast('请输入笔记密码', 'warning');
+          return;
+        }
+
+        try {
+          const response = await fetch(window.location.pathname + '/tokens', {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({
+              label: document.getElementById('token-label').value,
+              scopes,
+              namespace: isNamespace ? namespace : null,
+              password: isNamespace ? password : undefined
+            })
+          });
+          if (response.status === 401) {
+            showToast('笔记密码错误', 'error');
+            return;
+          }
+          if (response.status === 429) {
+            showToast('尝试次数过多，请稍后再试', 'error');
+            return;
+          }
+          if (!response.ok) throw new Error('创建令牌失败: ' + response.status);
+          const { id, token } = await response.json();
+          createdToken = { id, token };
+          closeTokenDialog();
+          await loadTokensList();
+          showTokenEntry(id);
+          await copyToken();
+        } catch (error) {
+          console.error('创建令牌失败:', error);
+          showToast('创建失败，请重试', 'error');
+        }
+      }
+
+      async function copyToken() {
+        if (!createdToken) return;
+        try {
+          await navigator.clipboard.writeText(createdToken.token);
+          showToast('令牌已复制到剪贴板', 'success');
+        } catch (error) {
+          console.error('复制失败:', error);
+          showToast('复制失败，请手动复制令牌', 'warning');
+        }
+      }
+
+      async function revokeToken() {
+        if (!selectedToken) return;
+        if (!confirm('撤销后使用此令牌的脚本将无法再访问笔记，确定撤销吗？')) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/tokens/' + encodeURIComponent(selectedToken.id), {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+          });
+          if (!response.ok && response.status !== 404) throw new Error('撤销失败: ' + response.status);
+          if (createdToken && createdToken.id === selectedToken.id) createdToken = null;
+          showToast('令牌已撤销', 'success');
+          await loadTokensList();
+        } catch (error) {
+          console.error('撤销令牌失败:', error);
+          showToast('撤销失败，请重试', 'error');
+        }
+      }
+
+      // Webhook 通知
+      let noteWebhooks = []; // { id, url, secret, created }
+      let webhookDeliveries = []; // { id, webhook, url, event, rev, time, attempts, status, error, ok, payload }
+      let selectedWebhook = null;
+      let selectedDelivery = null;
+
+      async function showWebhooksPanel() {
+        openSidePanel('webhooks-panel');
+        await loadWebhooks();
       }
 
-      [data-theme="dark"] .mermaid .label {
-        color: var(--mermaid-label);
+      async function loadWebhooks() {
+        const list = document.getElementById('webhooks-list');
+        const log = document.getElementById('webhook-deliveries');
+        selectedWebhook = null;
+        selectedDelivery = null;
+        document.getElementById('webhooks-detail').classList.remove('active');
+        list.innerHTML = '<li class="side-panel-empty">加载中...</li>';
+        log.innerHTML = '';
+
+        try {
+          const response = await fetch(window.location.pathname + '/webhooks', { headers: getAuthHeaders() });
+          if (!response.ok) throw new Error('加载通知设置失败: ' + response.status);
+          ({ webhooks: noteWebhooks, deliveries: webhookDeliveries } = await response.json());
+          list.innerHTML = noteWebhooks.length === 0 ? '<li class="side-panel-empty">还没有添加通知地址</li>' : '';
+          noteWebhooks.forEach(webhook => {
+            const item = document.createElement('li');
+            item.dataset.id = webhook.id;
+            const url = document.createElement('span');
+            url.textContent = webhook.url;
+            const info = document.createElement('span');
+            info.className = 'history-size';
+            info.textContent = formatTime(webhook.created);
+            item.append(url, info);
+            item.onclick = () => showWebhookEntry(webhook.id);
+            list.appendChild(item);
+          });
+          log.innerHTML = webhookDeliveries.length === 0 ? '<li class="side-panel-empty">暂无投递记录</li>' : '';
+          webhookDeliveries.forEach(delivery => {
+            const item = document.createElement('li');
+            item.dataset.id = delivery.id;
+            const time = document.createElement('span');
+            time.textContent = formatTime(delivery.time);
+            const info = document.createElement('span');
+            info.className = 'history-size';
+            info.textContent = describeDelivery(delivery);
+            item.append(time, info);
+            item.onclick = () => showDeliveryEntry(delivery.id);
+            log.appendChild(item);
+          });
+        } catch (error) {
+          console.error('加载通知设置失败:', error);
+          list.innerHTML = '<li class="side-panel-empty">加载失败，请重试</li>';
+        }
       }
 
-      [data-theme="dark"] .mermaid .node .label {
-        color: var(--mermaid-label);
+      // 投递结果摘要
+      function describeDelivery(delivery) {
+        const result = delivery.ok ? '✅ ' + delivery.status : '❌ ' + (delivery.status || delivery.error || '失败');
+        return result + ' · ' + delivery.event + (delivery.attempts > 1 ? ' · 尝试 ' + delivery.attempts + ' 次' : '');
       }
 
-      [data-theme="dark"] .mermaid marker {
-        fill: var(--mermaid-edge);
+      function showWebhookDetail(id, title, lines, actions) {
+        document.querySelectorAll('#webhooks-list li, #webhook-deliveries li').forEach(item => {
+          item.classList.toggle('active', item.dataset.id === id);
+        });
+        document.getElementById('webhooks-detail-title').textContent = title;
+        document.getElementById('webhooks-detail-content').textContent = lines.join('\\n');
+        ['delete', 'test', 'redeliver'].forEach(action => {
+          document.getElementById('webhooks-' + action + '-btn').style.display = actions.includes(action) ? '' : 'none';
+        });
+        document.getElementById('webhooks-detail').classList.add('active');
+      }
+
+      function showWebhookEntry(id) {
+        selectedWebhook = noteWebhooks.find(webhook => webhook.id === id);
+        selectedDelivery = null;
+        if (!selectedWebhook) return;
+        showWebhookDetail(id, '通知地址', [
+          '地址：' + selectedWebhook.url,
+          '签名密钥：' + selectedWebhook.secret,
+          '添加：' + formatTime(selectedWebhook.created),
+          '',
+          '笔记每次被修改后发送 POST 请求，失败时自动重试。',
+          '请求体包含 event、note、url、rev、time、diff（增删行数和新增内容摘录）和 text，',
+          '请求头 X-Mmnote-Signature 为 sha256= 加上用签名密钥计算的请求体 HMAC-SHA256。'
+        ], ['delete', 'test']);
+      }
+
+      function showDeliveryEntry(id) {
+        selectedDelivery = webhookDeliveries.find(delivery => delivery.id === id);
+        if (!selectedDelivery) return;
+        // 已删除的订阅无法重新发送
+        selectedWebhook = noteWebhooks.find(webhook => webhook.id === selectedDelivery.webhook) || null;
+        showWebhookDetail(id, '投递 ' + selectedDelivery.id, [
+          '地址：' + selectedDelivery.url,
+          '时间：' + formatTime(selectedDelivery.time),
+          '结果：' + (selectedDelivery.ok ? '成功' : '失败') +
+            (selectedDelivery.status ? '（HTTP ' + selectedDelivery.status + '）' : '') +
+            (selectedDelivery.error ? '：' + selectedDelivery.error : ''),
+          '尝试次数：' + selectedDelivery.attempts,
+          '',
+          JSON.stringify(selectedDelivery.payload, null, 2)
+        ], selectedWebhook ? ['redeliver'] : []);
+      }
+
+      async function addWebhook() {
+        const url = prompt('请输入接收通知的地址（https://...）');
+        if (!url) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/webhooks', {
+            method: 'POST',
+            headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ url: url.trim() })
+          });
+          if (response.status === 400) {
+            showToast(await response.text() === 'Too many webhooks' ? '通知地址数量已达上限' : '请输入有效的公网 https 地址', 'error');
+            return;
+          }
+          if (!response.ok) throw new Error('添加失败: ' + response.status);
+          const webhook = await response.json();
+          showToast('通知地址已添加', 'success');
+          await loadWebhooks();
+          showWebhookEntry(webhook.id);
+        } catch (error) {
+          console.error('添加通知地址失败:', error);
+          showToast('添加失败，请重试', 'error');
+        }
       }
-    </style>
 
-    <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/emoji-toolkit@7.0.0/lib/js/joypixels.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/highlight.min.js"></script>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/emoji-toolkit@7.0.0/extras/css/joypixels.min.css">
-  </head>
-  <body>
-    <div class="container">
-      <div class="toolbar">
-        <div class="toolbar-left">
-          <div class="note-name" onclick="copyNoteLink()" title="点击复制链接">
-            📋 ${noteName}
-          </div>
-          <div class="toolbar-divider"></div>
-          <!-- 字体和字号选择器 -->
-          <select id="font-family" class="toolbar-select" onchange="applyFont()">
-            <option value="default">默认字体</option>
-            <option value="serif">宋体</option>
-            <option value="yahei">微软雅黑</option>
-            <option value="kaiti">楷体</option>
-            <option value="heiti">黑体</option>
-            <option value="fangsong">仿宋</option>
-            <option value="songti">新宋体</option>
-            <option value="monospace">等宽字体</option>
-            <option value="arial">Arial</option>
-            <option value="times">Times New Roman</option>
-            <option value="helvetica">Helvetica</option>
-          </select>
-          <select id="font-size" class="toolbar-select" onchange="applyFontSize()">
-            <option value="12">12px</option>
-            <option value="13">13px</option>
-            <option value="14">14px</option>
-            <option value="15">15px</option>
-            <option value="16" selected>16px</option>
-            <option value="17">17px</option>
-            <option value="18">18px</option>
-            <option value="20">20px</option>
-            <option value="22">22px</option>
-            <option value="24">24px</option>
-            <option value="26">26px</option>
-            <option value="28">28px</option>
-            <option value="32">32px</option>
-          </select>
-          <div class="toolbar-divider"></div>
-          <!-- Markdown 工具栏 -->
-          <div class="markdown-toolbar">
-            <button onclick="applyMarkdown('bold')" title="粗体 Ctrl+B">B</button>
-            <button onclick="applyMarkdown('italic')" title="斜体 Ctrl+I">I</button>
-            <button onclick="applyMarkdown('heading')" title="标题 Ctrl+H">H</button>
-            <button onclick="applyMarkdown('strikethrough')" title="删除线 Ctrl+D">S</button>
-            <button onclick="applyMarkdown('list')" title="无序列表 Ctrl+U">•</button>
-            <button onclick="applyMarkdown('ordered-list')" title="有序列表 Ctrl+O">1.</button>
-            <button onclick="applyMarkdown('task')" title="任务列表 Ctrl+T">☐</button>
-            <button onclick="applyMarkdown('quote')" title="引用 Ctrl+Q">""</button>
-            <button onclick="applyMarkdown('code')" title="代码 Ctrl+K">{}</button>
-            <button onclick="applyMarkdown('table')" title="表格">⚏</button>
-            <button onclick="applyMarkdown('divider')" title="分割线">—</button>
-            <button onclick="applyMarkdown('link')" title="链接 Ctrl+L">🔗</button>
-            <button onclick="applyMarkdown('image')" title="图片 Ctrl+P">🖼</button>
-            <button onclick="showEmojiPicker()" title="表情">😊</button>
-            <div class="toolbar-divider"></div>
-            <button onclick="applyMarkdown('latex-inline')" title="行内公式">∑</button>
-            <button onclick="applyMarkdown('latex-block')" title="公式块">∫</button>
-            <button onclick="applyMarkdown('mermaid')" title="流程图">📊</button>
-          </div>
-          <span id="save-status"></span>
-        </div>
-        <div class="toolbar-right">
-          <div class="password-status toolbar-button" onclick="showPasswordDialog()" title="密码保护设置">
-            <span class="icon" id="password-status-icon">🔓</span>
-            <span class="label">密码保护</span>
-          </div>
-          <button onclick="toggleDarkMode()" class="toolbar-button theme-toggle" title="切换主题">
-            <div class="icon">
-              <span class="sun-icon">☀️</span>
-              <span class="moon-icon">🌙</span>
-            </div>
-            <span class="label">主题</span>
-          </button>
-          <div class="share-button toolbar-button" onclick="shareNote()" title="分享笔记">
-            <span class="icon">📤</span>
-            <span class="label">分享</span>
-          </div>
-        </div>
-      </div>
+      async function deleteWebhook() {
+        if (!selectedWebhook) return;
+        if (!confirm('删除后此地址将不再收到通知，确定删除吗？')) return;
+
+        try {
+          const response = await fetch(window.location.pathname + '/webhooks/' + encodeURIComponent(selectedWebhook.id), {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+          });
+          if (!response.ok && response.status !== 404) throw new Error('删除失败: ' + response.status);
+          showToast('通知地址已删除', 'success');
+          await loadWebhooks();
+        } catch (error) {
+          console.error('删除通知地址失败:', error);
+          showToast('删除失败，请重试', 'error');
+        }
+      }
+
+      // 发送测试通知或重新发送投递记录中的通知,结果写入投递记录
+      async function sendWebhook(operation) {
+        if (!selectedWebhook) return;
+        showToast('正在发送...', 'info');
+
+        try {
+          const response = await fetch(window.location.pathname + '/webhooks/' + encodeURIComponent(selectedWebhook.id) + '/' + operation, {
+            method: 'POST',
+            headers: getAuthHeaders()
+          });
+          if (!response.ok) throw new Error('发送失败: ' + response.status);
+          const delivery = await response.json();
+          showToast(delivery.ok ? '发送成功' : '发送失败：' + (delivery.status || delivery.error), delivery.ok ? 'success' : 'error');
+          await loadWebhooks();
+          showDeliveryEntry(delivery.id);
+        } catch (error) {
+          console.error('发送通知失败:', error);
+          showToast('发送失败，请重试', 'error');
+        }
+      }
+
+      // 并发保存控制
+      let baseRevision = '${noteRevision}'; // 编辑内容所基于的服务端版本
+      let baseText = content.value; // 该版本的内容,作为三方合并的共同祖先
+      let saveChain = Promise.resolve();
+      let pendingConflict = null; // 未解决的冲突 { rev, theirs }
+
+      // 根据服务端响应的 ETag 更新所基于的版本
+      function updateBaseRevision(response, text) {
+        const etag = response.headers.get('ETag');
+        baseRevision = etag ? etag.replace(/^W\\//, '').replace(/"/g, '') : '0';
+        baseText = text;
+      }
+
+      async function showConflictDialog(conflict) {
+        let theirs = conflict.content;
+        const envelope = parseE2EEnvelope(theirs);
+        if (envelope) {
+          try {
+            theirs = await decryptE2E(envelope, e2eKey);
+          } catch (error) {
+            showToast('笔记已在其他地方更改加密设置，请刷新页面', 'error', 5000);
+            return;
+          }
+        }
+
+        clearTimeout(saveTimeout);
+        pendingConflict = { rev: conflict.rev, theirs };
+        const { conflicts } = mergeText(baseText, content.value, theirs);
+        document.getElementById('conflict-summary').textContent =
+          '左侧为其他地方保存的内容，右侧为本页的修改。' +
+          (conflicts > 0 ? '合并后有 ' + conflicts + ' 处重叠修改需要手动处理。' : '双方的修改可以自动合并。');
+        renderSourceDiff(document.getElementById('conflict-diff'), theirs, content.value);
+        document.getElementById('conflict-dialog').style.display = 'block';
+        document.getElementById('conflict-overlay').style.display = 'block';
+      }
+
+      async function resolveConflict(choice) {
+        const { rev, theirs } = pendingConflict;
+        const ancestor = baseText;
+        pendingConflict = null;
+        baseRevision = rev;
+        baseText = theirs;
+        document.getElementById('conflict-dialog').style.display = 'none';
+        document.getElementById('conflict-overlay').style.display = 'none';
+
+        if (choice === 'theirs') {
+          setEditorText(theirs);
+          saveStatus.textContent = '';
+        } else if (choice === 'mine') {
+          await saveContent(content.value);
+        } else {
+          const merged = mergeText(ancestor, content.value, theirs);
+          setEditorText(merged.text);
+          if (merged.conflicts > 0) {
+            showToast('有 ' + merged.conflicts + ' 处冲突，请处理冲突标记后继续编辑', 'warning', 5000);
+          } else {
+            await saveContent(merged.text);
+          }
+        }
+      }
+
+      // 笔记房间:页面加载后以 presence 模式加入,显示其他打开此笔记的人;开启协同编辑后以 live 模式重新加入
+      // 协同编辑时本地修改以操作 { p, i } / { p, d } 提交,收到的远程操作与未确认的本地操作互相变换后应用
+      const PRESENCE_TYPING_TIMEOUT = 4000; // 收到输入通知后显示“正在输入”的时长(毫秒)
+      const PRESENCE_ACTIVE_TIMEOUT = 30000; // 最近输入过的人视为正在编辑的时长(毫秒)
+      let roomSocket = null;
+      let roomPeers = new Map(); // 客户端ID → { id, name, color, mode, start, end, typingAt }
+      let roomReconnectTimer = null;
+      let presenceRenderTimer = null;
+      let lastTypingSent = 0;
+      const warnedEditors = new Set(); // 已提示过可能覆盖其修改的编辑者
+      let liveEnabled = false;
+      let liveState = null; // { clientId, version, shadow, outstanding, buffer }
+      let liveConfirmedText = null; // 与房间最近一次确认一致的内容,重连时用于合并断线期间的修改
+      let liveCursorTimer = null;
+      let liveCursorFrame = null;
+
+      function getLiveUserName() {
+        let name = localStorage.getItem('mmnote-user-name');
+        if (!name) {
+          name = '访客' + Math.floor(1000 + Math.random() * 9000);
+          localStorage.setItem('mmnote-user-name', name);
+        }
+        return name;
+      }
+
+      function connectRoom() {
+        disconnectRoom();
+        const mode = liveEnabled ? 'live' : 'presence';
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(protocol + '//' + location.host + location.pathname + '/live?mode=' + mode +
+          '&name=' + encodeURIComponent(getLiveUserName()));
+        let initialized = false;
+        roomSocket = socket;
+        updateLiveStatus();
+
+        socket.onmessage = event => {
+          const message = JSON.parse(event.data);
+          if (message.type === 'init') initialized = true;
+          handleRoomMessage(message);
+        };
+        socket.onclose = event => {
+          if (roomSocket !== socket) return;
+          roomSocket = null;
+          liveState = null;
+          roomPeers = new Map();
+          renderPresence();
+          renderLiveCursors();
+          if (!initialized) {
+            // 无法加入房间(如未授权或不支持):协同编辑失败时退回 presence 模式,presence 失败时不再重试
+            if (liveEnabled) {
+              stopLiveEditing();
+              showToast('无法连接协同编辑', 'error');
+            }
+            return;
+          }
+          updateLiveStatus();
+          // 意外断开后自动重连,房间要求重新同步时立即重连
+          roomReconnectTimer = setTimeout(connectRoom, event.code === 4001 ? 0 : 3000);
+        };
+      }
+
+      function disconnectRoom() {
+        const socket = roomSocket;
+        roomSocket = null;
+        liveState = null;
+        roomPeers = new Map();
+        clearTimeout(roomReconnectTimer);
+        if (socket) socket.close(1000);
+        renderPresence();
+        renderLiveCursors();
+      }
+
+      function toggleLiveEditing() {
+        if (liveEnabled) {
+          stopLiveEditing();
+        } else {
+          startLiveEditing();
+        }
+      }
+
+      function startLiveEditing() {
+        if (e2eKey || e2eEnvelope) {
+          showToast('端到端加密的笔记不支持协同编辑', 'warning');
+          return;
+        }
+        clearTimeout(saveTimeout);
+        liveEnabled = true;
+        liveConfirmedText = baseText;
+        localStorage.setItem('live-' + noteName, 'true');
+        connectRoom();
+      }
+
+      function stopLiveEditing() {
+        liveEnabled = false;
+        liveConfirmedText = null;
+        localStorage.removeItem('live-' + noteName);
+        connectRoom();
+      }
+
+      function updateLiveStatus() {
+        const button = document.getElementById('live-status');
+        button.classList.toggle('active', liveEnabled);
+        button.title = liveEnabled ? '关闭协同编辑' : '开启协同编辑';
+        document.getElementById('live-status-label').textContent =
+          !liveEnabled ? '协同' : liveState ? '协同中' : '连接中';
+      }
+
+      function handleRoomMessage(message) {
+        switch (message.type) {
+          case 'init':
+            roomPeers = new Map(message.clients.map(client => [client.id, client]));
+            if (liveEnabled) initLiveState(message);
+            updateLiveStatus();
+            renderPresence();
+            scheduleLiveCursorRender();
+            break;
+          case 'ack':
+            liveConfirmedText = applyTextOps(liveConfirmedText, liveState.outstanding);
+            liveState.version = message.version;
+            liveState.outstanding = liveState.buffer;
+            liveState.buffer = null;
+            if (liveState.outstanding) sendLiveOps(liveState.outstanding);
+            break;
+          case 'op':
+            if (liveState) receiveLiveOps(message.ops, message.version);
+            markPeerTyping(message.clientId);
+            break;
+          case 'typing':
+            markPeerTyping(message.clientId);
+            break;
+          case 'cursor': {
+            const peer = roomPeers.get(message.clientId);
+            if (peer) {
+              peer.start = message.start;
+              peer.end = message.end;
+              scheduleLiveCursorRender();
+            }
+            break;
+          }
+          case 'join':
+            roomPeers.set(message.client.id, message.client);
+            if (message.client.mode === 'live' && liveState) {
+              showToast(message.client.name + ' 加入了协同编辑');
+            }
+            renderPresence();
+            scheduleLiveCursorRender();
+            break;
+          case 'leave':
+            roomPeers.delete(message.clientId);
+            renderPresence();
+            scheduleLiveCursorRender();
+            break;
+          case 'saved':
+            // 之后关闭协同编辑时,普通保存基于房间保存的版本
+            baseRevision = message.rev;
+            baseText = liveConfirmedText;
+            saveStatus.textContent = '已保存';
+            setTimeout(() => {
+              saveStatus.textContent = '';
+            }, 2000);
+            break;
+          case 'error':
+            showToast(message.message, 'error');
+            break;
+        }
+      }
+
+      function initLiveState(message) {
+        const previousText = liveConfirmedText;
+        const localText = content.value;
+        liveState = {
+          clientId: message.clientId,
+          version: message.version,
+          shadow: content.value,
+          outstanding: null,
+          buffer: null
+        };
+        liveConfirmedText = message.text;
+        replaceEditorText(message.text);
+        // 加入前或断线期间的本地修改与房间内容三方合并后作为本地修改提交
+        if (previousText !== null && localText !== previousText) {
+          const merged = mergeText(previousText, localText, message.text);
+          if (merged.conflicts > 0) {
+            showToast('有 ' + merged.conflicts + ' 处修改与他人冲突，请处理冲突标记', 'warning', 5000);
+          }
+          content.value = merged.text;
+          sendLiveChanges();
+          setEditorText(content.value);
+        }
+      }
+
+      // 本地输入时通知房间中的其他人,最多每2秒一次
+      function sendTyping() {
+        const now = Date.now();
+        if (!roomSocket || roomSocket.readyState !== WebSocket.OPEN || now - lastTypingSent < 2000) return;
+        lastTypingSent = now;
+        roomSocket.send(JSON.stringify({ type: 'typing' }));
+      }
+
+      function markPeerTyping(clientId) {
+        const peer = roomPeers.get(clientId);
+        if (!peer) return;
+        peer.typingAt = Date.now();
+        renderPresence();
+      }
+
+      // 在保存状态旁显示其他打开此笔记的人
+      function renderPresence() {
+        const list = document.getElementById('presence-list');
+        const status = document.getElementById('presence-status');
+        const now = Date.now();
+        list.innerHTML = '';
+        const typing = [];
+        roomPeers.forEach(peer => {
+          const isTyping = peer.typingAt && now - peer.typingAt < PRESENCE_TYPING_TIMEOUT;
+          if (isTyping) typing.push(peer.name);
+          const avatar = document.createElement('span');
+          avatar.className = 'presence-avatar' + (isTyping ? ' typing' : '');
+          avatar.style.background = peer.color;
+          avatar.textContent = Array.from(peer.name)[0] || '?';
+          avatar.title = peer.name + (isTyping ? ' 正在输入…' : peer.mode === 'live' ? ' 正在协同编辑' : ' 正在查看');
+          list.appendChild(avatar);
+        });
+        status.textContent = typing.length > 0 ? typing.join('、') + ' 正在输入…' : '';
+
+        // 输入状态过期后刷新
+        clearTimeout(presenceRenderTimer);
+        if (typing.length > 0) {
+          presenceRenderTimer = setTimeout(renderPresence, 1000);
+        }
+      }
+
+      // 他人正在编辑时(协同编辑以外),保存前提示可能覆盖对方的修改,每位编辑者只提示一次
+      function confirmOverwrite() {
+        const now = Date.now();
+        const editors = Array.from(roomPeers.values()).filter(peer =>
+          peer.typingAt && now - peer.typingAt < PRESENCE_ACTIVE_TIMEOUT && !warnedEditors.has(peer.id));
+        if (editors.length === 0) return true;
+        const names = editors.map(peer => peer.name).join('、');
+        if (!confirm(names + ' 正在编辑此笔记，继续保存可能覆盖对方的修改（开启“协同”可以同时编辑）。确定保存吗？')) {
+          return false;
+        }
+        editors.forEach(peer => warnedEditors.add(peer.id));
+        return true;
+      }
+
+      function sendLiveOps(ops) {
+        roomSocket.send(JSON.stringify({ type: 'op', version: liveState.version, ops }));
+      }
+
+      // 提交编辑区中尚未同步的本地修改,等待确认期间的修改合并后在确认后发送
+      function sendLiveChanges() {
+        if (!liveState || content.value === liveState.shadow) return;
+        const ops = diffTextOps(liveState.shadow, content.value);
+        liveState.shadow = content.value;
+        roomPeers.forEach(peer => {
+          peer.start = transformTextIndex(peer.start, ops);
+          peer.end = transformTextIndex(peer.end, ops);
+        });
+
+        if (liveState.outstanding) {
+          liveState.buffer = (liveState.buffer || []).concat(ops);
+        } else {
+          liveState.outstanding = ops;
+          sendLiveOps(ops);
+        }
+        scheduleLiveCursorRender();
+        sendLiveCursor();
+      }
+
+      function receiveLiveOps(ops, version) {
+        sendLiveChanges();
+        liveConfirmedText = applyTextOps(liveConfirmedText, ops);
+        if (liveState.outstanding) {
+          [liveState.outstanding, ops] = transformTextOps(liveState.outstanding, ops);
+        }
+        if (liveState.buffer) {
+          [liveState.buffer, ops] = transformTextOps(liveState.buffer, ops);
+        }
+        liveState.version = version;
+        roomPeers.forEach(peer => {
+          peer.start = transformTextIndex(peer.start, ops);
+          peer.end = transformTextIndex(peer.end, ops);
+        });
+        applyEditorOps(ops);
+      }
+
+      // 修改编辑区内容并保持本地光标和滚动位置
+      function applyEditorOps(ops) {
+        if (ops.length === 0) return;
+        const start = content.selectionStart;
+        const end = content.selectionEnd;
+        const scrollTop = content.scrollTop;
+        content.value = applyTextOps(content.value, ops);
+        if (document.activeElement === content) {
+          content.setSelectionRange(transformTextIndex(start, ops), transformTextIndex(end, ops));
+        }
+        content.scrollTop = scrollTop;
+        if (liveState) liveState.shadow = content.value;
+        updatePreview(content.value);
+        updateLineNumbers();
+        updateTextStats();
+        scheduleLiveCursorRender();
+      }
+
+      function replaceEditorText(text) {
+        applyEditorOps(diffTextOps(content.value, text));
+      }
+
+      function sendLiveCursor() {
+        clearTimeout(liveCursorTimer);
+        liveCursorTimer = setTimeout(() => {
+          if (liveState && roomSocket && roomSocket.readyState === WebSocket.OPEN) {
+            roomSocket.send(JSON.stringify({ type: 'cursor', start: content.selectionStart, end: content.selectionEnd }));
+          }
+        }, 100);
+      }
+
+      function scheduleLiveCursorRender() {
+        if (liveCursorFrame) return;
+        liveCursorFrame = requestAnimationFrame(() => {
+          liveCursorFrame = null;
+          renderLiveCursors();
+        });
+      }
+
+      // 用与编辑区排版一致的镜像元素计算其他协同者的光标和选区位置
+      function renderLiveCursors() {
+        const layer = document.getElementById('live-cursors');
+        layer.innerHTML = '';
+        const peers = Array.from(roomPeers.values()).filter(peer => peer.mode === 'live');
+        if (!liveState || peers.length === 0) return;
+
+        layer.style.left = content.offsetLeft + 'px';
+        layer.style.top = content.offsetTop + 'px';
+        layer.style.width = content.clientWidth + 'px';
+        layer.style.height = content.clientHeight + 'px';
+
+        const style = getComputedStyle(content);
+        const mirror = document.createElement('div');
+        mirror.className = 'live-mirror';
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'wordSpacing', 'tabSize',
+          'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach(property => {
+          mirror.style[property] = style[property];
+        });
+        mirror.style.width = content.clientWidth + 'px';
+        layer.appendChild(mirror);
+
+        const text = content.value;
+        const fragment = document.createDocumentFragment();
+        peers.forEach(peer => {
+          const start = Math.min(peer.start, text.length);
+          const end = Math.min(Math.max(peer.end, start), text.length);
+          const marker = document.createElement('span');
+          marker.textContent = text.slice(start, end) || '\\u200b';
+          mirror.textContent = text.slice(0, start);
+          mirror.append(marker, text.slice(end));
+
+          const origin = mirror.getBoundingClientRect();
+          const rects = Array.from(marker.getClientRects());
+          if (rects.length === 0) return;
+          const position = rect => ({
+            left: rect.left - origin.left - content.scrollLeft,
+            top: rect.top - origin.top - content.scrollTop
+          });
+
+          if (end > start) {
+            rects.forEach(rect => {
+              const { left, top } = position(rect);
+              const selection = document.createElement('div');
+              selection.className = 'live-selection';
+              selection.style.cssText = 'left:' + left + 'px;top:' + top + 'px;width:' + rect.width + 'px;height:' +
+                rect.height + 'px;background:' + peer.color;
+              fragment.appendChild(selection);
+            });
+          }
+
+          const caretRect = rects[rects.length - 1];
+          const { left, top } = position(caretRect);
+          const caret = document.createElement('div');
+          caret.className = 'live-caret';
+          caret.style.cssText = 'left:' + (end > start ? left + caretRect.width : left) + 'px;top:' + top +
+            'px;height:' + caretRect.height + 'px;background:' + peer.color;
+          const label = document.createElement('span');
+          label.className = 'live-caret-label';
+          label.style.background = peer.color;
+          label.textContent = peer.name;
+          caret.appendChild(label);
+          fragment.appendChild(caret);
+        });
+
+        layer.removeChild(mirror);
+        layer.appendChild(fragment);
+      }
+
+      content.addEventListener('scroll', scheduleLiveCursorRender);
+      window.addEventListener('resize', scheduleLiveCursorRender);
+      document.addEventListener('selectionchange', () => {
+        if (liveState && document.activeElement === content) sendLiveCursor();
+      });
+
+      // 协同编辑操作,与服务端 applyTextOps / diffTextOps / transformTextIndex / transformTextOps 保持一致
+      function applyTextOps(text, ops) {
+        return ops.reduce((result, op) => op.i !== undefined
+          ? result.slice(0, op.p) + op.i + result.slice(op.p)
+          : result.slice(0, op.p) + result.slice(op.p + op.d), text);
+      }
+
+      function diffTextOps(oldText, newText) {
+        let start = 0;
+        while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+          oldEnd--;
+          newEnd--;
+        }
+        const ops = [];
+        if (oldEnd > start) ops.push({ p: start, d: oldEnd - start });
+        if (newEnd > start) ops.push({ p: start, i: newText.slice(start, newEnd) });
+        return ops;
+      }
+
+      function transformTextIndex(index, ops) {
+        ops.forEach(op => {
+          if (op.i !== undefined) {
+            if (op.p < index) index += op.i.length;
+          } else if (index > op.p) {
+            index -= Math.min(op.d, index - op.p);
+          }
+        });
+        return index;
+      }
+
+      // 返回 [ops', against'],against 在同一位置插入时优先
+      function transformTextOps(ops, against) {
+        if (ops.length === 0 || against.length === 0) return [ops, against];
+        if (ops.length > 1) {
+          const [first, against1] = transformTextOps([ops[0]], against);
+          const [rest, against2] = transformTextOps(ops.slice(1), against1);
+          return [first.concat(rest), against2];
+        }
+        if (against.length > 1) {
+          const [ops1, first] = transformTextOps(ops, [against[0]]);
+          const [ops2, rest] = transformTextOps(ops1, against.slice(1));
+          return [ops2, first.concat(rest)];
+        }
+
+        const a = ops[0];
+        const b = against[0];
+        if (a.i !== undefined && b.i !== undefined) {
+          if (a.p < b.p) return [[a], [{ p: b.p + a.i.length, i: b.i }]];
+          return [[{ p: a.p + b.i.length, i: a.i }], [b]];
+        }
+        if (a.i !== undefined) {
+          if (a.p <= b.p) return [[a], [{ p: b.p + a.i.length, d: b.d }]];
+          if (a.p >= b.p + b.d) return [[{ p: a.p - b.d, i: a.i }], [b]];
+          return [
+            [{ p: b.p, i: a.i }],
+            [{ p: b.p, d: a.p - b.p }, { p: b.p + a.i.length, d: b.p + b.d - a.p }]
+          ];
+        }
+        if (b.i !== undefined) {
+          const [bPrime, aPrime] = transformTextOps(against, ops);
+          return [aPrime, bPrime];
+        }
+        const shift = (index, op) => index <= op.p ? index : index >= op.p + op.d ? index - op.d : op.p;
+        const aStart = shift(a.p, b);
+        const aEnd = shift(a.p + a.d, b);
+        const bStart = shift(b.p, a);
+        const bEnd = shift(b.p + b.d, a);
+        return [
+          aEnd > aStart ? [{ p: aStart, d: aEnd - aStart }] : [],
+          bEnd > bStart ? [{ p: bStart, d: bEnd - bStart }] : []
+        ];
+      }
+
+      // 将差异转换为基于原文行号的修改块 { start, end, lines }
+      function diffHunks(base, other) {
+        const hunks = [];
+        let index = 0;
+        let hunk = null;
+        diffSequences(base, other).forEach(op => {
+          if (op.type === 'equal') {
+            hunk = null;
+            index++;
+            return;
+          }
+          if (!hunk) {
+            hunk = { start: index, end: index, lines: [] };
+            hunks.push(hunk);
+          }
+          if (op.type === 'delete') {
+            hunk.end = ++index;
+          } else {
+            hunk.lines.push(op.value);
+          }
+        });
+        return hunks;
+      }
+
+      // 三方合并:互不重叠的修改自动合并,重叠且结果不同的修改以冲突标记保留
+      function mergeText(baseText, mineText, theirsText) {
+        const base = baseText.split('\\n');
+        const hunks = diffHunks(base, mineText.split('\\n')).map(hunk => ({ ...hunk, side: 'mine' }))
+          .concat(diffHunks(base, theirsText.split('\\n')).map(hunk => ({ ...hunk, side: 'theirs' })))
+          .sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const result = [];
+        let conflicts = 0;
+        let position = 0;
+        let i = 0;
+        while (i < hunks.length) {
+          // 相邻或重叠的修改块归为一组
+          const group = [hunks[i]];
+          const start = hunks[i].start;
+          let end = hunks[i].end;
+          for (i++; i < hunks.length && hunks[i].start <= end; i++) {
+            group.push(hunks[i]);
+            end = Math.max(end, hunks[i].end);
+          }
+
+          const applySide = side => {
+            const lines = [];
+            let pos = start;
+            group.filter(hunk => hunk.side === side).forEach(hunk => {
+              lines.push(...base.slice(pos, hunk.start), ...hunk.lines);
+              pos = hunk.end;
+            });
+            return lines.concat(base.slice(pos, end));
+          };
+
+          result.push(...base.slice(position, start));
+          if (group.every(hunk => hunk.side === group[0].side)) {
+            result.push(...applySide(group[0].side));
+          } else {
+            const mine = applySide('mine');
+            const theirs = applySide('theirs');
+            if (mine.join('\\n') === theirs.join('\\n')) {
+              result.push(...mine);
+            } else {
+              conflicts++;
+              result.push('<<<<<<< 我的修改', ...mine, '=======', ...theirs, '>>>>>>> 其他地方的修改');
+            }
+          }
+          position = end;
+        }
+        result.push(...base.slice(position));
+        return { text: result.join('\\n'), conflicts };
+      }
+
+      // 版本对比
+      const CURRENT_DIFF_SOURCE = 'current'; // 代表编辑区当前内容的对比来源
+      const DIFF_CONTEXT_LINES = 3; // 未改变内容保留的上下文行数
+      const DIFF_MAX_EDITS = 2000; // 差异超过该编辑距离时不再逐行比较
+      const diffOptions = {
+        mode: localStorage.getItem('diff-mode') || 'source', // source: 源码对比; rendered: 渲染结果对比
+        layout: localStorage.getItem('diff-layout') || 'split' // split: 并排; inline: 行内
+      };
+      let diffTextCache = {}; // 版本ID → 版本内容
+      let diffUpdateTimeout;
+
+      function isDiffViewOpen() {
+        return document.getElementById('diff-view').style.display === 'block';
+      }
+
+      async function openDiffView(leftId, rightId = CURRENT_DIFF_SOURCE) {
+        closeSidePanels();
+        diffTextCache = {};
+
+        try {
+          const response = await fetch(window.location.pathname + '/history', {
+            headers: getAuthHeaders()
+          });
+          if (!response.ok) throw new Error('加载历史版本失败: ' + response.status);
+          const { revisions } = await response.json();
+
+          ['diff-left', 'diff-right'].forEach(id => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            select.add(new Option('当前编辑内容', CURRENT_DIFF_SOURCE));
+            revisions.forEach(revision => {
+              select.add(new Option(formatTime(revision.time), revision.id));
+            });
+          });
+        } catch (error) {
+          console.error('加载历史版本失败:', error);
+          showToast('加载历史版本失败，请重试', 'error');
+          return;
+        }
+
+        document.getElementById('diff-left').value = leftId;
+        document.getElementById('diff-right').value = rightId;
+        preview.style.display = 'none';
+        document.getElementById('diff-view').style.display = 'block';
+        document.querySelector('.editor-container').classList.add('diff-mode');
+        updateDiffToggles();
+        await updateDiffView();
+      }
 
-      <div class="editor-container">
-        <div class="editor-wrapper">
-          <div class="editor-main">
-            <div class="line-numbers"></div>
-            <textarea id="content" placeholder="开始输入笔记内容..." onscroll="handleEditorScroll()">${noteContent}</textarea>
-          </div>
-          <div class="status-bar">
-            <div class="status-left">
-              <div class="status-item">
-                <label title="显示/隐藏行号">
-                  <input type="checkbox" id="line-numbers-toggle" checked onchange="toggleLineNumbers()">
-                  行号
-                </label>
-              </div>
-              <div class="status-item">
-                <label title="显示/隐藏工具栏">
-                  <input type="checkbox" id="toolbar-toggle" checked onchange="toggleToolbar()">
-                  工具栏
-                </label>
-              </div>
-              <div class="status-item">
-                <label class="switch-label">
-                  <input type="checkbox" id="preview-toggle" onchange="togglePreview()">
-                  预览
-                </label>
-              </div>
-            </div>
-            <div class="status-right">
-              <div class="status-item copy-all-item" onclick="copyAllContent()" title="复制全部内容">
-                <span class="copy-icon">📋</span>
-                <span>复制全部</span>
-              </div>
-              <div class="status-item">
-                <span>字数:</span>
-                <span id="char-count">0</span>
-              </div>
-              <div class="status-item">
-                <span>单词:</span>
-                <span id="word-count">0</span>
-              </div>
-              <div class="status-item">
-                <span>行:</span>
-                <span id="line-count">1</span>
-              </div>
-              <div class="status-item">
-                <span>列:</span>
-                <span id="column-count">1</span>
-              </div>
-            </div>
-          </div>
-        </div>
-        <div id="preview" class="preview-container">
-          <div class="preview-content" onscroll="handlePreviewScroll()" ondblclick="handlePreviewDoubleTap(event)"></div>
-          <div class="preview-status-bar">
-            <div class="preview-status-left">
-              <button onclick="togglePreviewFullscreen()" class="fullscreen-toggle" title="切换全屏">
-                <span class="fullscreen-icon" id="fullscreen-icon">⛶</span>
-              </button>
-              <div class="preview-status-item">
-                <label class="switch-label">
-                  <input type="checkbox" id="sync-scroll-toggle" onchange="toggleSyncScroll()">
-                  同步滚动
-                </label>
-              </div>
-            </div>
-            <div class="preview-status-right">
-              <div class="preview-status-item">
-                <span>字数:</span>
-                <span id="preview-char-count">0</span>
-              </div>
-              <div class="preview-status-item">
-                <span>单词:</span>
-                <span id="preview-word-count">0</span>
-              </div>
-              <div class="preview-status-item">
-                <span>段落:</span>
-                <span id="preview-paragraph-count">0</span>
-              </div>
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
+      function closeDiffView() {
+        document.getElementById('diff-view').style.display = 'none';
+        document.querySelector('.editor-container').classList.remove('diff-mode');
+        preview.style.display = previewToggle.checked ? 'block' : 'none';
+      }
 
-    <div id="emoji-picker" class="emoji-picker"></div>
-    
-    <!-- 添加密码对话框 -->
-    <div class="password-dialog-overlay" id="password-overlay"></div>
-    <div class="password-dialog" id="password-dialog">
-      <h3 id="password-dialog-title">设置密码保护</h3>
-      <input type="password" id="password-input" placeholder="请输入密码" autocomplete="new-password">
-      <div class="password-dialog-message" id="password-message"></div>
-      <div class="password-dialog-buttons">
-        <button onclick="closePasswordDialog()">
-          <span>取消</span>
-        </button>
-        <button class="primary" onclick="handlePasswordAction()" id="password-action-btn">
-          <span>确定</span>
-        </button>
-      </div>
-    </div>
+      function setDiffOption(name, value) {
+        diffOptions[name] = value;
+        localStorage.setItem('diff-' + name, value);
+        updateDiffToggles();
+        updateDiffView();
+      }
 
-    <!-- 添加 Toast 容器 -->
-    <div class="toast-container" id="toast-container"></div>
+      function updateDiffToggles() {
+        document.querySelectorAll('#diff-mode-group button').forEach(button => {
+          button.classList.toggle('active', button.dataset.value === diffOptions.mode);
+        });
+        document.querySelectorAll('#diff-layout-group button').forEach(button => {
+          button.classList.toggle('active', button.dataset.value === diffOptions.layout);
+        });
+      }
 
-    <div class="image-overlay" id="imageOverlay" onclick="closeEnlargedImage()"></div>
+      // 编辑时若正在与当前内容对比,延迟刷新对比结果
+      function scheduleDiffUpdate() {
+        if (!isDiffViewOpen()) return;
+        const usesCurrent = [document.getElementById('diff-left').value, document.getElementById('diff-right').value]
+          .includes(CURRENT_DIFF_SOURCE);
+        if (usesCurrent) {
+          clearTimeout(diffUpdateTimeout);
+          diffUpdateTimeout = setTimeout(updateDiffView, 500);
+        }
+      }
 
-    <script>
-      const content = document.getElementById('content');
-      const preview = document.getElementById('preview');
-      const previewToggle = document.getElementById('preview-toggle');
-      const syncScrollToggle = document.getElementById('sync-scroll-toggle');
-      const saveStatus = document.getElementById('save-status');
-      let saveTimeout;
-      let isEditorScrolling = false;
-      let isPreviewScrolling = false;
-      let isSyncScrollEnabled = true;
-	  let isEmptyNote = false; // Flag to track if the note is empty and space was added
+      async function getDiffText(id) {
+        if (id === CURRENT_DIFF_SOURCE) return content.value;
+        if (!(id in diffTextCache)) {
+          diffTextCache[id] = (await fetchRevision(id)).text;
+        }
+        return diffTextCache[id];
+      }
 
-      document.addEventListener('DOMContentLoaded', () => {
-        // 配置 marked
-        marked.setOptions({
-          gfm: true,
-          breaks: true,
-          tables: true,
-          headerIds: true,
-          mangle: false,
-          sanitize: false,
-          smartLists: true,
-          smartypants: true,
-          xhtml: false,
-          langPrefix: 'language-',
-          pedantic: false,
-          highlight: function(code, lang) {
-            if (lang && hljs.getLanguage(lang)) {
-              try {
-                return hljs.highlight(code, { language: lang }).value;
-              } catch (err) {}
+      async function updateDiffView() {
+        const body = document.getElementById('diff-body');
+        const stats = document.getElementById('diff-stats');
+        try {
+          const oldText = await getDiffText(document.getElementById('diff-left').value);
+          const newText = await getDiffText(document.getElementById('diff-right').value);
+          const scrollPos = body.scrollTop;
+
+          if (oldText === newText) {
+            body.innerHTML = '<div class="diff-message">两个版本内容相同</div>';
+            stats.innerHTML = '';
+            return;
+          }
+          const result = diffOptions.mode === 'rendered'
+            ? renderRenderedDiff(body, oldText, newText)
+            : renderSourceDiff(body, oldText, newText);
+          updateDiffStats(result);
+          body.scrollTop = scrollPos;
+        } catch (error) {
+          console.error('生成对比失败:', error);
+          body.innerHTML = '';
+          const message = document.createElement('div');
+          message.className = 'diff-message';
+          message.textContent = error.message;
+          body.appendChild(message);
+          stats.innerHTML = '';
+        }
+      }
+
+      function escapeHTML(text) {
+        return String(text)
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;');
+      }
+
+      // 比较两个序列,返回 { type: 'equal' | 'delete' | 'insert', value } 列表
+      function diffSequences(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+          endA--;
+          endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: 'equal', value: a[i] });
+        myersDiff(a.slice(start, endA), b.slice(start, endB)).forEach(op => ops.push(op));
+        for (let i = endA; i < a.length; i++) ops.push({ type: 'equal', value: a[i] });
+        return ops;
+      }
+
+      // Myers O(ND) 差异算法
+      function myersDiff(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+          if (d > DIFF_MAX_EDITS) {
+            // 差异过大时整体视为删除后插入
+            return a.map(value => ({ type: 'delete', value }))
+              .concat(b.map(value => ({ type: 'insert', value })));
+          }
+          // 只保存本轮会用到的 [-d, d] 区间
+          trace.push(v.slice(offset - d, offset + d + 1));
+          for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+              ? v[offset + k + 1]
+              : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+              x++;
+              y++;
             }
-            try {
-              return hljs.highlightAuto(code).value;
-            } catch (err) {}
-            return code;
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+              return backtrackDiff(trace, a, b);
+            }
+          }
+        }
+        return [];
+      }
+
+      function backtrackDiff(trace, a, b) {
+        const ops = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+          const v = trace[d];
+          const k = x - y;
+          const prevK = (k === -d || (k !== d && v[k - 1 + d] < v[k + 1 + d])) ? k + 1 : k - 1;
+          const prevX = d === 0 ? 0 : v[prevK + d];
+          const prevY = prevX - prevK;
+
+          while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', value: a[x - 1] });
+            x--;
+            y--;
+          }
+          if (d > 0) {
+            if (x === prevX) {
+              ops.push({ type: 'insert', value: b[y - 1] });
+            } else {
+              ops.push({ type: 'delete', value: a[x - 1] });
+            }
+          }
+          x = prevX;
+          y = prevY;
+        }
+        return ops.reverse();
+      }
+
+      // 合并相邻的同类操作
+      function groupDiffOps(ops) {
+        const groups = [];
+        ops.forEach(op => {
+          const last = groups[groups.length - 1];
+          if (last && last.type === op.type) {
+            last.values.push(op.value);
+          } else {
+            groups.push({ type: op.type, values: [op.value] });
+          }
+        });
+        return groups;
+      }
+
+      // 单词级差异,中文按字比较
+      function diffWords(oldLine, newLine) {
+        const tokenize = line => line.match(/\\s+|[A-Za-z0-9_]+|[^\\sA-Za-z0-9_]/gu) || [];
+        const ops = diffSequences(tokenize(oldLine), tokenize(newLine));
+        let oldHTML = '';
+        let newHTML = '';
+        ops.forEach(op => {
+          const text = escapeHTML(op.value);
+          if (op.type === 'equal') {
+            oldHTML += text;
+            newHTML += text;
+          } else if (op.type === 'delete') {
+            oldHTML += '<span class="diff-word-delete">' + text + '</span>';
+          } else {
+            newHTML += '<span class="diff-word-insert">' + text + '</span>';
           }
         });
+        return { oldHTML, newHTML };
+      }
+
+      // 生成逐行对比的行数据,相邻的删除和插入按行配对做单词级比较
+      function buildDiffRows(oldText, newText) {
+        const groups = groupDiffOps(diffSequences(oldText.split('\\n'), newText.split('\\n')));
+        const rows = [];
+        let oldNo = 1;
+        let newNo = 1;
+
+        for (let i = 0; i < groups.length; i++) {
+          const group = groups[i];
+          if (group.type === 'equal') {
+            group.values.forEach(line => {
+              const html = escapeHTML(line);
+              rows.push({ type: 'equal', oldNo: oldNo++, newNo: newNo++, oldHTML: html, newHTML: html });
+            });
+          } else if (group.type === 'delete' && groups[i + 1] && groups[i + 1].type === 'insert') {
+            const inserted = groups[++i].values;
+            const count = Math.max(group.values.length, inserted.length);
+            for (let j = 0; j < count; j++) {
+              const oldLine = group.values[j];
+              const newLine = inserted[j];
+              if (oldLine !== undefined && newLine !== undefined) {
+                const words = diffWords(oldLine, newLine);
+                rows.push({ type: 'change', oldNo: oldNo++, newNo: newNo++, oldHTML: words.oldHTML, newHTML: words.newHTML });
+              } else if (oldLine !== undefined) {
+                rows.push({ type: 'delete', oldNo: oldNo++, oldHTML: escapeHTML(oldLine) });
+              } else {
+                rows.push({ type: 'insert', newNo: newNo++, newHTML: escapeHTML(newLine) });
+              }
+            }
+          } else if (group.type === 'delete') {
+            group.values.forEach(line => rows.push({ type: 'delete', oldNo: oldNo++, oldHTML: escapeHTML(line) }));
+          } else {
+            group.values.forEach(line => rows.push({ type: 'insert', newNo: newNo++, newHTML: escapeHTML(line) }));
+          }
+        }
+        return rows;
+      }
 
-        // 自定义 emoji 渲染
-        const renderer = new marked.Renderer();
-        const originalText = renderer.text.bind(renderer);
-        renderer.text = (text) => {
-          return joypixels.shortnameToImage(originalText(text));
+      // 折叠较长的未改变区域,只保留上下文
+      function foldDiffRows(rows) {
+        const result = [];
+        let i = 0;
+        while (i < rows.length) {
+          if (rows[i].type !== 'equal') {
+            result.push(rows[i++]);
+            continue;
+          }
+          let end = i;
+          while (end < rows.length && rows[end].type === 'equal') end++;
+          const keepHead = i === 0 ? 0 : DIFF_CONTEXT_LINES;
+          const keepTail = end === rows.length ? 0 : DIFF_CONTEXT_LINES;
+          if (end - i > keepHead + keepTail + 1) {
+            result.push(...rows.slice(i, i + keepHead));
+            result.push({ type: 'fold', count: end - i - keepHead - keepTail });
+            result.push(...rows.slice(end - keepTail, end));
+          } else {
+            result.push(...rows.slice(i, end));
+          }
+          i = end;
+        }
+        return result;
+      }
+
+      function renderSourceDiff(body, oldText, newText) {
+        const rows = buildDiffRows(oldText, newText);
+        const added = rows.filter(row => row.type === 'insert' || row.type === 'change').length;
+        const removed = rows.filter(row => row.type === 'delete' || row.type === 'change').length;
+
+        const cell = (className, html) => '<td class="' + className + '">' + (html || '') + '</td>';
+        const lineNo = no => cell('diff-line-no', no === undefined ? '' : String(no));
+        const split = diffOptions.layout === 'split';
+        let html = '<table class="diff-table">';
+        if (split) {
+          html += '<colgroup><col style="width: 3.5em"><col><col style="width: 3.5em"><col></colgroup>';
+        } else {
+          html += '<colgroup><col style="width: 3.5em"><col style="width: 3.5em"><col></colgroup>';
+        }
+
+        foldDiffRows(rows).forEach(row => {
+          if (row.type === 'fold') {
+            html += '<tr class="diff-fold"><td colspan="' + (split ? 4 : 3) + '">⋯ ' + row.count + ' 行未改变</td></tr>';
+            return;
+          }
+          if (split) {
+            const oldClass = row.type === 'equal' ? '' : (row.type === 'insert' ? 'diff-blank' : 'diff-delete');
+            const newClass = row.type === 'equal' ? '' : (row.type === 'delete' ? 'diff-blank' : 'diff-insert');
+            html += '<tr>' + lineNo(row.oldNo) + cell(oldClass, row.oldHTML) + lineNo(row.newNo) + cell(newClass, row.newHTML) + '</tr>';
+          } else if (row.type === 'equal') {
+            html += '<tr>' + lineNo(row.oldNo) + lineNo(row.newNo) + cell('', row.oldHTML) + '</tr>';
+          } else {
+            if (row.type !== 'insert') {
+              html += '<tr>' + lineNo(row.oldNo) + lineNo() + cell('diff-delete', row.oldHTML) + '</tr>';
+            }
+            if (row.type !== 'delete') {
+              html += '<tr>' + lineNo() + lineNo(row.newNo) + cell('diff-insert', row.newHTML) + '</tr>';
+            }
+          }
+        });
+        body.innerHTML = html + '</table>';
+        return { added, removed, unit: '行' };
+      }
+
+      // 按 Markdown 块比较,复用预览的 marked 渲染流程
+      function renderRenderedDiff(body, oldText, newText) {
+        const oldTokens = marked.lexer(oldText);
+        const newTokens = marked.lexer(newText);
+        const oldBlocks = oldTokens.filter(token => token.type !== 'space');
+        const newBlocks = newTokens.filter(token => token.type !== 'space');
+        const ops = diffSequences(oldBlocks.map(token => token.raw.trim()), newBlocks.map(token => token.raw.trim()));
+
+        const renderBlock = (token, links, type) => {
+          const tokens = [token];
+          tokens.links = links;
+          return '<div class="diff-block diff-' + type + '">' + marked.parser(tokens) + '</div>';
         };
-        marked.setOptions({ renderer });
 
-        // 初始化主题
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
+        let oldIndex = 0;
+        let newIndex = 0;
+        let added = 0;
+        let removed = 0;
+        let html = '';
+        const split = diffOptions.layout === 'split';
+        ops.forEach(op => {
+          if (op.type === 'equal') {
+            const block = renderBlock(newBlocks[newIndex++], newTokens.links, 'equal');
+            oldIndex++;
+            html += split ? '<div class="diff-rendered-row">' + block + block + '</div>' : block;
+          } else if (op.type === 'delete') {
+            removed++;
+            const block = renderBlock(oldBlocks[oldIndex++], oldTokens.links, 'delete');
+            html += split ? '<div class="diff-rendered-row">' + block + '<div></div></div>' : block;
+          } else {
+            added++;
+            const block = renderBlock(newBlocks[newIndex++], newTokens.links, 'insert');
+            html += split ? '<div class="diff-rendered-row"><div></div>' + block + '</div>' : block;
+          }
+        });
+        body.innerHTML = '<div class="diff-rendered">' + html + '</div>';
+        renderEnhancements(body);
+        return { added, removed, unit: '块' };
+      }
+
+      function updateDiffStats({ added, removed, unit }) {
+        document.getElementById('diff-stats').innerHTML =
+          '<span class="diff-stat-insert">+' + added + '</span> ' +
+          '<span class="diff-stat-delete">-' + removed + '</span> ' + unit;
+      }
+
+      // 图片点击放大
+      document.addEventListener('DOMContentLoaded', () => {
+        const content = document.querySelector('.content');
+        const overlay = document.getElementById('imageOverlay');
+
+        content.addEventListener('click', (e) => {
+          if (e.target.tagName === 'IMG' && !e.target.classList.contains('enlarged')) {
+            e.target.classList.add('enlarged');
+            overlay.classList.add('active');
+            document.body.style.overflow = 'hidden';
+          }
+        });
+      });
+
+      // 关闭放大的图片
+      function closeEnlargedImage() {
+        const enlargedImage = document.querySelector('.enlarged');
+        const overlay = document.getElementById('imageOverlay');
+        
+        if (enlargedImage) {
+          enlargedImage.classList.remove('enlarged');
+          overlay.classList.remove('active');
+          document.body.style.overflow = '';
+        }
+      }
+
+      // ESC键关闭放大图片和侧边面板
+      document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          closeEnlargedImage();
+          closeSidePanels();
+        }
+      });
+
+      // 图片加载错误处理
+      document.addEventListener('DOMContentLoaded', () => {
+        const images = document.querySelectorAll('.content img');
+        images.forEach(img => {
+          img.onerror = () => {
+            img.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
+          };
+        });
+      });
+    </script>
+  </body>
+  </html>`;
+}
+
+/**
+ * 从KV存储获取笔记内容及版本标识
+ * @param {string} notePath - 笔记路径
+ * @returns {Promise<{text: string, rev: string, updated: string|null}>} 笔记内容、版本标识及保存时间(早期保存的笔记没有保存时间)
+ */
+async function getNoteWithRevision(notePath) {
+  const { value, metadata } = await NOTES_KV.getWithMetadata(notePath);
+  if (!value) return { text: '', rev: NOTE_REVISION_NONE, updated: null };
+
+  const key = await generateEncryptionKey(notePath);
+  return {
+    text: await decryptText(value, key),
+    rev: (metadata && metadata.rev) || NOTE_REVISION_NONE,
+    updated: (metadata && metadata.updated) || null
+  };
+}
 
-        // 初始化预览状态
-        const showPreview = localStorage.getItem('preview') === 'true';
-        previewToggle.checked = showPreview;
-        
-        // 初始化同步滚动状态
-        const savedSyncScroll = localStorage.getItem('sync-scroll');
-        isSyncScrollEnabled = savedSyncScroll !== 'false';
-        syncScrollToggle.checked = isSyncScrollEnabled;
-        
-        const editorContainer = document.querySelector('.editor-container');
-        editorContainer.classList.toggle('preview-mode', showPreview);
-        preview.style.display = showPreview ? 'block' : 'none';
-        
-        if (showPreview) {
-          updatePreview(content.value);
-        }
+/**
+ * 保存笔记内容到KV存储
+ * 每次保存生成新的版本标识,与保存时间一起保存在 KV 元数据中;被替换的内容按快照间隔记入历史版本。
+ * 笔记改为端到端加密时不记录被替换的明文,并删除历史版本和回收站中已有的明文
+ * @param {string} notePath - 笔记路径
+ * @param {string} text - 笔记内容
+ * @param {string} previousText - 被替换的内容
+ * @param {string} [updated] - 保存时间(ISO 格式),默认为当前时间
+ * @param {boolean} [snapshot] - 是否不论快照间隔都记录被替换的内容,用于恢复历史版本和回收站
+ * @returns {Promise<string>} 新的版本标识
+ */
+async function saveNoteContent(notePath, text, previousText, updated = new Date().toISOString(), snapshot = false) {
+  const key = await generateEncryptionKey(notePath);
+  const encryptedText = await encryptText(text, key);
+  const rev = toBase64Url(crypto.getRandomValues(new Uint8Array(9)));
+  await NOTES_KV.put(notePath, encryptedText, { metadata: { rev, updated } });
+  if (parseE2EEnvelope(text) && !parseE2EEnvelope(previousText)) {
+    await purgePlaintextCopies(notePath);
+  } else {
+    await saveRevision(notePath, previousText, snapshot);
+  }
+  return rev;
+}
 
-        content.addEventListener('input', () => {
-          updatePreview(content.value);
-		  
-		  // If the content becomes empty, insert a space to trigger the save
-		  if (content.value.trim().length === 0) {
-			  if (!isEmptyNote) {
-			  content.value = ' '; // Automatically add a space if content is empty
-			  saveStatus.textContent = 'Note will be deleted'; // Notify the user that the note will be deleted
-			  isEmptyNote = true; // Flag that space was added
-			  }
-		  } else {
-			  // If content is no longer empty, remove the space and update status
-			  if (isEmptyNote) {
-			  content.value = content.value.trim(); // Remove the space if user starts typing again
-			  isEmptyNote = false; // Reset the flag
-			  }
-			  saveStatus.textContent = 'Saving...'; // Show saving status while content is being edited
-		  }
+/**
+ * 从KV存储删除笔记
+ * @param {string} notePath - 要删除的笔记路径
+ */
+async function deleteNoteContent(notePath) {
+  await NOTES_KV.delete(notePath);
+}
 
-          debounceSaveContent(content.value);
-        });
+/**
+ * 获取笔记历史版本的存储路径
+ * @param {string} notePath - 笔记路径
+ * @returns {string} 历史版本索引路径,版本内容保存在 <索引路径>/<版本ID>
+ */
+function getHistoryPath(notePath) {
+  return `${HISTORY_PATH}/${notePath.slice(SAVE_PATH.length + 1)}`;
+}
 
-        window.addEventListener('resize', () => {
-          if (previewToggle.checked) {
-            syncScrollPositions('editor');
-          }
-        });
+/**
+ * 读取笔记的历史版本索引
+ * @param {string} notePath - 笔记路径
+ * @returns {Promise<Array<{id: string, created: number, time: number, size: number}>>} 版本列表(从旧到新)
+ */
+async function getRevisions(notePath) {
+  return await NOTES_KV.get(getHistoryPath(notePath), 'json') || [];
+}
 
-        // 初始化行号显示状态
-        const showLineNumbers = localStorage.getItem('show-line-numbers') !== 'false';
-        document.getElementById('line-numbers-toggle').checked = showLineNumbers;
-        const lineNumbers = document.querySelector('.line-numbers');
-        lineNumbers.classList.toggle('hidden', !showLineNumbers);
+/**
+ * 读取单个历史版本
+ * @param {string} notePath - 笔记路径
+ * @param {string} revisionId - 版本ID
+ * @returns {Promise<Object|null>} 版本信息及内容 { id, created, time, size, content }
+ */
+async function getRevision(notePath, revisionId) {
+  const revisions = await getRevisions(notePath);
+  const revision = revisions.find(item => item.id === revisionId);
+  if (!revision) return null;
 
-        // 初始化行号和文本统计
-        updateLineNumbers();
-        updateTextStats();
+  const encryptedText = await NOTES_KV.get(`${getHistoryPath(notePath)}/${revision.id}`);
+  if (!encryptedText) return null;
+  const key = await generateEncryptionKey(notePath);
+  return { ...revision, content: await decryptText(encryptedText, key) };
+}
 
-        // 初始化工具栏显示状态
-        const showToolbar = localStorage.getItem('show-toolbar') !== 'false';
-        document.getElementById('toolbar-toggle').checked = showToolbar;
-        const toolbar = document.querySelector('.toolbar');
-        const container = document.querySelector('.container');
-        toolbar.classList.toggle('hidden', !showToolbar);
-        container.classList.toggle('toolbar-hidden', !showToolbar);
+/**
+ * 保存历史版本
+ * 记录保存前的内容,距最近一个版本不足快照间隔时不记录,每个笔记每个间隔最多写入一次;超出数量上限时删除最旧的版本
+ * @param {string} notePath - 笔记路径
+ * @param {string} text - 保存前的笔记内容
+ * @param {boolean} [force] - 是否不论快照间隔都记录
+ */
+async function saveRevision(notePath, text, force = false) {
+  if (!text) return;
+  const historyPath = getHistoryPath(notePath);
+  const revisions = await getRevisions(notePath);
+  const now = Date.now();
+  const latest = revisions[revisions.length - 1];
+  if (!force && latest && now - latest.time < HISTORY_SNAPSHOT_SECONDS * 1000) return;
 
-        // 恢复全屏状态
-        const savedFullscreen = localStorage.getItem('preview-fullscreen') === 'true';
-        if (savedFullscreen) {
-          togglePreviewFullscreen();
-        }
+  const revision = { id: now.toString(36), created: now, time: now, size: new TextEncoder().encode(text).length };
+  revisions.push(revision);
 
-        // 添加 Firefox 双击事件监听
-        const previewContent = document.querySelector('.preview-content');
-        if (previewContent) {
-          previewContent.addEventListener('mousedown', (e) => {
-            if (e.detail === 2) { // 检测双击
-              e.preventDefault(); // 阻止默认的文本选择
-            }
-          });
-        }
+  const key = await generateEncryptionKey(notePath);
+  await NOTES_KV.put(`${historyPath}/${revision.id}`, await encryptText(text, key));
 
-        // 添加工具栏鼠标滚动支持
-        let isMouseDown = false;
-        let startX;
-        let scrollLeft;
+  while (revisions.length > HISTORY_MAX_REVISIONS) {
+    const removed = revisions.shift();
+    await NOTES_KV.delete(`${historyPath}/${removed.id}`);
+  }
+  await NOTES_KV.put(historyPath, JSON.stringify(revisions));
+}
 
-        toolbar.addEventListener('mousedown', (e) => {
-          isMouseDown = true;
-          toolbar.classList.add('dragging');
-          startX = e.pageX - toolbar.offsetLeft;
-          scrollLeft = toolbar.scrollLeft;
-        });
+/**
+ * 删除笔记历史版本和回收站中的明文内容,保留端到端加密的密文
+ * 笔记改为端到端加密时调用,之前的明文不能继续以服务端可解密的形式保存
+ * @param {string} notePath - 笔记路径
+ */
+async function purgePlaintextCopies(notePath) {
+  const key = await generateEncryptionKey(notePath);
+  const isPlaintext = async encryptedText => !parseE2EEnvelope(await decryptText(encryptedText, key));
+
+  const historyPath = getHistoryPath(notePath);
+  const revisions = await getRevisions(notePath);
+  const kept = [];
+  for (const revision of revisions) {
+    const encryptedText = await NOTES_KV.get(`${historyPath}/${revision.id}`);
+    if (encryptedText && !await isPlaintext(encryptedText)) {
+      kept.push(revision);
+    } else {
+      await NOTES_KV.delete(`${historyPath}/${revision.id}`);
+    }
+  }
+  if (kept.length < revisions.length) {
+    await NOTES_KV.put(historyPath, JSON.stringify(kept));
+  }
 
-        toolbar.addEventListener('mouseleave', () => {
-          isMouseDown = false;
-          toolbar.classList.remove('dragging');
-        });
+  const prefix = `${getTrashPath(notePath)}/`;
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix, cursor });
+    for (const { name } of result.keys) {
+      const encryptedText = await NOTES_KV.get(name);
+      if (encryptedText && await isPlaintext(encryptedText)) {
+        await NOTES_KV.delete(name);
+      }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+}
 
-        toolbar.addEventListener('mouseup', () => {
-          isMouseDown = false;
-          toolbar.classList.remove('dragging');
-        });
+/**
+ * 获取笔记回收站的存储路径
+ * @param {string} notePath - 笔记路径
+ * @returns {string} 回收站路径,已删除的内容保存在 <回收站路径>/<删除ID>
+ */
+function getTrashPath(notePath) {
+  return `${TRASH_PATH}/${notePath.slice(SAVE_PATH.length + 1)}`;
+}
 
-        toolbar.addEventListener('mousemove', (e) => {
-          if (!isMouseDown) return;
-          e.preventDefault();
-          const x = e.pageX - toolbar.offsetLeft;
-          const walk = (x - startX) * 2;
-          toolbar.scrollLeft = scrollLeft - walk;
-        });
+/**
+ * 将笔记移入回收站
+ * 内容保持原有加密形式,删除时间等信息保存在 KV 元数据中以便列出和清理
+ * @param {string} notePath - 笔记路径
+ */
+async function trashNoteContent(notePath) {
+  const encryptedText = await NOTES_KV.get(notePath);
+  if (!encryptedText) return;
 
-        // 支持鼠标滚轮横向滚动
-        toolbar.addEventListener('wheel', (e) => {
-          e.preventDefault();
-          toolbar.scrollLeft += e.deltaY;
-        });
-      });
+  const now = Date.now();
+  const key = await generateEncryptionKey(notePath);
+  const text = await decryptText(encryptedText, key);
+  const metadata = {
+    deleted: now,
+    expires: now + TRASH_RETENTION_SECONDS * 1000,
+    size: new TextEncoder().encode(text).length
+  };
+  // 定时清理负责按时删除,KV 过期时间额外多留一天,作为未配置定时触发器时的兜底
+  await NOTES_KV.put(`${getTrashPath(notePath)}/${now.toString(36)}`, encryptedText, {
+    metadata,
+    expirationTtl: TRASH_RETENTION_SECONDS + 24 * 60 * 60
+  });
+  await deleteNoteContent(notePath);
+}
 
-      function togglePreview() {
-        const showPreview = previewToggle.checked;
-        const editorContainer = document.querySelector('.editor-container');
-        
-        editorContainer.classList.toggle('preview-mode', showPreview);
-        preview.style.display = showPreview ? 'block' : 'none';
-        
-        localStorage.setItem('preview', showPreview);
-        
-        if (showPreview) {
-          updatePreview(content.value);
-          setTimeout(() => syncScrollPositions('editor'), 100);
-        }
+/**
+ * 向 Webhook 订阅发送笔记的变化
+ * 所有写入笔记的路径(表单保存、追加、REST API、协同编辑、恢复历史版本和回收站)都经过笔记房间,
+ * 由房间合并一段时间内的连续修改后调用
+ * @param {{origin: string, event: ({waitUntil: function(Promise)}|null|undefined)}} context - 站点地址(用于生成笔记链接)
+ *   及请求的执行上下文或房间的状态,有 event 时由 waitUntil 完成投递,否则等待投递完成
+ * @param {string} noteName - 笔记名称
+ * @param {string} previousText - 修改前的内容
+ * @param {string} text - 修改后的内容,移入回收站时为空
+ * @param {string} rev - 修改后的版本标识
+ */
+async function notifyNoteChanged(context, noteName, previousText, text, rev) {
+  if (previousText === text) return;
+  const task = getNoteWebhooks(noteName).then(async webhooks => {
+    if (webhooks.length === 0) return;
+    await notifyNoteChange(noteName, { webhooks, origin: context.origin, baseText: previousText, text, rev });
+  }).catch(error => console.error('发送 Webhook 通知失败:', error));
+  if (context.event) {
+    context.event.waitUntil(task);
+  } else {
+    await task;
+  }
+}
+
+/**
+ * 列出笔记回收站中未过期的内容
+ * @param {string} notePath - 笔记路径
+ * @returns {Promise<Array<{id: string, deleted: number, expires: number, size: number}>>} 回收站列表(从新到旧)
+ */
+async function getTrashEntries(notePath) {
+  const prefix = `${getTrashPath(notePath)}/`;
+  const now = Date.now();
+  const entries = [];
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix, cursor });
+    result.keys.forEach(({ name, metadata }) => {
+      if (metadata && metadata.expires > now) {
+        entries.push({ id: name.slice(prefix.length), ...metadata });
       }
+    });
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  return entries.sort((a, b) => b.deleted - a.deleted);
+}
 
-      function toggleSyncScroll() {
-        isSyncScrollEnabled = syncScrollToggle.checked;
-        localStorage.setItem('sync-scroll', isSyncScrollEnabled);
+/**
+ * 读取回收站中的单个内容
+ * @param {string} notePath - 笔记路径
+ * @param {string} trashId - 删除ID
+ * @returns {Promise<Object|null>} 删除信息及内容 { id, deleted, expires, size, content }
+ */
+async function getTrashEntry(notePath, trashId) {
+  const { value, metadata } = await NOTES_KV.getWithMetadata(`${getTrashPath(notePath)}/${trashId}`);
+  if (!value || !metadata || metadata.expires <= Date.now()) return null;
+
+  const key = await generateEncryptionKey(notePath);
+  return { id: trashId, ...metadata, content: await decryptText(value, key) };
+}
+
+/**
+ * 清理回收站中超过保留期的内容,由定时触发器调用
+ * @returns {Promise<number>} 清理的数量
+ */
+async function purgeExpiredTrash() {
+  const now = Date.now();
+  let purged = 0;
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix: `${TRASH_PATH}/`, cursor });
+    for (const { name, metadata } of result.keys) {
+      if (!metadata || metadata.expires <= now) {
+        await NOTES_KV.delete(name);
+        purged++;
       }
+    }
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  return purged;
+}
 
-      function updatePreview(text) {
-        if (previewToggle.checked) {
-          const previewContent = preview.querySelector('.preview-content');
-          const scrollPos = previewContent.scrollTop;
-          
-          // 渲染Markdown内容
-          previewContent.innerHTML = marked.parse(text);
-          
-          // 渲染LaTeX公式
-          renderMathInElement(previewContent, {
-            delimiters: [
-              {left: '$$', right: '$$', display: true},
-              {left: '$', right: '$', display: false},
-              // 移除普通方括号作为数学公式的标记
-              // {left: '\\[', right: '\\]', display: true},
-              // 替换为更明确的数学公式标记
-              {left: 'math\\[', right: '\\]', display: true},
-              {left: '\\(', right: '\\)', display: false},
-              {left: '\\begin{align}', right: '\\end{align}', display: true}, // 添加对 align 环境的支持
-            ],
-            throwOnError: false,
-            output: 'html'
-          });
+/**
+ * 获取笔记的房间
+ * 房间是按笔记名称确定的 Durable Object,所有 Worker 实例的请求都转交给同一个房间
+ * @param {string} noteName - 笔记名称
+ * @returns {DurableObjectStub} 房间
+ */
+function getNoteRoom(noteName) {
+  return NOTE_ROOMS.get(NOTE_ROOMS.idFromName(noteName));
+}
 
-          // 渲染Mermaid图表
-          mermaid.initialize({
-            startOnLoad: false,
-            theme: document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'default',
-            securityLevel: 'loose',
-            fontFamily: 'var(--font-family)',
-          });
+// 在笔记房间中执行的修改,类型 → function(current, params, request),根据当前内容返回新内容或错误响应
+const NOTE_CHANGES = {
+  save: applyNoteSave,
+  append: applyNoteAppend,
+  api: applyApiNoteChange,
+  // 恢复历史版本或回收站中的内容 { content }
+  restore: (current, { content }) => content
+};
 
-          const mermaidDiagrams = previewContent.querySelectorAll('pre code.language-mermaid');
-          mermaidDiagrams.forEach(async (diagram, index) => {
-            try {
-              const pre = diagram.parentElement;
-              const mermaidDiv = document.createElement('div');
-              mermaidDiv.className = 'mermaid';
-              mermaidDiv.id = 'mermaid-' + Date.now() + '-' + index; // 添加唯一ID
-              mermaidDiv.textContent = diagram.textContent;
-              pre.parentNode.replaceChild(mermaidDiv, pre);
-            } catch (error) {
-              console.error('Mermaid渲染错误:', error);
-            }
-          });
+/**
+ * 在笔记的房间中修改笔记内容
+ * 笔记内容的所有写入都由笔记的房间依次执行,检查当前内容(如 If-Match)和写入之间不会插入其他写入;
+ * 有协同编辑者时修改同步给他们
+ * @param {Request} request - 原请求,用于生成通知中的笔记链接,条件请求头和 X-Note-Encryption 头随修改转发
+ * @param {string} noteName - 笔记名称
+ * @param {string} change - 修改类型,见 NOTE_CHANGES
+ * @param {Object} params - 修改参数,转发时序列化为 JSON
+ * @returns {Promise<{text: string, rev: string, updated: string|null, existed: boolean}|Response>}
+ *   修改后的笔记(existed 为修改前笔记是否存在),或修改返回的错误响应
+ */
+async function updateNote(request, noteName, change, params) {
+  const headers = { 'Content-Type': 'application/json' };
+  ['If-Match', 'If-None-Match', 'X-Note-Encryption'].forEach(name => {
+    if (request.headers.has(name)) headers[name] = request.headers.get(name);
+  });
+  const response = await getNoteRoom(noteName).fetch(`${new URL(request.url).origin}/${noteName}/update`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ change, params })
+  });
+  return response.headers.get('X-Note-Update') === 'applied' ? await response.json() : response;
+}
 
-          // 等待所有图表渲染完成
-          if (mermaidDiagrams.length > 0) {
-            mermaid.run();
-          }
-          
-          // 更新预览区统计信息
-          updatePreviewStats(text);
-          
-          // 为所有代码块添加复制按钮和语言标签
-          const codeBlocks = previewContent.querySelectorAll('pre code');
-          codeBlocks.forEach(code => {
-            const pre = code.parentElement;
-            // 跳过Mermaid图表
-            if (code.classList.contains('language-mermaid')) return;
-            
-            // 获取语言类名
-            const langClass = Array.from(code.classList).find(cl => cl.startsWith('language-'));
-            const language = langClass ? langClass.replace('language-', '') : '代码';
-            // 设置语言标签
-            pre.setAttribute('data-language', language);
-            
-            // 添加复制按钮
-            if (!pre.querySelector('.copy-button')) {
-              const button = document.createElement('button');
-              button.className = 'copy-button';
-              button.innerHTML = '📋 复制';
-              button.onclick = (e) => {
-                e.preventDefault();
-                copyToClipboard(code.innerText, button);
-              };
-              pre.appendChild(button);
-            }
-          });
+/**
+ * 笔记房间
+ * Durable Object,每个笔记一个(绑定为 NOTE_ROOMS),通过 fetch 接受请求。presence 模式的连接只接收在线状态
+ * (谁打开了笔记、谁正在输入);live 模式的连接参与协同编辑:提交基于某个版本的操作,房间按操作转换(OT)
+ * 将其变换到最新版本后应用并广播,内容延迟通过 saveNoteContent 保存。房间还依次执行 updateNote 发来的修改
+ * (保存、追加、REST API 及恢复),有协同编辑者时这些修改作为操作应用并广播。房间是笔记内容唯一的写入者,
+ * 每次写入后通知笔记的 Webhook 订阅
+ *
+ * 消息格式(JSON):
+ * 客户端 → 房间: { type: 'typing' } | { type: 'op', version, ops } | { type: 'cursor', start, end }
+ * 房间 → 客户端: { type: 'init', clientId, clients, version?, text? } | { type: 'ack', version } |
+ *   { type: 'op', version, ops, clientId } | { type: 'cursor', clientId, start, end } | { type: 'typing', clientId } |
+ *   { type: 'join', client } | { type: 'leave', clientId } | { type: 'saved', rev } | { type: 'error', message }
+ */
+export class NoteRoom {
+  /**
+   * @param {DurableObjectState} state - Durable Object 状态
+   * @param {Object} env - Workers 环境绑定
+   */
+  constructor(state, env) {
+    bindEnvironment(env);
+    this.state = state;
+    this.sessions = new Map(); // 客户端ID → { id, socket, mode, name, color, start, end }
+    this.ready = null;
+    this.noteName = null;
+    this.notePath = null;
+    this.origin = null; // 站点地址,用于 Webhook 通知中的笔记链接
+    this.text = '';
+    this.version = 0;
+    this.history = []; // 最近的操作 [{ version, ops }],version 为应用该操作后的版本
+    this.savedText = '';
+    this.savedVersion = 0;
+    this.savedRev = NOTE_REVISION_NONE;
+    this.savedUpdated = null;
+    this.written = null; // 房间最近一次写入的内容 { text, rev, updated }
+    this.saveTimer = null;
+    this.saving = Promise.resolve(); // 保存和修改依次执行
+    this.colorIndex = 0;
+  }
 
-          // 重新应用代码高亮
-          hljs.highlightAll();
+  /**
+   * 接受 WebSocket 连接或修改请求
+   * @param {Request} request - WebSocket 升级请求,路径为 /<笔记>/live,mode 参数为 presence 或 live(默认),
+   *   name 参数为显示名称;或 updateNote 发来的修改请求,路径为 /<笔记>/update,请求体为 { change, params };
+   *   配置房间另外接受 POST /:config/session-secret,返回会话签名密钥
+   * @returns {Promise<Response>} 响应对象
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    const [noteName, action] = url.pathname.split('/').filter(Boolean);
+    if (noteName === CONFIG_ROOM_NAME && action === 'session-secret') {
+      return new Response(await this.enqueue(() => this.getSessionSecret(), '生成会话签名密钥失败:'));
+    }
+    this.noteName = noteName;
+    this.notePath = `${SAVE_PATH}/${noteName}`;
+    this.origin = url.origin;
+
+    if (request.method === 'POST' && action === 'update') {
+      const { change, params } = await request.json();
+      // 恢复前的内容总是记入历史版本,恢复错了可以再恢复回来
+      const result = await this.update(current => NOTE_CHANGES[change](current, params, request), change === 'restore');
+      if (result instanceof Response) return result;
+      return Response.json(result, { headers: { 'X-Note-Update': 'applied' } });
+    }
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected WebSocket', { status: 426 });
+    }
+    const mode = url.searchParams.get('mode') === 'presence' ? 'presence' : 'live';
 
-          previewContent.scrollTop = scrollPos;
-        }
+    if (mode === 'live') {
+      // 没有协同编辑者时从 KV 重新加载,以包含期间其他方式的修改
+      if (!this.ready) {
+        this.ready = this.load();
       }
-
-      async function copyToClipboard(text, button) {
-        try {
-          await navigator.clipboard.writeText(text);
-          const originalText = button.innerHTML;
-          button.innerHTML = '✅ 已复制';
-          button.classList.add('copied');
-          setTimeout(() => {
-            button.innerHTML = originalText;
-            button.classList.remove('copied');
-          }, 2000);
-        } catch (err) {
-          console.error('复制失败:', err);
-          button.innerHTML = '❌ 复制失败';
-          setTimeout(() => {
-            button.innerHTML = '📋 复制';
-          }, 2000);
-        }
+      await this.ready;
+      if (parseE2EEnvelope(this.text)) {
+        return new Response('Note is end-to-end encrypted', { status: 409 });
       }
+    }
+
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+
+    const clientId = toBase64Url(crypto.getRandomValues(new Uint8Array(6)));
+    const session = {
+      id: clientId,
+      socket: server,
+      mode,
+      name: (url.searchParams.get('name') || '').slice(0, 32) || '访客',
+      color: LIVE_COLORS[this.colorIndex++ % LIVE_COLORS.length],
+      start: 0,
+      end: 0
+    };
+    this.sessions.set(clientId, session);
+    server.addEventListener('message', event => this.handleMessage(clientId, event.data));
+    server.addEventListener('close', () => this.leave(clientId));
+    server.addEventListener('error', () => this.leave(clientId));
+
+    const init = { type: 'init', clientId, clients: this.describeClients(clientId) };
+    if (mode === 'live') {
+      init.version = this.version;
+      init.text = this.text;
+    }
+    this.send(session, init);
+    this.broadcast({ type: 'join', client: this.describeClient(clientId, session) }, clientId);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /**
+   * 从 KV 加载笔记内容并重置操作记录
+   */
+  async load() {
+    const { text, rev, updated } = await this.readNote();
+    this.text = text;
+    this.version = 0;
+    this.history = [];
+    this.savedText = text;
+    this.savedVersion = 0;
+    this.savedRev = rev;
+    this.savedUpdated = updated;
+  }
+
+  describeClient(clientId, session) {
+    return {
+      id: clientId,
+      mode: session.mode,
+      name: session.name,
+      color: session.color,
+      start: session.start,
+      end: session.end
+    };
+  }
+
+  describeClients(excludeId) {
+    return Array.from(this.sessions)
+      .filter(([clientId]) => clientId !== excludeId)
+      .map(([clientId, session]) => this.describeClient(clientId, session));
+  }
+
+  /**
+   * 向客户端发送消息,发送失败说明连接已断开,按离开处理,其他人不再看到该客户端在线
+   * @param {Object} session - 客户端会话
+   * @param {Object} message - 消息
+   */
+  send(session, message) {
+    try {
+      session.socket.send(JSON.stringify(message));
+    } catch (error) {
+      this.leave(session.id);
+    }
+  }
 
-      function handleEditorScroll() {
-        if (!isPreviewScrolling && previewToggle.checked && isSyncScrollEnabled) {
-          isEditorScrolling = true;
-          syncScrollPositions('editor');
-          setTimeout(() => { isEditorScrolling = false; }, 50);
-        }
-      }
+  /**
+   * 向房间内的客户端发送消息
+   * @param {Object} message - 消息
+   * @param {string} [excludeId] - 不发送的客户端ID
+   * @param {string} [mode] - 只发送给该模式的客户端
+   */
+  broadcast(message, excludeId, mode) {
+    this.sessions.forEach((session, clientId) => {
+      if (clientId !== excludeId && (!mode || session.mode === mode)) this.send(session, message);
+    });
+  }
 
-      function handlePreviewScroll() {
-        if (!isEditorScrolling && previewToggle.checked && isSyncScrollEnabled) {
-          isPreviewScrolling = true;
-          const previewContent = preview.querySelector('.preview-content');
-          const editorHeight = content.scrollHeight - content.clientHeight;
-          const previewHeight = previewContent.scrollHeight - previewContent.clientHeight;
-          
-          if (previewHeight > 0) {
-            const scrollPercentage = previewContent.scrollTop / previewHeight;
-            content.scrollTop = scrollPercentage * editorHeight;
-          }
-          setTimeout(() => { isPreviewScrolling = false; }, 50);
-        }
-      }
+  hasLiveSessions() {
+    return Array.from(this.sessions.values()).some(session => session.mode === 'live');
+  }
 
-      function syncScrollPositions(source) {
-        if (!previewToggle.checked || !isSyncScrollEnabled) return;
+  handleMessage(clientId, data) {
+    const session = this.sessions.get(clientId);
+    if (!session) return;
 
-        const editor = content;
-        const previewContent = preview.querySelector('.preview-content');
-        const editorHeight = editor.scrollHeight - editor.clientHeight;
-        const previewHeight = previewContent.scrollHeight - previewContent.clientHeight;
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
 
-        if (source === 'editor' && editorHeight > 0) {
-          const scrollPercentage = editor.scrollTop / editorHeight;
-          previewContent.scrollTop = scrollPercentage * previewHeight;
-        } else if (source === 'preview' && previewHeight > 0) {
-          const scrollPercentage = previewContent.scrollTop / previewHeight;
-          editor.scrollTop = scrollPercentage * editorHeight;
-        }
-      }
+    if (message.type === 'typing') {
+      this.broadcast({ type: 'typing', clientId }, clientId);
+    } else if (session.mode !== 'live') {
+      return;
+    } else if (message.type === 'op') {
+      this.applyClientOps(clientId, session, message.version, message.ops);
+    } else if (message.type === 'cursor') {
+      const clamp = value => Math.max(0, Math.min(Number.isInteger(value) ? value : 0, this.text.length));
+      session.start = clamp(message.start);
+      session.end = Math.max(session.start, clamp(message.end));
+      this.broadcast({ type: 'cursor', clientId, start: session.start, end: session.end }, clientId, 'live');
+    }
+  }
 
-      function debounceSaveContent(text) {
-        clearTimeout(saveTimeout);
-        saveTimeout = setTimeout(() => saveContent(text), 1000);
+  /**
+   * 应用客户端提交的操作
+   * @param {string} clientId - 客户端ID
+   * @param {Object} session - 客户端会话
+   * @param {number} version - 操作所基于的版本
+   * @param {Array<Object>} ops - 操作列表
+   */
+  applyClientOps(clientId, session, version, ops) {
+    if (!isValidTextOps(ops) || !Number.isInteger(version) || version > this.version) {
+      this.send(session, { type: 'error', message: 'Invalid operation' });
+      session.socket.close(1008, 'Invalid operation');
+      return;
+    }
+    // 基于的版本已不在操作记录中,无法变换,要求客户端重新连接同步
+    if (version < this.version - this.history.length) {
+      session.socket.close(4001, 'Resync required');
+      return;
+    }
+
+    const transformed = this.transformSince(version, ops);
+    if (!textOpsFit(transformed, this.text.length)) {
+      this.send(session, { type: 'error', message: 'Invalid operation' });
+      session.socket.close(1008, 'Invalid operation');
+      return;
+    }
+    this.commit(transformed);
+    this.send(session, { type: 'ack', version: this.version });
+    this.broadcast({ type: 'op', version: this.version, ops: transformed, clientId }, clientId, 'live');
+    this.broadcast({ type: 'typing', clientId }, clientId, 'presence');
+  }
+
+  /**
+   * 将基于某个版本的操作变换到最新版本,已记录的操作在同一位置插入时优先
+   * @param {number} version - 操作所基于的版本
+   * @param {Array<Object>} ops - 操作列表
+   * @returns {Array<Object>} 变换后的操作
+   */
+  transformSince(version, ops) {
+    this.history.forEach(entry => {
+      if (entry.version > version) {
+        [ops] = transformTextOps(ops, entry.ops);
       }
+    });
+    return ops;
+  }
 
-      async function saveContent(text) {
-        try {
-          const response = await fetch(window.location.pathname, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: 'text=' + encodeURIComponent(text),
-          });
+  /**
+   * 应用已变换到最新版本的操作并安排保存
+   * @param {Array<Object>} ops - 操作列表
+   */
+  commit(ops) {
+    this.text = applyTextOps(this.text, ops);
+    this.version++;
+    this.history.push({ version: this.version, ops });
+    // 只丢弃已保存的操作,保存时还需要用它们合并房间外的修改
+    while (this.history.length > LIVE_HISTORY_LIMIT && this.history[0].version <= this.savedVersion) {
+      this.history.shift();
+    }
+    this.sessions.forEach(session => {
+      session.start = transformTextIndex(session.start, ops);
+      session.end = transformTextIndex(session.end, ops);
+    });
 
-          saveStatus.textContent = response.status === 204 ? '已保存' : '笔记将被删除';
-        } catch (error) {
-          saveStatus.textContent = '保存失败';
-        }
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flush(), LIVE_SAVE_DELAY);
+  }
 
-        setTimeout(() => {
-          saveStatus.textContent = '';
-        }, 2000);
-      }
+  /**
+   * 保存房间内容,多次调用依次执行
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.enqueue(() => this.save(), '保存协同编辑内容失败:');
+    return this.saving;
+  }
 
-      // 添加 Toast 提示框功能
-      function showToast(message, type = 'info', duration = 3000) {
-        const container = document.getElementById('toast-container');
-        const toast = document.createElement('div');
-        toast.className = 'toast ' + type;
-        
-        // 设置图标
-        const icons = {
-          success: '✅',
-          error: '❌',
-          info: 'ℹ️',
-          warning: '⚠️'
+  /**
+   * 将任务排在之前的保存和修改之后执行
+   * @param {function(): Promise<*>} task - 任务
+   * @param {string} errorMessage - 任务失败时的日志信息
+   * @returns {Promise<*>} 任务的结果
+   */
+  enqueue(task, errorMessage) {
+    const result = this.saving.then(task);
+    this.saving = result.catch(error => {
+      console.error(errorMessage, error);
+    });
+    return result;
+  }
+
+  /**
+   * 获取配置房间保存的会话签名密钥,第一次调用时生成
+   * 密钥保存在房间的存储中并写入 KV;KV 可能短时间内仍返回之前缓存的不存在结果,不能据此重新生成
+   * @returns {Promise<string>} 签名密钥
+   */
+  async getSessionSecret() {
+    let secret = await this.state.storage.get('sessionSecret');
+    if (!secret) {
+      secret = await NOTES_KV.get(SESSION_SECRET_KEY) || toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+      await this.state.storage.put('sessionSecret', secret);
+    }
+    await NOTES_KV.put(SESSION_SECRET_KEY, secret);
+    return secret;
+  }
+
+  /**
+   * 读取笔记的当前内容
+   * 房间是笔记内容唯一的写入者,优先使用自己最近写入的内容,KV 的写入不保证立即可读
+   * @returns {Promise<{text: string, rev: string, updated: string|null}>} 笔记内容、版本标识及保存时间
+   */
+  async readNote() {
+    return this.written || await getNoteWithRevision(this.notePath);
+  }
+
+  /**
+   * 记录等待通知 Webhook 订阅的修改,由 alarm 在 WEBHOOK_DEBOUNCE_DELAY 内没有新修改后发送,
+   * 连续修改时最长等待 WEBHOOK_DEBOUNCE_MAX_WAIT
+   * 等待中的通知保存在房间的存储中:笔记名、站点地址、第一次修改的时间及加密后的修改前内容
+   * @param {string} previousText - 修改前的内容
+   * @param {string} text - 修改后的内容
+   */
+  async notify(previousText, text) {
+    if (previousText === text) return;
+    try {
+      const now = Date.now();
+      let pending = await this.state.storage.get('webhookPending');
+      if (!pending && (await getNoteWebhooks(this.noteName)).length === 0) return;
+      if (!pending || parseE2EEnvelope(text)) {
+        // 笔记启用端到端加密后不再保留修改前的明文,通知中只标记为密文
+        const baseText = parseE2EEnvelope(text) ? text : previousText;
+        pending = {
+          noteName: this.noteName,
+          origin: this.origin,
+          since: pending ? pending.since : now,
+          baseText: await encryptText(baseText, await generateEncryptionKey(this.notePath))
         };
-        
-        toast.innerHTML = 
-          '<span class="toast-icon">' + (icons[type] || icons.info) + '</span>' +
-          '<span class="toast-message">' + message + '</span>' +
-          '<span class="toast-close" onclick="this.parentElement.remove()">✕</span>';
-        
-        container.appendChild(toast);
-        
-        // 触发重排以启动动画
-        void toast.offsetWidth;
-        toast.classList.add('show');
-        
-        // 自动关闭
-        setTimeout(() => {
-          toast.classList.remove('show');
-          setTimeout(() => toast.remove(), 300);
-        }, duration);
+        await this.state.storage.put('webhookPending', pending);
       }
+      await this.state.storage.setAlarm(Math.min(now + WEBHOOK_DEBOUNCE_DELAY, pending.since + WEBHOOK_DEBOUNCE_MAX_WAIT));
+    } catch (error) {
+      console.error('记录 Webhook 通知失败:', error);
+    }
+  }
 
-      // 替换原有的 alert 调用
-      function copyNoteLink() {
-        const link = window.location.href;
-        navigator.clipboard.writeText(link).then(() => {
-          showToast('笔记链接已复制到剪贴板！', 'success');
-        }).catch(() => {
-          showToast('复制失败，请手动复制链接。', 'error');
-        });
-      }
+  /**
+   * 发送等待中的 Webhook 通知,变化为第一次修改前到当前保存的内容
+   */
+  async alarm() {
+    const change = await this.enqueue(async () => {
+      const pending = await this.state.storage.get('webhookPending');
+      if (!pending) return null;
+      await this.state.storage.delete('webhookPending');
+      // 房间被重新创建后由 alarm 唤醒时还没有处理过请求
+      this.noteName = pending.noteName;
+      this.notePath = `${SAVE_PATH}/${pending.noteName}`;
+      const { text, rev } = await this.readNote();
+      const baseText = await decryptText(pending.baseText, await generateEncryptionKey(this.notePath));
+      return { origin: pending.origin, baseText, text, rev };
+    }, '读取待发送的 Webhook 通知失败:');
+    if (change) {
+      await notifyNoteChanged({ origin: change.origin, event: null }, this.noteName, change.baseText, change.text, change.rev);
+    }
+  }
 
-      function toggleDarkMode() {
-        const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        
-        // 更新Mermaid主题
-        mermaid.initialize({
-          startOnLoad: false,
-          theme: theme === 'dark' ? 'dark' : 'default',
-          securityLevel: 'loose',
-          fontFamily: 'var(--font-family)',
-        });
-        
-        // 重新渲染预览内容以更新Mermaid图表
-        if (previewToggle.checked) {
-          updatePreview(content.value);
-        }
-      }
+  /**
+   * 保存房间内容并通知 Webhook 订阅
+   * @param {boolean} [snapshot] - 是否不论快照间隔都将保存前的内容记入历史版本
+   */
+  async save(snapshot = false) {
+    if (this.version === this.savedVersion) return;
+
+    // 上次加载后笔记在房间外被修改(如直接写入 KV),将这部分修改作为操作合并进来
+    const current = await this.readNote();
+    if (current.rev !== this.savedRev && current.text !== this.savedText) {
+      const ops = this.transformSince(this.savedVersion, diffTextOps(this.savedText, current.text));
+      this.commit(ops);
+      clearTimeout(this.saveTimer);
+      this.broadcast({ type: 'op', version: this.version, ops, clientId: null }, null, 'live');
+    }
 
-      // Markdown 编辑功能
-      function applyMarkdown(type) {
-        const textarea = document.getElementById('content');
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        const text = textarea.value;
-        let result;
+    const text = this.text;
+    const version = this.version;
+    let rev = NOTE_REVISION_NONE;
+    let updated = null;
+    if (text.trim().length === 0) {
+      await trashNoteContent(this.notePath);
+    } else {
+      updated = new Date().toISOString();
+      rev = await saveNoteContent(this.notePath, text, current.text, updated, snapshot);
+    }
+    this.savedText = text;
+    this.savedVersion = version;
+    this.savedRev = rev;
+    this.savedUpdated = updated;
+    this.written = { text, rev, updated };
+    this.broadcast({ type: 'saved', rev }, null, 'live');
+    await this.notify(current.text, text);
+  }
 
-        switch(type) {
-          case 'bold':
-            result = insertAround(text, start, end, '**');
-            break;
-          case 'italic':
-            result = insertAround(text, start, end, '_');
-            break;
-          case 'heading':
-            result = insertAtLineStart(text, start, '# ');
-            break;
-          case 'strikethrough':
-            result = insertAround(text, start, end, '~~');
-            break;
-          case 'list':
-            result = insertAtLineStart(text, start, '- ');
-            break;
-          case 'ordered-list':
-            result = insertAtLineStart(text, start, '1. ');
-            break;
-          case 'task':
-            result = insertAtLineStart(text, start, '- [ ] ');
-            break;
-          case 'quote':
-            result = insertAtLineStart(text, start, '> ');
-            break;
-          case 'code':
-            result = insertAround(text, start, end, '\`\`\`\\n', '\\n\`\`\`');
-            break;
-          case 'table':
-            result = insertTable(text, start);
-            break;
-          case 'divider':
-            result = insertDivider(text, start);
-            break;
-          case 'link':
-            result = insertLink(text, start, end);
-            break;
-          case 'image':
-            result = insertImage(text, start, end);
-            break;
-          case 'latex-inline':
-            result = insertAround(text, start, end, '$');
-            break;
-          case 'latex-block':
-            result = insertAround(text, start, end, '$$\\n', '\\n$$');
-            break;
-          case 'mermaid':
-            result = insertMermaid(text, start);
-            break;
-        }
+  /**
+   * 修改笔记内容,排在之前的保存和修改之后执行,期间不会有其他写入
+   * @param {function({text: string, rev: string, updated: string|null}): (string|Response)} change -
+   *   根据当前内容返回新内容(为空时移入回收站),返回响应时放弃修改
+   * @param {boolean} [snapshot] - 是否不论快照间隔都将修改前的内容记入历史版本
+   * @returns {Promise<{text: string, rev: string, updated: string|null, existed: boolean}|Response>}
+   *   修改后的笔记,或 change 返回的响应
+   */
+  update(change, snapshot = false) {
+    return this.enqueue(() => this.applyUpdate(change, snapshot), '修改笔记内容失败:');
+  }
 
-        if (result) {
-          textarea.value = result.text;
-          textarea.selectionStart = result.selectionStart;
-          textarea.selectionEnd = result.selectionEnd;
-          textarea.focus();
-          updatePreview(textarea.value);
-          debounceSaveContent(textarea.value);
-        }
-      }
+  async applyUpdate(change, snapshot) {
+    // 有协同编辑者时房间内的内容最新,先保存使版本与之一致;否则直接读取 KV 中的内容
+    const live = this.hasLiveSessions();
+    if (live) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    }
+    const current = live
+      ? { text: this.text, rev: this.savedRev, updated: this.savedUpdated }
+      : await this.readNote();
+    const existed = current.text.length > 0;
+
+    const text = change(current);
+    if (text instanceof Response) return text;
+
+    if (live) {
+      const ops = diffTextOps(current.text, text);
+      if (ops.length) {
+        this.commit(ops);
+        this.broadcast({ type: 'op', version: this.version, ops, clientId: null }, null, 'live');
+        // 立即保存,返回包含本次修改的版本
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        await this.save(snapshot);
+      }
+      return { text: this.text, rev: this.savedRev, updated: this.savedUpdated, existed };
+    }
 
-      // 辅助函数：在选中文本周围插入标记
-      function insertAround(text, start, end, mark, endMark = mark) {
-        const selection = text.substring(start, end);
-        const before = text.substring(0, start);
-        const after = text.substring(end);
-        const newText = before + mark + selection + endMark + after;
-        return {
-          text: newText,
-          selectionStart: start + mark.length,
-          selectionEnd: end + mark.length
-        };
-      }
+    const note = { text: '', rev: NOTE_REVISION_NONE, updated: null, existed };
+    if (text.trim().length === 0) {
+      await trashNoteContent(this.notePath);
+    } else {
+      note.text = text;
+      note.updated = new Date().toISOString();
+      note.rev = await saveNoteContent(this.notePath, text, current.text, note.updated, snapshot);
+    }
+    this.written = { text: note.text, rev: note.rev, updated: note.updated };
+    await this.notify(current.text, note.text);
+    return note;
+  }
 
-      // 辅助函数：在行首插入标记
-      function insertAtLineStart(text, start, mark) {
-        const lines = text.split('\\n');
-        let currentPos = 0;
-        let targetLine = 0;
-        
-        // 找到光标所在行
-        for (let i = 0; i < lines.length; i++) {
-          if (currentPos + lines[i].length >= start) {
-            targetLine = i;
-            break;
-          }
-          currentPos += lines[i].length + 1;
-        }
+  leave(clientId) {
+    const session = this.sessions.get(clientId);
+    if (!session) return;
+    this.sessions.delete(clientId);
+    this.broadcast({ type: 'leave', clientId });
+    if (session.mode === 'live' && !this.hasLiveSessions()) {
+      // 最后一个协同编辑者离开时立即保存,下次开始协同编辑时重新加载
+      this.state.waitUntil(this.flush().then(() => {
+        if (!this.hasLiveSessions()) this.ready = null;
+      }));
+    }
+  }
+}
 
-        // 在目标行前添加标记
-        lines[targetLine] = mark + lines[targetLine];
-        
-        return {
-          text: lines.join('\\n'),
-          selectionStart: currentPos + mark.length,
-          selectionEnd: currentPos + mark.length
-        };
-      }
+/**
+ * 检查协同编辑操作的格式
+ * 操作为 { p, i } (在位置 p 插入文本 i) 或 { p, d } (从位置 p 删除 d 个字符),按顺序依次应用
+ * @param {*} ops - 待检查的操作列表
+ * @returns {boolean} 格式是否有效
+ */
+function isValidTextOps(ops) {
+  return Array.isArray(ops) && ops.every(op => op && Number.isInteger(op.p) && op.p >= 0 &&
+    (typeof op.i === 'string' ? op.d === undefined : Number.isInteger(op.d) && op.d > 0));
+}
+
+/**
+ * 检查操作是否都在文本范围内
+ * @param {Array<Object>} ops - 操作列表
+ * @param {number} length - 文本长度
+ * @returns {boolean} 是否在范围内
+ */
+function textOpsFit(ops, length) {
+  return ops.every(op => {
+    if (op.i !== undefined) {
+      if (op.p > length) return false;
+      length += op.i.length;
+    } else {
+      if (op.p + op.d > length) return false;
+      length -= op.d;
+    }
+    return true;
+  });
+}
 
-      // 插入表格
-      function insertTable(text, start) {
-        const tableTemplate = '\\n| 标题1 | 标题2 | 标题3 |\\n|--------|--------|--------|\\n| 内容1 | 内容2 | 内容3 |\\n';
-        const newText = text.substring(0, start) + tableTemplate + text.substring(start);
-        return {
-          text: newText,
-          selectionStart: start + tableTemplate.length,
-          selectionEnd: start + tableTemplate.length
-        };
-      }
+/**
+ * 依次应用操作
+ * @param {string} text - 原文本
+ * @param {Array<Object>} ops - 操作列表
+ * @returns {string} 应用后的文本
+ */
+function applyTextOps(text, ops) {
+  return ops.reduce((result, op) => op.i !== undefined
+    ? result.slice(0, op.p) + op.i + result.slice(op.p)
+    : result.slice(0, op.p) + result.slice(op.p + op.d), text);
+}
 
-      // 添加插入Mermaid图表的函数
-      function insertMermaid(text, start) {
-        const mermaidTemplate = '\\n\`\`\`mermaid\\ngraph TD\\n    A[开始] --> B[步骤1]\\n    B --> C[步骤2]\\n    C --> D[结束]\\n\`\`\`\\n';
-        const newText = text.substring(0, start) + mermaidTemplate + text.substring(start);
-        return {
-          text: newText,
-          selectionStart: start + mermaidTemplate.length,
-          selectionEnd: start + mermaidTemplate.length
-        };
-      }
+/**
+ * 计算将 oldText 变为 newText 的操作(去掉相同的前后缀后替换中间部分)
+ * @param {string} oldText - 原文本
+ * @param {string} newText - 新文本
+ * @returns {Array<Object>} 操作列表
+ */
+function diffTextOps(oldText, newText) {
+  let start = 0;
+  while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) start++;
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+  const ops = [];
+  if (oldEnd > start) ops.push({ p: start, d: oldEnd - start });
+  if (newEnd > start) ops.push({ p: start, i: newText.slice(start, newEnd) });
+  return ops;
+}
 
-      // 插入链接
-      function insertLink(text, start, end) {
-        const selection = text.substring(start, end).trim();
-        const link = selection || '链接文字';
-        const template = '[' + link + '](https://)';
-        const newText = text.substring(0, start) + template + text.substring(end);
-        return {
-          text: newText,
-          selectionStart: start + link.length + 3,
-          selectionEnd: start + template.length - 1
-        };
-      }
+/**
+ * 计算文本位置在应用操作后的新位置
+ * @param {number} index - 原位置
+ * @param {Array<Object>} ops - 操作列表
+ * @returns {number} 新位置
+ */
+function transformTextIndex(index, ops) {
+  ops.forEach(op => {
+    if (op.i !== undefined) {
+      if (op.p < index) index += op.i.length;
+    } else if (index > op.p) {
+      index -= Math.min(op.d, index - op.p);
+    }
+  });
+  return index;
+}
 
-      // 插入图片
-      function insertImage(text, start, end) {
-        const template = '![图片描述](https://)';
-        return {
-          text: text.substring(0, start) + template + text.substring(end),
-          selectionStart: start + 2,
-          selectionEnd: start + 6
-        };
-      }
+/**
+ * 变换两个基于同一文本的操作列表
+ * @param {Array<Object>} ops - 操作列表 a
+ * @param {Array<Object>} against - 操作列表 b,在同一位置插入时优先
+ * @returns {Array<Array<Object>>} [a', b'],满足 apply(apply(t, b), a') === apply(apply(t, a), b')
+ */
+function transformTextOps(ops, against) {
+  if (ops.length === 0 || against.length === 0) return [ops, against];
+  if (ops.length > 1) {
+    const [first, against1] = transformTextOps([ops[0]], against);
+    const [rest, against2] = transformTextOps(ops.slice(1), against1);
+    return [first.concat(rest), against2];
+  }
+  if (against.length > 1) {
+    const [ops1, first] = transformTextOps(ops, [against[0]]);
+    const [ops2, rest] = transformTextOps(ops1, against.slice(1));
+    return [ops2, first.concat(rest)];
+  }
 
-      // 插入分割线
-      function insertDivider(text, start) {
-        const divider = '\\n---\\n';
-        const newText = text.substring(0, start) + divider + text.substring(start);
-        return {
-          text: newText,
-          selectionStart: start + divider.length,
-          selectionEnd: start + divider.length
-        };
-      }
+  const a = ops[0];
+  const b = against[0];
+  if (a.i !== undefined && b.i !== undefined) {
+    if (a.p < b.p) return [[a], [{ p: b.p + a.i.length, i: b.i }]];
+    return [[{ p: a.p + b.i.length, i: a.i }], [b]];
+  }
+  if (a.i !== undefined) {
+    if (a.p <= b.p) return [[a], [{ p: b.p + a.i.length, d: b.d }]];
+    if (a.p >= b.p + b.d) return [[{ p: a.p - b.d, i: a.i }], [b]];
+    // 插入位置在被删除的范围内:保留插入的文本,删除其两侧的内容
+    return [
+      [{ p: b.p, i: a.i }],
+      [{ p: b.p, d: a.p - b.p }, { p: b.p + a.i.length, d: b.p + b.d - a.p }]
+    ];
+  }
+  if (b.i !== undefined) {
+    const [bPrime, aPrime] = transformTextOps(against, ops);
+    return [aPrime, bPrime];
+  }
+  const shift = (index, op) => index <= op.p ? index : index >= op.p + op.d ? index - op.d : op.p;
+  const aStart = shift(a.p, b);
+  const aEnd = shift(a.p + a.d, b);
+  const bStart = shift(b.p, a);
+  const bEnd = shift(b.p + b.d, a);
+  return [
+    aEnd > aStart ? [{ p: aStart, d: aEnd - aStart }] : [],
+    bEnd > bStart ? [{ p: bStart, d: bEnd - bStart }] : []
+  ];
+}
 
-      // 字体设置
-      function applyFont() {
-        const select = document.getElementById('font-family');
-        const textarea = document.getElementById('content');
-        const fontMap = {
-          'default': '',
-          'serif': 'SimSun, serif',
-          'yahei': '"Microsoft YaHei", "微软雅黑", sans-serif',
-          'kaiti': 'KaiTi, "楷体", serif',
-          'heiti': 'SimHei, "黑体", sans-serif',
-          'fangsong': 'FangSong, "仿宋", serif',
-          'songti': 'NSimSun, "新宋体", serif',
-          'monospace': 'Monaco, Consolas, monospace',
-          'arial': 'Arial, sans-serif',
-          'times': '"Times New Roman", Times, serif',
-          'helvetica': 'Helvetica, Arial, sans-serif'
-        };
-        textarea.style.fontFamily = fontMap[select.value] || '';
-      }
+/**
+ * 处理创建分享的请求(POST /share)
+ * 请求体必须包含 note(来源笔记,调用方需能读取该笔记),快照内容取自服务端保存的笔记;
+ * 端到端加密的笔记在服务端无法解密,由浏览器在 markdown 中提交解密后的内容。可选 live(实时分享)、expiresIn(有效期,秒)、maxViews(最多查看次数)、burnAfterReading(阅后即焚)
+ * 和 password(访问密码,设置后内容以该密码加密保存);分享ID和时间均由服务端生成
+ * @param {Request} request - 请求对象
+ * @returns {Response} 响应对象,JSON 格式 { id, url }
+ */
+async function handleShareCreateRequest(request) {
+  try {
+    // 先按声明的长度拒绝,再按实际读取的内容校验
+    if (Number(request.headers.get('Content-Length')) > SHARE_MAX_PAYLOAD_BYTES) {
+      return new Response('分享内容过大', { status: 413 });
+    }
+    const body = await request.text();
+    if (new TextEncoder().encode(body).length > SHARE_MAX_PAYLOAD_BYTES) {
+      return new Response('分享内容过大', { status: 413 });
+    }
+    let shareData;
+    try {
+      shareData = JSON.parse(body);
+    } catch (error) {
+      shareData = null;
+    }
+    if (!shareData || typeof shareData !== 'object' || Array.isArray(shareData)) {
+      return new Response('分享数据格式无效', { status: 400 });
+    }
 
-      // 字号设置
-      function applyFontSize() {
-        const select = document.getElementById('font-size');
-        const textarea = document.getElementById('content');
-        textarea.style.fontSize = select.value + 'px';
-      }
+    const { note, markdown, password } = shareData;
+    if (typeof note !== 'string' || note.length > 64 || !VALID_NOTE_PATTERN.test(note)) {
+      return new Response('来源笔记无效', { status: 400 });
+    }
+    // 只能分享自己可以读取的笔记,受密码保护的笔记需要已解锁的会话
+    if (!await authorizeNote(request, note)) {
+      return unauthorizedResponse(request);
+    }
 
-      // Emoji 选择器
-      function showEmojiPicker() {
-        const picker = document.getElementById('emoji-picker');
-        const overlay = document.querySelector('.emoji-picker-overlay') || createOverlay();
-        
-        if (picker.style.display === 'block') {
-          picker.style.display = 'none';
-          overlay.style.display = 'none';
-          return;
-        }
+    const isOptional = value => value === undefined || value === null;
+    if ([shareData.live, shareData.burnAfterReading].some(value => !isOptional(value) && typeof value !== 'boolean')) {
+      return new Response('分享数据格式无效', { status: 400 });
+    }
+    const live = shareData.live === true;
+    if (!isOptional(password) && typeof password !== 'string') {
+      return new Response('分享密码无效', { status: 400 });
+    }
 
-        // 如果是第一次显示，初始化表情列表
-        if (!picker.children.length) {
-          const gridContainer = document.createElement('div');
-          gridContainer.className = 'emoji-picker-grid';
-          
-          const emojis = ['😀', '😃', '😄', '😁', '😅', '😂', '🤣', '😊', 
-                         '😇', '🙂', '🙃', '😉', '😌', '😍', '🥰', '😘',
-                         '😗', '😙', '😚', '😋', '😛', '😝', '😜', '🤪',
-                         '🤨', '🧐', '🤓', '😎', '🤩', '🥳', '😏', '😒',
-                         '❤️', '🙌', '👍', '🎉', '✨', '🔥', '💡', '⭐',
-                         '💪', '🎯', '✅', '❌', '💬', '👀', '🎨', '🎮',
-                         '🎵', '🎬', '📚', '💻', '🔍', '⚡', '🌈', '🍀'];
-          
-          emojis.forEach(emoji => {
-            const button = document.createElement('button');
-            button.textContent = emoji;
-            button.onclick = () => {
-              insertEmoji(emoji);
-              picker.style.display = 'none';
-              overlay.style.display = 'none';
-            };
-            gridContainer.appendChild(button);
-          });
-          
-          picker.appendChild(gridContainer);
-        }
+    // 未填写的选项表示不限制
+    const optionalNumber = value => isOptional(value) || value === '' ? null : Number(value);
+    const expiresIn = optionalNumber(shareData.expiresIn);
+    if (expiresIn !== null && !(Number.isInteger(expiresIn) && expiresIn >= SHARE_MIN_TTL)) {
+      return new Response('分享有效期无效', { status: 400 });
+    }
+    const burnAfterReading = shareData.burnAfterReading === true;
+    const maxViews = burnAfterReading ? 1 : optionalNumber(shareData.maxViews);
+    if (maxViews !== null && !(Number.isInteger(maxViews) && maxViews > 0)) {
+      return new Response('查看次数无效', { status: 400 });
+    }
 
-        overlay.style.display = 'block';
-        picker.style.display = 'block';
-      }
+    // 端到端加密的笔记在服务端无法解密,只能以快照方式分享浏览器提交的内容;
+    // 其余笔记的快照始终取自已保存的内容,不能借分享发布与笔记无关的内容
+    const { text } = await getNoteWithRevision(`${SAVE_PATH}/${note}`);
+    const isE2E = Boolean(parseE2EEnvelope(text));
+    if (live && isE2E) {
+      return new Response('端到端加密的笔记不支持实时分享', { status: 400 });
+    }
+    if (!live && isE2E && typeof markdown !== 'string') {
+      return new Response('分享内容无效', { status: 400 });
+    }
 
-      // 创建遮罩层
-      function createOverlay() {
-        const overlay = document.createElement('div');
-        overlay.className = 'emoji-picker-overlay';
-        document.body.appendChild(overlay);
-        
-        overlay.addEventListener('click', () => {
-          const picker = document.getElementById('emoji-picker');
-          picker.style.display = 'none';
-          overlay.style.display = 'none';
-        });
-        
-        return overlay;
-      }
+    // 保存 Markdown 源码及来源笔记,分享页面在服务端渲染
+    const now = new Date();
+    const shareRecord = {
+      note,
+      createTime: now.toISOString(),
+      lastEditTime: now.toISOString(),
+      expireTime: expiresIn ? new Date(now.getTime() + expiresIn * 1000).toISOString() : null,
+      maxViews,
+      burnAfterReading,
+      visitCount: 0
+    };
+    if (live) {
+      shareRecord.live = true;
+    }
+    // 实时分享不保存内容,每次访问时读取来源笔记的最新版本
+    const shareContent = live ? {} : { markdown: isE2E ? markdown : text };
+    if (password) {
+      // 设置了访问密码的分享只保存密文,不保存密码本身;实时分享的密文只用于校验密码
+      shareRecord.encrypted = await encryptShareContent(shareContent, password);
+    } else {
+      Object.assign(shareRecord, shareContent);
+    }
 
-      // 插入表情
-      function insertEmoji(emoji) {
-        const textarea = document.getElementById('content');
-        const start = textarea.selectionStart;
-        const end = textarea.selectionEnd;
-        const text = textarea.value;
-        
-        textarea.value = text.substring(0, start) + emoji + text.substring(end);
-        textarea.selectionStart = textarea.selectionEnd = start + emoji.length;
-        textarea.focus();
-        
-        updatePreview(textarea.value);
-        debounceSaveContent(textarea.value);
-      }
+    // 生成未被占用的分享ID,不会覆盖已有分享
+    let shareId;
+    do {
+      shareId = generateShareId();
+    } while (await NOTES_KV.get('share_' + shareId));
+    await putShareRecord(shareId, shareRecord);
+    await putShareIndex(shareId, shareRecord);
+    return Response.json({
+      id: shareId,
+      url: `${new URL(request.url).origin}/share/${shareId}`
+    }, { status: 201 });
+  } catch (error) {
+    return new Response('保存分享数据失败', { status: 500 });
+  }
+}
 
-      // 添加快捷键支持
-      document.addEventListener('keydown', function(e) {
-        if (!e.ctrlKey) return;
-        
-        const shortcuts = {
-          'b': 'bold',
-          'i': 'italic',
-          'h': 'heading',
-          'd': 'strikethrough',
-          'u': 'list',
-          'o': 'ordered-list',
-          't': 'task',
-          'q': 'quote',
-          'k': 'code',
-          'l': 'link',
-          'p': 'image'
-        };
+/**
+ * 生成分享数据的 KV 写入选项,有效期写入 KV 的过期时间,限制条件写入元数据
+ * @param {Object} data - 分享数据
+ * @returns {Object} KV put 选项
+ */
+function getShareKVOptions(data) {
+  const options = {
+    metadata: {
+      createTime: data.createTime,
+      lastEditTime: data.lastEditTime,
+      expireTime: data.expireTime || null,
+      maxViews: data.maxViews || null,
+      burnAfterReading: Boolean(data.burnAfterReading),
+      protected: Boolean(data.encrypted)
+    }
+  };
+  if (data.expireTime) {
+    // KV 要求过期时间至少在 60 秒之后,更早到期的分享由读取时的检查拦截
+    const remaining = Math.ceil((Date.parse(data.expireTime) - Date.now()) / 1000);
+    options.expirationTtl = Math.max(SHARE_MIN_TTL, remaining);
+  }
+  return options;
+}
 
-        if (shortcuts[e.key.toLowerCase()]) {
-          e.preventDefault();
-          applyMarkdown(shortcuts[e.key.toLowerCase()]);
-        }
-      });
+/**
+ * 保存分享数据
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ */
+async function putShareRecord(shareId, data) {
+  await NOTES_KV.put('share_' + shareId, JSON.stringify(data), getShareKVOptions(data));
+}
 
-      // 更新行号和调整布局
-      function updateLineNumbers() {
-        const textarea = document.getElementById('content');
-        const lineNumbers = document.querySelector('.line-numbers');
-        const fullText = textarea.value;
-        const totalLines = fullText.endsWith('\\n') ? 
-          fullText.split('\\n').length :
-          fullText.split('\\n').length;
-        
-        // 清空现有行号
-        lineNumbers.innerHTML = '';
-        
-        // 为每一行创建行号 span 元素
-        for (let i = 0; i < totalLines; i++) {
-          const span = document.createElement('span');
-          span.textContent = i + 1;
-          lineNumbers.appendChild(span);
-        }
+/**
+ * 在来源笔记的分享索引中记录分享,与分享数据同时过期
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ */
+async function putShareIndex(shareId, data) {
+  if (!data.note) return;
+  await NOTES_KV.put(`${SHARES_PATH}/${data.note}/${shareId}`, '', getShareKVOptions(data));
+}
 
-        // 确保至少有一行
-        if (totalLines === 0) {
-          const span = document.createElement('span');
-          span.textContent = '1';
-          lineNumbers.appendChild(span);
-        }
+/**
+ * 删除分享及其在来源笔记中的索引
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ */
+async function deleteShare(shareId, data) {
+  await NOTES_KV.delete('share_' + shareId);
+  await NOTES_KV.delete(`${SHARE_STATS_PATH}/${shareId}`);
+  const prefix = `${SHARE_STATS_PATH}/${shareId}/`;
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix, cursor });
+    await Promise.all(result.keys.map(({ name }) => NOTES_KV.delete(name)));
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+  if (data.note) {
+    await NOTES_KV.delete(`${SHARES_PATH}/${data.note}/${shareId}`);
+  }
+}
+
+/**
+ * 读取分享数据,已过期的分享会被删除
+ * @param {string} shareId - 分享ID
+ * @returns {Promise<{data: Object|null, expired: boolean}>} 分享数据,不存在或已过期时为 null
+ */
+async function getShareRecord(shareId) {
+  const data = await NOTES_KV.get('share_' + shareId, 'json');
+  if (!data) return { data: null, expired: false };
+  // KV 的过期删除不是即时的,读取时再检查一次有效期
+  if (data.expireTime && Date.parse(data.expireTime) <= Date.now()) {
+    await deleteShare(shareId, data);
+    return { data: null, expired: true };
+  }
+  return { data, expired: false };
+}
 
-        // 调整行号区域宽度
-        const maxLineNumber = totalLines || 1;
-        const minWidth = 28; // 最小宽度
-        const digitWidth = 8; // 每个数字的估计宽度
-        const newWidth = Math.max(minWidth, String(maxLineNumber).length * digitWidth + 8);
-        lineNumbers.style.minWidth = newWidth + 'px';
-      }
+/**
+ * 判断请求是否来自爬虫、链接预览或浏览器预加载
+ * @param {Request} request - 请求对象
+ * @returns {boolean} 是否为自动请求
+ */
+function isAutomatedRequest(request) {
+  const purpose = request.headers.get('Sec-Purpose') || request.headers.get('Purpose') || request.headers.get('X-Moz') || '';
+  const userAgent = request.headers.get('User-Agent') || '';
+  return /prefetch|prerender/i.test(purpose) || !userAgent || SHARE_BOT_PATTERN.test(userAgent);
+}
 
-      // 监听窗口大小变化
-      window.addEventListener('resize', () => {
-        updateLineNumbers();
-      });
+/**
+ * 生成分享的访客标识,只保存客户端IP和 User-Agent 的哈希摘要
+ * @param {Request} request - 请求对象
+ * @param {string} shareId - 分享ID
+ * @returns {Promise<string>} 访客标识
+ */
+async function getShareVisitorId(request, shareId) {
+  const source = [shareId, getClientIP(request), request.headers.get('User-Agent') || ''].join('\n');
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+  return bytesToHex(new Uint8Array(hash)).slice(0, 16);
+}
 
-      // 更新文本统计
-      function updateTextStats() {
-        const textarea = document.getElementById('content');
-        const text = textarea.value;
-        const position = textarea.selectionStart;
+/**
+ * 记录一次分享访问
+ * 每次访问单独写入一条记录,由本次请求的 waitUntil 完成写入,不与其他请求共享内存中的计数或等待中的写入;
+ * 访问次数和访客标识同时写入元数据,读取时列出记录即可汇总
+ * @param {Request} request - 请求对象
+ * @param {ExecutionContext} [event] - 请求的执行上下文,响应后由 waitUntil 完成写入;缺省时等待写入完成
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ */
+async function recordShareView(request, event, shareId, data) {
+  const visitor = await getShareVisitorId(request, shareId);
+  const viewId = bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+  const write = NOTES_KV.put(`${SHARE_STATS_PATH}/${shareId}/${getShareStatsDay(0)}/${viewId}`,
+    JSON.stringify({ views: 1, visitors: [visitor] }), {
+      expirationTtl: getShareStatsTTL(data),
+      metadata: { views: 1, visitor }
+    }).catch(error => console.error('保存分享访问统计失败:', error));
+  if (event) {
+    event.waitUntil(write);
+  } else {
+    await write;
+  }
+}
 
-        // 计算字符数（不包括空格和换行）
-        const charCount = text.replace(/\s/g, '').length;
-        
-        // 计算单词数
-        const wordCount = text.trim().split(/\s+/).filter(word => word.length > 0).length;
-        
-        // 计算当前行和列
-        const textBeforeCursor = text.substring(0, position);
-        const lines = textBeforeCursor.split('\\n');
-        const currentLine = lines.length;
-        const currentLineContent = lines[lines.length - 1];
-        const currentColumn = currentLineContent ? currentLineContent.length + 1 : 1;
-        
-        // 更新显示（使用更紧凑的格式）
-        document.getElementById('char-count').textContent = String(charCount);
-        document.getElementById('word-count').textContent = String(wordCount);
-        document.getElementById('line-count').textContent = String(currentLine);
-        document.getElementById('column-count').textContent = String(currentColumn);
-      }
+/**
+ * 获取访问统计记录在 KV 中的保留时间,与分享数据同时过期,最长保留 SHARE_STATS_RETENTION_DAYS 天
+ * @param {Object} data - 分享数据
+ * @returns {number} 过期时间(秒)
+ */
+function getShareStatsTTL(data) {
+  const retention = SHARE_STATS_RETENTION_DAYS * 86400;
+  const { expirationTtl } = getShareKVOptions(data);
+  return expirationTtl ? Math.min(expirationTtl, retention) : retention;
+}
 
-      // 同步滚动行号
-      function syncLineNumbersScroll() {
-        const textarea = document.getElementById('content');
-        const lineNumbers = document.querySelector('.line-numbers');
-        
-        // 计算最大可滚动高度
-        const maxScroll = textarea.scrollHeight - textarea.clientHeight;
-        const currentScroll = textarea.scrollTop;
-        
-        // 确保不会滚动过头
-        if (currentScroll <= maxScroll) {
-          lineNumbers.scrollTop = currentScroll;
-        }
-      }
+/**
+ * 获取若干天前的日期,作为访问统计的按天分组
+ * @param {number} daysAgo - 天数
+ * @returns {string} UTC 日期(YYYY-MM-DD)
+ */
+function getShareStatsDay(daysAgo) {
+  return new Date(Date.now() - daysAgo * 86400000).toISOString().slice(0, 10);
+}
 
-      // 监听输入事件
-      content.addEventListener('input', () => {
-        updatePreview(content.value);
-        updateLineNumbers();
-        updateTextStats();
-        debounceSaveContent(content.value);
-        // 输入时也同步滚动
-        syncLineNumbersScroll();
+/**
+ * 读取分享的访问统计
+ * 前天及更早的访问不会再被写入,读取时把这些日期的访问记录汇总为每天一条统计,之后只需列出昨天和今天的访问记录;
+ * 超出统计天数的访问汇总进总访问次数。并发汇总时各自得到的结果相同
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ * @param {boolean} [withVisitors] - 是否统计独立访客,只需访问次数时不读取每天的访客列表
+ * @returns {Promise<Object>} 统计 { views, visitors, days: { 日期: { views, visitors } } }
+ */
+async function getShareStats(shareId, data, withVisitors = false) {
+  const totalKey = `${SHARE_STATS_PATH}/${shareId}`;
+  const prefix = totalKey + '/';
+  const oldestDay = getShareStatsDay(SHARE_STATS_DAYS - 1);
+  const createDay = (data.createTime || '').slice(0, 10);
+  // 早期的分享把访问次数保存在分享数据中,限制了查看次数的分享仍以分享数据中的计数为准
+  const total = await NOTES_KV.get(totalKey, 'json') || { views: data.maxViews ? 0 : data.visitCount || 0 };
+  const through = total.through || '';
+  // 已汇总的每天访问次数,汇总过的日期是连续的,之后的日期才有待汇总的访问记录
+  const summarized = { ...total.days };
+  const covered = Object.keys(summarized).reduce((last, day) => day > last ? day : last, through);
+
+  // 尚未汇总的访问记录,按日期分组;早期每个实例每天一条的记录没有访客元数据
+  const records = new Map();
+  const listRecords = async listPrefix => {
+    let cursor;
+    do {
+      const result = await NOTES_KV.list({ prefix: listPrefix, cursor });
+      result.keys.forEach(({ name, metadata }) => {
+        const [day, id] = name.slice(prefix.length).split('/');
+        if (!id || day <= through || summarized[day] !== undefined) return;
+        const list = records.get(day) || [];
+        list.push({ name, views: metadata && metadata.views || 0, visitor: metadata && metadata.visitor });
+        records.set(day, list);
       });
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+  };
+  if (covered < oldestDay) {
+    // 早期的总计、新建的分享或长时间没有读取的统计需要列出全部记录
+    await listRecords(prefix);
+  } else {
+    for (let daysAgo = 0, day = getShareStatsDay(0); day > covered; day = getShareStatsDay(++daysAgo)) {
+      await listRecords(prefix + day + '/');
+    }
+  }
+  const sumViews = list => list.reduce((sum, record) => sum + record.views, 0);
+  const getVisitors = async list => {
+    const visitors = new Set();
+    for (const record of list) {
+      const value = record.visitor ? null : await NOTES_KV.get(record.name, 'json');
+      (record.visitor ? [record.visitor] : value ? value.visitors : []).forEach(visitor => visitors.add(visitor));
+    }
+    return visitors;
+  };
+
+  let changed = !total.days;
+  // 超出统计天数的访问汇总进总访问次数
+  const expire = (day, views) => {
+    total.views += views;
+    total.through = day > (total.through || '') ? day : total.through;
+    changed = true;
+  };
+  records.forEach((list, day) => {
+    if (day < oldestDay) {
+      expire(day, sumViews(list));
+      records.delete(day);
+    }
+  });
+  Object.keys(summarized).forEach(day => {
+    if (day < oldestDay) {
+      expire(day, summarized[day]);
+      delete summarized[day];
+    }
+  });
+  // 统计天数内不会再有新访问的日期汇总为每天一条统计,没有访问的日期只记录次数 0
+  for (let daysAgo = 2; daysAgo < SHARE_STATS_DAYS; daysAgo++) {
+    const day = getShareStatsDay(daysAgo);
+    if (day < createDay) break;
+    if (summarized[day] !== undefined) continue;
+    const list = records.get(day) || [];
+    summarized[day] = sumViews(list);
+    if (summarized[day]) {
+      const visitors = Array.from(await getVisitors(list)).slice(0, SHARE_STATS_MAX_VISITORS);
+      await NOTES_KV.put(prefix + day, JSON.stringify({ views: summarized[day], visitors }),
+        { expirationTtl: getShareStatsTTL(data) });
+    }
+    records.delete(day);
+    changed = true;
+  }
+  if (changed) {
+    const { expirationTtl } = getShareKVOptions(data);
+    await NOTES_KV.put(totalKey, JSON.stringify({ views: total.views, through: total.through || '', days: summarized }),
+      expirationTtl ? { expirationTtl } : {});
+  }
 
-      // 监听光标位置变化
-      content.addEventListener('keyup', updateTextStats);
-      content.addEventListener('click', updateTextStats);
-      content.addEventListener('scroll', syncLineNumbersScroll);
+  const stats = { views: total.views, visitors: new Set(), days: {} };
+  const addVisits = (day, views, visitors) => {
+    if (!views) return;
+    const dayStats = stats.days[day] || (stats.days[day] = { views: 0, visitors: new Set() });
+    stats.views += views;
+    dayStats.views += views;
+    visitors.forEach(visitor => {
+      dayStats.visitors.add(visitor);
+      stats.visitors.add(visitor);
+    });
+  };
+  for (const day of Object.keys(summarized)) {
+    const summary = withVisitors && summarized[day] ? await NOTES_KV.get(prefix + day, 'json') : null;
+    addVisits(day, summarized[day], summary ? summary.visitors : []);
+  }
+  for (const [day, list] of records) {
+    addVisits(day, sumViews(list), withVisitors ? await getVisitors(list) : []);
+  }
 
-      // 切换行号显示/隐藏
-      function toggleLineNumbers() {
-        const lineNumbers = document.querySelector('.line-numbers');
-        const isVisible = document.getElementById('line-numbers-toggle').checked;
-        lineNumbers.classList.toggle('hidden', !isVisible);
-        localStorage.setItem('show-line-numbers', isVisible);
-      }
+  Object.values(stats.days).forEach(dayStats => {
+    dayStats.visitors = dayStats.visitors.size;
+  });
+  stats.visitors = stats.visitors.size;
+  return stats;
+}
 
-      // 切换工具栏显示/隐藏
-      function toggleToolbar() {
-        const isVisible = document.getElementById('toolbar-toggle').checked;
-        const toolbar = document.querySelector('.toolbar');
-        const container = document.querySelector('.container');
-        
-        toolbar.classList.toggle('hidden', !isVisible);
-        container.classList.toggle('toolbar-hidden', !isVisible);
-        
-        localStorage.setItem('show-toolbar', isVisible);
-        
-        // 触发一次窗口大小变化事件，以更新编辑器布局
-        window.dispatchEvent(new Event('resize'));
-      }
+/**
+ * 获取分享的访问次数
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ * @param {Object} [stats] - 已读取的访问统计
+ * @returns {Promise<number>} 访问次数
+ */
+async function getShareViewCount(shareId, data, stats) {
+  // 限制了查看次数的分享以分享数据中的计数为准
+  if (data.maxViews) return data.visitCount;
+  return (stats || await getShareStats(shareId, data)).views;
+}
 
-      // 添加预览区统计功能
-      function updatePreviewStats(text) {
-        // 计算字符数（不包括空格和换行）
-        const charCount = text.replace(/\\s/g, '').length;
-        
-        // 计算单词数
-        const wordCount = text.trim().split(/\\s+/).filter(word => word.length > 0).length;
-        
-        // 计算段落数（通过空行分隔）
-        const paragraphCount = text.split(/\\n\\s*\\n/).filter(para => para.trim().length > 0).length;
-        
-        // 更新显示
-        document.getElementById('preview-char-count').textContent = String(charCount);
-        document.getElementById('preview-word-count').textContent = String(wordCount);
-        document.getElementById('preview-paragraph-count').textContent = String(paragraphCount);
-      }
+/**
+ * 列出笔记的所有有效分享
+ * @param {string} noteName - 笔记名称
+ * @returns {Promise<Array<Object>>} 分享列表(从新到旧),包含访问次数
+ */
+async function getNoteShares(noteName) {
+  const prefix = `${SHARES_PATH}/${noteName}/`;
+  const ids = [];
+  let cursor;
+  do {
+    const result = await NOTES_KV.list({ prefix, cursor });
+    result.keys.forEach(({ name }) => ids.push(name.slice(prefix.length)));
+    cursor = result.list_complete ? null : result.cursor;
+  } while (cursor);
+
+  const shares = await Promise.all(ids.map(async id => {
+    const { data } = await getShareRecord(id);
+    if (!data || data.note !== noteName) {
+      // 分享已被删除(如阅后即焚)但索引尚未过期
+      await NOTES_KV.delete(prefix + id);
+      return null;
+    }
+    const stats = await getShareStats(id, data, true);
+    return {
+      id,
+      createTime: data.createTime,
+      lastEditTime: data.lastEditTime,
+      expireTime: data.expireTime || null,
+      maxViews: data.maxViews || null,
+      burnAfterReading: Boolean(data.burnAfterReading),
+      protected: Boolean(data.encrypted),
+      live: Boolean(data.live),
+      visitCount: await getShareViewCount(id, data, stats),
+      visitors: stats.visitors,
+      days: stats.days
+    };
+  }));
+  return shares.filter(Boolean).sort((a, b) => Date.parse(b.createTime) - Date.parse(a.createTime));
+}
 
-      // 添加全屏切换功能
-      function togglePreviewFullscreen() {
-        const preview = document.getElementById('preview');
-        const fullscreenIcon = document.getElementById('fullscreen-icon');
-        const isFullscreen = preview.classList.contains('fullscreen');
-        
-        if (isFullscreen) {
-          // 如果已经是容器全屏，切换到真实全屏
-          if (document.fullscreenElement) {
-            document.exitFullscreen();
-          } else {
-            preview.requestFullscreen();
-          }
-        } else {
-          // 首次点击进入容器全屏
-          preview.classList.add('fullscreen');
-          fullscreenIcon.textContent = '⛶';
-        }
-        
-        // 触发resize事件以更新布局
-        window.dispatchEvent(new Event('resize'));
-        
-        // 保存全屏状态到本地存储
-        localStorage.setItem('preview-fullscreen', preview.classList.contains('fullscreen'));
-      }
+/**
+ * 处理笔记分享管理请求 - 列出、撤销分享及用笔记当前内容更新分享
+ * @param {Request} request - 请求对象
+ * @param {string} noteName - 笔记名称
+ * @param {string[]} params - 路径参数 [分享ID, 操作]
+ * @returns {Promise<Response>} 响应对象
+ */
+async function handleSharesRequest(request, noteName, params) {
+  if (!await authorizeNote(request, noteName)) {
+    return unauthorizedResponse(request);
+  }
 
-      // ESC键退出全屏
-      function handleFullscreenEsc(e) {
-        if (e.key === 'Escape') {
-          const preview = document.getElementById('preview');
-          if (preview.classList.contains('fullscreen')) {
-            preview.classList.remove('fullscreen');
-            const fullscreenIcon = document.getElementById('fullscreen-icon');
-            fullscreenIcon.textContent = '⛶';
-            localStorage.setItem('preview-fullscreen', false);
-          }
-        }
-      }
+  const [shareId, operation] = params;
 
-      // 监听浏览器全屏变化事件
-      document.addEventListener('fullscreenchange', () => {
-        const preview = document.getElementById('preview');
-        const fullscreenIcon = document.getElementById('fullscreen-icon');
-        
-        if (!document.fullscreenElement && preview.classList.contains('fullscreen')) {
-          // 从真实全屏退出时，也退出容器全屏
-          preview.classList.remove('fullscreen');
-          fullscreenIcon.textContent = '⛶';
-          localStorage.setItem('preview-fullscreen', false);
-        }
-      });
+  if (!shareId) {
+    if (request.method !== 'GET') {
+      return new Response('Method Not Allowed', { status: 405 });
+    }
+    return Response.json({ shares: await getNoteShares(noteName) });
+  }
 
-      // 双击进入/退出全屏（移动端支持）
-      function handlePreviewDoubleTap(e) {
-        const preview = document.getElementById('preview');
-        // 确保不是在状态栏上双击
-        if (!e.target.closest('.preview-status-bar')) {
-          e.preventDefault(); // 阻止默认行为
-          // 清除任何可能的文本选择
-          window.getSelection().removeAllRanges();
-          togglePreviewFullscreen();
-        }
-      }
+  const { data } = await getShareRecord(shareId);
+  if (!data || data.note !== noteName) {
+    return new Response('404 Not Found', { status: 404 });
+  }
 
-      // 添加密码相关功能
-      let isPasswordProtected = false;
-      let isPasswordVerified = false;
-      let currentPasswordAction = '';
+  if (!operation && request.method === 'DELETE') {
+    await deleteShare(shareId, data);
+    return new Response(null, { status: 204 });
+  }
 
-      async function checkPasswordProtection() {
-        try {
-          const response = await fetch(window.location.pathname + '/password-check', {
-            method: 'GET',
-          });
-          
-          if (response.status === 200) {
-            isPasswordProtected = true;
-            document.body.classList.add('password-protected'); // 添加密码保护状态类
-            showPasswordVerification();
-          }
-          updatePasswordStatus();
-        } catch (error) {
-          console.error('检查密码保护状态失败:', error);
-        }
-      }
+  if (operation === 'refresh' && request.method === 'POST') {
+    // 实时分享始终展示笔记的最新内容,无需手动更新
+    if (data.live) {
+      return new Response('Live shares follow the note automatically', { status: 400 });
+    }
+    const body = await readJSONBody(request);
+    if (!body) {
+      return new Response('Invalid request body', { status: 400 });
+    }
+    // 与创建分享相同,只有端到端加密的笔记使用浏览器提交的内容
+    const { text } = await getNoteWithRevision(`${SAVE_PATH}/${noteName}`);
+    const markdown = parseE2EEnvelope(text) ? body.markdown : text;
+    const { password } = body;
+    if (typeof markdown !== 'string') {
+      return new Response('Invalid content', { status: 400 });
+    }
+    if (data.encrypted) {
+      // 受密码保护的分享需要原密码重新加密,避免访问者因密码变化无法打开
+      const throttleName = 'share:' + shareId;
+      const retryAfter = await getPasswordLockout(request, throttleName);
+      if (retryAfter) {
+        return tooManyAttemptsResponse(retryAfter);
+      }
+      if (typeof password !== 'string' || !await decryptShareContent(data.encrypted, password)) {
+        const lockout = await recordPasswordFailure(request, throttleName);
+        return lockout ? tooManyAttemptsResponse(lockout) : new Response('Invalid share password', { status: 403 });
+      }
+      data.encrypted = await encryptShareContent({ markdown }, password);
+    } else {
+      data.markdown = markdown;
+      delete data.content;
+    }
+    data.lastEditTime = new Date().toISOString();
+    await putShareRecord(shareId, data);
+    await putShareIndex(shareId, data);
+    return new Response(null, { status: 204 });
+  }
+
+  return new Response('Method Not Allowed', { status: 405 });
+}
+
+/**
+ * 由分享密码派生内容加密密钥
+ * @param {string} password - 分享密码
+ * @param {Uint8Array} salt - 盐值
+ * @param {number} iterations - PBKDF2 迭代次数
+ * @returns {Promise<CryptoKey>} AES-GCM 密钥
+ */
+async function deriveShareKey(password, salt, iterations) {
+  const hash = await derivePasswordHash(password, salt, iterations);
+  return await crypto.subtle.importKey('raw', hexToBytes(hash), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * 用分享密码加密分享内容
+ * @param {Object} shareContent - 分享内容 { markdown } 或 { content }
+ * @param {string} password - 分享密码
+ * @returns {Promise<Object>} 密文 { iterations, salt, data }
+ */
+async function encryptShareContent(shareContent, password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveShareKey(password, salt, PASSWORD_KDF_ITERATIONS);
+  return {
+    iterations: PASSWORD_KDF_ITERATIONS,
+    salt: bytesToHex(salt),
+    data: await encryptText(JSON.stringify(shareContent), key)
+  };
+}
 
-      function showPasswordMessage(message, isSuccess = false) {
-        const messageEl = document.getElementById('password-message');
-        messageEl.textContent = message;
-        messageEl.classList.toggle('success', isSuccess);
-        messageEl.classList.add('show');
-        
-        // 1秒后自动隐藏成功消息
-        if (isSuccess) {
-          setTimeout(() => {
-            messageEl.classList.remove('show');
-          }, 1000);
-        }
-      }
+/**
+ * 用分享密码解密分享内容,AES-GCM 校验失败即表示密码错误
+ * @param {Object} encrypted - encryptShareContent 生成的密文
+ * @param {string} password - 分享密码
+ * @returns {Promise<Object|null>} 分享内容,密码错误时返回 null
+ */
+async function decryptShareContent(encrypted, password) {
+  const key = await deriveShareKey(password, hexToBytes(encrypted.salt), encrypted.iterations);
+  const text = await decryptText(encrypted.data, key);
+  return text ? JSON.parse(text) : null;
+}
 
-      function clearPasswordMessage() {
-        const messageEl = document.getElementById('password-message');
-        messageEl.classList.remove('show', 'success');
-        messageEl.textContent = '';
-      }
+/**
+ * 生成实时分享的解锁 Cookie
+ * 分享页面(/share/<id>)和嵌入页面(/embed/<id>)都通过 /share/<id>/content 拉取内容,Cookie 名称已包含分享ID,
+ * 因此对整个站点发送。嵌入页面位于其他网站的 iframe 中,属于跨站请求,其 Cookie 按嵌入的网站分区保存
+ * @param {string} shareId - 分享ID
+ * @param {string} token - 会话令牌
+ * @param {boolean} [embed] - 是否在嵌入页面中解锁
+ * @returns {string} Set-Cookie 头的值
+ */
+function buildShareCookie(shareId, token, embed = false) {
+  return SHARE_COOKIE_PREFIX + shareId + '=' + token + '; Path=/; HttpOnly; Secure; ' +
+    (embed ? 'SameSite=None; Partitioned' : 'SameSite=Strict') + '; Max-Age=' + SESSION_TTL;
+}
 
-      function showPasswordDialog() {
-        const dialog = document.getElementById('password-dialog');
-        const overlay = document.getElementById('password-overlay');
-        const title = document.getElementById('password-dialog-title');
-        const actionBtn = document.getElementById('password-action-btn');
-        const passwordInput = document.getElementById('password-input');
-        
-        clearPasswordMessage();
-        
-        if (isPasswordProtected && isPasswordVerified) {
-          title.textContent = '移除密码保护';
-          actionBtn.textContent = '移除';
-          currentPasswordAction = 'remove';
-        } else if (!isPasswordProtected) {
-          title.textContent = '设置密码保护';
-          actionBtn.textContent = '设置';
-          currentPasswordAction = 'set';
-        }
-        
-        dialog.style.display = 'block';
-        overlay.style.display = 'block';
-        passwordInput.focus();
+/**
+ * 校验实时分享的解锁 Cookie,令牌以分享密文的盐值签名
+ * @param {Request} request - 请求对象
+ * @param {string} shareId - 分享ID
+ * @param {Object} data - 分享数据
+ * @returns {Promise<boolean>} 是否已解锁
+ */
+async function isShareUnlocked(request, shareId, data) {
+  return await verifySessionToken(getCookie(request, SHARE_COOKIE_PREFIX + shareId), 'share:' + shareId, data.encrypted);
+}
 
-        // 添加回车键事件监听
-        passwordInput.onkeydown = (e) => {
-          if (e.key === 'Enter') {
-            e.preventDefault();
-            handlePasswordAction();
-          }
-        };
-      }
+/**
+ * 读取实时分享来源笔记的最新内容
+ * @param {Object} data - 分享数据
+ * @returns {Promise<{markdown: string|null, rev: string}>} Markdown 源码,来源笔记已改为端到端加密时为 null
+ */
+async function getLiveShareContent(data) {
+  const { text, rev } = await getNoteWithRevision(`${SAVE_PATH}/${data.note}`);
+  return { markdown: parseE2EEnvelope(text) ? null : text, rev };
+}
 
-      function showPasswordVerification() {
-        const dialog = document.getElementById('password-dialog');
-        const overlay = document.getElementById('password-overlay');
-        const title = document.getElementById('password-dialog-title');
-        const actionBtn = document.getElementById('password-action-btn');
-        const passwordInput = document.getElementById('password-input');
-        
-        clearPasswordMessage();
-        
-        title.textContent = '请输入密码';
-        actionBtn.textContent = '验证';
-        currentPasswordAction = 'verify';
-        
-        dialog.style.display = 'block';
-        overlay.style.display = 'block';
-        passwordInput.focus();
+/**
+ * 生成实时分享的来源笔记无法在服务端读取时的响应
+ * @returns {Response} 响应对象
+ */
+function liveShareUnavailableResponse() {
+  const body = `<p>来源笔记已启用端到端加密，无法通过实时分享查看。</p>
+    <a href="/">新建笔记</a>`;
+  return new Response(generateShareNoticeHTML('🔐', '无法查看', body), {
+    status: 403,
+    headers: {
+      'Content-Type': 'text/html;charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
 
-        // 添加回车键事件监听
-        passwordInput.onkeydown = (e) => {
-          if (e.key === 'Enter') {
-            e.preventDefault();
-            handlePasswordAction();
-          }
-        };
+/**
+ * 处理分享页面请求
+ * 受密码保护的分享先返回解锁表单,表单提交(POST /share/<id>/unlock)的密码在服务端解密成功后才展示内容
+ * 实时分享解锁后写入 Cookie,之后刷新页面和拉取最新内容都不必再输入密码
+ * @param {Request} request - 请求对象
+ * @param {string} shareId - 分享ID
+ * @param {ExecutionContext} [event] - 请求的执行上下文,用于在响应后写入访问统计
+ * @param {boolean} [embed] - 是否为嵌入页面(/embed/<id>)
+ * @returns {Response} 响应对象
+ */
+async function handleShareRequest(request, shareId, event, embed = false) {
+  try {
+    const url = new URL(request.url);
+    // 嵌入页面的解锁表单提交回嵌入页面,并保留主题和高度参数
+    const unlockUrl = `/${embed ? 'embed' : 'share'}/${encodeURIComponent(shareId)}/unlock${embed ? url.search : ''}`;
+    // 获取分享数据
+    const { data, expired } = await getShareRecord(shareId);
+    if (!data) {
+      return shareExpiredResponse(expired ? 410 : 404);
+    }
+
+    let shareContent = data;
+    let shareCookie = null;
+    const unlocked = data.encrypted && data.live && request.method !== 'POST' && await isShareUnlocked(request, shareId, data);
+    if (data.encrypted && !unlocked) {
+      if (request.method !== 'POST') {
+        return shareUnlockResponse(unlockUrl, '', 200);
+      }
+      // 分享密码的错误次数与笔记密码共用限制,以不会与笔记名冲突的键区分
+      const throttleName = 'share:' + shareId;
+      const retryAfter = await getPasswordLockout(request, throttleName);
+      if (retryAfter) {
+        return shareUnlockResponse(unlockUrl, '尝试次数过多，请 ' + Math.ceil(retryAfter / 60) + ' 分钟后再试', 429, retryAfter);
+      }
+      const form = await request.formData();
+      const decrypted = await decryptShareContent(data.encrypted, String(form.get('password') || ''));
+      if (!decrypted) {
+        const lockout = await recordPasswordFailure(request, throttleName);
+        return lockout
+          ? shareUnlockResponse(unlockUrl, '尝试次数过多，请 ' + Math.ceil(lockout / 60) + ' 分钟后再试', 429, lockout)
+          : shareUnlockResponse(unlockUrl, '密码错误', 401);
+      }
+      // 解密后的内容只用于本次展示,保存回 KV 的仍是密文
+      shareContent = { ...data, ...decrypted };
+      if (data.live) {
+        shareCookie = buildShareCookie(shareId, await createSessionToken('share:' + shareId, data.encrypted), embed);
       }
+    }
 
-      function closePasswordDialog() {
-        const dialog = document.getElementById('password-dialog');
-        const overlay = document.getElementById('password-overlay');
-        const passwordInput = document.getElementById('password-input');
-        
-        dialog.style.display = 'none';
-        overlay.style.display = 'none';
-        passwordInput.value = '';
-        passwordInput.onkeydown = null; // 移除回车键事件监听
-        clearPasswordMessage();
+    if (data.live) {
+      const { markdown, rev } = await getLiveShareContent(data);
+      if (markdown === null) {
+        return liveShareUnavailableResponse();
       }
+      shareContent = { ...shareContent, markdown, rev };
+    }
 
-      async function handlePasswordAction() {
-        const password = document.getElementById('password-input').value;
-        if (!password) {
-          showPasswordMessage('请输入密码');
-          showToast('请输入密码', 'warning');
-          return;
-        }
+    let visitCount = data.visitCount;
+    if (isAutomatedRequest(request)) {
+      // 链接预览等自动请求不能消耗限制了查看次数的分享,也不展示其内容
+      if (data.maxViews) {
+        return limitedShareBotResponse();
+      }
+      visitCount = await getShareViewCount(shareId, data);
+    } else if (data.maxViews) {
+      // 查看次数记在分享数据中,达到上限(包括阅后即焚)时本次访问后即删除。
+      // KV 没有原子的读改写,同时到达的访问可能读到相同的计数,因此次数限制是尽力而为的近似值
+      data.visitCount++;
+      if (data.visitCount >= data.maxViews) {
+        await deleteShare(shareId, data);
+      } else {
+        await putShareRecord(shareId, data);
+        await recordShareView(request, event, shareId, data);
+      }
+    } else {
+      // 本次访问在响应后才写入,展示的次数加上本次
+      visitCount = await getShareViewCount(shareId, data) + 1;
+      await recordShareView(request, event, shareId, data);
+    }
+    
+    // 生成分享页面
+    const html = generateShareHTML(shareId, { ...shareContent, visitCount }, url.origin,
+      embed ? getEmbedOptions(url) : null);
+    const headers = {
+      'Content-Type': 'text/html;charset=utf-8',
+      // 访问次数和有效期需要每次由服务端判断,不允许缓存
+      'Cache-Control': 'no-store'
+    };
+    if (shareCookie) {
+      headers['Set-Cookie'] = shareCookie;
+    }
+    return new Response(html, { headers });
+  } catch (error) {
+    return new Response('加载分享内容失败', { status: 500 });
+  }
+}
 
-        try {
-          let response;
-          switch (currentPasswordAction) {
-            case 'set':
-              response = await fetch(window.location.pathname + '/password', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password: await hashPassword(password) })
-              });
-              if (response.status === 200) {
-                isPasswordProtected = true;
-                isPasswordVerified = true;
-                document.body.classList.add('password-protected');
-                updatePasswordStatus();
-                showPasswordMessage('密码保护已设置', true);
-                showToast('密码保护已设置', 'success');
-                setTimeout(closePasswordDialog, 1500);
-              }
-              break;
+/**
+ * 处理实时分享的内容拉取请求(GET /share/<id>/content?rev=<版本>)
+ * 供分享页面自动刷新使用,不计入访问次数;版本未变化时返回 204
+ * @param {Request} request - 请求对象
+ * @param {string} shareId - 分享ID
+ * @returns {Promise<Response>} 响应对象,JSON 格式 { rev, html }
+ */
+async function handleShareContentRequest(request, shareId) {
+  try {
+    const { data, expired } = await getShareRecord(shareId);
+    if (!data || !data.live) {
+      return new Response(expired ? 'Gone' : '404 Not Found', { status: expired ? 410 : 404 });
+    }
+    if (data.encrypted && !await isShareUnlocked(request, shareId, data)) {
+      return new Response('Unauthorized', { status: 401 });
+    }
 
-            case 'verify':
-              response = await fetch(window.location.pathname + '/password-verify', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password: await hashPassword(password) })
-              });
-              if (response.status === 200) {
-                isPasswordVerified = true;
-                document.body.classList.remove('password-protected');
-                updatePasswordStatus();
-                showPasswordMessage('密码验证成功', true);
-                showToast('密码验证成功', 'success');
-                setTimeout(closePasswordDialog, 1500);
-              } else {
-                showPasswordMessage('密码错误');
-                showToast('密码错误', 'error');
-                return;
-              }
-              break;
+    const { markdown, rev } = await getLiveShareContent(data);
+    if (markdown === null) {
+      return new Response('Forbidden', { status: 403 });
+    }
+    const headers = { 'Cache-Control': 'no-store' };
+    if (new URL(request.url).searchParams.get('rev') === rev) {
+      return new Response(null, { status: 204, headers });
+    }
+    return Response.json({ rev, html: renderMarkdown(markdown) }, { headers });
+  } catch (error) {
+    return new Response('加载分享内容失败', { status: 500 });
+  }
+}
 
-            case 'remove':
-              response = await fetch(window.location.pathname + '/password', {
-                method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ password: await hashPassword(password) })
-              });
-              if (response.status === 200) {
-                isPasswordProtected = false;
-                isPasswordVerified = false;
-                document.body.classList.remove('password-protected');
-                updatePasswordStatus();
-                showPasswordMessage('密码保护已移除', true);
-                showToast('密码保护已移除', 'success');
-                setTimeout(closePasswordDialog, 1500);
-              } else {
-                showPasswordMessage('密码错误');
-                showToast('密码错误', 'error');
-                return;
-              }
-              break;
-          }
-        } catch (error) {
-          console.error('密码操作失败:', error);
-          showPasswordMessage('操作失败，请重试');
-          showToast('操作失败，请重试', 'error');
-        }
-      }
+/**
+ * 生成分享不存在或已失效时的响应
+ * @param {number} status - 状态码,404 表示不存在或已删除,410 表示已过期
+ * @returns {Response} 响应对象
+ */
+function shareExpiredResponse(status) {
+  const message = status === 410
+    ? '该分享链接已超过有效期。'
+    : '该分享链接不存在，或已过期、达到查看次数上限、被阅后即焚。';
+  const body = `<p>${escapeHTML(message)}</p>
+    <a href="/">新建笔记</a>`;
+  return new Response(generateShareNoticeHTML('⌛', '分享已失效', body), {
+    status,
+    headers: {
+      'Content-Type': 'text/html;charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
 
-      async function hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-      }
+/**
+ * 生成自动请求访问限制了查看次数的分享时的响应
+ * @returns {Response} 响应对象
+ */
+function limitedShareBotResponse() {
+  const body = '<p>此分享限制了查看次数，请在浏览器中打开链接查看。</p>';
+  return new Response(generateShareNoticeHTML('🔗', '分享的笔记', body), {
+    headers: {
+      'Content-Type': 'text/html;charset=utf-8',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
 
-      function updatePasswordStatus() {
-        const icon = document.getElementById('password-status-icon');
-        const label = icon.nextElementSibling;
-        if (isPasswordProtected) {
-          icon.textContent = '🔒';
-          icon.title = '已启用密码保护';
-          label.textContent = '已加密';
-        } else {
-          icon.textContent = '🔓';
-          icon.title = '未启用密码保护';
-          label.textContent = '密码保护';
-        }
+/**
+ * 生成受密码保护分享的解锁表单响应
+ * @param {string} unlockUrl - 表单提交地址
+ * @param {string} error - 错误提示,首次打开时为空
+ * @param {number} status - 状态码
+ * @param {number} [retryAfter] - 被锁定时的剩余秒数
+ * @returns {Response} 响应对象
+ */
+function shareUnlockResponse(unlockUrl, error, status, retryAfter = 0) {
+  const body = `<p>此分享受密码保护，请输入密码查看。</p>
+    <form method="post" action="${escapeHTML(unlockUrl)}">
+      <input type="password" name="password" placeholder="分享密码" autocomplete="current-password" required autofocus>
+      ${error ? `<div class="notice-error">${escapeHTML(error)}</div>` : ''}
+      <button type="submit">查看</button>
+    </form>`;
+  const headers = {
+    'Content-Type': 'text/html;charset=utf-8',
+    'Cache-Control': 'no-store'
+  };
+  if (retryAfter) {
+    headers['Retry-After'] = String(retryAfter);
+  }
+  return new Response(generateShareNoticeHTML('🔒', '输入密码', body), { status, headers });
+}
+
+/**
+ * 生成分享提示页面HTML(失效提示、密码解锁等)
+ * @param {string} icon - 图标
+ * @param {string} title - 标题
+ * @param {string} body - 正文HTML,调用方负责转义
+ * @returns {string} HTML内容
+ */
+function generateShareNoticeHTML(icon, title, body) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+  <style>
+    :root {
+      --bg-color: #f5f5f5;
+      --container-bg: #ffffff;
+      --text-color: #333333;
+      --secondary-color: #6c757d;
+      --primary-color: #4e92d1;
+    }
+
+    @media (prefers-color-scheme: dark) {
+      :root {
+        --bg-color: #1a1a1a;
+        --container-bg: #2d2d2d;
+        --text-color: #e0e0e0;
+        --secondary-color: #a0a0a0;
       }
+    }
 
-      // 在页面加载时检查密码保护状态
-      document.addEventListener('DOMContentLoaded', async () => {
-        await checkPasswordProtection();
-        // ... existing DOMContentLoaded code ...
-      });
+    body {
+      margin: 0;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: var(--bg-color);
+      color: var(--text-color);
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    }
 
-      // 修改复制全部内容功能，添加动效
-      async function copyAllContent() {
-        const copyAllItem = document.querySelector('.copy-all-item');
-        const textarea = document.getElementById('content');
-        const text = textarea.value;
-        
-        try {
-          await navigator.clipboard.writeText(text);
-          copyAllItem.classList.add('copied');
-          setTimeout(() => copyAllItem.classList.remove('copied'), 500);
-          showToast('已复制全部内容到剪贴板', 'success');
-        } catch (err) {
-          console.error('复制失败:', err);
-          showToast('复制失败，请重试', 'error');
-        }
-      }
+    .notice {
+      width: 100%;
+      max-width: 420px;
+      margin: 20px;
+      padding: 40px 32px;
+      border-radius: 12px;
+      background: var(--container-bg);
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.1);
+      text-align: center;
+    }
 
-      async function shareNote() {
-        const preview = document.querySelector('.preview-content');
-        if (!preview) {
-          showToast('请先开启预览模式', 'warning');
-          return;
-        }
-      
-        try {
-          // 生成分享ID
-          const shareId = Array.from({length: 8}, () => '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'[Math.floor(Math.random() * 62)]).join('');
-      
-          // 准备分享数据
-          const shareData = {
-            content: preview.innerHTML,
-            createTime: new Date().toISOString(),
-            lastEditTime: new Date().toISOString(),
-            visitCount: 0
-          };
-      
-          // 保存分享数据
-          const response = await fetch('/share/' + shareId, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(shareData)
-          });
-      
-          if (response.ok) {
-            // 生成分享链接
-            const shareUrl = window.location.origin + '/share/' + shareId;
-      
-            // 复制链接到剪贴板
-            await navigator.clipboard.writeText(shareUrl);
-            showToast('分享链接已复制到剪贴板', 'success');
-          } else {
-            showToast('分享失败,请重试', 'error');
-          }
-        } catch (error) {
-          console.error('分享失败:', error);
-          showToast('分享失败,请重试', 'error');
-        }
-      }
+    .notice-icon {
+      font-size: 48px;
+    }
 
-      // 图片点击放大
-      document.addEventListener('DOMContentLoaded', () => {
-        const content = document.querySelector('.content');
-        const overlay = document.getElementById('imageOverlay');
+    .notice h1 {
+      margin: 16px 0 12px;
+      font-size: 1.4em;
+      font-weight: 500;
+    }
 
-        content.addEventListener('click', (e) => {
-          if (e.target.tagName === 'IMG' && !e.target.classList.contains('enlarged')) {
-            e.target.classList.add('enlarged');
-            overlay.classList.add('active');
-            document.body.style.overflow = 'hidden';
-          }
-        });
-      });
+    .notice p {
+      margin: 0 0 24px;
+      color: var(--secondary-color);
+      line-height: 1.6;
+    }
 
-      // 关闭放大的图片
-      function closeEnlargedImage() {
-        const enlargedImage = document.querySelector('.enlarged');
-        const overlay = document.getElementById('imageOverlay');
-        
-        if (enlargedImage) {
-          enlargedImage.classList.remove('enlarged');
-          overlay.classList.remove('active');
-          document.body.style.overflow = '';
-        }
-      }
+    .notice a {
+      color: var(--primary-color);
+      text-decoration: none;
+    }
 
-      // ESC键关闭放大图片
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-          closeEnlargedImage();
-        }
-      });
+    .notice input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 10px 14px;
+      border: 1px solid rgba(128, 128, 128, 0.4);
+      border-radius: 8px;
+      background: transparent;
+      color: var(--text-color);
+      font-size: 15px;
+    }
 
-      // 图片加载错误处理
-      document.addEventListener('DOMContentLoaded', () => {
-        const images = document.querySelectorAll('.content img');
-        images.forEach(img => {
-          img.onerror = () => {
-            img.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
-          };
-        });
-      });
-    </script>
-  </body>
-  </html>`;
+    .notice input:focus {
+      outline: none;
+      border-color: var(--primary-color);
+    }
+
+    .notice-error {
+      margin-top: 12px;
+      color: #e74c3c;
+      font-size: 0.95em;
+    }
+
+    .notice button {
+      margin-top: 16px;
+      padding: 8px 24px;
+      border: none;
+      border-radius: 8px;
+      background: var(--primary-color);
+      color: white;
+      font-size: 14px;
+      cursor: pointer;
+    }
+  </style>
+</head>
+<body>
+  <div class="notice">
+    <div class="notice-icon">${icon}</div>
+    <h1>${title}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
 }
 
 /**
- * 从KV存储获取笔记内容
- * @param {string} notePath - 笔记路径
- * @returns {Promise<string>} 笔记内容
+ * 从渲染后的分享内容中提取标题和摘要,用于页面标题和社交平台的链接预览
+ * @param {string} html - 净化后的HTML
+ * @returns {{title: string, description: string}} 第一个标题和第一个段落的纯文本,没有时为空字符串
  */
-async function getNoteContent(notePath) {
-  const encryptedText = await NOTES_KV.get(notePath);
-  if (!encryptedText) return '';
-  
-  const key = await generateEncryptionKey(notePath);
-  return await decryptText(encryptedText, key);
+function getShareSummary(html) {
+  const toText = (fragment, length) => {
+    const text = decodeHTMLEntities(fragment.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]*>/g, ''))
+      .replace(/\s+/g, ' ')
+      .trim();
+    const chars = Array.from(text);
+    return chars.length > length ? chars.slice(0, length - 1).join('') + '…' : text;
+  };
+  const heading = html.match(/<h([1-6])(?:\s[^>]*)?>([\s\S]*?)<\/h\1>/);
+  const paragraph = html.match(/<p(?:\s[^>]*)?>([\s\S]*?)<\/p>/);
+  return {
+    title: heading ? toText(heading[2], 80) : '',
+    description: paragraph ? toText(paragraph[1], 200) : ''
+  };
 }
 
 /**
- * 保存笔记内容到KV存储
- * @param {string} notePath - 笔记路径
- * @param {string} text - 笔记内容
+ * 读取可以公开展示的分享标题和摘要,用于 oEmbed
+ * 受密码保护或限制了查看次数的分享不展示内容,也不计入访问次数
+ * @param {Object} data - 分享数据
+ * @returns {Promise<{title: string, description: string}>} 标题和摘要,不能公开时为空字符串
  */
-async function saveNoteContent(notePath, text) {
-  const key = await generateEncryptionKey(notePath);
-  const encryptedText = await encryptText(text, key);
-  await NOTES_KV.put(notePath, encryptedText);
+async function getPublicShareSummary(data) {
+  if (data.encrypted || data.maxViews) {
+    return { title: '', description: '' };
+  }
+  if (data.live) {
+    const { markdown } = await getLiveShareContent(data);
+    return markdown === null ? { title: '', description: '' } : getShareSummary(renderMarkdown(markdown));
+  }
+  return getShareSummary(typeof data.markdown === 'string' ? renderMarkdown(data.markdown) : sanitizeHTML(data.content));
 }
 
 /**
- * 从KV存储删除笔记
- * @param {string} notePath - 要删除的笔记路径
+ * 读取嵌入页面的参数
+ * @param {URL} url - 请求地址,theme 为 light/dark/auto(默认跟随系统),height 为固定高度(像素,默认按内容自适应)
+ * @returns {{theme: string, height: number|null}} 嵌入参数
  */
-async function deleteNoteContent(notePath) {
-  await NOTES_KV.delete(notePath);
+function getEmbedOptions(url) {
+  const theme = url.searchParams.get('theme');
+  const height = Number(url.searchParams.get('height'));
+  return {
+    theme: theme === 'light' || theme === 'dark' ? theme : 'auto',
+    height: Number.isInteger(height) && height >= EMBED_MIN_HEIGHT && height <= EMBED_MAX_HEIGHT ? height : null
+  };
 }
 
 /**
- * 处理分享页面请求
- * @param {string} shareId - 分享ID
- * @returns {Response} 响应对象
+ * 处理 oEmbed 请求(GET /oembed?url=<分享链接>&format=json),返回嵌入分享的 iframe 代码
+ * 嵌入页面通过 postMessage 发送 { type: 'mmnote:resize', id, height },返回的代码中附带调整 iframe 高度的脚本
+ * @param {Request} request - 请求对象
+ * @returns {Promise<Response>} 响应对象
  */
-async function handleShareRequest(shareId) {
-  // 获取分享数据
-  const shareKey = 'share_' + shareId;
-  const shareData = await NOTES_KV.get(shareKey);
-  
-  if (!shareData) {
-    return new Response('分享内容不存在或已过期', { status: 404 });
+async function handleOEmbedRequest(request) {
+  const url = new URL(request.url);
+  if ((url.searchParams.get('format') || 'json') !== 'json') {
+    return new Response('Not Implemented', { status: 501 });
+  }
+  let target = null;
+  try {
+    target = new URL(url.searchParams.get('url') || '');
+  } catch (error) {
+    target = null;
+  }
+  const match = target && target.origin === url.origin && target.pathname.match(/^\/(?:share|embed)\/([^/]+)\/?$/);
+  if (!match) {
+    return new Response('404 Not Found', { status: 404 });
   }
 
   try {
-    const data = JSON.parse(shareData);
-    // 更新访问次数
-    data.visitCount++;
-    await NOTES_KV.put(shareKey, JSON.stringify(data));
-    
-    // 生成分享页面
-    const html = generateShareHTML(shareId, data);
-    return new Response(html, { 
-      headers: { 'Content-Type': 'text/html;charset=utf-8' }
+    const shareId = match[1];
+    const { data } = await getShareRecord(shareId);
+    if (!data) {
+      return new Response('404 Not Found', { status: 404 });
+    }
+
+    const summary = await getPublicShareSummary(data);
+    const title = summary.title || '分享的笔记';
+    const limit = name => {
+      const value = Number(url.searchParams.get(name));
+      return Number.isInteger(value) && value > 0 ? value : Infinity;
+    };
+    const width = Math.min(OEMBED_DEFAULT_WIDTH, limit('maxwidth'));
+    const height = Math.min(OEMBED_DEFAULT_HEIGHT, limit('maxheight'));
+    const embedUrl = `${url.origin}/embed/${shareId}`;
+    const html = `<iframe src="${escapeHTML(embedUrl)}" width="${width}" height="${height}" style="border: 0; max-width: 100%;" ` +
+      `loading="lazy" title="${escapeHTML(title)}" data-mmnote-share="${escapeHTML(shareId)}"></iframe>` +
+      `<script>window.addEventListener('message', function (e) {` +
+      `if (e.origin !== ${JSON.stringify(url.origin)} || !e.data || e.data.type !== 'mmnote:resize') return;` +
+      `document.querySelectorAll('iframe[data-mmnote-share]').forEach(function (frame) {` +
+      `if (frame.contentWindow === e.source) frame.style.height = e.data.height + 'px';` +
+      `});});</script>`;
+
+    return Response.json({
+      version: '1.0',
+      type: 'rich',
+      provider_name: 'mmnote',
+      provider_url: url.origin,
+      title,
+      width,
+      height,
+      html
+    }, {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'public, max-age=300'
+      }
     });
   } catch (error) {
-    return new Response('加载分享内容失败', { status: 500 });
+    return new Response('生成嵌入代码失败', { status: 500 });
   }
 }
 
@@ -4358,17 +12058,84 @@ async function handleShareRequest(shareId) {
  * 生成分享页面HTML
  * @param {string} shareId - 分享ID
  * @param {Object} data - 分享数据
+ * @param {string} origin - 站点地址,用于生成链接预览中的绝对地址
+ * @param {{theme: string, height: number|null}|null} [embed] - 嵌入页面的参数,为 null 时生成完整的分享页面
  * @returns {string} HTML内容
  */
-function generateShareHTML(shareId, data) {
+function generateShareHTML(shareId, data, origin, embed = null) {
   const shareTime = new Date(data.createTime).toLocaleString('zh-CN');
+  // 新的分享保存 Markdown 源码,在服务端渲染;早期保存的预览HTML输出时再净化一次
+  const content = typeof data.markdown === 'string' ? renderMarkdown(data.markdown) : sanitizeHTML(data.content);
+  // 社交平台根据这些元数据展示链接预览;受保护的分享只有解锁后才能看到本页面。
+  // 主流平台不显示 SVG 图片,因此不提供预览图片,使用不带大图的摘要卡片
+  const summary = getShareSummary(content);
+  const title = escapeHTML(summary.title || '分享的笔记');
+  const description = escapeHTML(summary.description);
+  const shareUrl = `${origin}/share/${encodeURIComponent(shareId)}`;
+  const metaTags = [
+    description ? `<meta name="description" content="${description}">` : '',
+    '<meta property="og:type" content="article">',
+    '<meta property="og:site_name" content="mmnote">',
+    `<meta property="og:title" content="${title}">`,
+    description ? `<meta property="og:description" content="${description}">` : '',
+    `<meta property="og:url" content="${shareUrl}">`,
+    '<meta name="twitter:card" content="summary">',
+    `<meta name="twitter:title" content="${title}">`,
+    description ? `<meta name="twitter:description" content="${description}">` : '',
+    `<link rel="alternate" type="application/json+oembed" href="${origin}/oembed?url=${encodeURIComponent(shareUrl)}&amp;format=json" title="${title}">`,
+    // 嵌入页面中的链接在新窗口打开
+    embed ? '<base target="_blank">' : ''
+  ].filter(Boolean).join('\n  ');
+  // 嵌入页面不显示信息栏
+  const infoBar = embed ? '' : `<div class="info-bar">
+    <div class="info-left">
+      <div class="info-item">
+        <span>📝 笔记</span>
+        <span>${escapeHTML(shareId)}</span>
+      </div>
+      <div class="info-item">
+        <span>🕒 分享于</span>
+        <span>${shareTime}</span>
+      </div>
+      <div class="info-item">
+        <span>👀 访问</span>
+        <span>${escapeHTML(data.visitCount)}${data.maxViews && !data.burnAfterReading ? ' / ' + escapeHTML(data.maxViews) : ''}</span>
+      </div>
+      ${data.expireTime ? `<div class="info-item">
+        <span>⏳ 有效至</span>
+        <span>${new Date(data.expireTime).toLocaleString('zh-CN')}</span>
+      </div>` : ''}
+      ${data.burnAfterReading ? `<div class="info-item">
+        <span>🔥 阅后即焚</span>
+        <span>关闭后无法再次查看</span>
+      </div>` : ''}
+      ${data.live ? `<div class="info-item" title="内容始终与来源笔记的最新版本一致">
+        <span>📡 实时</span>
+        <label class="auto-refresh">
+          <input type="checkbox" id="auto-refresh" onchange="toggleAutoRefresh(this.checked)">
+          <span>自动刷新</span>
+        </label>
+      </div>` : ''}
+    </div>
+    <div class="info-right">
+      <button onclick="toggleDarkMode()" class="theme-toggle" title="切换主题">
+        <span class="sun-icon">☀️</span>
+        <span class="moon-icon">🌙</span>
+        <span class="label">主题</span>
+      </button>
+    </div>
+  </div>`;
+  // 嵌入脚本的 JSON 需要转义 <,避免提前结束 script 标签
+  const liveShare = data.live ? JSON.stringify({ id: shareId, rev: data.rev }).replace(/</g, '\\u003c') : 'null';
+  const embedOptions = embed ? JSON.stringify({ id: shareId, ...embed }).replace(/</g, '\\u003c') : 'null';
   
   return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>分享的笔记</title>
+  <title>${title}</title>
+  ${metaTags}
   <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github.min.css">
   <link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/styles/github-dark.min.css" media="(prefers-color-scheme: dark)">
   <!-- 添加KaTeX依赖 -->
@@ -4440,6 +12207,17 @@ function generateShareHTML(shareId, data) {
       }
     }
 
+    body.embed {
+      background: var(--container-bg);
+    }
+
+    body.embed .container {
+      max-width: 100%;
+      min-height: 0;
+      padding: 16px;
+      box-shadow: none;
+    }
+
     .info-bar {
       display: flex;
       justify-content: space-between;
@@ -4504,6 +12282,14 @@ function generateShareHTML(shareId, data) {
       background: var(--hover-color);
     }
 
+    .auto-refresh {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      cursor: pointer;
+      color: var(--secondary-color);
+    }
+
     .theme-toggle {
       display: flex;
       align-items: center;
@@ -5078,33 +12864,11 @@ function generateShareHTML(shareId, data) {
     }
   </style>
 </head>
-<body>
+<body${embed ? ' class="embed"' : ''}>
   <div class="container">
-    <div class="info-bar">
-      <div class="info-left">
-        <div class="info-item">
-          <span>📝 笔记</span>
-          <span>${shareId}</span>
-        </div>
-        <div class="info-item">
-          <span>🕒 分享于</span>
-          <span>${shareTime}</span>
-        </div>
-        <div class="info-item">
-          <span>👀 访问</span>
-          <span>${data.visitCount}</span>
-        </div>
-      </div>
-      <div class="info-right">
-        <button onclick="toggleDarkMode()" class="theme-toggle" title="切换主题">
-          <span class="sun-icon">☀️</span>
-          <span class="moon-icon">🌙</span>
-          <span class="label">主题</span>
-        </button>
-      </div>
-    </div>
+    ${infoBar}
     <div class="content">
-      ${data.content}
+      ${content}
     </div>
   </div>
 
@@ -5113,13 +12877,103 @@ function generateShareHTML(shareId, data) {
 
   <script src="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11.9.0/build/highlight.min.js"></script>
   <script>
+    // 实时分享的分享ID和当前内容版本,快照分享为 null
+    const liveShare = ${liveShare};
+    // 嵌入页面的参数 { id, theme, height },完整的分享页面为 null
+    const embedOptions = ${embedOptions};
+    // 自动刷新的间隔(毫秒)
+    const LIVE_REFRESH_INTERVAL = 30000;
+    let liveRefreshTimer = null;
+
     // 初始化主题和代码块
     document.addEventListener('DOMContentLoaded', () => {
-      const savedTheme = localStorage.getItem('theme') || 'light';
+      const savedTheme = embedOptions ? getEmbedTheme() : localStorage.getItem('theme') || 'light';
       document.documentElement.setAttribute('data-theme', savedTheme);
+
+      enhanceContent(document.querySelector('.content'));
+      scrollToUserContent();
+      window.addEventListener('hashchange', scrollToUserContent);
+
+      // 嵌入页面按内容高度通知父页面调整 iframe,指定了高度时只通知一次
+      if (embedOptions) {
+        postEmbedHeight();
+        if (!embedOptions.height) {
+          new ResizeObserver(postEmbedHeight).observe(document.body);
+        }
+      }
+
+      // 图片点击放大
+      const content = document.querySelector('.content');
+      const overlay = document.getElementById('imageOverlay');
+
+      content.addEventListener('click', (e) => {
+        if (e.target.tagName === 'IMG' && !e.target.classList.contains('enlarged')) {
+          e.target.classList.add('enlarged');
+          overlay.classList.add('active');
+          document.body.style.overflow = 'hidden';
+        }
+      });
+
+      // 嵌入的实时分享始终自动刷新,分享页面按上次的选择恢复
+      if (liveShare && embedOptions) {
+        liveRefreshTimer = setInterval(refreshLiveContent, LIVE_REFRESH_INTERVAL);
+      } else if (liveShare) {
+        const autoRefresh = localStorage.getItem('shareAutoRefresh') === 'true';
+        document.getElementById('auto-refresh').checked = autoRefresh;
+        toggleAutoRefresh(autoRefresh);
+      }
+    });
+
+    // 内容中的 id 都加了 user-content- 前缀,按地址中不带前缀的锚点定位到对应的标题
+    function scrollToUserContent() {
+      if (!location.hash) return;
+      let id;
+      try {
+        id = decodeURIComponent(location.hash.slice(1));
+      } catch (e) {
+        return;
+      }
+      if (document.getElementById(id)) return;
+      const target = document.getElementById('user-content-' + id);
+      if (target) target.scrollIntoView();
+    }
+
+    // 渲染服务端输出内容中的图表、公式和代码块,页面加载及实时分享更新内容后调用
+    function enhanceContent(container) {
+      // 服务端渲染的 Mermaid 代码块转换为图表
+      const diagrams = [];
+      container.querySelectorAll('pre code.language-mermaid').forEach(code => {
+        const diagram = document.createElement('div');
+        diagram.className = 'mermaid';
+        diagram.textContent = code.textContent;
+        code.parentElement.replaceWith(diagram);
+        diagrams.push(diagram);
+      });
+      if (diagrams.length > 0) {
+        mermaid.initialize({
+          startOnLoad: false,
+          theme: document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'default',
+          securityLevel: 'strict',
+          fontFamily: 'var(--font-family)',
+        });
+        mermaid.run({ nodes: diagrams });
+      }
+
+      // 渲染LaTeX公式(定界符与编辑器预览一致)
+      renderMathInElement(container, {
+        delimiters: [
+          {left: '$$', right: '$$', display: true},
+          {left: '$', right: '$', display: false},
+          {left: 'math\\[', right: '\\]', display: true},
+          {left: '\\(', right: '\\)', display: false},
+          {left: '\\begin{align}', right: '\\end{align}', display: true},
+        ],
+        throwOnError: false,
+        output: 'html'
+      });
       
       // 为所有代码块添加复制按钮和语言标签
-      const codeBlocks = document.querySelectorAll('pre code');
+      const codeBlocks = container.querySelectorAll('pre code');
       codeBlocks.forEach(code => {
         const pre = code.parentElement;
         
@@ -5143,26 +12997,74 @@ function generateShareHTML(shareId, data) {
       // 应用代码高亮
       hljs.highlightAll();
 
-      // 图片点击放大
-      const content = document.querySelector('.content');
-      const overlay = document.getElementById('imageOverlay');
-
-      content.addEventListener('click', (e) => {
-        if (e.target.tagName === 'IMG' && !e.target.classList.contains('enlarged')) {
-          e.target.classList.add('enlarged');
-          overlay.classList.add('active');
-          document.body.style.overflow = 'hidden';
-        }
-      });
-
       // 图片加载错误处理
-      const images = document.querySelectorAll('.content img');
+      const images = container.querySelectorAll('img');
       images.forEach(img => {
         img.onerror = () => {
           img.src = 'data:image/gif;base64,R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==';
         };
       });
-    });
+    }
+
+    // 自动刷新开启时定时检查来源笔记是否有新版本
+    function toggleAutoRefresh(enabled) {
+      localStorage.setItem('shareAutoRefresh', enabled);
+      clearInterval(liveRefreshTimer);
+      liveRefreshTimer = enabled ? setInterval(refreshLiveContent, LIVE_REFRESH_INTERVAL) : null;
+    }
+
+    // 分享失效或解锁过期后停止自动刷新,不改变保存的选择
+    function stopAutoRefresh(message) {
+      clearInterval(liveRefreshTimer);
+      liveRefreshTimer = null;
+      const checkbox = document.getElementById('auto-refresh');
+      if (checkbox) {
+        checkbox.checked = false;
+        checkbox.disabled = true;
+      }
+      showToast(message, 'warning', 5000);
+    }
+
+    // 嵌入页面的主题,auto 时跟随系统
+    function getEmbedTheme() {
+      if (embedOptions.theme !== 'auto') return embedOptions.theme;
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    // 通知父页面调整 iframe 高度
+    function postEmbedHeight() {
+      const height = embedOptions.height || Math.ceil(document.body.getBoundingClientRect().height);
+      window.parent.postMessage({ type: 'mmnote:resize', id: embedOptions.id, height }, '*');
+    }
+
+    // 拉取来源笔记的最新内容,版本未变化时服务端返回 204
+    async function refreshLiveContent() {
+      if (document.hidden) return;
+      try {
+        const response = await fetch('/share/' + encodeURIComponent(liveShare.id) + '/content?rev=' + encodeURIComponent(liveShare.rev), {
+          cache: 'no-store'
+        });
+        if (response.status === 204) return;
+        if (response.status === 401) {
+          stopAutoRefresh('解锁已过期，请刷新页面重新输入密码');
+          return;
+        }
+        if (response.status === 403 || response.status === 404 || response.status === 410) {
+          stopAutoRefresh('分享已失效，已停止自动刷新');
+          return;
+        }
+        if (!response.ok) return;
+
+        const { rev, html } = await response.json();
+        liveShare.rev = rev;
+        const content = document.querySelector('.content');
+        content.innerHTML = html;
+        enhanceContent(content);
+        showToast('笔记内容已更新', 'info');
+      } catch (error) {
+        console.error('刷新分享内容失败:', error);
+      }
+    }
 
     // 复制代码到剪贴板
     async function copyCode(codeElement, button) {
@@ -5259,7 +13161,16 @@ function generateShareHTML(shareId, data) {
 </html>`;
 }
 
-// 监听所有fetch请求
-addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
-});
+export default {
+  // 处理所有fetch请求
+  async fetch(request, env, ctx) {
+    bindEnvironment(env);
+    return await handleRequest(request, ctx);
+  },
+
+  // 定时触发器(在 wrangler.toml 中配置 Cron Triggers):清理过期的回收站内容
+  async scheduled(controller, env, ctx) {
+    bindEnvironment(env);
+    ctx.waitUntil(purgeExpiredTrash());
+  }
+};
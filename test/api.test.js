@@ -0,0 +1,129 @@
+// 编辑器保存、追加写入、REST API、历史版本和回收站
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, call, JSON_HEADERS } from './helpers.js';
+
+const raw = async (env, note) => await (await call(env, `/${note}?raw`)).text();
+
+test('保存后返回版本号,过期的条件保存返回冲突', async () => {
+  const env = createEnv();
+  const saved = await call(env, '/note', { method: 'POST', body: 'v1' });
+  assert.equal(saved.status, 204);
+  const etag = saved.headers.get('ETag');
+
+  await call(env, '/note', { method: 'POST', headers: { 'If-Match': etag }, body: 'v2' });
+  const stale = await call(env, '/note', { method: 'POST', headers: { 'If-Match': etag }, body: 'v3' });
+  assert.equal(stale.status, 409);
+  assert.equal((await stale.json()).content, 'v2');
+});
+
+test('同时到达的条件保存只有一个成功', async () => {
+  const env = createEnv();
+  const etag = (await call(env, '/note', { method: 'POST', body: 'v1' })).headers.get('ETag');
+  const responses = await Promise.all(['a', 'b', 'c'].map(body =>
+    call(env, '/note', { method: 'POST', headers: { 'If-Match': etag }, body })));
+  assert.deepEqual(responses.map(response => response.status).sort(), [204, 409, 409]);
+});
+
+test('无效的端到端加密内容被拒绝', async () => {
+  const env = createEnv();
+  assert.equal((await call(env, '/note', { method: 'POST', body: 'mmnote-e2e:bad' })).status, 400);
+});
+
+test('追加和前置写入,并发追加不会互相覆盖', async () => {
+  const env = createEnv();
+  await call(env, '/log', { method: 'POST', body: 'start' });
+  await call(env, '/log?prepend', { method: 'POST', body: 'head' });
+  await Promise.all([1, 2, 3].map(i => call(env, '/log/append', { method: 'POST', body: 'line' + i })));
+  assert.equal(await raw(env, 'log'), 'head\nstart\nline1\nline2\nline3\n');
+});
+
+test('REST API 读写笔记并支持条件请求', async () => {
+  const env = createEnv();
+  const created = await call(env, '/api/v1/notes/doc', { method: 'PUT', headers: JSON_HEADERS, body: JSON.stringify({ content: 'new' }) });
+  assert.equal(created.status, 201);
+  assert.equal(created.headers.get('Location'), '/api/v1/notes/doc');
+
+  const read = await call(env, '/api/v1/notes/doc');
+  const note = await read.json();
+  assert.equal(note.content, 'new');
+  assert.equal(note.protected, false);
+
+  const stale = await call(env, '/api/v1/notes/doc', {
+    method: 'PUT', headers: { ...JSON_HEADERS, 'If-Match': '"nope"' }, body: JSON.stringify({ content: 'x' })
+  });
+  assert.equal(stale.status, 412);
+  assert.equal((await stale.json()).error, 'precondition_failed');
+
+  const patched = await call(env, '/api/v1/notes/doc', {
+    method: 'PATCH', headers: { ...JSON_HEADERS, 'If-Match': read.headers.get('ETag') }, body: JSON.stringify({ append: '!' })
+  });
+  assert.equal((await patched.json()).content, 'new!');
+
+  assert.equal((await call(env, '/api/v1/notes/doc', { method: 'DELETE' })).status, 204);
+  assert.equal((await call(env, '/api/v1/notes/doc', { method: 'DELETE' })).status, 404);
+  assert.equal((await call(env, '/api/v1/notes/doc')).status, 404);
+});
+
+test('REST API 拒绝无效的请求体', async () => {
+  const env = createEnv();
+  const response = await call(env, '/api/v1/notes/doc', { method: 'PUT', headers: JSON_HEADERS, body: '[]' });
+  assert.equal(response.status, 400);
+});
+
+test('清空的笔记移入回收站并可恢复', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'keep me' });
+  const emptied = await call(env, '/note', { method: 'POST', body: '' });
+  assert.equal(await emptied.text(), 'Note moved to trash');
+
+  const { entries } = await (await call(env, '/note/trash')).json();
+  assert.equal(entries.length, 1);
+  assert.equal((await call(env, `/note/trash/${entries[0].id}/restore`, { method: 'POST' })).status, 204);
+  assert.equal(await raw(env, 'note'), 'keep me');
+});
+
+test('历史版本记录被覆盖的内容,快照间隔内只记录一次', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'first' });
+  await call(env, '/note', { method: 'POST', body: 'second' });
+  await call(env, '/note', { method: 'POST', body: 'third' });
+  const { revisions } = await (await call(env, '/note/history')).json();
+  assert.equal(revisions.length, 1);
+  assert.equal((await (await call(env, `/note/history/${revisions[0].id}`)).json()).content, 'first');
+});
+
+test('恢复历史版本时记录恢复前的内容', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'first' });
+  await call(env, '/note', { method: 'POST', body: 'second' });
+  const [revision] = (await (await call(env, '/note/history')).json()).revisions;
+  // 版本ID取自时间,避免与恢复时记录的版本相同
+  await new Promise(resolve => setTimeout(resolve, 2));
+  assert.equal((await call(env, `/note/history/${revision.id}/restore`, { method: 'POST' })).status, 204);
+  assert.equal(await raw(env, 'note'), 'first');
+
+  const { revisions } = await (await call(env, '/note/history')).json();
+  assert.equal(revisions.length, 2);
+  assert.equal((await (await call(env, `/note/history/${revisions[0].id}`)).json()).content, 'second');
+});
+
+test('启用端到端加密时删除历史版本和回收站中的明文', async () => {
+  const env = createEnv();
+  const envelope = 'mmnote-e2e:' + JSON.stringify({
+    v: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000, salt: 'c2FsdA==' },
+    cipher: { name: 'AES-GCM', iv: 'aXY=' },
+    data: 'ZGF0YQ=='
+  });
+  await call(env, '/note', { method: 'POST', body: 'old secret' });
+  await call(env, '/note', { method: 'POST', body: '' });
+  await call(env, '/note', { method: 'POST', body: 'plain secret' });
+  await call(env, '/note', { method: 'POST', body: 'plain secret 2' });
+  assert.equal((await (await call(env, '/note/history')).json()).revisions.length, 1);
+  assert.equal((await (await call(env, '/note/trash')).json()).entries.length, 1);
+
+  assert.equal((await call(env, '/note', { method: 'POST', body: envelope })).status, 204);
+  assert.deepEqual((await (await call(env, '/note/history')).json()).revisions, []);
+  assert.deepEqual((await (await call(env, '/note/trash')).json()).entries, []);
+});
@@ -0,0 +1,120 @@
+// 笔记密码、会话令牌和 API 令牌
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createEnv, call, cookiesFrom, JSON_HEADERS } from './helpers.js';
+
+// 与页面中的 hashPassword 相同的预哈希
+const prehash = (note, password) => createHash('sha256').update(`mmnote:${note}:${password}`).digest('hex');
+const basic = password => 'Basic ' + btoa(':' + password);
+
+async function protectedNote(note, password) {
+  const env = createEnv();
+  await call(env, '/' + note, { method: 'POST', body: 'secret text' });
+  const response = await call(env, `/${note}/password`, {
+    method: 'POST',
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ password: prehash(note, password) })
+  });
+  assert.equal(response.status, 200);
+  return env;
+}
+
+test('未验证时不返回内容也不接受保存', async () => {
+  const env = await protectedNote('locked', 'pw');
+  const read = await call(env, '/locked?raw');
+  assert.equal(read.status, 401);
+  assert.doesNotMatch(await read.text(), /secret/);
+  assert.equal((await call(env, '/locked', { method: 'POST', body: 'x' })).status, 401);
+  assert.equal((await call(env, '/api/v1/notes/locked')).status, 401);
+});
+
+test('可用预哈希密码或 Basic 认证直接访问', async () => {
+  const env = await protectedNote('locked', 'pw');
+  const byHeader = await call(env, '/locked?raw', { headers: { 'X-Note-Password': prehash('locked', 'pw') } });
+  assert.equal(await byHeader.text(), 'secret text');
+  const byBasic = await call(env, '/locked?raw', { headers: { Authorization: basic('pw') } });
+  assert.equal(await byBasic.text(), 'secret text');
+  assert.equal((await call(env, '/locked?raw', { headers: { Authorization: basic('nope') } })).status, 401);
+});
+
+test('验证密码后签发会话令牌,注销后失效', async () => {
+  const env = await protectedNote('locked', 'pw');
+  const wrong = await call(env, '/locked/password-verify', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('locked', 'nope') })
+  });
+  assert.equal(wrong.status, 401);
+
+  const verified = await call(env, '/locked/password-verify', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('locked', 'pw') })
+  });
+  assert.equal(verified.status, 200);
+  const cookie = cookiesFrom(verified);
+  const { token } = await verified.json();
+  assert.equal((await call(env, '/locked?raw', { headers: { 'X-Note-Token': token } })).status, 200);
+  assert.equal((await call(env, '/locked?raw', { headers: { Cookie: cookie } })).status, 200);
+
+  await call(env, '/locked/logout', { method: 'POST', headers: { 'X-Note-Token': token } });
+  assert.equal((await call(env, '/locked?raw', { headers: { 'X-Note-Token': token } })).status, 401);
+});
+
+test('会话令牌只对签发的笔记有效', async () => {
+  const env = await protectedNote('locked', 'pw');
+  await call(env, '/other', { method: 'POST', body: 'other text' });
+  await call(env, '/other/password', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('other', 'pw') })
+  });
+  const verified = await call(env, '/locked/password-verify', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('locked', 'pw') })
+  });
+  const { token } = await verified.json();
+  assert.equal((await call(env, '/other?raw', { headers: { 'X-Note-Token': token } })).status, 401);
+});
+
+test('连续输错密码后暂时锁定', async () => {
+  const env = await protectedNote('locked', 'pw');
+  const attempt = () => call(env, '/locked/password-verify', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('locked', 'nope') })
+  });
+  let response;
+  for (let i = 0; i < 11; i++) {
+    response = await attempt();
+  }
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('Retry-After')) > 0);
+});
+
+test('API 令牌按权限访问', async () => {
+  const env = await protectedNote('locked', 'pw');
+  const created = await call(env, '/locked/tokens', {
+    method: 'POST',
+    headers: { ...JSON_HEADERS, Authorization: basic('pw') },
+    body: JSON.stringify({ label: 'logger', scopes: ['read', 'append'] })
+  });
+  assert.equal(created.status, 201);
+  const { token } = await created.json();
+  const bearer = { Authorization: 'Bearer ' + token };
+
+  assert.equal(await (await call(env, '/locked?raw', { headers: bearer })).text(), 'secret text');
+  assert.equal((await call(env, '/locked/append', { method: 'POST', headers: bearer, body: 'line' })).status, 204);
+  assert.equal((await call(env, '/locked', { method: 'POST', headers: bearer, body: 'overwrite' })).status, 401);
+  assert.equal((await call(env, '/locked?raw', { headers: { Authorization: 'Bearer mmn_locked.x.y' } })).status, 401);
+});
+
+test('首次生成签名密钥时并发签发的令牌都有效', async () => {
+  const env = await protectedNote('locked', 'pw');
+  env.NOTES_KV.store.delete('_config_session_secret');
+  // KV 操作之间让出事件循环,使并发请求的读写交错
+  const { get, put } = env.NOTES_KV;
+  const later = () => new Promise(resolve => setTimeout(resolve, 1));
+  env.NOTES_KV.get = async (...args) => (await later(), get(...args));
+  env.NOTES_KV.put = async (...args) => (await later(), put(...args));
+
+  const responses = await Promise.all([1, 2, 3].map(() => call(env, '/locked/password-verify', {
+    method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: prehash('locked', 'pw') })
+  })));
+  for (const response of responses) {
+    const { token } = await response.json();
+    assert.equal((await call(env, '/locked?raw', { headers: { 'X-Note-Token': token } })).status, 200);
+  }
+});
@@ -0,0 +1,222 @@
+// 测试用的 Workers 运行环境:内存中的 KV、笔记房间绑定及请求上下文
+import worker, { NoteRoom } from '../mmnote_v1.0.0_workers.js';
+
+export const ORIGIN = 'https://notes.test';
+export const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+/**
+ * 创建内存中的 KV 命名空间,支持过期时间、元数据和分页列表
+ * @returns {Object} KV 命名空间,store 为底层存储
+ */
+export function createKV() {
+  const store = new Map();
+  const read = (key) => {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.expires && entry.expires <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  };
+  const decode = (value, type) => (type === 'json' || (type && type.type === 'json') ? JSON.parse(value) : value);
+  return {
+    store,
+    async get(key, type) {
+      const entry = read(key);
+      return entry ? decode(entry.value, type) : null;
+    },
+    async getWithMetadata(key, type) {
+      const entry = read(key);
+      return entry ? { value: decode(entry.value, type), metadata: entry.metadata || null } : { value: null, metadata: null };
+    },
+    async put(key, value, options = {}) {
+      if (options.expirationTtl !== undefined && options.expirationTtl < 60) {
+        throw new Error('expirationTtl must be at least 60');
+      }
+      store.set(key, {
+        value: String(value),
+        metadata: options.metadata,
+        expires: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : 0
+      });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const names = [...store.keys()].filter(name => name.startsWith(prefix) && read(name)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const done = start + limit >= names.length;
+      return {
+        keys: names.slice(start, start + limit).map(name => ({ name, metadata: store.get(name).metadata })),
+        list_complete: done,
+        cursor: done ? undefined : String(start + limit)
+      };
+    }
+  };
+}
+
+/**
+ * 创建内存中的 Durable Object 存储,alarm 只记录时间,由测试调用房间的 alarm() 触发
+ * @returns {Object} 存储,data 为底层数据
+ */
+export function createStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    data,
+    async get(key) {
+      return data.get(key);
+    },
+    async put(key, value) {
+      data.set(key, value);
+    },
+    async delete(key) {
+      return data.delete(key);
+    },
+    async getAlarm() {
+      return alarm;
+    },
+    async setAlarm(time) {
+      alarm = time;
+    },
+    async deleteAlarm() {
+      alarm = null;
+    }
+  };
+}
+
+/**
+ * 创建 Worker 的环境绑定,NOTE_ROOMS 按笔记名在内存中创建 NoteRoom 实例
+ * @param {Object} [vars] - 额外的环境变量
+ * @returns {Object} 环境绑定,rooms 为已创建的房间
+ */
+export function createEnv(vars = {}) {
+  const env = { NOTES_KV: createKV(), PASSWORD_ITERATIONS: '1000', ...vars };
+  const rooms = new Map();
+  env.rooms = rooms;
+  env.NOTE_ROOMS = {
+    idFromName: name => name,
+    get: id => ({
+      async fetch(input, init) {
+        if (!rooms.has(id)) {
+          const state = { pending: [], waitUntil: promise => state.pending.push(promise), storage: createStorage() };
+          rooms.set(id, new NoteRoom(state, env));
+        }
+        return await rooms.get(id).fetch(new Request(input, init));
+      }
+    })
+  };
+  return env;
+}
+
+/**
+ * 等待请求上下文和所有房间中 waitUntil 登记的任务完成
+ * @param {Object} env - 环境绑定
+ * @param {Object} [ctx] - 请求上下文
+ */
+export async function settle(env, ctx) {
+  const pending = [...(ctx ? ctx.pending : [])];
+  env.rooms.forEach(room => pending.push(...room.state.pending.splice(0)));
+  await Promise.all(pending);
+}
+
+/**
+ * 向 Worker 发送请求并等待响应后的任务完成
+ * @param {Object} env - 环境绑定
+ * @param {string} path - 路径或完整地址
+ * @param {RequestInit} [init] - 请求选项
+ * @returns {Promise<Response>} 响应对象
+ */
+export async function call(env, path, init = {}) {
+  const request = new Request(path.startsWith('http') ? path : ORIGIN + path, init);
+  if (!request.headers.has('User-Agent')) request.headers.set('User-Agent', 'Mozilla/5.0 (test)');
+  const ctx = { pending: [], waitUntil: promise => ctx.pending.push(promise) };
+  const response = await worker.fetch(request, env, ctx);
+  await settle(env, ctx);
+  return response;
+}
+
+/**
+ * 从响应的 Set-Cookie 头中取出 Cookie 的名称和值,用于后续请求
+ * @param {Response} response - 响应对象
+ * @returns {string} Cookie 请求头的值
+ */
+export function cookiesFrom(response) {
+  return response.headers.getSetCookie().map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+/**
+ * 保存笔记并创建其实时分享,返回分享ID
+ * @param {Object} env - 环境绑定
+ * @param {string} note - 笔记名
+ * @param {string} text - 笔记内容
+ * @param {Object} [options] - 额外的分享选项
+ * @returns {Promise<string>} 分享ID
+ */
+export async function createLiveShare(env, note, text, options = {}) {
+  await call(env, '/' + note, { method: 'POST', body: text });
+  const response = await call(env, '/share', {
+    method: 'POST',
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ note, live: true, ...options })
+  });
+  return (await response.json()).id;
+}
+
+/**
+ * 通过实时分享的内容接口获取笔记在服务端渲染并净化后的 HTML
+ * @param {Object} env - 环境绑定
+ * @param {string} markdown - Markdown 源码
+ * @returns {Promise<string>} 渲染结果
+ */
+export async function render(env, markdown) {
+  const id = await createLiveShare(env, 'render', markdown);
+  return (await (await call(env, `/share/${id}/content`)).json()).html;
+}
+
+/**
+ * 安装 Workers 运行时的 WebSocketPair 及 101 响应,Node 中没有
+ * 客户端一侧的 sent 记录服务端发出的消息,deliver 和 disconnect 模拟客户端发送消息和断开连接
+ */
+export function installWebSockets() {
+  class MockSocket extends EventTarget {
+    constructor() {
+      super();
+      this.sent = [];
+      this.closed = null;
+      this.peer = null;
+    }
+    accept() {}
+    send(data) {
+      if (this.closed) throw new Error('closed');
+      this.peer.sent.push(JSON.parse(data));
+    }
+    close(code, reason) {
+      this.closed = { code, reason };
+    }
+    deliver(message) {
+      this.peer.dispatchEvent(Object.assign(new Event('message'), { data: JSON.stringify(message) }));
+    }
+    disconnect() {
+      this.peer.dispatchEvent(new Event('close'));
+    }
+  }
+  globalThis.WebSocketPair = function () {
+    const client = new MockSocket();
+    const server = new MockSocket();
+    client.peer = server;
+    server.peer = client;
+    return { 0: client, 1: server };
+  };
+  const NativeResponse = globalThis.Response;
+  globalThis.Response = class extends NativeResponse {
+    constructor(body, init = {}) {
+      super(body, init.status === 101 ? { ...init, status: 200 } : init);
+      if (init.status === 101) {
+        Object.defineProperty(this, 'status', { value: 101 });
+        this.webSocket = init.webSocket;
+      }
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// 服务端 Markdown 渲染
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, render } from './helpers.js';
+
+const env = createEnv();
+
+test('渲染标题并生成锚点', async () => {
+  assert.equal(await render(env, '# T'), '<h1 id="user-content-t">T</h1>\n');
+});
+
+test('渲染行内格式', async () => {
+  assert.equal(await render(env, '**b** _i_ ~~s~~ `c`'),
+    '<p><strong>b</strong> <em>i</em> <del>s</del> <code>c</code></p>\n');
+});
+
+test('渲染任务列表和表格', async () => {
+  assert.equal(await render(env, '- [x] done'), '<ul>\n<li><input type="checkbox" disabled checked> done</li>\n</ul>\n');
+  assert.match(await render(env, '| a | b |\n| - | - |\n| 1 | 2 |'), /<th>a<\/th>[\s\S]*<td>2<\/td>/);
+});
+
+test('代码块转义内容并标注语言', async () => {
+  assert.equal(await render(env, '```js\n<b>\n```'), '<pre><code class="language-js">&lt;b&gt;\n</code></pre>\n');
+});
+
+test('渲染链接、图片和自动链接', async () => {
+  assert.equal(await render(env, '![i](https://x.test/y.png "t")'), '<p><img src="https://x.test/y.png" alt="i" title="t"></p>\n');
+  assert.equal(await render(env, 'https://example.com'),
+    '<p><a href="https://example.com" rel="noopener noreferrer">https://example.com</a></p>\n');
+});
+
+test('渲染引用', async () => {
+  assert.equal(await render(env, '> q'), '<blockquote>\n<p>q</p>\n</blockquote>\n');
+});
+
+test('公式保留原始定界符', async () => {
+  assert.equal(await render(env, '$x<y$'), '<p>$x&lt;y$</p>\n');
+});
+
+test('带标题和括号的链接地址', async () => {
+  assert.equal(await render(env, '[a [b] c](https://x.test/a_(b) "t")'),
+    '<p><a href="https://x.test/a_(b)" title="t" rel="noopener noreferrer">a [b] c</a></p>\n');
+  assert.equal(await render(env, '[![i](https://x.test/i.png)](https://x.test)'),
+    '<p><a href="https://x.test" rel="noopener noreferrer"><img src="https://x.test/i.png" alt="i"></a></p>\n');
+});
+
+// 恶意构造的输入,渲染时间应与长度成正比
+const ADVERSARIAL_SIZE = 100000;
+const repeat = unit => unit.repeat(Math.floor(ADVERSARIAL_SIZE / unit.length));
+
+async function renderQuickly(markdown) {
+  const started = Date.now();
+  const html = await render(env, markdown);
+  assert.ok(Date.now() - started < 1000, `渲染耗时 ${Date.now() - started}ms`);
+  return html;
+}
+
+for (const unit of ['![', '[(', '[a](', '\\(', 'math\\[', '$$a', '<!--']) {
+  test(`未闭合的 ${unit} 不会导致回溯`, async () => {
+    assert.match(await renderQuickly('x ' + repeat(unit)), /^<p>x /);
+  });
+}
+
+test('深层嵌套的引用块限制层数', async () => {
+  const html = await renderQuickly('> '.repeat(5000) + 'x');
+  assert.equal(html.match(/<blockquote>/g).length, 32);
+  assert.match(html, /&gt; x<\/p>/);
+});
+
+test('深层嵌套的列表限制层数', async () => {
+  const html = await renderQuickly('- '.repeat(2000) + 'x');
+  assert.equal(html.match(/<ul>/g).length, 32);
+  const indented = await renderQuickly(Array.from({ length: 200 }, (_, level) => '  '.repeat(level) + '- x').join('\n'));
+  assert.equal(indented.match(/<ul>/g).length, 32);
+});
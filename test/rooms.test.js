@@ -0,0 +1,63 @@
+// 笔记房间:实时协同编辑和在线状态
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installWebSockets, createEnv, call, settle, JSON_HEADERS } from './helpers.js';
+
+installWebSockets();
+
+const open = async (env, note, mode, name) =>
+  (await call(env, `/${note}/live?mode=${mode}&name=${name}`, { headers: { Upgrade: 'websocket' } })).webSocket;
+const types = socket => socket.sent.map(message => message.type);
+
+test('协同编辑的修改广播给其他连接,离开后保存', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'hello' });
+  const a = await open(env, 'note', 'live', 'A');
+  const b = await open(env, 'note', 'live', 'B');
+  assert.equal(a.sent[0].type, 'init');
+  assert.equal(a.sent[0].text, 'hello');
+
+  a.deliver({ type: 'op', version: 0, ops: [{ p: 5, i: '!' }] });
+  assert.ok(types(a).includes('ack'));
+  assert.deepEqual(b.sent.find(message => message.type === 'op').ops, [{ p: 5, i: '!' }]);
+
+  a.disconnect();
+  b.disconnect();
+  await settle(env);
+  assert.equal(await (await call(env, '/note?raw')).text(), 'hello!');
+});
+
+test('其他途径的写入同步给协同编辑的连接', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'hello' });
+  const a = await open(env, 'note', 'live', 'A');
+  const patched = await call(env, '/api/v1/notes/note', { method: 'PATCH', headers: JSON_HEADERS, body: JSON.stringify({ append: '?' }) });
+  assert.equal((await patched.json()).content, 'hello?');
+  assert.ok(types(a).includes('op'));
+
+  a.deliver({ type: 'op', version: 1, ops: [{ p: 0, i: '>' }] });
+  a.disconnect();
+  await settle(env);
+  assert.equal(await (await call(env, '/note?raw')).text(), '>hello?');
+});
+
+test('在线状态列出同一笔记的连接并转发输入状态', async () => {
+  const env = createEnv();
+  const a = await open(env, 'note', 'presence', 'A');
+  const b = await open(env, 'note', 'presence', 'B');
+  assert.deepEqual(b.sent[0].clients.map(client => client.name), ['A']);
+  a.deliver({ type: 'typing' });
+  assert.ok(types(b).includes('typing'));
+  assert.ok(!types(a).includes('typing'));
+});
+
+test('无法发送消息的连接从在线状态中移除', async () => {
+  const env = createEnv();
+  await open(env, 'note', 'presence', 'A');
+  const b = await open(env, 'note', 'presence', 'B');
+  // 连接已断开但没有收到 close 事件
+  b.peer.closed = { code: 1006 };
+  await open(env, 'note', 'presence', 'C');
+  const d = await open(env, 'note', 'presence', 'D');
+  assert.deepEqual(d.sent[0].clients.map(client => client.name), ['A', 'C']);
+});
@@ -0,0 +1,35 @@
+// 分享页面的HTML净化:Markdown 中的原始HTML在渲染后统一按白名单净化
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, render } from './helpers.js';
+
+const env = createEnv();
+
+test('移除脚本及其内容', async () => {
+  assert.equal(await render(env, '<script>alert(1)</script>x'), 'x\n');
+  assert.equal(await render(env, '<iframe src=//evil.test></iframe>ok'), 'ok\n');
+});
+
+test('移除事件处理属性', async () => {
+  assert.equal(await render(env, '<img src=x onerror=alert(1)>'), '<p><img src="x"></p>\n');
+});
+
+test('移除 javascript: 链接,不区分大小写', async () => {
+  assert.equal(await render(env, '[a](javascript:alert(1))'), '<p>a</p>\n');
+  assert.equal(await render(env, '<a href="JaVaScRiPt:alert(1)">a</a>'), '<p><a rel="noopener noreferrer">a</a></p>\n');
+  assert.equal(await render(env, '<svg><a xlink:href="javascript:alert(1)"><text>t</text></a></svg>'), '<svg><text>t</text></svg>\n');
+});
+
+test('移除危险的样式并为 id 加前缀', async () => {
+  assert.equal(await render(env, '<div id="x" style="background:url(javascript:1)">y</div>'), '<div id="user-content-x">y</div>\n');
+});
+
+test('移除表单元素', async () => {
+  assert.doesNotMatch(await render(env, '<form action=x><input><button>b</button></form>'), /<form|<button/);
+});
+
+test('未闭合的标签不会吞掉后续内容', async () => {
+  const html = await render(env, '<b>x\n\n<i onclick=1>y');
+  assert.doesNotMatch(html, /onclick/);
+  assert.match(html, /y/);
+});
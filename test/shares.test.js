@@ -0,0 +1,151 @@
+// 分享的创建、访问限制、访问密码和实时分享
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, call, cookiesFrom, createLiveShare, JSON_HEADERS } from './helpers.js';
+
+async function createShare(env, note, text, options = {}) {
+  await call(env, '/' + note, { method: 'POST', body: text });
+  const response = await call(env, '/share', {
+    method: 'POST',
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ note, ...options })
+  });
+  assert.equal(response.status, 201);
+  return (await response.json()).id;
+}
+
+const unlock = (env, path, password) => call(env, path + '/unlock', {
+  method: 'POST',
+  body: new URLSearchParams({ password })
+});
+
+test('快照分享展示创建时保存的内容', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', '# Hello\n\nfirst');
+  await call(env, '/shared', { method: 'POST', body: 'changed' });
+  const page = await (await call(env, '/share/' + id)).text();
+  assert.match(page, /first/);
+  assert.doesNotMatch(page, /changed/);
+});
+
+test('分享内容取自服务端保存的笔记', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', 'saved', { markdown: 'forged' });
+  const page = await (await call(env, '/share/' + id)).text();
+  assert.match(page, /saved/);
+  assert.doesNotMatch(page, /forged/);
+});
+
+test('不能分享无权读取的笔记', async () => {
+  const env = createEnv();
+  await call(env, '/locked', { method: 'POST', body: 'x' });
+  await call(env, '/locked/password', { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ password: 'h' }) });
+  const response = await call(env, '/share', { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ note: 'locked' }) });
+  assert.equal(response.status, 401);
+});
+
+test('阅后即焚的分享只能查看一次,链接预览不消耗次数', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', 'once', { burnAfterReading: true });
+  const bot = await call(env, '/share/' + id, { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0' } });
+  assert.doesNotMatch(await bot.text(), /once/);
+  assert.equal((await call(env, '/share/' + id)).status, 200);
+  assert.equal((await call(env, '/share/' + id)).status, 404);
+});
+
+test('受密码保护的分享在解锁后才展示内容', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', 'hidden body', { password: 'open sesame' });
+  assert.ok(!env.NOTES_KV.store.get('share_' + id).value.includes('hidden body'));
+
+  const form = await call(env, '/share/' + id);
+  assert.doesNotMatch(await form.text(), /hidden body/);
+  const wrong = await unlock(env, '/share/' + id, 'nope');
+  assert.equal(wrong.status, 401);
+  const right = await unlock(env, '/share/' + id, 'open sesame');
+  assert.equal(right.status, 200);
+  assert.match(await right.text(), /hidden body/);
+});
+
+test('实时分享跟随笔记的最新内容', async () => {
+  const env = createEnv();
+  const id = await createLiveShare(env, 'shared', 'v1');
+  const first = await (await call(env, `/share/${id}/content`)).json();
+  assert.match(first.html, /v1/);
+  assert.equal((await call(env, `/share/${id}/content?rev=${encodeURIComponent(first.rev)}`)).status, 204);
+
+  await call(env, '/shared', { method: 'POST', body: 'v2' });
+  assert.match((await (await call(env, `/share/${id}/content`)).json()).html, /v2/);
+});
+
+test('受密码保护的实时分享解锁后可拉取最新内容', async () => {
+  const env = createEnv();
+  const id = await createLiveShare(env, 'shared', 'v1', { password: 'pw' });
+  assert.equal((await call(env, `/share/${id}/content`)).status, 401);
+  const unlocked = await unlock(env, '/share/' + id, 'pw');
+  assert.match(unlocked.headers.get('Set-Cookie'), /; Path=\/; HttpOnly; Secure; SameSite=Strict;/);
+  const cookie = cookiesFrom(unlocked);
+  assert.equal((await call(env, `/share/${id}/content`, { headers: { Cookie: cookie } })).status, 200);
+});
+
+test('受密码保护的实时分享可在嵌入页面中解锁', async () => {
+  const env = createEnv();
+  const id = await createLiveShare(env, 'shared', 'embedded body', { password: 'pw' });
+  assert.doesNotMatch(await (await call(env, '/embed/' + id)).text(), /embedded body/);
+  const unlocked = await unlock(env, '/embed/' + id, 'pw');
+  assert.match(await unlocked.text(), /embedded body/);
+  const [setCookie] = unlocked.headers.getSetCookie();
+  assert.match(setCookie, /; Path=\/;/);
+  assert.match(setCookie, /SameSite=None; Partitioned/);
+
+  const headers = { Cookie: cookiesFrom(unlocked) };
+  assert.match(await (await call(env, '/embed/' + id, { headers })).text(), /embedded body/);
+  assert.equal((await call(env, `/share/${id}/content`, { headers })).status, 200);
+});
+
+test('列出和撤销笔记的分享', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', 'text');
+  const { shares } = await (await call(env, '/shared/shares')).json();
+  assert.deepEqual(shares.map(share => share.id), [id]);
+  assert.equal((await call(env, `/shared/shares/${id}`, { method: 'DELETE' })).status, 204);
+  assert.equal((await call(env, '/share/' + id)).status, 404);
+});
+
+test('oEmbed 返回嵌入页面的 iframe', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', '# Title\n\nbody');
+  const url = encodeURIComponent(`https://notes.test/share/${id}`);
+  const oembed = await (await call(env, '/oembed?url=' + url)).json();
+  assert.equal(oembed.title, 'Title');
+  assert.match(oembed.html, new RegExp(`/embed/${id}`));
+});
+
+test('访问统计按天汇总,不计入链接预览', async () => {
+  const env = createEnv();
+  const id = await createShare(env, 'shared', 'text');
+  await call(env, '/share/' + id);
+  await call(env, '/share/' + id);
+  await call(env, '/share/' + id, { headers: { 'User-Agent': 'Slackbot-LinkExpanding 1.0' } });
+  const today = new Date().toISOString().slice(0, 10);
+  let [share] = (await (await call(env, '/shared/shares')).json()).shares;
+  assert.equal(share.visitCount, 2);
+  assert.equal(share.visitors, 1);
+  assert.deepEqual(share.days, { [today]: { views: 2, visitors: 1 } });
+
+  // 前天及更早的访问汇总为每天一条统计,超出统计天数后只计入总访问次数
+  const now = Date.now;
+  try {
+    Date.now = () => now() + 3 * 86400000;
+    [share] = (await (await call(env, '/shared/shares')).json()).shares;
+    assert.deepEqual([share.visitCount, share.visitors, share.days], [2, 1, { [today]: { views: 2, visitors: 1 } }]);
+    assert.ok(env.NOTES_KV.store.has(`_share_stats/${id}/${today}`));
+    assert.match(await (await call(env, '/share/' + id)).text(), /👀 访问<\/span>\s*<span>3</);
+
+    Date.now = () => now() + 40 * 86400000;
+    [share] = (await (await call(env, '/shared/shares')).json()).shares;
+    assert.deepEqual([share.visitCount, share.visitors, share.days], [3, 0, {}]);
+  } finally {
+    Date.now = now;
+  }
+});
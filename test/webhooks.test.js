@@ -0,0 +1,129 @@
+// Webhook 订阅:地址检查、合并连续修改的通知和投递
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, call, JSON_HEADERS } from './helpers.js';
+
+const subscribe = (env, note, url) => call(env, `/${note}/webhooks`, {
+  method: 'POST',
+  headers: JSON_HEADERS,
+  body: JSON.stringify({ url })
+});
+
+/**
+ * 替换全局 fetch,记录 Webhook 请求并返回指定状态码
+ * @param {number} status - 响应状态码
+ * @returns {{requests: Array<{url: string, init: RequestInit}>, restore: function()}}
+ */
+function captureFetch(status = 200) {
+  const original = globalThis.fetch;
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url, init });
+    return new Response(null, { status, headers: status === 302 ? { Location: 'http://127.0.0.1/' } : {} });
+  };
+  return { requests, restore: () => { globalThis.fetch = original; } };
+}
+
+test('只接受公网的 https 通知地址', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'x' });
+  const rejected = [
+    'http://hooks.example.com/',
+    'https://localhost/',
+    'https://api.localhost./',
+    'https://intranet/',
+    'https://build.internal/',
+    'https://printer.local/',
+    'https://127.0.0.1/',
+    'https://2130706433/',
+    'https://0x7f.1/',
+    'https://10.1.2.3/',
+    'https://172.20.0.1/',
+    'https://192.168.1.1/',
+    'https://169.254.169.254/latest/meta-data/',
+    'https://0.0.0.0/',
+    'https://[::1]/',
+    'https://[::]/',
+    'https://[::ffff:127.0.0.1]/',
+    'https://[::ffff:a9fe:a9fe]/',
+    'https://[fd00::1]/',
+    'https://[fe80::1]/'
+  ];
+  for (const url of rejected) {
+    assert.equal((await subscribe(env, 'note', url)).status, 400, url);
+  }
+  assert.equal((await subscribe(env, 'note', 'https://hooks.example.com/notify')).status, 201);
+  assert.equal((await subscribe(env, 'note', 'https://[2606:4700::1111]/')).status, 201);
+  assert.equal((await subscribe(env, 'note', 'https://8.8.8.8/')).status, 201);
+});
+
+test('连续的修改合并为一次通知', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'first' });
+  await subscribe(env, 'note', 'https://hooks.example.com/notify');
+  const fetch = captureFetch();
+  try {
+    const before = Date.now();
+    await call(env, '/note', { method: 'POST', body: 'second' });
+    await call(env, '/note', { method: 'POST', body: 'second\nthird' });
+    await call(env, '/note/append', { method: 'POST', body: 'fourth' });
+    assert.equal(fetch.requests.length, 0);
+
+    const room = env.rooms.get('note');
+    const alarm = await room.state.storage.getAlarm();
+    assert.ok(alarm >= before + 60 * 1000 && alarm <= Date.now() + 60 * 1000);
+    await room.alarm();
+    assert.equal(fetch.requests.length, 1);
+    const payload = JSON.parse(fetch.requests[0].init.body);
+    assert.equal(payload.event, 'note.updated');
+    assert.equal(payload.diff.linesRemoved, 1);
+    assert.match(payload.diff.excerpt, /^second\nthird\n[\s\S]*fourth/);
+    assert.match(fetch.requests[0].init.headers['X-Mmnote-Signature'], /^sha256=[0-9a-f]{64}$/);
+
+    // 已发送的修改不再重复通知
+    await room.alarm();
+    assert.equal(fetch.requests.length, 1);
+    const { deliveries } = await (await call(env, '/note/webhooks')).json();
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].ok, true);
+  } finally {
+    fetch.restore();
+  }
+});
+
+test('没有订阅的笔记不等待通知', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'first' });
+  await call(env, '/note', { method: 'POST', body: 'second' });
+  assert.equal(await env.rooms.get('note').state.storage.getAlarm(), null);
+});
+
+test('不向之前保存的内网地址投递', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'x' });
+  const webhook = { id: 'old', url: 'https://169.254.169.254/', secret: 's', created: new Date().toISOString() };
+  await env.NOTES_KV.put('_webhooks/note', JSON.stringify([webhook]));
+  const fetch = captureFetch();
+  try {
+    const delivery = await (await call(env, '/note/webhooks/old/test', { method: 'POST' })).json();
+    assert.equal(fetch.requests.length, 0);
+    assert.deepEqual([delivery.ok, delivery.error], [false, 'Invalid webhook URL']);
+  } finally {
+    fetch.restore();
+  }
+});
+
+test('不跟随通知地址的重定向', async () => {
+  const env = createEnv();
+  await call(env, '/note', { method: 'POST', body: 'x' });
+  const { id } = await (await subscribe(env, 'note', 'https://hooks.example.com/notify')).json();
+  const fetch = captureFetch(302);
+  try {
+    const delivery = await (await call(env, `/note/webhooks/${id}/test`, { method: 'POST' })).json();
+    assert.equal(fetch.requests.length, 1);
+    assert.equal(fetch.requests[0].init.redirect, 'manual');
+    assert.deepEqual([delivery.status, delivery.ok], [302, false]);
+  } finally {
+    fetch.restore();
+  }
+});